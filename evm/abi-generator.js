@@ -0,0 +1,225 @@
+const { keccak256 } = require('js-sha3');
+
+// Elementary ABI types, the only type names a hashable canonical signature contains
+const ELEMENTARY_TYPE_PATTERN = /^(?:u?int\d+|u?fixed\d+x\d+|address|bool|string|bytes\d*|function)$/;
+
+// Array suffixes with a literal length or none, e.g. [3][]
+const ARRAY_SUFFIX_PATTERN = /(?:\[\d*\])*$/;
+
+/**
+ * ABI Generator
+ * Builds the ABI of each contract from the analyzed AST, with method identifiers,
+ * event topics and error selectors computed from canonical signatures
+ */
+class AbiGenerator {
+  constructor(options = {}) {
+    this.typeRegistry = options.typeRegistry;
+    this.callResolver = options.callResolver;
+    this.inheritanceResolver = options.inheritanceResolver;
+    this.astNodes = options.astNodes; // Report element -> AST node
+    this.events = options.events || [];
+    this.errors = options.errors || [];
+    this.stateVariables = options.stateVariables || [];
+  }
+
+  // First four bytes of the keccak256 hash of a canonical signature
+  computeSelector(canonicalSignature) {
+    return this.isHashable(canonicalSignature) ? `0x${keccak256(canonicalSignature).substring(0, 8)}` : null;
+  }
+
+  // Full keccak256 hash of an event signature, the event's topic0
+  computeTopic(canonicalSignature) {
+    return this.isHashable(canonicalSignature) ? `0x${keccak256(canonicalSignature)}` : null;
+  }
+
+  // A signature is only hashable when every type in it is an elementary ABI type with literal array
+  // lengths: a type that could not be resolved (IERC20 from a missing import) or a length such as
+  // uint256[N] is written as in the source, and hashing it would give a wrong selector
+  isHashable(canonicalSignature) {
+    if (!canonicalSignature) return false;
+
+    const parameterList = canonicalSignature.substring(canonicalSignature.indexOf('(') + 1, canonicalSignature.lastIndexOf(')'));
+    return parameterList.split(/[(),]/).filter(Boolean).every(type => {
+      const baseType = type.replace(ARRAY_SUFFIX_PATTERN, '');
+      return baseType === '' || ELEMENTARY_TYPE_PATTERN.test(baseType);
+    });
+  }
+
+  // Scope in which an element's type names are resolved
+  getContext(element) {
+    return { contract: element.contract, file: element.file };
+  }
+
+  // ABI parameters of a parameter list AST
+  toAbiParameters(parameters, context) {
+    return (parameters || []).map(parameter =>
+      this.typeRegistry.toAbiParameter(parameter.typeName, parameter.name || '', context));
+  }
+
+  // Canonical signature of a function, event or error element
+  getCanonicalSignature(element) {
+    const node = this.astNodes.get(element);
+    if (!node || !node.name) return null;
+    return this.typeRegistry.buildCanonicalSignature(node.name, node.parameters, this.getContext(element));
+  }
+
+  // Getter inputs and outputs of a public state variable: mapping keys and array indexes become inputs
+  getGetterParameters(stateVar) {
+    const node = this.astNodes.get(stateVar);
+    if (!node) return null;
+
+    const context = this.getContext(stateVar);
+    const inputs = [];
+    let typeName = node.typeName;
+
+    while (typeName && (typeName.type === 'Mapping' || typeName.type === 'ArrayTypeName')) {
+      if (typeName.type === 'Mapping') {
+        inputs.push(this.typeRegistry.toAbiParameter(typeName.keyType, '', context));
+        typeName = typeName.valueType;
+      } else {
+        inputs.push({ name: '', type: 'uint256', internalType: 'uint256' });
+        typeName = typeName.baseTypeName;
+      }
+    }
+
+    const output = this.typeRegistry.toAbiParameter(typeName, '', context);
+
+    // Struct getters return the members one by one, leaving out arrays and mappings
+    const outputs = output.type === 'tuple' ?
+      output.components.filter(c => c.type !== 'mapping' && !c.type.endsWith(']')) :
+      [output];
+
+    return { inputs, outputs };
+  }
+
+  // Canonical signature of a public state variable getter
+  getGetterSignature(stateVar) {
+    const getter = this.getGetterParameters(stateVar);
+    if (!getter) return null;
+    const types = getter.inputs.map(input => this.typeRegistry.getCanonicalType(input));
+    return `${stateVar.name}(${types.join(',')})`;
+  }
+
+  // ABI entry of a function, constructor, receive or fallback
+  buildFunctionEntry(func) {
+    const node = this.astNodes.get(func);
+    if (!node) return null;
+
+    const context = this.getContext(func);
+    const stateMutability = func.stateMutability || 'nonpayable';
+
+    if (func.isConstructor) {
+      return { type: 'constructor', inputs: this.toAbiParameters(node.parameters, context), stateMutability };
+    }
+    if (func.isReceive) {
+      return { type: 'receive', stateMutability: 'payable' };
+    }
+    if (func.isFallback) {
+      return { type: 'fallback', stateMutability };
+    }
+
+    return {
+      type: 'function',
+      name: func.name,
+      inputs: this.toAbiParameters(node.parameters, context),
+      outputs: this.toAbiParameters(node.returnParameters, context),
+      stateMutability
+    };
+  }
+
+  // ABI entry of a public state variable getter
+  buildGetterEntry(stateVar) {
+    const getter = this.getGetterParameters(stateVar);
+    if (!getter) return null;
+    return { type: 'function', name: stateVar.name, inputs: getter.inputs, outputs: getter.outputs, stateMutability: 'view' };
+  }
+
+  // ABI entry of an event
+  buildEventEntry(event) {
+    const node = this.astNodes.get(event);
+    const context = this.getContext(event);
+    return {
+      type: 'event',
+      name: event.name,
+      inputs: (node.parameters || []).map(parameter => ({
+        ...this.typeRegistry.toAbiParameter(parameter.typeName, parameter.name || '', context),
+        indexed: parameter.isIndexed || false
+      })),
+      anonymous: node.isAnonymous || false
+    };
+  }
+
+  // ABI entry of a custom error
+  buildErrorEntry(error) {
+    const node = this.astNodes.get(error);
+    return { type: 'error', name: error.name, inputs: this.toAbiParameters(node.parameters, this.getContext(error)) };
+  }
+
+  // Elements of a list declared by any contract in a linearization, most-derived first
+  declaredIn(elements, linearization) {
+    return linearization.flatMap(contract =>
+      elements.filter(element => element.contract === contract.name && element.file === contract.file));
+  }
+
+  // Errors a contract can revert with: declared in its hierarchy or named in its functions' calls
+  getContractErrors(linearization, visibleFunctions) {
+    const declared = this.declaredIn(this.errors, linearization);
+    const calledNames = new Set(visibleFunctions.flatMap(f => (f.calls || []).map(call => call.name)));
+    const used = this.errors.filter(error => calledNames.has(error.name) || calledNames.has(error.qualifiedName));
+    return [...new Set([...declared, ...used])];
+  }
+
+  // Generate the ABI of a contract with its method identifiers, event topics and error selectors
+  generate(contract) {
+    const linearization = this.inheritanceResolver.linearize(contract.id).filter(c => !c.external);
+    const visibleFunctions = this.callResolver.collectFunctions(contract.id);
+    const entries = [];
+    const methodIdentifiers = {};
+    const eventTopics = {};
+    const errorSelectors = {};
+
+    for (const func of visibleFunctions) {
+      // Interfaces and abstract contracts list their declarations too, so the body is not required
+      const isOwnConstructor = func.isConstructor && func.contract === contract.name && func.file === contract.file;
+      if (func.isConstructor ? !isOwnConstructor : !this.callResolver.isExternallyCallable(func)) continue;
+
+      const entry = this.buildFunctionEntry(func);
+      if (!entry) continue;
+      entries.push(entry);
+
+      if (entry.type === 'function' && func.selector) {
+        methodIdentifiers[func.canonicalSignature] = func.selector.substring(2);
+      }
+    }
+
+    for (const stateVar of this.declaredIn(this.stateVariables, linearization)) {
+      if (stateVar.visibility !== 'public' || !stateVar.canonicalSignature) continue;
+      if (methodIdentifiers[stateVar.canonicalSignature]) continue; // Overridden by a function
+      const entry = this.buildGetterEntry(stateVar);
+      if (!entry) continue;
+      entries.push(entry);
+      if (stateVar.selector) methodIdentifiers[stateVar.canonicalSignature] = stateVar.selector.substring(2);
+    }
+
+    for (const event of this.declaredIn(this.events, linearization)) {
+      if (!event.canonicalSignature || eventTopics[event.canonicalSignature] !== undefined) continue;
+      entries.push(this.buildEventEntry(event));
+      eventTopics[event.canonicalSignature] = event.topic0;
+    }
+
+    for (const error of this.getContractErrors(linearization, visibleFunctions)) {
+      if (!error.canonicalSignature || errorSelectors[error.canonicalSignature] !== undefined) continue;
+      entries.push(this.buildErrorEntry(error));
+      errorSelectors[error.canonicalSignature] = error.selector;
+    }
+
+    // Same ordering as solc: by entry type, then by name
+    const typeOrder = ['constructor', 'error', 'event', 'fallback', 'function', 'receive'];
+    entries.sort((a, b) =>
+      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || (a.name || '').localeCompare(b.name || ''));
+
+    return { abi: entries, methodIdentifiers, eventTopics, errorSelectors };
+  }
+}
+
+module.exports = AbiGenerator;
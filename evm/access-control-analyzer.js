@@ -0,0 +1,248 @@
+const Parser = require('@solidity-parser/parser');
+
+// Names the owner of an Ownable-style contract: owner, owner(), _owner
+const OWNER_PATTERN = /^_?owner(\(\))?$/i;
+
+/**
+ * Access Control Analyzer
+ * Finds the checks on the caller that a function or modifier body makes:
+ * require(msg.sender == x), if (msg.sender != x) revert, hasRole(ROLE, account),
+ * allowlist mappings indexed by the sender and Ownable ownership, and builds the
+ * access-control matrix of a contract's state-changing entry points by following
+ * their modifiers and internal calls to those checks
+ */
+class AccessControlAnalyzer {
+  constructor(options = {}) {
+    this.callResolver = options.callResolver || null;
+    this.maxDepth = options.maxDepth || 3;
+  }
+
+  // Checks on the caller in a body, each { kind, sender?, subject?, role?, account?, checks?, source, location }.
+  // getSource turns an expression into its text
+  findChecks(node, getSource) {
+    if (!node || !node.body) return [];
+
+    const checks = [];
+    const add = (condition, negated, location) => {
+      const check = this.describeCondition(condition, negated, getSource);
+      if (check) {
+        checks.push({ ...check, source: getSource(condition), location });
+      }
+    };
+
+    Parser.visit(node.body, {
+      FunctionCall: call => {
+        const callee = call.expression;
+        if (callee && callee.type === 'Identifier' && (callee.name === 'require' || callee.name === 'assert') &&
+          (call.arguments || []).length > 0) {
+          add(call.arguments[0], false, call.loc);
+        }
+      },
+      IfStatement: statement => {
+        // if (msg.sender != owner) revert Unauthorized();
+        if (this.reverts(statement.trueBody)) {
+          add(statement.condition, true, statement.loc);
+        }
+      }
+    });
+
+    return checks;
+  }
+
+  // Whether a statement is, or starts with, a revert
+  reverts(statement) {
+    if (!statement) return false;
+    if (statement.type === 'Block') return this.reverts((statement.statements || [])[0]);
+    if (statement.type === 'RevertStatement') return true;
+    if (statement.type !== 'ExpressionStatement' || !statement.expression) return false;
+
+    const expression = statement.expression;
+    return expression.type === 'FunctionCall' && expression.expression &&
+      expression.expression.type === 'Identifier' && expression.expression.name === 'revert';
+  }
+
+  // The check a condition that must hold (or, negated, must not hold) makes on the caller, or null
+  describeCondition(condition, negated, getSource) {
+    if (!condition) return null;
+
+    switch (condition.type) {
+      case 'TupleExpression':
+        return condition.components.length === 1 ? this.describeCondition(condition.components[0], negated, getSource) : null;
+      case 'UnaryOperation':
+        return condition.operator === '!' ? this.describeCondition(condition.subExpression, !negated, getSource) : null;
+      case 'BinaryOperation':
+        return this.describeComparison(condition, negated, getSource);
+      case 'FunctionCall':
+        return negated ? null : this.describeRoleCheck(condition, getSource);
+      case 'IndexAccess':
+        // require(authorized[msg.sender])
+        return !negated && this.isSender(condition.index) ?
+          { kind: 'allowlist', sender: getSource(condition.index), subject: getSource(condition.base) } :
+          null;
+      default:
+        return null;
+    }
+  }
+
+  // msg.sender == x, x != msg.sender when negated, and conditions joined with && or ||
+  describeComparison(condition, negated, getSource) {
+    const { operator, left, right } = condition;
+
+    // a && b must both hold; if (a || b) revert means neither may hold
+    if ((operator === '&&' && !negated) || (operator === '||' && negated)) {
+      const checks = [left, right].map(side => this.describeCondition(side, negated, getSource)).filter(Boolean);
+      if (checks.length === 0) return null;
+      return checks.length === 1 ? checks[0] : { kind: 'allOf', checks };
+    }
+
+    // Either of a || b lets the caller through, so both sides must check the caller
+    if ((operator === '||' && !negated) || (operator === '&&' && negated)) {
+      const checks = [left, right].map(side => this.describeCondition(side, negated, getSource));
+      return checks.every(Boolean) ? { kind: 'anyOf', checks } : null;
+    }
+
+    // require(authorized[msg.sender] == true), before the == below takes it for a comparison with the sender
+    if (operator === '==' && !negated && right.type === 'BooleanLiteral' && right.value) {
+      return this.describeCondition(left, false, getSource);
+    }
+
+    if ((operator === '==' && !negated) || (operator === '!=' && negated)) {
+      const [sender, other] = this.isSender(left) ? [left, right] : this.isSender(right) ? [right, left] : [];
+      if (!sender) return null;
+
+      const subject = getSource(other);
+      return { kind: OWNER_PATTERN.test(subject) ? 'owner' : 'sender', sender: getSource(sender), subject };
+    }
+
+    return null;
+  }
+
+  // hasRole(ROLE, account) from AccessControl
+  describeRoleCheck(call, getSource) {
+    const callee = call.expression;
+    const name = callee && (callee.type === 'Identifier' ? callee.name : callee.type === 'MemberAccess' ? callee.memberName : null);
+    if (name !== 'hasRole' || (call.arguments || []).length !== 2) return null;
+
+    return { kind: 'role', role: getSource(call.arguments[0]), account: getSource(call.arguments[1]) };
+  }
+
+  // msg.sender, tx.origin or _msgSender()
+  isSender(expression) {
+    if (!expression) return false;
+    if (expression.type === 'MemberAccess') {
+      return expression.expression.type === 'Identifier' && (
+        (expression.expression.name === 'msg' && expression.memberName === 'sender') ||
+        (expression.expression.name === 'tx' && expression.memberName === 'origin'));
+    }
+    return expression.type === 'FunctionCall' && (expression.arguments || []).length === 0 &&
+      expression.expression.type === 'Identifier' && expression.expression.name === '_msgSender';
+  }
+
+  // Access-control entry of a function as it runs in a contract:
+  // { function, name, signature, visibility, stateMutability, modifiers, guards, unguarded }
+  analyze(func, contract) {
+    const guards = [];
+    this.collectFunctionGuards(func, contract, new Map(), [], new Set([func.id]), guards);
+
+    return {
+      function: func.id,
+      name: func.name,
+      signature: func.signature,
+      visibility: func.visibility,
+      stateMutability: func.stateMutability,
+      modifiers: (func.modifierInvocations || []).map(invocation => invocation.name),
+      guards,
+      unguarded: guards.length === 0
+    };
+  }
+
+  // Guards of a function's modifiers, its own checks and those of the internal functions it calls.
+  // bindings maps the function's parameters to the arguments they were called with
+  collectFunctionGuards(func, contract, bindings, via, visited, guards) {
+    for (const invocation of func.modifierInvocations || []) {
+      const { definition, kind } = this.callResolver.resolveModifier(invocation, func, contract);
+      if (kind !== 'modifier') continue;
+
+      const argumentSource = (invocation.argumentSource || []).map(source => this.substitute(source, bindings));
+      if (!definition || !definition.isImplemented) {
+        const guess = this.guessFromName(invocation.name, argumentSource);
+        if (guess) guards.push({ ...guess, resolved: false, via: [...via, invocation.name] });
+        continue;
+      }
+      if (visited.has(definition.id)) continue;
+
+      this.collectBodyGuards(definition, contract, this.bind(definition, argumentSource), [...via, invocation.name],
+        new Set([...visited, definition.id]), guards);
+    }
+
+    this.collectBodyGuards(func, contract, bindings, via, visited, guards);
+  }
+
+  // The checks a body makes and, up to maxDepth, those of the internal functions it calls
+  collectBodyGuards(func, contract, bindings, via, visited, guards) {
+    for (const check of func.accessChecks || []) {
+      guards.push({ ...this.substituteCheck(check, bindings), function: func.id, via });
+    }
+    if (via.length >= this.maxDepth) return;
+
+    for (const call of func.calls || []) {
+      if (call.interaction) continue;
+
+      const argumentSource = (call.argumentSource || []).map(source => this.substitute(source, bindings));
+      const { definition } = this.callResolver.resolve(call, func, contract);
+      if (!definition) {
+        // _checkOwner() and _checkRole(ROLE) of OpenZeppelin contracts outside the analysis
+        const guess = this.guessFromName(call.name, argumentSource);
+        if (guess) guards.push({ ...guess, resolved: false, via: [...via, call.name] });
+        continue;
+      }
+      if (visited.has(definition.id) || !definition.isImplemented) continue;
+
+      this.collectFunctionGuards(definition, contract, this.bind(definition, argumentSource), [...via, definition.name],
+        new Set([...visited, definition.id]), guards);
+    }
+  }
+
+  // Guards implied by the name of a modifier or function that could not be resolved: onlyOwner, onlyRole(ROLE), _checkRole(ROLE)
+  guessFromName(name, argumentSource) {
+    const bare = name.split('.').pop();
+    if (bare === 'onlyOwner' || bare === '_checkOwner') {
+      return { kind: 'owner', subject: 'owner()', source: name };
+    }
+    if ((bare === 'onlyRole' || bare === '_checkRole') && argumentSource.length > 0) {
+      return { kind: 'role', role: argumentSource[0], source: `${name}(${argumentSource.join(', ')})` };
+    }
+    return null;
+  }
+
+  // Parameter name -> argument source of a call or modifier invocation
+  bind(definition, argumentSource) {
+    const bindings = new Map();
+    (definition.parameters || []).forEach((parameter, i) => {
+      if (parameter.name && argumentSource[i] !== undefined) bindings.set(parameter.name, argumentSource[i]);
+    });
+    return bindings;
+  }
+
+  // An expression naming a parameter stands for the argument it was called with
+  substitute(source, bindings) {
+    return source && bindings.has(source) ? bindings.get(source) : source;
+  }
+
+  // A check with its role, subject and account as the caller passed them: onlyRole(MINTER_ROLE) checks MINTER_ROLE
+  substituteCheck(check, bindings) {
+    const result = { ...check };
+    for (const field of ['role', 'subject', 'account']) {
+      if (result[field] !== undefined) result[field] = this.substitute(result[field], bindings);
+    }
+    if (result.checks) {
+      result.checks = result.checks.map(inner => this.substituteCheck(inner, bindings));
+    }
+    if (result.kind === 'sender' && OWNER_PATTERN.test(result.subject)) {
+      result.kind = 'owner';
+    }
+    return result;
+  }
+}
+
+module.exports = AccessControlAnalyzer;
@@ -0,0 +1,236 @@
+// Storage opcodes and whether they read or write; t* opcodes use transient storage
+const STORAGE_OPCODES = {
+  sload: 'read',
+  sstore: 'write',
+  tload: 'read',
+  tstore: 'write'
+};
+
+// Opcodes that call out or create contracts, with the position of their arguments
+const CALL_OPCODES = {
+  call: { category: 'lowLevel', gas: 0, target: 1, value: 2 },
+  callcode: { category: 'lowLevel', gas: 0, target: 1, value: 2 },
+  delegatecall: { category: 'lowLevel', gas: 0, target: 1 },
+  staticcall: { category: 'lowLevel', gas: 0, target: 1 },
+  create: { category: 'creation', value: 0 },
+  create2: { category: 'creation', value: 0, salt: 3 },
+  selfdestruct: { category: 'selfdestruct', target: 0 }
+};
+
+// Opcodes that write memory, with the position of the memory offset they write at
+const MEMORY_WRITE_OPCODES = {
+  mstore: 0,
+  mstore8: 0,
+  mcopy: 0,
+  calldatacopy: 0,
+  codecopy: 0,
+  returndatacopy: 0,
+  extcodecopy: 1
+};
+
+// Opcodes that end execution
+const HALT_OPCODES = new Set(['return', 'revert', 'stop', 'invalid']);
+
+// First byte past the scratch space and the free memory pointer; fixed offsets from here on
+// may overwrite memory Solidity manages
+const RESERVED_MEMORY_END = 0x60;
+
+/**
+ * Assembly Analyzer
+ * Walks the inline assembly (Yul) blocks of a function or modifier body: storage
+ * accesses, external calls and contract creation, Yul function definitions and the
+ * calls made to them, memory writes and halting opcodes, and whether each block is
+ * memory-safe, either declared with ("memory-safe") or the memory-safe-assembly
+ * NatSpec tag, or flagged where it writes memory at fixed offsets
+ */
+class AssemblyAnalyzer {
+  // Inline assembly of a function or modifier definition, or null when its body has none.
+  // sourceCode is the file's source; resolveVariable turns the name in x.slot into a state variable id or null
+  analyze(node, sourceCode, resolveVariable = () => null) {
+    if (!node || !node.body) return null;
+
+    const blocks = [];
+    this.collectBlocks(node.body, blocks);
+    if (blocks.length === 0) return null;
+
+    const text = expression => expression && expression.range && sourceCode ?
+      sourceCode.substring(expression.range[0], expression.range[1] + 1) : null;
+    const result = {
+      memorySafe: true,
+      blocks: [],
+      functions: [],
+      functionCalls: [],
+      externalCalls: [],
+      storageAccesses: [],
+      memoryWrites: [],
+      halts: [],
+      memoryUnsafe: []
+    };
+
+    blocks.forEach((block, index) => {
+      const memorySafe = (block.flags || []).includes('memory-safe') || this.hasMemorySafeTag(block, sourceCode);
+      result.blocks.push({ location: block.loc, flags: block.flags || [], memorySafe });
+      if (!memorySafe) {
+        result.memorySafe = false;
+        result.memoryUnsafe.push({ reason: 'undeclared', block: index, location: block.loc });
+      }
+
+      const helpers = this.collectFunctionDefinitions(block.body);
+      this.walk(block.body, { block: index, inFunction: null, parent: null, helpers, text, resolveVariable, result });
+    });
+
+    return result;
+  }
+
+  // InlineAssemblyStatement nodes of a body, in source order
+  collectBlocks(node, blocks) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.collectBlocks(child, blocks));
+      return;
+    }
+
+    if (node.type === 'InlineAssemblyStatement') {
+      blocks.push(node);
+      return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc' && key !== 'range') this.collectBlocks(value, blocks);
+    }
+  }
+
+  // Names of the Yul functions defined anywhere in a block
+  collectFunctionDefinitions(node, names = new Set()) {
+    if (!node || typeof node !== 'object') return names;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.collectFunctionDefinitions(child, names));
+      return names;
+    }
+
+    if (node.type === 'AssemblyFunctionDefinition') names.add(node.name);
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc' && key !== 'range') this.collectFunctionDefinitions(value, names);
+    }
+    return names;
+  }
+
+  // /// @solidity memory-safe-assembly right before a block, the pre-0.8.13 form of the flag
+  hasMemorySafeTag(block, sourceCode) {
+    if (!sourceCode || !block.range) return false;
+    const before = sourceCode.substring(Math.max(0, block.range[0] - 300), block.range[0]);
+    return /(\/\/\/[^\n]*@solidity\s+memory-safe-assembly[^\n]*|\/\*\*(?:(?!\*\/)[\s\S])*@solidity\s+memory-safe-assembly(?:(?!\*\/)[\s\S])*\*\/)\s*$/
+      .test(before);
+  }
+
+  // Record what each Yul operation does, keeping track of the Yul function it is in
+  walk(node, context) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walk(child, context));
+      return;
+    }
+    if (!node.type) return;
+
+    if (node.type === 'AssemblyFunctionDefinition') {
+      context.result.functions.push({
+        name: node.name,
+        block: context.block,
+        parameters: (node.arguments || []).map(argument => argument.name),
+        returns: (node.returnArguments || []).map(argument => argument.name),
+        location: node.loc
+      });
+      this.walk(node.body, { ...context, inFunction: node.name, parent: node });
+      return;
+    }
+
+    if (node.type === 'AssemblyCall') {
+      this.recordCall(node, context);
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc' && key !== 'range') this.walk(value, { ...context, parent: node });
+    }
+  }
+
+  // Record a Yul function call or opcode
+  recordCall(node, context) {
+    const { result, text, block, inFunction } = context;
+    const name = node.functionName;
+    const args = node.arguments || [];
+    const site = { block, inFunction, location: node.loc };
+
+    if (context.helpers.has(name)) {
+      result.functionCalls.push({ name, arguments: args.length, ...site });
+      return;
+    }
+
+    if (STORAGE_OPCODES[name]) {
+      const slot = args[0];
+      const access = { opcode: name, access: STORAGE_OPCODES[name], transient: name.startsWith('t'), slot: text(slot) };
+      if (slot && slot.type === 'AssemblyMemberAccess' && slot.memberName.name === 'slot' && slot.expression.name) {
+        const variable = context.resolveVariable(slot.expression.name);
+        if (variable) access.variable = variable;
+      }
+      result.storageAccesses.push({ ...access, ...site });
+      return;
+    }
+
+    if (CALL_OPCODES[name]) {
+      result.externalCalls.push({ ...this.describeCall(node, context), ...site });
+      return;
+    }
+
+    if (MEMORY_WRITE_OPCODES[name] !== undefined) {
+      const offset = args[MEMORY_WRITE_OPCODES[name]];
+      result.memoryWrites.push({ opcode: name, offset: text(offset), ...site });
+
+      const fixedOffset = this.getLiteralValue(offset);
+      if (fixedOffset !== null && fixedOffset >= RESERVED_MEMORY_END) {
+        result.memoryUnsafe.push({ reason: 'fixedOffset', opcode: name, offset: text(offset), ...site });
+      }
+      return;
+    }
+
+    if (HALT_OPCODES.has(name)) {
+      result.halts.push({ opcode: name, ...site });
+    }
+  }
+
+  // An external call opcode in the shape of a classified interaction: { kind, category, target, sendsValue, options, returnChecked }
+  describeCall(node, context) {
+    const layout = CALL_OPCODES[node.functionName];
+    const args = node.arguments || [];
+    const options = {};
+    for (const option of ['gas', 'value', 'salt']) {
+      if (layout[option] !== undefined && args[layout[option]]) {
+        options[option] = context.text(args[layout[option]]);
+      }
+    }
+
+    const value = layout.value !== undefined ? args[layout.value] : null;
+    const sendsValue = node.functionName === 'selfdestruct' || (!!value && this.getLiteralValue(value) !== 0);
+
+    // Creation returns the new address and selfdestruct nothing; a call's success flag is dropped with pop()
+    const returnChecked = layout.category === 'lowLevel' ?
+      !(context.parent && context.parent.type === 'AssemblyCall' && context.parent.functionName === 'pop') :
+      null;
+
+    return {
+      kind: node.functionName,
+      category: layout.category,
+      target: layout.target !== undefined ? context.text(args[layout.target]) : null,
+      sendsValue,
+      options,
+      returnChecked
+    };
+  }
+
+  // Value of a decimal or hex literal, or null for anything else
+  getLiteralValue(node) {
+    if (!node || (node.type !== 'DecimalNumber' && node.type !== 'HexNumber')) return null;
+    const value = Number(node.value);
+    return Number.isNaN(value) ? null : value;
+  }
+}
+
+module.exports = AssemblyAnalyzer;
@@ -0,0 +1,392 @@
+const TypeInference = require('./type-inference.js');
+
+/**
+ * Call Resolver
+ * Resolves internal, super and qualified calls along the C3 linearization,
+ * dispatching virtual calls to the override of the most-derived contract,
+ * binding value.fn() calls through using-for directives, choosing between
+ * overloads by argument count and inferred argument types, and resolving the
+ * modifiers and base constructor calls in function headers
+ */
+class CallResolver {
+  constructor(functions, inheritanceResolver, usingForDirectives = [], modifiers = []) {
+    this.functions = functions.filter(f => f.type !== 'event');
+    this.inheritanceResolver = inheritanceResolver;
+    this.usingForDirectives = usingForDirectives;
+    this.typeInference = new TypeInference();
+    this.functionsByContract = new Map(); // contract id -> function name -> functions
+    this.freeFunctions = new Map(); // function name -> file-level functions
+    this.modifiersByContract = new Map(); // contract id -> modifier name -> modifier
+
+    // Contract-type checks used when scoring arguments against parameters
+    this.typeLookup = {
+      isContract: name => !!this.inheritanceResolver.resolveContract(name),
+      inheritsFrom: (name, baseName) => this.inheritanceResolver.inheritsFrom(name, baseName)
+    };
+
+    for (const func of this.functions) {
+      let byName = this.freeFunctions;
+
+      if (func.contract) {
+        const contractId = this.getContractId(func);
+        if (!this.functionsByContract.has(contractId)) {
+          this.functionsByContract.set(contractId, new Map());
+        }
+        byName = this.functionsByContract.get(contractId);
+      }
+
+      if (!byName.has(func.name)) byName.set(func.name, []);
+      byName.get(func.name).push(func);
+    }
+
+    for (const modifier of modifiers) {
+      const contractId = this.getContractId(modifier);
+      if (!contractId) continue;
+      if (!this.modifiersByContract.has(contractId)) {
+        this.modifiersByContract.set(contractId, new Map());
+      }
+      this.modifiersByContract.get(contractId).set(modifier.name, modifier);
+    }
+  }
+
+  // Contract id of the contract that declares a function
+  getContractId(func) {
+    return func.contract ? `${func.file}:${func.contract}` : null;
+  }
+
+  // Contract that declares a function
+  getDeclaringContract(func) {
+    if (!func || !func.contract) return null;
+    return this.inheritanceResolver.getContract(this.getContractId(func));
+  }
+
+  // Resolve a call made from callerFunction; mostDerived is the contract whose code is running.
+  // Returns { definition, ambiguous, candidates }, with candidates set only for ambiguous calls,
+  // usingFor set for calls bound through a using-for directive and interfaceCall for calls on other contracts
+  resolve(call, callerFunction = null, mostDerived = null) {
+    const request = typeof call === 'string' ? { name: call } : call;
+    const callerContract = this.getDeclaringContract(callerFunction);
+    const callerFile = callerFunction ? callerFunction.file : null;
+    const derived = this.getDispatchContract(callerContract, mostDerived);
+    const isMemberCall = request.receiverType !== undefined && !request.name.startsWith('this.');
+    let callName = request.name;
+
+    // Low-level calls, transfers, selfdestruct and creation never run a function of the analyzed code
+    if (request.interaction && request.interaction.kind !== 'interface') {
+      return { definition: null, ambiguous: false, candidates: [] };
+    }
+
+    // this.foo() is an external call back into the running contract, so it dispatches virtually
+    if (callerContract && callName.startsWith('this.')) {
+      callName = callName.substring(5);
+    }
+
+    // super.foo() continues after the caller's contract in the most-derived linearization
+    if (callName.startsWith('super.')) {
+      const candidates = callerContract && derived ?
+        this.collectFunctions(derived, callerContract, callName.substring(6)) : [];
+      return this.selectOverload(candidates, request);
+    }
+
+    if (callName.includes('.')) {
+      const qualified = this.resolveQualified(callName, callerContract, callerFile);
+      if (qualified.length > 0 || !isMemberCall) {
+        return this.selectOverload(qualified, request);
+      }
+    }
+
+    // Member calls on values; calls on expressions such as IERC20(token).transfer() have no dotted name
+    if (isMemberCall) {
+      const bound = this.resolveBound(callName, request, callerContract, callerFile);
+      if (bound.definition || bound.ambiguous) return bound;
+      if (request.target) return this.resolveInterfaceCall(callName, request, callerFile);
+      if (callName.includes('.')) return bound;
+    }
+
+    let candidates = derived ? this.collectFunctions(derived, null, callName) : [];
+
+    if (candidates.length === 0) {
+      const freeFunctions = this.freeFunctions.get(callName) || [];
+      const sameFile = freeFunctions.filter(f => f.file === callerFile);
+      candidates = sameFile.length > 0 ? sameFile : freeFunctions;
+    }
+
+    // A name that is neither visible in the caller's contract nor a file-level function stays unresolved
+    return this.selectOverload(candidates, request);
+  }
+
+  // Resolve a modifier invocation in a function header. Modifiers are virtual, so the most-derived
+  // override runs; Base(args) in a constructor header runs the base's constructor.
+  // Returns { definition, kind } with kind 'modifier' or 'baseConstructor'
+  resolveModifier(invocation, callerFunction, mostDerived = null) {
+    const callerContract = this.getDeclaringContract(callerFunction);
+    if (!callerContract) return { definition: null, kind: 'modifier' };
+
+    const derived = this.getDispatchContract(callerContract, mostDerived);
+    let declaration = null;
+    for (const current of this.inheritanceResolver.linearize(derived)) {
+      const modifier = (this.modifiersByContract.get(current.id) || new Map()).get(invocation.name);
+      if (modifier && modifier.isImplemented !== false) {
+        return { definition: modifier, kind: 'modifier' };
+      }
+      declaration = declaration || modifier || null;
+    }
+    if (declaration) return { definition: declaration, kind: 'modifier' };
+
+    if (callerFunction.isConstructor) {
+      const base = this.inheritanceResolver.resolveContract(invocation.name, callerFunction.file);
+      if (base) {
+        const constructors = (this.functionsByContract.get(base.id) || new Map()).get('<constructor>') || [];
+        return { definition: constructors[0] || null, kind: 'baseConstructor' };
+      }
+    }
+
+    return { definition: null, kind: 'modifier' };
+  }
+
+  // Use the most-derived contract only when the caller's contract is one of its bases
+  getDispatchContract(callerContract, mostDerived) {
+    const derived = this.inheritanceResolver.getContract(mostDerived);
+
+    if (!callerContract) return null;
+    if (callerContract.kind === 'library') return callerContract;
+    if (derived && this.inheritanceResolver.inheritsFrom(derived, callerContract)) {
+      return derived;
+    }
+    return callerContract;
+  }
+
+  // Candidates for Base.foo(), Library.foo() or Contract.foo()
+  resolveQualified(callName, callerContract, callerFile) {
+    const separatorIndex = callName.lastIndexOf('.');
+    const qualifier = callName.substring(0, separatorIndex);
+    const functionName = callName.substring(separatorIndex + 1);
+    const target = qualifier.includes('.') ? null :
+      this.inheritanceResolver.resolveContract(qualifier, callerFile);
+
+    if (target) {
+      // Base.foo() inside a derived contract is a non-virtual call to that base's implementation
+      const isBase = callerContract && this.inheritanceResolver.inheritsFrom(callerContract, target);
+      if (isBase || target.kind === 'library') {
+        const candidates = this.collectFunctions(target, null, functionName);
+        if (candidates.length > 0) return candidates;
+      }
+    }
+
+    return this.functions.filter(f => f.qualifiedName === callName);
+  }
+
+  // Resolve value.fn(args) through the using-for directives in scope; value becomes the first argument
+  resolveBound(callName, request, callerContract, callerFile) {
+    const functionName = callName.substring(callName.lastIndexOf('.') + 1);
+    const receiverType = request.receiverType || null;
+    const directivesById = new Map(); // function id -> directive that binds it
+
+    for (const directive of this.getUsingForDirectives(callerContract, callerFile, receiverType)) {
+      for (const func of this.getBoundFunctions(directive, functionName)) {
+        const parameters = func.parameters || [];
+        if (parameters.length === 0 || directivesById.has(func.id)) continue;
+        if (this.typeInference.scoreArgument(receiverType, parameters[0].type, this.typeLookup) === 0) continue;
+        directivesById.set(func.id, directive);
+      }
+    }
+
+    const candidates = this.functions.filter(f => directivesById.has(f.id));
+    const hasNames = request.argumentNames && request.argumentNames.length > 0;
+    const boundRequest = {
+      ...request,
+      arguments: typeof request.arguments === 'number' ? request.arguments + 1 : request.arguments,
+      argumentTypes: hasNames ? request.argumentTypes : [receiverType, ...(request.argumentTypes || [])]
+    };
+
+    const resolution = this.selectOverload(candidates, boundRequest);
+    if (resolution.definition) {
+      resolution.usingFor = this.describeUsingFor(directivesById.get(resolution.definition.id));
+    }
+    return resolution;
+  }
+
+  // Resolve a call on a value of contract or interface type to that contract's method
+  resolveInterfaceCall(callName, request, callerFile) {
+    const functionName = callName.substring(callName.lastIndexOf('.') + 1);
+    const contract = this.inheritanceResolver.resolveContract(request.target.contract, callerFile);
+    const candidates = contract ? this.collectFunctions(contract, null, functionName) : [];
+    const resolution = this.selectOverload(candidates, request);
+
+    // high: a single method matched; medium: overloads left ambiguous; low: the method was not found
+    const confidence = resolution.definition ? 'high' : resolution.ambiguous ? 'medium' : 'low';
+    resolution.interfaceCall = {
+      interface: request.target.contract,
+      method: `${request.target.contract}.${functionName}`,
+      pattern: request.target.pattern,
+      confidence
+    };
+    return resolution;
+  }
+
+  // Directives that apply to a value of the given type inside the caller: the caller's contract
+  // (and its bases, which pre-0.7 compilers inherited), its file, and global directives
+  getUsingForDirectives(callerContract, callerFile, receiverType) {
+    const scopes = callerContract ? this.inheritanceResolver.linearize(callerContract) : [];
+
+    return this.usingForDirectives.filter(directive => {
+      const inScope = directive.contract ?
+        scopes.some(scope => scope.name === directive.contract && scope.file === directive.file) :
+        directive.global || directive.file === callerFile;
+      return inScope && this.matchesBoundType(directive.type, receiverType);
+    });
+  }
+
+  // Compare a directive's type with a receiver type; unknown receivers match any directive
+  matchesBoundType(directiveType, receiverType) {
+    if (directiveType === '*' || !receiverType) return true;
+    const normalize = type => this.typeInference.normalizeType(type).split('.').pop();
+    return normalize(directiveType) === normalize(receiverType);
+  }
+
+  // Library or listed functions a directive attaches under the given name
+  getBoundFunctions(directive, functionName) {
+    if (directive.library) {
+      const library = this.inheritanceResolver.resolveContract(directive.library, directive.file);
+      return library ? this.collectFunctions(library, null, functionName) : [];
+    }
+
+    // using {f, Library.g} for Type attaches only the listed functions
+    return directive.functions
+      .filter(name => name.split('.').pop() === functionName)
+      .flatMap(name => {
+        if (name.includes('.')) return this.resolveQualified(name, null, directive.file);
+        const freeFunctions = this.freeFunctions.get(name) || [];
+        const sameFile = freeFunctions.filter(f => f.file === directive.file);
+        return sameFile.length > 0 ? sameFile : freeFunctions;
+      });
+  }
+
+  // Human-readable form of a directive, e.g. SafeERC20 for IERC20
+  describeUsingFor(directive) {
+    const source = directive.library || `{${directive.functions.join(', ')}}`;
+    return `${source} for ${directive.type}`;
+  }
+
+  // Functions visible in a contract, walking its linearization (optionally after a given base).
+  // Each parameter list keeps its most-derived implementation, so overrides hide what they override
+  collectFunctions(contract, startAfter = null, functionName = null) {
+    const linearization = this.inheritanceResolver.linearize(contract);
+    let startIndex = 0;
+
+    if (startAfter) {
+      const afterContract = this.inheritanceResolver.getContract(startAfter);
+      startIndex = linearization.findIndex(c => c.id === afterContract.id) + 1;
+      if (startIndex === 0) return [];
+    }
+
+    const visible = new Map(); // name(parameter types) -> function
+    for (const current of linearization.slice(startIndex)) {
+      const byName = this.functionsByContract.get(current.id);
+      if (!byName) continue;
+
+      const declared = functionName ? byName.get(functionName) || [] : [...byName.values()].flat();
+      for (const func of declared) {
+        const key = `${func.name}(${this.getParameterKey(func)})`;
+        const existing = visible.get(key);
+
+        // An unimplemented declaration (interface or abstract function) yields to an implementation
+        if (!existing || (existing.isImplemented === false && func.isImplemented !== false)) {
+          visible.set(key, func);
+        }
+      }
+    }
+
+    return [...visible.values()];
+  }
+
+  // Public, external, receive and fallback functions: what a transaction or another contract can call
+  isExternallyCallable(func) {
+    if (func.type === 'modifier' || func.isConstructor) return false;
+    return func.visibility === 'public' || func.visibility === 'external' || !!func.isReceive || !!func.isFallback;
+  }
+
+  // Externally callable functions with a body, where transactions start
+  isEntryPoint(func) {
+    return this.isExternallyCallable(func) && func.isImplemented !== false;
+  }
+
+  // Normalized parameter types of a function, used to tell overloads apart
+  getParameterKey(func) {
+    return (func.parameters || []).map(p => this.typeInference.normalizeType(p.type)).join(',');
+  }
+
+  // Choose between overloads by argument count, named arguments and inferred argument types.
+  // A call that no candidate accepts is unresolved, even when there is only one candidate
+  selectOverload(candidates, request) {
+    const unresolved = { definition: null, ambiguous: false, candidates: [] };
+    let matching = candidates;
+
+    if (typeof request.arguments === 'number') {
+      matching = matching.filter(f => (f.parameters || []).length === request.arguments);
+    }
+
+    if (request.argumentNames && request.argumentNames.length > 0) {
+      matching = matching.filter(f => request.argumentNames.every(name =>
+        (f.parameters || []).some(p => p.name === name)));
+    }
+
+    const scored = matching
+      .map(func => ({ func, score: this.scoreCandidate(func, request) }))
+      .filter(entry => entry.score !== null);
+
+    if (scored.length === 0) {
+      return unresolved;
+    }
+
+    const bestScore = Math.max(...scored.map(entry => entry.score));
+    const best = scored.filter(entry => entry.score === bestScore).map(entry => entry.func);
+
+    if (best.length === 1) {
+      return { definition: best[0], ambiguous: false, candidates: [] };
+    }
+
+    return { definition: null, ambiguous: true, candidates: best };
+  }
+
+  // Sum of argument scores, or null if any argument cannot convert to its parameter
+  scoreCandidate(func, request) {
+    const parameters = func.parameters || [];
+    const argumentTypes = request.argumentTypes || [];
+    let score = 0;
+
+    for (let i = 0; i < argumentTypes.length; i++) {
+      const parameter = request.argumentNames && request.argumentNames.length > 0 ?
+        parameters.find(p => p.name === request.argumentNames[i]) :
+        parameters[i];
+      if (!parameter) continue;
+
+      const argumentScore = this.typeInference.scoreArgument(argumentTypes[i], parameter.type, this.typeLookup);
+      if (argumentScore === 0) return null;
+      score += argumentScore;
+    }
+
+    return score;
+  }
+
+  // Pick the contract whose code is actually running when a function is extracted
+  selectMostDerived(targetFunction, candidateContracts = []) {
+    const targetContract = this.getDeclaringContract(targetFunction);
+    if (!targetContract) return null;
+
+    const derivedContracts = candidateContracts
+      .map(contract => this.inheritanceResolver.getContract(contract))
+      .filter(contract => contract && contract.kind !== 'interface' && contract.kind !== 'library')
+      .filter(contract => this.inheritanceResolver.inheritsFrom(contract, targetContract));
+
+    if (derivedContracts.length === 0) return targetContract;
+
+    // The deepest hierarchy is the most derived one
+    return derivedContracts.reduce((best, contract) =>
+      this.inheritanceResolver.linearize(contract).length > this.inheritanceResolver.linearize(best).length ?
+        contract : best
+    );
+  }
+}
+
+module.exports = CallResolver;
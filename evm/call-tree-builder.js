@@ -1,94 +1,360 @@
-const InterfaceDetector = require('./interface-detector.js');
+// Built-in functions and members, which run no code of their own
+const BUILTIN_CALLS = new Set([
+  'require', 'assert', 'revert', 'selfdestruct', 'type', 'gasleft', 'blockhash',
+  'keccak256', 'sha256', 'ripemd160', 'ecrecover', 'addmod', 'mulmod',
+  'abi.encode', 'abi.encodePacked', 'abi.encodeWithSelector', 'abi.encodeWithSignature', 'abi.encodeCall', 'abi.decode',
+  'bytes.concat', 'string.concat'
+]);
+const BUILTIN_MEMBERS = new Set(['push', 'pop', 'wrap', 'unwrap']);
+
+// Elementary types, whose names called as functions are type conversions such as address(x)
+const ELEMENTARY_TYPE_PATTERN = /^(?:address|payable|bool|string|bytes\d*|u?int\d*|u?fixed(?:\d+x\d+)?)$/;
 
 /**
  * Call Tree Builder
- * Builds function call trees with interface detection
+ * Builds function call trees, following modifiers and internal, library and interface calls,
+ * and the Yul functions and call opcodes of inline assembly
  */
 class CallTreeBuilder {
   constructor(options = {}) {
     this.debug = options.debug || false;
-    this.interfaceDetector = new InterfaceDetector({ debug: this.debug });
+    this.callResolver = options.callResolver || null; // Dispatches calls along the inheritance linearization
+    this.implementations = options.implementations || new Map(); // interface name -> implementing contracts
+    this.implementationResolver = options.implementationResolver || null; // Analyzes implementations outside the report
+    this.includeModifiers = options.includeModifiers !== false; // Follow modifiers and base constructors in headers
+    this.callResolversByFile = new Map(); // file of a loaded implementation -> resolver over its analysis
+    this.loadedFunctions = new Map(); // id -> function from a loaded implementation's analysis
   }
 
-  // Build call tree recursively
-  buildCallTree(allFunctions, currentFunction, maxDepth, currentDepth = 0, visited = new Set(), baseRepoInfo = null) {
-    if (currentDepth >= maxDepth || visited.has(currentFunction.name)) {
-      return { name: currentFunction.name, calls: [], depth: currentDepth };
+  // Build call tree recursively; mostDerived is the contract whose overrides actually run
+  async buildCallTree(allFunctions, currentFunction, maxDepth, currentDepth = 0, visited = new Set(), baseRepoInfo = null, mostDerived = null) {
+    // Functions are keyed by canonical id so same-named functions in different files stay apart
+    const functionKey = currentFunction.id || `${currentFunction.file}:${currentFunction.name}`;
+    
+    if (currentDepth >= maxDepth || visited.has(functionKey)) {
+      return {
+        id: currentFunction.id,
+        name: currentFunction.name,
+        qualifiedName: currentFunction.qualifiedName,
+        file: currentFunction.file,
+        calls: [],
+        depth: currentDepth
+      };
     }
 
-    visited.add(currentFunction.name);
+    visited.add(functionKey);
     
     const tree = {
+      id: currentFunction.id,
       name: currentFunction.name,
+      qualifiedName: currentFunction.qualifiedName,
       signature: currentFunction.signature,
       file: currentFunction.file,
       calls: [],
       depth: currentDepth
     };
 
+    // Modifiers and base constructor calls run around the body, in header order
+    if (this.includeModifiers) {
+      for (const invocation of currentFunction.modifierInvocations || []) {
+        tree.calls.push(await this.buildModifierTree(
+          allFunctions, invocation, currentFunction, maxDepth, currentDepth, visited, baseRepoInfo, mostDerived));
+      }
+    }
+
     // Find called functions from AST analysis
     if (currentFunction.resolvedCalls) {
       for (const call of currentFunction.resolvedCalls) {
-        if (!call.isExternal && call.definition) {
-          const calledFunction = call.definition;
-          const subTree = this.buildCallTree(
+        const resolution = this.resolveCalledFunction(allFunctions, call, currentFunction, mostDerived);
+        const calledFunction = resolution.definition;
+        if (calledFunction) {
+          const subTree = await this.buildCallTree(
             allFunctions, 
             calledFunction, 
             maxDepth, 
             currentDepth + 1, 
             new Set(visited),
-            baseRepoInfo
+            baseRepoInfo,
+            mostDerived
           );
+          if (call.definition && call.definition.id !== calledFunction.id) {
+            // The override that runs for the most-derived contract differs from the static target
+            subTree.overrides = call.definition.qualifiedName || call.definition.name;
+          }
+          if (resolution.usingFor) {
+            subTree.usingFor = resolution.usingFor;
+          }
+          if (call.interaction) {
+            subTree.interaction = call.interaction;
+          }
+          if (resolution.interfaceCall) {
+            Object.assign(subTree, this.describeInterfaceCall(resolution.interfaceCall, calledFunction));
+            if (subTree.implementations && this.implementationResolver) {
+              subTree.calls.push(...await this.buildImplementationTrees(
+                allFunctions, subTree, calledFunction, maxDepth, visited, baseRepoInfo));
+            }
+          }
           tree.calls.push(subTree);
+        } else if (resolution.ambiguous) {
+          // Overloads the arguments cannot tell apart are listed rather than guessed
+          tree.calls.push({
+            name: call.name,
+            ambiguous: true,
+            arguments: call.arguments,
+            candidates: resolution.candidates,
+            ...(resolution.interfaceCall ? this.describeInterfaceCall(resolution.interfaceCall) : {}),
+            ...(call.interaction ? { interaction: call.interaction } : {}),
+            depth: currentDepth + 1
+          });
+        } else if (!resolution.interfaceCall && !call.interaction && this.isConversionOrBuiltin(call, currentFunction)) {
+          // Type conversions and built-ins are not calls into code
+          continue;
         } else {
-          // External call - just record the name
+          // External call - just record the name and how it leaves the contract
           tree.calls.push({
             name: call.name,
             external: true,
             arguments: call.arguments,
+            ...(resolution.interfaceCall ? this.describeInterfaceCall(resolution.interfaceCall) : {}),
+            ...(call.interaction ? { interaction: call.interaction } : {}),
             depth: currentDepth + 1
           });
         }
       }
     }
 
-    // Find interface calls by parsing source code
-    if (currentFunction.sourceCode && currentDepth < maxDepth - 1) {
-      const interfaceCalls = this.interfaceDetector.extractInterfaceCalls(
-        currentFunction.sourceCode, 
-        allFunctions,
-        baseRepoInfo
-      );
-      
-      if (this.debug && interfaceCalls.length > 0) {
-        console.log(`\n=== DEBUG: Interface calls found in ${currentFunction.name} ===`);
-        interfaceCalls.forEach(call => {
-          console.log(`  - ${call.name} (pattern: ${call.pattern}, has definition: ${!!call.definition})`);
-          if (call.implementation) {
-            console.log(`    -> Implementation: ${call.implementation.contractName} (${(call.implementation.matchRatio * 100).toFixed(1)}% match)`);
-          }
-        });
+    // Yul function calls and external calls made in inline assembly
+    if (currentFunction.assembly) {
+      tree.calls.push(...this.buildAssemblyNodes(currentFunction.assembly, null, null, maxDepth, currentDepth, new Set()));
+    }
+
+    return tree;
+  }
+
+  // Nodes for the calls to Yul functions and the external call opcodes in a scope of inline assembly
+  // (the blocks themselves, or the body of a Yul function), in source order; Yul function calls
+  // expand to the calls in their body
+  buildAssemblyNodes(assembly, block, inFunction, maxDepth, currentDepth, expanding) {
+    const inScope = entry => entry.inFunction === inFunction && (inFunction === null || entry.block === block);
+    const steps = [...assembly.functionCalls.filter(inScope), ...assembly.externalCalls.filter(inScope)]
+      .sort((a, b) => a.location.start.line - b.location.start.line || a.location.start.column - b.location.start.column);
+
+    return steps.map(step => {
+      if (step.kind) {
+        const { kind, category, sendsValue, options, returnChecked } = step;
+        return {
+          name: step.kind,
+          type: 'assembly',
+          external: true,
+          target: step.target,
+          interaction: { kind, category, sendsValue, options, returnChecked },
+          depth: currentDepth + 1
+        };
       }
-      
-      for (const interfaceCall of interfaceCalls) {
-        // Check if this call is already captured
-        const alreadyCaptured = tree.calls.some(call => call.name === interfaceCall.name);
-        if (!alreadyCaptured) {
-          tree.calls.push({
-            name: interfaceCall.name,
-            type: 'interface',
-            interface: interfaceCall.interface,
-            external: !interfaceCall.definition,
-            definition: interfaceCall.definition,
-            pattern: interfaceCall.pattern,
-            implementation: interfaceCall.implementation,
-            depth: currentDepth + 1
-          });
-        }
+
+      const key = `${step.block}:${step.name}`;
+      const node = { name: step.name, type: 'yul', arguments: step.arguments, calls: [], depth: currentDepth + 1 };
+      if (expanding.has(key)) {
+        node.recursive = true;
+      } else if (currentDepth + 1 < maxDepth) {
+        node.calls = this.buildAssemblyNodes(
+          assembly, step.block, step.name, maxDepth, currentDepth + 1, new Set([...expanding, key]));
+      }
+      return node;
+    });
+  }
+
+  // Find the function a call runs, re-dispatching virtual calls for the most-derived contract
+  resolveCalledFunction(allFunctions, call, currentFunction, mostDerived) {
+    let resolution = {
+      definition: call.definition || null,
+      ambiguous: call.ambiguous || false,
+      candidates: call.candidates || [],
+      usingFor: call.usingFor || null,
+      interfaceCall: call.interfaceCall || null
+    };
+
+    const callResolver = this.getCallResolver(currentFunction);
+    if (callResolver && mostDerived) {
+      const dispatched = callResolver.resolve(call, currentFunction, mostDerived);
+      if (dispatched.definition || dispatched.ambiguous) {
+        resolution = { ...dispatched, candidates: dispatched.candidates.map(candidate => candidate.id) };
       }
     }
 
-    return tree;
+    // Use the report entry so the callee's own resolved calls are followed
+    if (resolution.definition) {
+      resolution.definition = allFunctions.find(f => f.id === resolution.definition.id) ||
+        this.loadedFunctions.get(resolution.definition.id) ||
+        resolution.definition;
+    }
+
+    return resolution;
+  }
+
+  // Subtree of a modifier or base constructor invocation, dispatched for the most-derived contract
+  async buildModifierTree(allFunctions, invocation, currentFunction, maxDepth, currentDepth, visited, baseRepoInfo, mostDerived) {
+    const callResolver = this.getCallResolver(currentFunction);
+    const resolution = callResolver ?
+      callResolver.resolveModifier(invocation, currentFunction, mostDerived) :
+      { definition: invocation.definition || null, kind: invocation.kind || 'modifier' };
+
+    if (!resolution.definition) {
+      // Modifier or base contract that was not analyzed
+      return {
+        name: invocation.name,
+        type: resolution.kind,
+        external: true,
+        arguments: invocation.arguments,
+        argumentSource: invocation.argumentSource || [],
+        depth: currentDepth + 1
+      };
+    }
+
+    // Base constructors use the report entry so their own resolved calls are followed
+    const definition = allFunctions.find(f => f.id === resolution.definition.id) ||
+      this.loadedFunctions.get(resolution.definition.id) ||
+      resolution.definition;
+    const subTree = await this.buildCallTree(
+      allFunctions, definition, maxDepth, currentDepth + 1, new Set(visited), baseRepoInfo, mostDerived);
+    subTree.type = resolution.kind;
+    subTree.argumentSource = invocation.argumentSource || [];
+    if (invocation.definition && invocation.definition.id !== definition.id) {
+      subTree.overrides = invocation.definition.qualifiedName;
+    }
+    return subTree;
+  }
+
+  // Whether an unresolved call is a type conversion such as address(x) or IERC20(x), or a built-in such as require
+  isConversionOrBuiltin(call, currentFunction) {
+    if (BUILTIN_CALLS.has(call.name) || ELEMENTARY_TYPE_PATTERN.test(call.name)) return true;
+    if (call.name.includes('.')) return BUILTIN_MEMBERS.has(call.name.substring(call.name.lastIndexOf('.') + 1));
+
+    const callResolver = this.getCallResolver(currentFunction);
+    return !!callResolver && !!callResolver.inheritanceResolver.resolveContract(call.name, currentFunction.file);
+  }
+
+  // Resolver for the analysis a function belongs to: the report, or a loaded implementation
+  getCallResolver(func) {
+    return this.callResolversByFile.get(func.file) || this.callResolver;
+  }
+
+  // Follow an interface call into each implementation as a subtree, analyzing implementations outside the report
+  async buildImplementationTrees(allFunctions, interfaceNode, definition, maxDepth, visited, baseRepoInfo) {
+    const trees = [];
+    const methodName = interfaceNode.method.split('.').pop();
+    const parameterKey = this.callResolver.getParameterKey(definition);
+    const interfaceFunctions = this.callResolver.collectFunctions(this.callResolver.getContractId(definition));
+
+    for (const implementation of interfaceNode.implementations) {
+      const contractId = `${implementation.file}:${implementation.contract}`;
+      const loaded = await this.loadImplementation(contractId, implementation.file, baseRepoInfo);
+      if (!loaded) continue;
+
+      const implementationFunctions = loaded.callResolver.collectFunctions(contractId);
+      const func = this.findImplementingFunction(loaded.callResolver, contractId, methodName, parameterKey);
+
+      // How the implementation was chosen and how much of the interface it provides
+      Object.assign(implementation, {
+        method: func ? func.id : null,
+        selectedBy: 'inheritance',
+        source: loaded.source,
+        ...this.implementationResolver.measureMatch(interfaceFunctions, implementationFunctions)
+      });
+      if (!func) continue;
+
+      const subTree = await this.buildCallTree(
+        allFunctions, func, maxDepth, interfaceNode.depth + 1, new Set(visited), baseRepoInfo, contractId);
+      subTree.implementationOf = interfaceNode.method;
+      subTree.implementation = {
+        contract: implementation.contract,
+        selectedBy: implementation.selectedBy,
+        inheritancePath: implementation.inheritancePath,
+        matchRatio: implementation.matchRatio,
+        source: implementation.source
+      };
+      trees.push(subTree);
+    }
+
+    return trees;
+  }
+
+  // Make an implementation's functions available: from the report, or by analyzing its file
+  async loadImplementation(contractId, file, baseRepoInfo) {
+    if (this.callResolver.inheritanceResolver.contractsById.has(contractId)) {
+      return { callResolver: this.callResolver, source: 'analysis' };
+    }
+    if (!baseRepoInfo) return null;
+
+    const loaded = await this.implementationResolver.loadImplementation(file, baseRepoInfo);
+    if (!loaded) return null;
+
+    // Files the report already covers keep the report's resolver
+    const reportFiles = new Set(this.callResolver.functions.map(f => f.file));
+    for (const func of loaded.report.functions) {
+      if (!reportFiles.has(func.file) && !this.loadedFunctions.has(func.id)) {
+        this.loadedFunctions.set(func.id, func);
+      }
+    }
+    for (const loadedFile of loaded.report.metadata.fileNames) {
+      if (!reportFiles.has(loadedFile) && !this.callResolversByFile.has(loadedFile)) {
+        this.callResolversByFile.set(loadedFile, loaded.callResolver);
+      }
+    }
+
+    return { callResolver: loaded.callResolver, source: 'repository' };
+  }
+
+  // Tree node fields of a call on another contract, with the contracts that may implement it as alternative targets
+  describeInterfaceCall(interfaceCall, definition = null) {
+    const fields = {
+      type: 'interface',
+      interface: interfaceCall.interface,
+      method: interfaceCall.method,
+      pattern: interfaceCall.pattern,
+      confidence: interfaceCall.confidence
+    };
+
+    const implementations = this.implementations.get(interfaceCall.interface);
+    if (implementations) {
+      const methodName = interfaceCall.method.split('.').pop();
+      const parameterKey = definition && this.callResolver ? this.callResolver.getParameterKey(definition) : null;
+
+      fields.implementations = implementations.map(implementation => {
+        const analyzed = this.callResolver ? this.findImplementingFunction(this.callResolver,
+          `${implementation.file}:${implementation.contractName}`, methodName, parameterKey) : null;
+        return {
+          contract: implementation.contractName,
+          file: implementation.file,
+          direct: implementation.direct,
+          inheritancePath: implementation.inheritancePath,
+          method: analyzed ? analyzed.id : null
+        };
+      });
+    }
+
+    return fields;
+  }
+
+  // The function a contract runs for an interface method, matched by name and parameter types
+  findImplementingFunction(callResolver, contractId, methodName, parameterKey = null) {
+    return callResolver.collectFunctions(contractId, null, methodName)
+      .find(func => parameterKey === null || callResolver.getParameterKey(func) === parameterKey) || null;
+  }
+
+  // Short description of an external interaction, e.g. [call, value: amount, return unchecked]
+  describeInteraction(interaction) {
+    const parts = [interaction.kind];
+    for (const [name, source] of Object.entries(interaction.options || {})) {
+      parts.push(`${name}: ${source}`);
+    }
+    if (interaction.sendsValue && !(interaction.options || {}).value) {
+      parts.push('sends ETH');
+    }
+    if (interaction.returnChecked === false) {
+      parts.push('return unchecked');
+    }
+    return ` [${parts.join(', ')}]`;
   }
 
   // Print call tree visualization
@@ -96,38 +362,44 @@ class CallTreeBuilder {
     const prefix = '  '.repeat(indent);
     const arrow = indent > 0 ? '└─ ' : '';
     
-    if (tree.external && !tree.definition) {
-      let description = '';
-      if (tree.type === 'interface') {
-        description = ` (interface: ${tree.interface})`;
-        if (tree.pattern) {
-          description += ` [${tree.pattern}]`;
-        }
-        if (tree.implementation) {
-          description += ` -> ${tree.implementation.contractName}`;
-        }
-      } else {
-        description = ` (external, ${tree.arguments || 0} args)`;
-      }
-      console.log(`${prefix}${arrow}${tree.name}${description}`);
+    if (tree.ambiguous) {
+      console.log(`${prefix}${arrow}${tree.name} (ambiguous: ${tree.candidates.join(', ')})`);
       return;
     }
     
-    if (tree.type === 'interface' && tree.definition) {
-      let description = ` (interface: ${tree.interface})`;
-      if (tree.pattern) {
-        description += ` [${tree.pattern}]`;
-      }
-      if (tree.implementation) {
-        description += ` -> ${tree.implementation.contractName}`;
-      }
-      description += ` - ${tree.definition.signature || tree.definition.name}`;
-      console.log(`${prefix}${arrow}${tree.name}${description}`);
-    } else {
-      const signature = tree.signature ? ` - ${tree.signature}` : '';
-      console.log(`${prefix}${arrow}${tree.name}${signature}`);
+    const implementedBy = tree.implementations ?
+      ` -> ${tree.implementations.map(implementation => implementation.contract).join(' | ')}` : '';
+    const interfaceCall = tree.type === 'interface' ?
+      ` (interface: ${tree.interface}) [${tree.pattern}, ${tree.confidence} confidence]${implementedBy}` : '';
+    
+    const invocationArguments = tree.argumentSource && tree.argumentSource.length > 0 ?
+      `: ${tree.argumentSource.join(', ')}` : '';
+    const invocation = tree.type === 'modifier' || tree.type === 'baseConstructor' ?
+      ` [${tree.type === 'modifier' ? 'modifier' : 'base constructor'}${invocationArguments}]` : '';
+    
+    const interaction = tree.interaction ? this.describeInteraction(tree.interaction) : '';
+    
+    if (tree.type === 'assembly') {
+      console.log(`${prefix}${arrow}${tree.name}(${tree.target || ''}) (assembly)${interaction}`);
+      return;
+    }
+    
+    if (tree.external) {
+      const description = interfaceCall || (invocation ? `${invocation} (not analyzed)` :
+        interaction ? '' : ` (external, ${tree.arguments || 0} args)`);
+      console.log(`${prefix}${arrow}${tree.name}${description}${interaction}`);
+      return;
     }
     
+    const signature = tree.signature ? ` - ${tree.signature}` : '';
+    const override = tree.overrides ? ` (overrides ${tree.overrides})` : '';
+    const implementation = tree.implementationOf ?
+      ` (implements ${tree.implementationOf}, ${Math.round(tree.implementation.matchRatio * 100)}% of interface)` : '';
+    const usingFor = tree.usingFor ? ` (using ${tree.usingFor})` : '';
+    const delegated = tree.type === 'delegated' ? ` [delegated by ${tree.proxy.pattern} proxy ${tree.proxy.contract}]` : '';
+    const yul = tree.type === 'yul' ? ` (yul function${tree.recursive ? ', recursive' : ''})` : '';
+    console.log(`${prefix}${arrow}${tree.qualifiedName || tree.name}${invocation}${interfaceCall}${delegated}${yul}${signature}${override}${usingFor}${implementation}${interaction}`);
+    
     if (tree.calls && tree.calls.length > 0) {
       tree.calls.forEach(call => this.printCallTree(call, indent + 1));
     }
@@ -157,6 +429,34 @@ class CallTreeBuilder {
     traverse(tree);
     return depths;
   }
+
+  // Ids of the functions and modifiers that run in the target contract's storage:
+  // the tree without calls on other contracts and the implementations below them
+  collectStorageContext(tree) {
+    const ids = new Set();
+    const traverse = (node) => {
+      if (node.type === 'interface' || node.external) return;
+      if (node.id) ids.add(node.id);
+      (node.calls || []).forEach(traverse);
+    };
+
+    traverse(tree);
+    return ids;
+  }
+
+  // Implementations the tree was followed into, with how each was chosen and matched
+  collectImplementations(tree) {
+    const implementations = [];
+    const traverse = (node) => {
+      if (node.implementationOf) {
+        implementations.push({ interfaceMethod: node.implementationOf, function: node.id, ...node.implementation });
+      }
+      (node.calls || []).forEach(traverse);
+    };
+
+    traverse(tree);
+    return implementations;
+  }
 }
 
 module.exports = CallTreeBuilder;
\ No newline at end of file
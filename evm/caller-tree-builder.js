@@ -0,0 +1,159 @@
+/**
+ * Caller Tree Builder
+ * Builds the reverse call graph of an analysis from resolved calls, modifier
+ * invocations and interface calls, and the tree of every function that reaches
+ * a target, up to the public and external entry points it is reachable from
+ */
+class CallerTreeBuilder {
+  constructor(options = {}) {
+    this.debug = options.debug || false;
+    this.callResolver = options.callResolver; // Tells entry points and the base functions an override is reached through
+    this.callers = new Map(); // callee id -> [{ caller, via }]
+  }
+
+  // Index every call, modifier invocation and base constructor call of the analysis backwards
+  build(functions, modifiers = []) {
+    this.callers.clear();
+
+    for (const func of [...functions, ...modifiers]) {
+      for (const call of func.resolvedCalls || []) {
+        if (call.definition) {
+          this.addEdge(call.definition.id, func, call.interfaceCall ? 'interface' : 'call');
+        } else if (call.ambiguous) {
+          // Any of the overloads may be the one called
+          (call.candidates || []).forEach(candidateId => this.addEdge(candidateId, func, 'ambiguous'));
+        }
+      }
+
+      for (const invocation of func.modifierInvocations || []) {
+        if (invocation.definition) {
+          this.addEdge(invocation.definition.id, func, invocation.kind);
+        }
+      }
+    }
+
+    return this;
+  }
+
+  // Record that caller reaches a function, once per caller
+  addEdge(calleeId, caller, via) {
+    if (!this.callers.has(calleeId)) this.callers.set(calleeId, []);
+    const edges = this.callers.get(calleeId);
+    if (!edges.some(edge => edge.caller.id === caller.id)) {
+      edges.push({ caller, via });
+    }
+  }
+
+  // Direct callers of a function: its own, and through virtual dispatch those of the base
+  // functions and interface methods it overrides: { caller, via, through }
+  getCallers(func) {
+    const edges = [...(this.callers.get(func.id) || [])];
+    const seen = new Set(edges.map(edge => edge.caller.id));
+
+    for (const base of this.getOverriddenFunctions(func)) {
+      for (const edge of this.callers.get(base.id) || []) {
+        if (seen.has(edge.caller.id)) continue;
+        seen.add(edge.caller.id);
+        edges.push({ caller: edge.caller, via: base.isImplemented === false ? 'interface' : 'override', through: base.id });
+      }
+    }
+
+    return edges;
+  }
+
+  // Functions with the same name and parameters, or modifiers with the same name, in the bases of
+  // a function's contract. Constructors run their bases' constructors instead of overriding them
+  getOverriddenFunctions(func) {
+    if (!func.contract || func.isConstructor) return [];
+
+    const contractId = this.callResolver.getContractId(func);
+    const bases = this.callResolver.inheritanceResolver.linearize(contractId).filter(base => base.id !== contractId);
+    if (func.type === 'modifier') {
+      return bases
+        .map(base => (this.callResolver.modifiersByContract.get(base.id) || new Map()).get(func.name))
+        .filter(Boolean);
+    }
+
+    const parameterKey = this.callResolver.getParameterKey(func);
+    return bases
+      .flatMap(base => (this.callResolver.functionsByContract.get(base.id) || new Map()).get(func.name) || [])
+      .filter(candidate => this.callResolver.getParameterKey(candidate) === parameterKey);
+  }
+
+  // Tree of the functions reaching a function, in the call tree's node shape: a node's calls are its callers
+  buildCallerTree(func, maxDepth, currentDepth = 0, path = []) {
+    const tree = {
+      id: func.id,
+      name: func.name,
+      qualifiedName: func.qualifiedName,
+      signature: func.signature,
+      file: func.file,
+      calls: [],
+      depth: currentDepth
+    };
+    if (func.type === 'modifier') tree.type = 'modifier';
+    if (this.callResolver.isEntryPoint(func)) tree.entryPoint = true;
+
+    if (path.includes(func.id)) {
+      tree.recursive = true;
+      return tree;
+    }
+    if (currentDepth >= maxDepth) return tree;
+
+    for (const edge of this.getCallers(func)) {
+      const subTree = this.buildCallerTree(edge.caller, maxDepth, currentDepth + 1, [...path, func.id]);
+      subTree.via = edge.via;
+      if (edge.through) {
+        subTree.through = edge.through;
+      }
+      tree.calls.push(subTree);
+    }
+
+    return tree;
+  }
+
+  // Entry points in a caller tree with every path from them down to the target
+  collectEntryPoints(tree) {
+    const entryPoints = new Map(); // id -> { id, qualifiedName, file, paths }
+    const traverse = (node, ancestors) => {
+      const path = [node.id, ...ancestors];
+      if (node.entryPoint && !node.recursive) {
+        if (!entryPoints.has(node.id)) {
+          entryPoints.set(node.id, { id: node.id, qualifiedName: node.qualifiedName, file: node.file, paths: [] });
+        }
+        entryPoints.get(node.id).paths.push(path);
+      }
+      node.calls.forEach(caller => traverse(caller, path));
+    };
+
+    traverse(tree, []);
+    return [...entryPoints.values()];
+  }
+
+  // Ids of every function and modifier in a caller tree except the target
+  collectCallers(tree) {
+    const ids = new Set();
+    const traverse = node => node.calls.forEach(caller => {
+      ids.add(caller.id);
+      traverse(caller);
+    });
+
+    traverse(tree);
+    return [...ids];
+  }
+
+  // Print caller tree visualization
+  printCallerTree(tree, indent = 0) {
+    const prefix = '  '.repeat(indent);
+    const arrow = indent > 0 ? '└─ ' : '';
+    const signature = tree.signature ? ` - ${tree.signature}` : '';
+    const via = tree.via && tree.via !== 'call' ? ` (via ${tree.through ? `${tree.via} of ${tree.through}` : tree.via})` : '';
+    const entryPoint = tree.entryPoint ? ' [entry point]' : '';
+    const recursive = tree.recursive ? ' (recursive)' : '';
+
+    console.log(`${prefix}${arrow}${tree.qualifiedName || tree.name}${signature}${entryPoint}${via}${recursive}`);
+    tree.calls.forEach(caller => this.printCallerTree(caller, indent + 1));
+  }
+}
+
+module.exports = CallerTreeBuilder;
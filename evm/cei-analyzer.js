@@ -0,0 +1,159 @@
+/**
+ * CEI Analyzer
+ * Checks the checks-effects-interactions order of entry points: state writes that
+ * happen after an external call, in the function itself or in the internal functions
+ * and modifiers it reaches, and whether a reentrancy guard modifier protects it
+ */
+class CeiAnalyzer {
+  constructor(options = {}) {
+    this.callResolver = options.callResolver;
+    this.maxDepth = options.maxDepth || 10;
+    this.guardPattern = options.guardPattern || /reentran|^lock$|^mutex$/i;
+  }
+
+  // Ordering report of a function as it runs in the most-derived contract:
+  // { function, qualifiedName, contract, guardedBy, interactions, violations, status }
+  analyze(func, mostDerived = null) {
+    const contract = mostDerived || this.callResolver.getDeclaringContract(func);
+    const state = { interactions: [], violations: [], seen: new Set() };
+    const guardedBy = this.findGuards(func, contract);
+
+    this.walkFunction(func, contract, [func.id], state, new Set(guardedBy.map(guard => guard.id)));
+
+    return {
+      function: func.id,
+      qualifiedName: func.qualifiedName,
+      contract: contract ? contract.name : func.contract,
+      guardedBy: guardedBy.map(guard => guard.name),
+      interactions: state.interactions,
+      violations: state.violations,
+      status: state.violations.length === 0 ? 'ok' : guardedBy.length > 0 ? 'guarded' : 'violation'
+    };
+  }
+
+  // Reentrancy guard modifiers on a function, by name (nonReentrant, lock) or by shape
+  findGuards(func, contract) {
+    return (func.modifierInvocations || [])
+      .map(invocation => this.callResolver.resolveModifier(invocation, func, contract))
+      .filter(resolution => resolution.kind === 'modifier' && resolution.definition)
+      .map(resolution => resolution.definition)
+      .filter(modifier => this.guardPattern.test(modifier.name) || this.isGuardShaped(modifier));
+  }
+
+  // A modifier that reads a variable and writes it both before and after the placeholder
+  isGuardShaped(modifier) {
+    const placeholder = modifier.placeholderLocation;
+    if (!placeholder) return false;
+
+    const writes = modifier.stateWriteLocations || [];
+    const before = new Set(writes.filter(w => this.compare(w.location.end, placeholder.start) < 0).map(w => w.variable));
+    const after = new Set(writes.filter(w => this.compare(w.location.start, placeholder.end) > 0).map(w => w.variable));
+    return (modifier.stateReads || []).some(variable => before.has(variable) && after.has(variable));
+  }
+
+  // Walk a function the way it runs: the code of its modifiers before their placeholder, outermost first,
+  // then its body, then the code after the placeholders, innermost first
+  walkFunction(func, contract, path, state, skipped = new Set()) {
+    const modifiers = (func.modifierInvocations || [])
+      .map(invocation => this.callResolver.resolveModifier(invocation, func, contract))
+      .filter(({ definition, kind }) => definition && kind === 'modifier' && !skipped.has(definition.id))
+      .map(({ definition }) => definition);
+
+    for (const modifier of modifiers) {
+      this.walkBody(modifier, contract, [...path, modifier.id], state, { before: modifier.placeholderLocation });
+    }
+    this.walkBody(func, contract, path, state);
+    for (const modifier of modifiers.slice().reverse()) {
+      if (!modifier.placeholderLocation) continue;
+      this.walkBody(modifier, contract, [...path, modifier.id], state, { after: modifier.placeholderLocation });
+    }
+  }
+
+  // Follow a body's state writes, external calls and internal calls in the order they complete;
+  // bounds keep the part of a modifier before or after its placeholder
+  walkBody(func, contract, path, state, bounds = {}) {
+    if (path.length > this.maxDepth) return;
+
+    const steps = [
+      ...(func.stateWriteLocations || []).map(write => ({ write, location: write.location })),
+      ...(func.calls || []).map(call => ({ call, location: call.location }))
+    ]
+      .filter(step => step.location && this.isWithin(step.location, bounds))
+      .sort((a, b) => this.compare(a.location.end, b.location.end));
+
+    for (const step of steps) {
+      if (step.write) {
+        this.recordWrite(step.write, func, path, state);
+        continue;
+      }
+
+      const resolution = this.callResolver.resolve(step.call, func, contract);
+      if (this.isInteraction(step.call, resolution)) {
+        this.recordInteraction(step.call, func, path, state);
+      } else if (resolution.definition && !step.call.interaction && !path.includes(resolution.definition.id)) {
+        this.walkFunction(resolution.definition, contract, [...path, resolution.definition.id], state);
+      }
+    }
+  }
+
+  // Whether a location ends before bounds.before starts and starts after bounds.after ends
+  isWithin(location, bounds) {
+    return (!bounds.before || this.compare(location.end, bounds.before.start) < 0) &&
+      (!bounds.after || this.compare(location.start, bounds.after.end) > 0);
+  }
+
+  // External calls that can run code changing this contract's state: not staticcall or view methods
+  isInteraction(call, resolution) {
+    const interaction = call.interaction;
+    if (!interaction || interaction.kind === 'staticcall') return false;
+
+    const definition = resolution.definition;
+    return !(interaction.kind === 'interface' && definition &&
+      (definition.stateMutability === 'view' || definition.stateMutability === 'pure'));
+  }
+
+  // Remember an external call; later writes on the path follow it
+  recordInteraction(call, func, path, state) {
+    const key = `interaction:${func.id}:${this.formatLocation(call.location)}`;
+    if (state.seen.has(key)) return;
+    state.seen.add(key);
+
+    state.interactions.push({
+      name: call.name,
+      kind: call.interaction.kind,
+      function: func.id,
+      location: call.location,
+      path
+    });
+  }
+
+  // A state write after the first external call breaks checks-effects-interactions
+  recordWrite(write, func, path, state) {
+    if (state.interactions.length === 0) return;
+
+    const key = `write:${func.id}:${this.formatLocation(write.location)}:${write.variable}`;
+    if (state.seen.has(key)) return;
+    state.seen.add(key);
+
+    const interaction = state.interactions[0];
+    state.violations.push({
+      variable: write.variable,
+      function: func.id,
+      location: write.location,
+      path,
+      after: { name: interaction.name, kind: interaction.kind, function: interaction.function, location: interaction.location }
+    });
+  }
+
+  // Order source positions by line, then column
+  compare(a, b) {
+    return a.line - b.line || a.column - b.column;
+  }
+
+  // line:column of a location's start
+  formatLocation(location) {
+    return location ? `${location.start.line}:${location.start.column}` : '?';
+  }
+}
+
+module.exports = CeiAnalyzer;
@@ -0,0 +1,276 @@
+// Section headings, in bundle order
+const SECTIONS = {
+  target: 'Target Function',
+  function: 'Callees',
+  modifier: 'Modifiers',
+  stateVariable: 'State Variables',
+  type: 'Types',
+  interface: 'Interfaces'
+};
+
+// How readily each kind of entry is dropped to fit a budget, at the same depth
+const DROP_WEIGHT = {
+  function: 0,
+  modifier: 0,
+  stateVariable: 1,
+  type: 2,
+  interface: 3
+};
+
+// Characters per token when a budget is given in tokens
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Context Bundle
+ * Renders a function extraction as one Markdown document for review tooling: the
+ * target function, its callees in call order, the modifiers, the state variables
+ * it touches, the types it uses and the interfaces it calls, each under a
+ * file:line header. With a character budget, the deepest and least relevant
+ * entries are dropped first and listed at the end
+ */
+class ContextBundle {
+  constructor(options = {}) {
+    const limits = [
+      options.maxChars,
+      options.maxTokens ? options.maxTokens * CHARS_PER_TOKEN : null
+    ].filter(limit => limit > 0);
+    this.maxChars = limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  // { markdown, included, omitted } for a focused extraction report. context holds the analysis' stateVariables
+  // and contracts, and getSource(element) for the source of elements the report carries no sourceCode for
+  build(report, context) {
+    const entries = this.collectEntries(report, context);
+    const omitted = this.fitToBudget(report, entries);
+    const included = entries.filter(entry => !omitted.includes(entry));
+
+    return {
+      markdown: this.render(report, included, omitted),
+      included: included.map(entry => this.describe(entry)),
+      omitted: omitted.map(entry => this.describe(entry))
+    };
+  }
+
+  // Every entry of the bundle: { kind, title, file, line, depth, order, code, note }, in bundle order
+  collectEntries(report, context) {
+    const target = report.summary.targetFunction;
+    const { functions, modifiers, interfaces } = this.walkCallTree(report, target);
+    const depths = new Map([[target.id, 0], ...functions, ...modifiers].map(([id, depth]) => [id, depth]));
+    const functionsById = new Map(report.functions.map(func => [func.id, func]));
+    const modifiersById = new Map(report.modifiers.map(modifier => [modifier.id, modifier]));
+    let order = 0;
+
+    const entry = (kind, element, depth, title, code, note = '') => ({
+      kind,
+      id: element.id,
+      title,
+      file: element.file,
+      line: element.location ? element.location.start.line : null,
+      depth,
+      order: order++,
+      code: this.dedent(code || '', element.location ? element.location.start.column : 0),
+      note
+    });
+
+    const entries = [entry('target', target, 0, this.getKey(target), target.sourceCode || target.signature)];
+
+    for (const [id, depth] of functions) {
+      // Interface methods are shown with their interface
+      const func = functionsById.get(id);
+      if (func && func.isImplemented) entries.push(entry('function', func, depth, this.getKey(func), func.sourceCode || func.signature));
+    }
+    for (const [id, depth] of modifiers) {
+      const modifier = modifiersById.get(id);
+      if (modifier) entries.push(entry('modifier', modifier, depth, modifier.qualifiedName, modifier.sourceCode || modifier.signature));
+    }
+
+    // State variables at the depth of the closest function that touches them
+    const deepest = Math.max(0, ...depths.values());
+    const stateVariablesById = new Map(context.stateVariables.map(stateVar => [stateVar.id, stateVar]));
+    const accessed = new Map();
+    for (const [field, label] of [['reads', 'read'], ['writes', 'written']]) {
+      for (const access of report.stateAccess[field]) {
+        if (!accessed.has(access.id)) accessed.set(access.id, { labels: [], functions: [] });
+        accessed.get(access.id).labels.push(label);
+        accessed.get(access.id).functions.push(...access.functions);
+      }
+    }
+    for (const [id, { labels, functions: accessors }] of accessed) {
+      const stateVar = stateVariablesById.get(id);
+      if (!stateVar) continue;
+      const depth = Math.min(...accessors.map(accessor => depths.has(accessor) ? depths.get(accessor) : deepest + 1));
+      entries.push(entry('stateVariable', stateVar, depth, stateVar.qualifiedName,
+        stateVar.sourceCode || context.getSource(stateVar), ` (${labels.join(', ')})`));
+    }
+
+    // Types one level deeper than the closest function using them, or the type whose member they are
+    const typeDepths = this.getTypeDepths(report, depths);
+    for (const typeInfo of report.types) {
+      entries.push(entry('type', typeInfo, typeDepths.get(typeInfo.id), typeInfo.qualifiedName,
+        typeInfo.sourceCode || context.getSource(typeInfo)));
+    }
+
+    for (const [key, { name, file, depth }] of interfaces) {
+      const contract = context.contracts.find(c => c.name === name && (!file || c.file === file)) ||
+        context.contracts.find(c => c.name === name);
+      // Calls on concrete contracts continue into the callee, which is listed with the callees
+      if (contract && contract.kind !== 'interface') continue;
+      if (contract && !entries.some(existing => existing.kind === 'interface' && existing.id === contract.id)) {
+        entries.push(entry('interface', contract, depth, contract.name, context.getSource(contract)));
+      } else if (!contract) {
+        entries.push({ kind: 'interface', id: key, title: name, file: null, line: null, depth, order: order++, code: '', note: ' (not analyzed)' });
+      }
+    }
+
+    return entries;
+  }
+
+  // Functions and modifiers of a call tree in call order with the smallest depth they appear at,
+  // and the interfaces it calls
+  walkCallTree(report, target) {
+    const functions = new Map(); // id -> depth
+    const modifiers = new Map(); // id -> depth
+    const interfaces = new Map(); // interface name and file -> { name, file, depth }
+    const keep = (map, id, depth) => {
+      if (!map.has(id) || map.get(id) > depth) map.set(id, depth);
+    };
+
+    const traverse = node => {
+      const depth = node.depth || 0;
+      if (node.type === 'interface') {
+        // Resolved interface calls carry the id of the method, in the interface's file
+        const file = node.id ? node.file : null;
+        const key = `${node.interface}:${file}`;
+        if (!interfaces.has(key) || interfaces.get(key).depth > depth) {
+          interfaces.set(key, { name: node.interface, file, depth });
+        }
+      }
+      if (node.type === 'modifier' && node.id) {
+        keep(modifiers, node.id, depth);
+      } else if (node.id && node.id !== target.id && !node.external && !node.ambiguous) {
+        keep(functions, node.id, depth);
+      }
+      (node.calls || []).forEach(traverse);
+    };
+
+    traverse(report.callTree);
+    return { functions, modifiers, interfaces };
+  }
+
+  // Depth of each extracted type: one below the closest function or modifier referencing it,
+  // or one below the type that has it as a member
+  getTypeDepths(report, depths) {
+    const typeDepths = new Map();
+    const deepest = Math.max(0, ...depths.values());
+    const lower = (id, depth) => {
+      if (!typeDepths.has(id) || typeDepths.get(id) > depth) typeDepths.set(id, depth);
+    };
+
+    for (const element of [report.summary.targetFunction, ...report.functions, ...report.modifiers]) {
+      if (!depths.has(element.id)) continue;
+      (element.referencedTypes || []).forEach(id => lower(id, depths.get(element.id) + 1));
+    }
+
+    // Struct members: propagate until nothing gets closer
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const typeInfo of report.types) {
+        if (!typeDepths.has(typeInfo.id)) continue;
+        for (const id of typeInfo.referencedTypes || []) {
+          const depth = typeDepths.get(typeInfo.id) + 1;
+          if (!typeDepths.has(id) || typeDepths.get(id) > depth) {
+            typeDepths.set(id, depth);
+            changed = true;
+          }
+        }
+      }
+    }
+
+    for (const typeInfo of report.types) {
+      if (!typeDepths.has(typeInfo.id)) typeDepths.set(typeInfo.id, deepest + 1);
+    }
+    return typeDepths;
+  }
+
+  // Entries dropped to fit the budget: deepest first, then the least relevant kind, then the last in bundle order.
+  // The target function is always kept
+  fitToBudget(report, entries) {
+    const omitted = [];
+    if (!this.maxChars) return omitted;
+
+    const candidates = entries
+      .filter(entry => entry.kind !== 'target')
+      .sort((a, b) => b.depth - a.depth || DROP_WEIGHT[b.kind] - DROP_WEIGHT[a.kind] || b.order - a.order);
+
+    const size = () => this.render(report, entries.filter(entry => !omitted.includes(entry)), omitted).length;
+    while (candidates.length > 0 && size() > this.maxChars) {
+      omitted.push(candidates.shift());
+    }
+    return omitted.sort((a, b) => a.order - b.order);
+  }
+
+  // The Markdown document
+  render(report, included, omitted) {
+    const target = report.summary.targetFunction;
+    const lines = [`# Context: ${this.getKey(target)}`, ''];
+
+    if (report.metadata.contract) {
+      const linearization = report.metadata.linearization.length > 0 ? ` (${report.metadata.linearization.join(' -> ')})` : '';
+      lines.push(`Contract: ${report.metadata.contract}${linearization}`);
+    }
+    if (report.metadata.proxy) {
+      lines.push(`Called through ${report.metadata.proxy.pattern} proxy ${report.metadata.proxy.contract}`);
+    }
+    lines.push('');
+
+    for (const [kind, heading] of Object.entries(SECTIONS)) {
+      const section = included.filter(entry => entry.kind === kind);
+      if (section.length === 0) continue;
+
+      lines.push(`## ${heading}`, '');
+      section.forEach(entry => lines.push(...this.renderEntry(entry)));
+    }
+
+    if (omitted.length > 0) {
+      lines.push('## Omitted', '');
+      omitted.forEach(entry => lines.push(`- ${SECTIONS[entry.kind]}: ${entry.title}${this.formatPosition(entry, ' - ')}, depth ${entry.depth}`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  // Header and fenced source of one entry
+  renderEntry(entry) {
+    const lines = [`### ${entry.title}${this.formatPosition(entry, ' - ')}${entry.note}`, ''];
+    if (entry.code) {
+      lines.push('```solidity', entry.code, '```', '');
+    }
+    return lines;
+  }
+
+  // Source cut from its start column, with the following lines moved left by as much
+  dedent(code, column) {
+    const indentation = new RegExp(`^[ \\t]{0,${column}}`);
+    return code.split('\n').map((line, i) => i === 0 ? line : line.replace(indentation, '')).join('\n');
+  }
+
+  // file:line of an entry after a separator, or nothing when it has no file
+  formatPosition(entry, separator) {
+    if (!entry.file) return '';
+    return `${separator}${entry.file}${entry.line ? `:${entry.line}` : ''}`;
+  }
+
+  // Function id without the file, e.g. Vault.withdraw(uint256)
+  getKey(func) {
+    return func.file && func.id.startsWith(`${func.file}:`) ? func.id.substring(func.file.length + 1) : func.id;
+  }
+
+  // Short description of an entry for the bundle's lists
+  describe(entry) {
+    return { kind: entry.kind, name: entry.title, file: entry.file, line: entry.line, depth: entry.depth };
+  }
+}
+
+module.exports = ContextBundle;
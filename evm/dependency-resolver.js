@@ -1,12 +1,18 @@
 const axios = require('axios');
+const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
+const LocalSourceProvider = require('./local-source-provider.js');
+const RemappingResolver = require('./remapping-resolver.js');
 
 class DependencyResolver {
   constructor() {
     this.processedDependencies = new Set(); // Track processed dependencies to avoid duplicates
     this.failedDependencies = new Set(); // Track dependencies that couldn't be resolved
     this.resolvedFiles = new Map(); // dependency path -> file data
+    this.resolutionCache = new Map(); // import key (path + importing context) -> file data or null
+    this.localProvider = new LocalSourceProvider(); // Reads sources from local checkouts
+    this.projectConfigs = new Map(); // repository key -> RemappingResolver
     
     // Bind methods to ensure proper context
     this.isExternalDependency = this.isExternalDependency.bind(this);
@@ -15,8 +21,22 @@ class DependencyResolver {
     this.resolveDependencies = this.resolveDependencies.bind(this);
   }
 
-  // Parse repository information from GitHub URL
+  // Check if a location points to the local filesystem
+  isLocalPath(location) {
+    return this.localProvider.isLocalPath(location);
+  }
+
+  // Check if repository information describes a local checkout
+  isLocalRepo(repoInfo) {
+    return !!repoInfo && repoInfo.type === 'local';
+  }
+
+  // Parse repository information from GitHub URL or local path
   parseRepoInfo(githubUrl) {
+    if (this.isLocalPath(githubUrl)) {
+      return this.localProvider.parseRepoInfo(githubUrl);
+    }
+
     try {
       const url = new URL(githubUrl);
       if (url.hostname === 'github.com') {
@@ -26,7 +46,8 @@ class DependencyResolver {
             owner: pathParts[1],
             repo: pathParts[2],
             branch: pathParts[4],
-            basePath: pathParts.slice(5, -1).join('/') // Path without filename
+            basePath: pathParts.slice(5, -1).join('/'), // Path without filename
+            filePath: pathParts.slice(5).join('/')
           };
         }
       }
@@ -36,6 +57,18 @@ class DependencyResolver {
     }
   }
 
+  // Build the repository context of a fetched file, used to resolve its own imports
+  buildFileRepoInfo(location, repoPath, importerRepoInfo) {
+    if (repoPath && importerRepoInfo) {
+      const { filePath, ...repoInfo } = importerRepoInfo;
+      const basePath = path.posix.dirname(repoPath);
+      return { ...repoInfo, basePath: basePath === '.' ? '' : basePath, filePath: repoPath };
+    }
+    
+    // Files fetched from an unrelated repository resolve imports within that repository
+    return this.parseRepoInfo(location);
+  }
+
   // Convert GitHub blob URL to raw URL
   convertToRawUrl(githubUrl) {
     try {
@@ -65,8 +98,13 @@ class DependencyResolver {
     }
   }
 
-  // Extract filename from URL
-  extractFilename(url) {
+  // Extract filename from URL (repository-relative path for local files)
+  extractFilename(url, repoInfo = null) {
+    if (this.isLocalPath(url)) {
+      const root = this.isLocalRepo(repoInfo) ? repoInfo.root : this.localProvider.findProjectRoot(url);
+      return this.localProvider.toRepoPath(url, root);
+    }
+
     try {
       const urlObj = new URL(url);
       const pathParts = urlObj.pathname.split('/');
@@ -76,8 +114,13 @@ class DependencyResolver {
     }
   }
 
-  // Fetch source code from GitHub
-  async fetchSourceCode(githubUrl) {
+  // Fetch source code from GitHub or the local filesystem
+  async fetchSourceCode(githubUrl, repoInfo = null) {
+    if (this.isLocalPath(githubUrl)) {
+      const root = this.isLocalRepo(repoInfo) ? repoInfo.root : null;
+      return this.localProvider.fetchSourceCode(githubUrl, root);
+    }
+
     try {
       const rawUrl = this.convertToRawUrl(githubUrl);
       
@@ -104,6 +147,146 @@ class DependencyResolver {
     }
   }
 
+  // Key identifying a repository checkout or GitHub ref
+  getRepoKey(repoInfo) {
+    if (this.isLocalRepo(repoInfo)) {
+      return `local:${repoInfo.root}`;
+    }
+    return `github:${repoInfo.owner}/${repoInfo.repo}@${repoInfo.branch}`;
+  }
+
+  // Read a file from the repository root, returning null when it doesn't exist
+  async readRepoFile(repoPath, repoInfo) {
+    try {
+      const location = this.isLocalRepo(repoInfo) ?
+        this.localProvider.fromRepoPath(repoPath, repoInfo.root) :
+        `https://github.com/${repoInfo.owner}/${repoInfo.repo}/blob/${repoInfo.branch}/${repoPath}`;
+      const fileData = await this.fetchSourceCode(location, repoInfo);
+      return typeof fileData.content === 'string' ? fileData.content : JSON.stringify(fileData.content);
+    } catch {
+      return null;
+    }
+  }
+
+  // List subdirectory names of a local repository directory
+  async listRepoDirectories(repoPath, repoInfo) {
+    try {
+      const dirPath = this.localProvider.fromRepoPath(repoPath, repoInfo.root);
+      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch {
+      return [];
+    }
+  }
+
+  // Look up the commit a GitHub submodule is pinned to
+  async fetchSubmoduleRef(repoInfo, submodulePath) {
+    try {
+      const headers = { 'User-Agent': 'Solidity-Dependency-Resolver/1.0' };
+      if (process.env.GITHUB_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+      }
+      
+      const response = await axios.get(
+        `https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/contents/${submodulePath}?ref=${repoInfo.branch}`,
+        { timeout: 10000, headers }
+      );
+      
+      return response.data && response.data.type === 'submodule' ? response.data.sha : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Load remappings, library directories and packages for a repository (cached)
+  async loadProjectConfig(repoInfo, verbose = true) {
+    if (!repoInfo) return null;
+    
+    const key = this.getRepoKey(repoInfo);
+    if (this.projectConfigs.has(key)) {
+      return this.projectConfigs.get(key);
+    }
+    
+    const config = new RemappingResolver();
+    this.projectConfigs.set(key, config);
+    
+    // Explicit remappings: remappings.txt takes precedence over foundry.toml
+    const remappingsText = await this.readRepoFile('remappings.txt', repoInfo);
+    if (remappingsText) {
+      config.addRemappings(config.parseRemappings(remappingsText));
+    }
+    
+    const foundryToml = await this.readRepoFile('foundry.toml', repoInfo);
+    if (foundryToml) {
+      config.addRemappings(config.parseFoundryRemappings(foundryToml));
+      config.libraryDirectories = config.parseFoundryLibs(foundryToml) || config.libraryDirectories;
+    }
+    
+    // Library submodules get forge-style automatic remappings
+    if (this.isLocalRepo(repoInfo)) {
+      for (const libraryDirectory of config.libraryDirectories) {
+        if (libraryDirectory === 'node_modules') continue;
+        
+        for (const name of await this.listRepoDirectories(libraryDirectory, repoInfo)) {
+          const libraryPath = `${libraryDirectory}/${name}`;
+          const sourceDirectories = await this.listRepoDirectories(libraryPath, repoInfo);
+          const preferred = ['src', 'contracts'].filter(dir => sourceDirectories.includes(dir));
+          config.addLibraryRemappings(libraryPath, [...preferred, '']);
+          
+          // Remappings declared by the library apply to imports from inside it
+          const libraryRemappings = await this.readRepoFile(`${libraryPath}/remappings.txt`, repoInfo);
+          if (libraryRemappings) {
+            config.addRemappings(config.parseRemappings(libraryRemappings, `${libraryPath}/remappings.txt`)
+              .map(remapping => ({
+                ...remapping,
+                context: `${libraryPath}/${remapping.context}`,
+                target: `${libraryPath}/${remapping.target.replace(/^\.\//, '')}`
+              })));
+          }
+        }
+      }
+    } else {
+      const gitmodules = await this.readRepoFile('.gitmodules', repoInfo);
+      const submodules = gitmodules ? config.parseGitmodules(gitmodules) : [];
+      
+      for (const submodule of submodules) {
+        const inLibrary = config.libraryDirectories.some(dir => submodule.path.startsWith(`${dir}/`));
+        const remote = config.parseGitHubRemote(submodule.url);
+        if (!inLibrary || !remote) continue;
+        
+        const ref = await this.fetchSubmoduleRef(repoInfo, submodule.path) || 'HEAD';
+        config.addMount({ pathPrefix: `${submodule.path}/`, ...remote, ref, sourcePrefix: '' });
+        config.addLibraryRemappings(submodule.path, ['src', 'contracts', '']);
+      }
+    }
+    
+    // Hardhat-style packages from package.json
+    const packageJson = await this.readRepoFile('package.json', repoInfo);
+    if (packageJson && !this.isLocalRepo(repoInfo)) {
+      try {
+        const manifest = JSON.parse(packageJson);
+        const packages = { ...manifest.devDependencies, ...manifest.dependencies };
+        for (const [packageName, versionRange] of Object.entries(packages)) {
+          config.addPackageMount(packageName, versionRange);
+        }
+      } catch {
+        // Ignore malformed package.json
+      }
+    }
+    
+    if (verbose) {
+      const summary = config.getSummary();
+      console.log(`\n⚙️  Project config: ${summary.remappings.length} remappings, ${summary.libraries.length} libraries, ${summary.mounts.length} external sources`);
+    }
+    
+    return config;
+  }
+
+  // Get the already-loaded project configuration for a repository
+  getProjectConfig(repoInfo) {
+    return repoInfo ? this.projectConfigs.get(this.getRepoKey(repoInfo)) || null : null;
+  }
+
   // Check if dependency is external (can't be resolved in same repo)
   isExternalDependency(dependencyPath) {
     // Avoid circular reference - check patterns directly first
@@ -265,21 +448,41 @@ class DependencyResolver {
   resolveDependencyPaths(dependencyPath, baseRepoInfo) {
     if (!baseRepoInfo) return [];
     
-    const { owner, repo, branch } = baseRepoInfo;
     const potentialPaths = [];
+    const isLocal = this.isLocalRepo(baseRepoInfo);
     
     // Clean up the dependency path
     const cleanPath = dependencyPath.replace(/^["']|["']$/g, ''); // Remove quotes
     
+    // Relative imports are resolved against the directory of the importing file only
+    if (this.isRelativeImport(cleanPath)) {
+      const relativePath = this.normalizeRepoPath(this.resolveRelativePath(cleanPath, baseRepoInfo.basePath));
+      return [this.buildFileLocation(relativePath, baseRepoInfo)];
+    }
+    
+    // Resolve through remappings, lib/ submodules and node_modules like the compiler
+    const config = this.getProjectConfig(baseRepoInfo);
+    const importerPath = baseRepoInfo.filePath || null;
+    if (config) {
+      config.resolve(cleanPath, importerPath).forEach(repoPath => {
+        potentialPaths.push(this.buildFileLocation(this.normalizeRepoPath(repoPath), baseRepoInfo));
+      });
+      
+      // A matching remapping is authoritative, the compiler never looks elsewhere
+      if (config.matchRemapping(cleanPath, importerPath)) {
+        return [...new Set(potentialPaths)];
+      }
+    }
+    
     // Check for common external libraries that we can try to resolve
     const commonLibraryUrls = this.tryResolveCommonLibraries(cleanPath);
-    if (commonLibraryUrls.length > 0) {
-      return commonLibraryUrls;
+    if (commonLibraryUrls.length > 0 && !isLocal) {
+      return [...new Set([...potentialPaths, ...commonLibraryUrls])];
     }
     
-    // Skip if it's an external package or absolute path that we can't resolve
+    // Skip guessing for external packages or absolute paths that we can't resolve
     if (this.isExternalDependency(cleanPath)) {
-      return [];
+      return [...new Set(potentialPaths)];
     }
     
     // Common resolution strategies
@@ -311,23 +514,142 @@ class DependencyResolver {
       `contracts/utils/${path.basename(cleanPath)}`
     ].filter(Boolean);
     
-    // Generate GitHub URLs for each strategy
+    // Generate file locations for each strategy
     strategies.forEach(pathStrategy => {
       // Normalize path (remove double slashes, etc.)
-      const normalizedPath = pathStrategy.replace(/\/+/g, '/').replace(/^\//, '');
+      const normalizedPath = this.normalizeRepoPath(pathStrategy);
       
       // Add .sol extension if not present
       const finalPath = normalizedPath.endsWith('.sol') ? 
         normalizedPath : `${normalizedPath}.sol`;
       
-      potentialPaths.push(
-        `https://github.com/${owner}/${repo}/blob/${branch}/${finalPath}`
-      );
+      potentialPaths.push(this.buildFileLocation(finalPath, baseRepoInfo));
     });
     
+    // Local checkouts fall back to fetching common libraries from GitHub
+    if (isLocal) {
+      potentialPaths.push(...commonLibraryUrls);
+    }
+    
     return [...new Set(potentialPaths)]; // Remove duplicates
   }
 
+  // Check if an import path is relative to the importing file
+  isRelativeImport(importPath) {
+    return importPath.startsWith('./') || importPath.startsWith('../');
+  }
+
+  // Key identifying what an import resolves to from a given importing file
+  getDependencyKey(dependencyPath, repoInfo) {
+    if (!repoInfo) return dependencyPath;
+    
+    const repoKey = this.getRepoKey(repoInfo);
+    if (this.isRelativeImport(dependencyPath)) {
+      return `${repoKey}:${this.normalizeRepoPath(this.resolveRelativePath(dependencyPath, repoInfo.basePath))}`;
+    }
+    
+    const config = this.getProjectConfig(repoInfo);
+    const remapping = config ? config.matchRemapping(dependencyPath, repoInfo.filePath) : null;
+    return `${repoKey}:${remapping && remapping.context ? `${remapping.context}:` : ''}${dependencyPath}`;
+  }
+
+  // Normalize a repository path, collapsing "." and ".." segments
+  normalizeRepoPath(repoPath) {
+    const parts = [];
+    
+    for (const part of repoPath.replace(/\/+/g, '/').split('/')) {
+      if (part === '..') {
+        parts.pop();
+      } else if (part && part !== '.') {
+        parts.push(part);
+      }
+    }
+    
+    return parts.join('/');
+  }
+
+  // Build a fetchable location (GitHub blob URL or local path) for a repository path
+  buildFileLocation(repoPath, repoInfo) {
+    if (this.isLocalRepo(repoInfo)) {
+      return this.localProvider.fromRepoPath(repoPath, repoInfo.root);
+    }
+    
+    // Submodules and npm packages live in other GitHub repositories
+    const config = this.getProjectConfig(repoInfo);
+    const mount = config ? config.findMount(repoPath) : null;
+    if (mount) {
+      const mountedPath = `${mount.sourcePrefix}${repoPath.substring(mount.pathPrefix.length)}`;
+      return `https://github.com/${mount.owner}/${mount.repo}/blob/${mount.ref}/${mountedPath}`;
+    }
+    
+    const { owner, repo, branch } = repoInfo;
+    return `https://github.com/${owner}/${repo}/blob/${branch}/${repoPath}`;
+  }
+
+  // Canonical identity of a file relative to the analyzed repository. Files from
+  // submodules and packages keep their lib/ or node_modules/ path, files from
+  // unrelated repositories are prefixed with their GitHub origin
+  getCanonicalPath(location, rootRepoInfo) {
+    const repoPath = this.resolveRepoPath(location, rootRepoInfo);
+    if (repoPath) {
+      return repoPath;
+    }
+    
+    if (this.isLocalPath(location)) {
+      return path.resolve(location).split(path.sep).join('/');
+    }
+    
+    const repoInfo = this.parseRepoInfo(location);
+    return repoInfo ? `github.com/${repoInfo.owner}/${repoInfo.repo}/${repoInfo.filePath}` : null;
+  }
+
+  // Describe where a canonical path comes from: the analyzed repository or a library
+  describeOrigin(canonicalPath, rootRepoInfo) {
+    const repository = rootRepoInfo ?
+      (rootRepoInfo.owner ? `${rootRepoInfo.owner}/${rootRepoInfo.repo}` : rootRepoInfo.repo) : null;
+    
+    const external = /^github\.com\/([^/]+\/[^/]+)\//.exec(canonicalPath);
+    if (external) {
+      return { type: 'external', repository: external[1], library: external[1].split('/')[1] };
+    }
+    
+    const config = this.getProjectConfig(rootRepoInfo);
+    const mount = config ? config.findMount(canonicalPath) : null;
+    const library = /^(?:node_modules\/((?:@[^/]+\/)?[^/]+)|lib\/([^/]+))\//.exec(canonicalPath);
+    if (library) {
+      return {
+        type: 'library',
+        repository: mount ? `${mount.owner}/${mount.repo}` : repository,
+        library: library[1] || library[2]
+      };
+    }
+    
+    return { type: 'repository', repository, library: null };
+  }
+
+  // Map a fetched location back to its path inside the analyzed repository
+  resolveRepoPath(location, repoInfo) {
+    if (!repoInfo) return null;
+    
+    if (this.isLocalPath(location)) {
+      return this.isLocalRepo(repoInfo) ? this.localProvider.toRepoPath(location, repoInfo.root) : null;
+    }
+    
+    const match = /^https:\/\/github\.com\/([^/]+)\/([^/]+)\/blob\/([^/]+)\/(.+)$/.exec(location);
+    if (!match) return null;
+    
+    const [, owner, repo, ref, filePath] = match;
+    if (owner === repoInfo.owner && repo === repoInfo.repo && ref === repoInfo.branch) {
+      return filePath;
+    }
+    
+    const config = this.getProjectConfig(repoInfo);
+    const mount = config ? config.mounts.find(m =>
+      m.owner === owner && m.repo === repo && m.ref === ref && filePath.startsWith(m.sourcePrefix)
+    ) : null;
+    return mount ? `${mount.pathPrefix}${filePath.substring(mount.sourcePrefix.length)}` : null;
+  }
+
   // Resolve relative paths like ../interfaces/IContract.sol
   resolveRelativePath(relativePath, basePath) {
     if (!basePath) return relativePath;
@@ -350,25 +672,24 @@ class DependencyResolver {
 
   // Check if a dependency file exists and fetch it
   async tryFetchDependency(dependencyPath, baseRepoInfo, verbose = true) {
-    // Skip if already processed
-    if (this.processedDependencies.has(dependencyPath) || 
-        this.failedDependencies.has(dependencyPath)) {
-      return null;
+    // Reuse earlier results for the same import from the same context
+    const dependencyKey = this.getDependencyKey(dependencyPath, baseRepoInfo);
+    if (this.resolutionCache.has(dependencyKey)) {
+      return this.resolutionCache.get(dependencyKey);
     }
 
-    // Check if external
-    const isExternal = this.isExternalDependency(dependencyPath);
-    if (isExternal) {
-      if (verbose) console.log(`  ⚠️  External dependency (skipped): ${dependencyPath}`);
-      this.failedDependencies.add(dependencyPath);
-      return null;
-    }
-    
     const potentialUrls = this.resolveDependencyPaths(dependencyPath, baseRepoInfo);
     
     if (potentialUrls.length === 0) {
-      if (verbose) console.log(`  ⚠️  No resolution paths found: ${dependencyPath}`);
+      if (verbose) {
+        if (this.isExternalDependency(dependencyPath)) {
+          console.log(`  ⚠️  External dependency (skipped): ${dependencyPath}`);
+        } else {
+          console.log(`  ⚠️  No resolution paths found: ${dependencyPath}`);
+        }
+      }
       this.failedDependencies.add(dependencyPath);
+      this.resolutionCache.set(dependencyKey, null);
       return null;
     }
     
@@ -377,13 +698,16 @@ class DependencyResolver {
     for (const url of potentialUrls) {
       try {
         if (verbose) console.log(`    Trying: ${this.shortenUrl(url)}`);
-        const fileData = await this.fetchSourceCode(url);
+        const fileData = await this.fetchSourceCode(url, baseRepoInfo);
+        fileData.repoPath = this.resolveRepoPath(url, baseRepoInfo);
+        fileData.repoInfo = this.buildFileRepoInfo(url, fileData.repoPath, baseRepoInfo);
         
         if (verbose) console.log(`    ✅ Found: ${fileData.filename}`);
         
         // Mark as processed
         this.processedDependencies.add(dependencyPath);
         this.resolvedFiles.set(dependencyPath, fileData);
+        this.resolutionCache.set(dependencyKey, fileData);
         
         return fileData;
       } catch (error) {
@@ -394,11 +718,16 @@ class DependencyResolver {
     
     if (verbose) console.log(`    ❌ Could not resolve: ${dependencyPath}`);
     this.failedDependencies.add(dependencyPath);
+    this.resolutionCache.set(dependencyKey, null);
     return null;
   }
 
   // Shorten URL for cleaner logging
   shortenUrl(url) {
+    if (this.isLocalPath(url)) {
+      return `.../${url.split(/[\\/]/).slice(-2).join('/')}`;
+    }
+
     try {
       const urlObj = new URL(url);
       const pathParts = urlObj.pathname.split('/');
@@ -411,26 +740,38 @@ class DependencyResolver {
     }
   }
 
-  // Batch resolve multiple dependencies
+  // Batch resolve multiple dependencies, each either an import path or
+  // { path, repoInfo } carrying the context of the importing file
   async resolveDependencies(dependencies, baseRepoInfo, verbose = true) {
     const resolvedFiles = [];
     const failedDependencies = [];
+    const results = [];
     
     if (verbose && dependencies.length > 0) {
       console.log(`\n📦 Resolving ${dependencies.length} dependencies...`);
     }
     
     for (const dependency of dependencies) {
+      const dependencyPath = typeof dependency === 'string' ? dependency : dependency.path;
+      const repoInfo = (typeof dependency === 'string' ? null : dependency.repoInfo) || baseRepoInfo;
+      
       try {
-        const fileData = await this.tryFetchDependency(dependency, baseRepoInfo, verbose);
+        await this.loadProjectConfig(repoInfo, verbose);
+        const fileData = await this.tryFetchDependency(dependencyPath, repoInfo, verbose);
+        results.push({ dependency, fileData });
         if (fileData) {
-          resolvedFiles.push(fileData);
+          fileData.filename = this.getCanonicalPath(fileData.url, baseRepoInfo) || fileData.filename;
+
+          if (!resolvedFiles.includes(fileData)) {
+            resolvedFiles.push(fileData);
+          }
         } else {
-          failedDependencies.push(dependency);
+          failedDependencies.push(dependencyPath);
         }
       } catch (error) {
-        if (verbose) console.log(`  ❌ Error resolving ${dependency}: ${error.message}`);
-        failedDependencies.push(dependency);
+        if (verbose) console.log(`  ❌ Error resolving ${dependencyPath}: ${error.message}`);
+        results.push({ dependency, fileData: null });
+        failedDependencies.push(dependencyPath);
       }
     }
     
@@ -443,6 +784,7 @@ class DependencyResolver {
     return {
       resolved: resolvedFiles,
       failed: failedDependencies,
+      results: results,
       processedCount: this.processedDependencies.size,
       failedCount: this.failedDependencies.size
     };
@@ -466,6 +808,8 @@ class DependencyResolver {
     this.processedDependencies.clear();
     this.failedDependencies.clear();
     this.resolvedFiles.clear();
+    this.resolutionCache.clear();
+    this.projectConfigs.clear();
   }
 
   // Check if file is a Solidity file
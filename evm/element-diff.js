@@ -0,0 +1,115 @@
+// Aspects compared for each kind of element, besides the source
+const ASPECTS = {
+  functions: ['signature', 'visibility', 'stateMutability', 'modifiers'],
+  modifiers: ['signature', 'isVirtual'],
+  stateVariables: ['type', 'visibility', 'isConstant', 'isImmutable'],
+  events: ['canonicalSignature', 'anonymous']
+};
+
+/**
+ * Element Diff
+ * Compares the functions, modifiers, state variables and events of two analyses
+ * of the same code: elements are matched by their id without the file path, so
+ * moved files still match, and changed elements list what changed about them.
+ * Source is compared without comments and whitespace
+ */
+class ElementDiff {
+  // Added, removed and changed elements of one kind: { added, removed, changed }
+  compare(oldElements, newElements, kind) {
+    const oldByKey = this.indexByKey(oldElements);
+    const newByKey = this.indexByKey(newElements);
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [key, element] of newByKey) {
+      if (!oldByKey.has(key)) {
+        result.added.push(this.summarize(element, key));
+        continue;
+      }
+
+      const oldElement = oldByKey.get(key);
+      const changes = this.findChanges(oldElement, element, kind);
+      if (changes.length > 0) {
+        result.changed.push({
+          ...this.summarize(element, key),
+          oldId: oldElement.id,
+          changes,
+          oldSourceCode: oldElement.sourceCode || null,
+          sourceCode: element.sourceCode || null
+        });
+      }
+    }
+
+    for (const [key, element] of oldByKey) {
+      if (!newByKey.has(key)) {
+        result.removed.push(this.summarize(element, key));
+      }
+    }
+
+    return result;
+  }
+
+  // Elements by id without the file, e.g. Vault.withdraw(uint256); elements whose key is taken keep their full id
+  indexByKey(elements) {
+    const byKey = new Map();
+    for (const element of elements) {
+      const key = this.keyOf(element);
+      byKey.set(byKey.has(key) ? element.id : key, element);
+    }
+    return byKey;
+  }
+
+  // Id of an element without its file path
+  keyOf(element) {
+    return element.file && element.id.startsWith(`${element.file}:`) ?
+      element.id.substring(element.file.length + 1) :
+      element.id;
+  }
+
+  // Aspects of an element that differ between the versions, e.g. ['visibility', 'source']
+  findChanges(oldElement, newElement, kind) {
+    const changes = ASPECTS[kind]
+      .filter(aspect => this.describeAspect(oldElement, aspect) !== this.describeAspect(newElement, aspect));
+
+    if (oldElement.sourceCode !== undefined && newElement.sourceCode !== undefined &&
+      this.normalizeSource(oldElement.sourceCode) !== this.normalizeSource(newElement.sourceCode)) {
+      changes.push('source');
+    }
+    return changes;
+  }
+
+  // Comparable form of an aspect; modifiers compare with their arguments
+  describeAspect(element, aspect) {
+    if (aspect === 'modifiers') {
+      return (element.modifierInvocations || [])
+        .map(invocation => `${invocation.name}(${(invocation.argumentSource || []).join(',')})`)
+        .join(' ');
+    }
+    return JSON.stringify(element[aspect]);
+  }
+
+  // Source without comments and with whitespace collapsed
+  normalizeSource(source) {
+    return (source || '')
+      .replace(/\/\*[\s\S]*?\*\//g, ' ')
+      .replace(/\/\/[^\n]*/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([(){}\[\],;=<>+\-*/!&|^%?:.])\s*/g, '$1')
+      .trim();
+  }
+
+  // Report entry of an element
+  summarize(element, key) {
+    const entry = {
+      key,
+      id: element.id,
+      qualifiedName: element.qualifiedName || element.name,
+      contract: element.contract || null,
+      file: element.file
+    };
+    if (element.signature) entry.signature = element.signature;
+    if (element.visibility) entry.visibility = element.visibility;
+    return entry;
+  }
+}
+
+module.exports = ElementDiff;
@@ -0,0 +1,70 @@
+const InheritanceResolver = require('./inheritance-resolver.js');
+const CallResolver = require('./call-resolver.js');
+const CallTreeBuilder = require('./call-tree-builder.js');
+
+/**
+ * Entry Point Impact
+ * Builds the call tree of every public and external function of each deployable
+ * contract in an analysis, as it runs in that contract, and finds the entry points
+ * whose tree reaches a given set of functions and modifiers, with the call paths
+ */
+class EntryPointImpact {
+  constructor(report, options = {}) {
+    this.report = report;
+    this.maxDepth = options.maxDepth || 10;
+
+    const inheritanceResolver = new InheritanceResolver(report.contracts, report.importGraph.edges);
+    this.callResolver = new CallResolver(report.functions, inheritanceResolver, report.usingFor, report.modifiers);
+    this.treeBuilder = new CallTreeBuilder({ callResolver: this.callResolver, includeModifiers: true });
+    this.reach = null; // [{ contract, function, reached: id -> path }], built on first use
+  }
+
+  // Public, external, receive and fallback functions of every deployable contract with what their trees reach
+  async getReach() {
+    if (this.reach) return this.reach;
+
+    this.reach = [];
+    for (const contract of this.report.contracts.filter(c => c.kind === 'contract')) {
+      const entryPoints = this.callResolver.collectFunctions(contract.id)
+        .filter(func => this.callResolver.isEntryPoint(func));
+
+      for (const func of entryPoints) {
+        const tree = await this.treeBuilder.buildCallTree(
+          this.report.functions, func, this.maxDepth, 0, new Set(), null, contract);
+        this.reach.push({ contract: contract.name, function: func, reached: this.collectPaths(tree) });
+      }
+    }
+    return this.reach;
+  }
+
+  // Id of every function and modifier in a call tree -> the first path of names reaching it
+  collectPaths(tree) {
+    const paths = new Map();
+    const traverse = (node, ancestors) => {
+      const path = [...ancestors, node.qualifiedName || node.name];
+      if (node.id && !paths.has(node.id)) paths.set(node.id, path);
+      (node.calls || []).forEach(call => traverse(call, path));
+    };
+
+    traverse(tree, []);
+    return paths;
+  }
+
+  // Entry points whose call tree reaches any of the ids: [{ contract, function, reaches: [{ id, path }] }]
+  async findReaching(ids) {
+    const targets = new Set(ids);
+    const reaching = [];
+
+    for (const entry of await this.getReach()) {
+      const reaches = [...entry.reached]
+        .filter(([id]) => targets.has(id))
+        .map(([id, path]) => ({ id, path }));
+      if (reaches.length > 0) {
+        reaching.push({ contract: entry.contract, function: entry.function, reaches });
+      }
+    }
+    return reaching;
+  }
+}
+
+module.exports = EntryPointImpact;
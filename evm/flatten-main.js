@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+const GitHubSolidityAnalyzer = require('./solidity-analyzer.js');
+const Flattener = require('./flattener.js');
+const fs = require('fs');
+
+class ContractFlattener {
+  // Flatten the requested files and every import they resolve to into one source
+  async flatten(location, options = {}) {
+    const {
+      maxDepth = 10,
+      resolveDependencies = true
+    } = options;
+
+    const analyzer = new GitHubSolidityAnalyzer({ includeSourceCode: false });
+    const report = await analyzer.analyze(location, resolveDependencies, maxDepth);
+
+    const files = new Map();
+    for (const [file, ast] of analyzer.contracts) {
+      files.set(file, { source: analyzer.sourceFiles.get(file), ast });
+    }
+
+    const result = new Flattener().flatten({
+      rootFiles: report.metadata.rootFiles,
+      files,
+      imports: report.importGraph.edges
+    });
+
+    return {
+      metadata: {
+        flattenedAt: new Date().toISOString(),
+        location,
+        rootFiles: report.metadata.rootFiles
+      },
+      ...result,
+      summary: {
+        files: result.files.length,
+        lines: result.source.split('\n').length,
+        pragma: result.pragma.constraint,
+        compatiblePragmas: result.pragma.compatible,
+        duplicates: result.duplicates.length,
+        unresolvedImports: result.unresolvedImports.length,
+        compilable: result.compilable
+      }
+    };
+  }
+
+  // Save the flattened source
+  async saveSource(result, outputPath) {
+    await fs.promises.writeFile(outputPath, result.source, 'utf8');
+    console.log(`Flattened source saved to: ${outputPath}`);
+  }
+
+  // Save the flattening report, without the source
+  async saveReport(result, outputPath) {
+    const { source, ...report } = result;
+    const jsonOutput = JSON.stringify(report, null, 2);
+    await fs.promises.writeFile(outputPath, jsonOutput, 'utf8');
+    console.log(`Flatten report saved to: ${outputPath}`);
+  }
+}
+
+// Print the file order, the merged pragma and license and anything that keeps the result from compiling
+function printResult(result) {
+  console.log('\n=== Files ===');
+  result.files.forEach((file, index) => console.log(`${index + 1}. ${file}`));
+
+  console.log('\n=== Header ===');
+  console.log(`License: ${result.license || 'none'}`);
+  console.log(`Pragma: ${result.pragma.constraint || 'none'}${result.pragma.constraints.length > 1 ?
+    ` (from ${result.pragma.constraints.join(', ')})` : ''}`);
+  result.otherPragmas.forEach(pragma => console.log(pragma));
+
+  if (result.duplicates.length > 0) {
+    console.log('\n=== Duplicate Names ===');
+    result.duplicates.forEach(duplicate => {
+      console.log(`${duplicate.kind} ${duplicate.name}${duplicate.identical ? ' (identical)' : ''}`);
+      duplicate.files.forEach(file => console.log(`  ${file}`));
+    });
+  }
+
+  if (result.warnings.length > 0) {
+    console.log('\n=== Warnings ===');
+    result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  }
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  if (positional.length < 1) {
+    console.log(`
+Usage: node flatten-main.js <location> [options]
+
+Arguments:
+  location           GitHub URL, local file or project directory of the contracts to flatten
+
+Options:
+  --output=FILE      Output file for the flattened source (default: flattened.sol)
+  --report=FILE      Also save a JSON report of the file order, pragmas and duplicates
+  --max-depth=N      Maximum import depth to resolve (default: 10)
+  --no-deps          Skip dependency resolution, flattening only the given files
+  --no-save          Only print the summary, don't save the flattened source
+
+Examples:
+  # Flatten a contract for explorer verification
+  node flatten-main.js https://github.com/owner/repo/blob/main/src/Vault.sol --output=Vault.flat.sol
+
+  # Flatten a local file and keep the report
+  node flatten-main.js ./src/Vault.sol --report=flatten-report.json
+`);
+    process.exit(1);
+  }
+
+  const location = positional[0];
+  let outputFile = 'flattened.sol';
+  let reportFile = null;
+  let maxDepth = 10;
+  let resolveDependencies = true;
+  let save = true;
+
+  // Parse options
+  for (const arg of args) {
+    if (arg.startsWith('--output=')) {
+      outputFile = arg.split('=')[1];
+    } else if (arg.startsWith('--report=')) {
+      reportFile = arg.split('=')[1];
+    } else if (arg.startsWith('--max-depth=')) {
+      maxDepth = parseInt(arg.split('=')[1]) || 10;
+    } else if (arg === '--no-deps') {
+      resolveDependencies = false;
+    } else if (arg === '--no-save') {
+      save = false;
+    }
+  }
+
+  try {
+    const contractFlattener = new ContractFlattener();
+    const result = await contractFlattener.flatten(location, { maxDepth, resolveDependencies });
+
+    printResult(result);
+
+    console.log('\n=== Flatten Summary ===');
+    console.log(`Files: ${result.summary.files}`);
+    console.log(`Lines: ${result.summary.lines}`);
+    console.log(`Duplicate names: ${result.summary.duplicates}`);
+    console.log(`Unresolved imports: ${result.summary.unresolvedImports}`);
+    console.log(`Compilable as one file: ${result.compilable ? 'yes' : 'no'}`);
+
+    if (save) {
+      await contractFlattener.saveSource(result, outputFile);
+    }
+    if (reportFile) {
+      await contractFlattener.saveReport(result, reportFile);
+    }
+
+    // Non-zero exit for scripts when the flattened file cannot compile
+    if (!result.compilable) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for use as module
+module.exports = ContractFlattener;
+
+// Run as CLI if called directly
+if (require.main === module) {
+  main();
+}
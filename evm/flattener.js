@@ -0,0 +1,295 @@
+const Parser = require('@solidity-parser/parser');
+const PragmaMerger = require('./pragma-merger.js');
+const ImportAliases = require('./import-aliases.js');
+
+// SPDX license comment line
+const SPDX_PATTERN = /^[ \t]*\/\/[ \t]*SPDX-License-Identifier:[ \t]*(.*?)[ \t]*$/gm;
+
+// File-level declarations whose names must be unique across the flattened file
+const NAMED_DECLARATIONS = {
+  ContractDefinition: 'contract',
+  StructDefinition: 'struct',
+  EnumDefinition: 'enum',
+  CustomErrorDefinition: 'error',
+  TypeDefinition: 'type',
+  FileLevelConstant: 'constant'
+};
+
+/**
+ * Flattener
+ * Joins a set of parsed files and their resolved imports into one source: files are
+ * ordered so that every file comes after the files it imports, import statements are
+ * removed and the names they aliased (import {A as B}, import "x" as L) are written
+ * back to the original ones, SPDX lines and pragma solidity directives become a single
+ * license and a single compatible version range, and declarations that end up with
+ * the same name are reported. Of identical declarations only the first is kept
+ */
+class Flattener {
+  constructor() {
+    this.pragmaMerger = new PragmaMerger();
+  }
+
+  // { source, files, license, pragma, otherPragmas, duplicates, cycles, unresolvedImports, warnings, compilable }.
+  // files maps each file to { source, ast }; imports are the analyzer's import graph edges, with their aliases
+  flatten({ rootFiles, files, imports }) {
+    const { order, cycles } = this.sortFiles(rootFiles, files, imports);
+    const importAliases = new ImportAliases(imports);
+
+    const { duplicates, redundant } = this.findDuplicates(order, files);
+    const licenses = [];
+    const versions = [];
+    const otherPragmas = [];
+    const sections = order.map(file => {
+      const { source, ast } = files.get(file);
+      for (const match of source.matchAll(SPDX_PATTERN)) licenses.push(match[1]);
+      for (const node of ast.children.filter(child => child.type === 'PragmaDirective')) {
+        const text = source.substring(node.range[0], node.range[1] + 1).replace(/\s+/g, ' ');
+        if (node.name === 'solidity') {
+          versions.push(text.replace(/^pragma solidity\s*/, '').replace(/\s*;$/, ''));
+        } else if (!otherPragmas.includes(text)) {
+          otherPragmas.push(text);
+        }
+      }
+      return `// File: ${file}\n\n${this.rewriteFile(file, source, ast, importAliases, redundant)}`;
+    });
+
+    const license = this.mergeLicenses(licenses);
+    const pragma = this.pragmaMerger.merge(versions);
+    const unresolvedImports = imports
+      .filter(edge => order.includes(edge.from) && !(edge.to && files.has(edge.to)))
+      .filter((edge, index, all) => all.findIndex(other => other.from === edge.from && other.importPath === edge.importPath) === index)
+      .map(edge => ({ from: edge.from, importPath: edge.importPath }));
+
+    const header = [
+      license.expression ? `// SPDX-License-Identifier: ${license.expression}` : null,
+      pragma.constraint ? `pragma solidity ${pragma.constraint};` : null,
+      ...otherPragmas
+    ].filter(Boolean).join('\n');
+
+    const warnings = [
+      ...(!pragma.compatible ? [`No compiler version satisfies every pragma: ${pragma.constraints.join(', ')}`] : []),
+      ...(license.licenses.length > 1 ? [`Files carry different licenses: ${license.licenses.join(', ')}`] : []),
+      ...(otherPragmas.includes('pragma abicoder v1;') && otherPragmas.includes('pragma abicoder v2;') ?
+        ['Files select both ABI coder v1 and v2'] : []),
+      ...duplicates.map(duplicate => duplicate.identical ?
+        `${duplicate.kind} ${duplicate.name} is declared identically in ${duplicate.files.join(', ')}; the copy from ${duplicate.files[0]} is kept` :
+        `${duplicate.kind} ${duplicate.name} is declared differently in ${duplicate.files.join(', ')}`),
+      ...cycles.map(cycle => `Import cycle: ${cycle.join(' -> ')}`),
+      ...unresolvedImports.map(entry => `Unresolved import "${entry.importPath}" in ${entry.from}`)
+    ];
+
+    return {
+      source: `${[header, ...sections].join('\n\n')}\n`,
+      files: order,
+      license: license.expression,
+      pragma,
+      otherPragmas,
+      duplicates,
+      cycles,
+      unresolvedImports,
+      warnings,
+      compilable: pragma.compatible && duplicates.every(duplicate => duplicate.identical) && unresolvedImports.length === 0
+    };
+  }
+
+  // Files reachable from the root files, each after the files it imports, in import declaration order.
+  // Imports that close a cycle are skipped and reported
+  sortFiles(rootFiles, files, imports) {
+    const importsByFile = new Map();
+    for (const edge of imports) {
+      if (!edge.to || !files.has(edge.to) || edge.to === edge.from) continue;
+      if (!importsByFile.has(edge.from)) importsByFile.set(edge.from, []);
+      importsByFile.get(edge.from).push(edge.to);
+    }
+
+    const order = [];
+    const cycles = [];
+    const visiting = [];
+    const visit = file => {
+      if (order.includes(file)) return;
+      if (visiting.includes(file)) {
+        cycles.push([...visiting.slice(visiting.indexOf(file)), file]);
+        return;
+      }
+
+      visiting.push(file);
+      (importsByFile.get(file) || []).forEach(visit);
+      visiting.pop();
+      order.push(file);
+    };
+
+    rootFiles.filter(file => files.has(file)).forEach(visit);
+    return { order, cycles };
+  }
+
+  // Source of a file without its SPDX line, pragmas, imports and redundant copies of declarations,
+  // with aliased names written back
+  rewriteFile(file, source, ast, importAliases, redundant) {
+    const edits = [];
+    const replace = (start, end, text) => edits.push({ start, end, text });
+    const { symbols, units } = importAliases.getAliases(file);
+    // Declared name for a possibly qualified name such as B, B.Inner or L.Foo
+    const rename = path => importAliases.resolve(path, file).namePath;
+
+    const body = [];
+    for (const node of ast.children) {
+      if (node.type === 'PragmaDirective' || node.type === 'ImportDirective') {
+        replace(node.range[0], node.range[1] + 1, '');
+      } else if (redundant.has(node)) {
+        replace(node.range[0], node.range[1] + 1, `// ${node.name}: identical to the declaration from ${redundant.get(node)}`);
+      } else {
+        body.push(node);
+      }
+    }
+
+    if (symbols.size > 0 || units.size > 0) {
+      const shadowed = this.findShadowed(body, new Set([...symbols.keys(), ...units.keys()]));
+      Parser.visit(body, {
+        Identifier: node => {
+          if (symbols.has(node.name) && !shadowed.has(node)) replace(node.range[0], node.range[1] + 1, symbols.get(node.name).name);
+        },
+        UserDefinedTypeName: node => {
+          if (rename(node.namePath) !== node.namePath) replace(node.range[0], node.range[1] + 1, rename(node.namePath));
+        },
+        ModifierInvocation: node => {
+          if (symbols.has(node.name)) replace(node.range[0], node.range[0] + node.name.length, symbols.get(node.name).name);
+        },
+        MemberAccess: node => {
+          if (node.expression.type === 'Identifier' && units.has(node.expression.name) && !shadowed.has(node.expression)) {
+            replace(node.range[0], node.range[1] + 1, rename(`${node.expression.name}.${node.memberName}`));
+          }
+        },
+        UsingForDeclaration: node => {
+          // The library or function list is kept as text: using L.Lib for ..., using {L.f, g} for ...
+          const text = source.substring(node.range[0], node.range[1] + 1);
+          const head = text.match(/^(using\s+)([\s\S]*?)\s+for\b/);
+          if (!head) return;
+          const rewritten = head[2].replace(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/g, rename);
+          const start = node.range[0] + head[1].length;
+          if (rewritten !== head[2]) replace(start, start + head[2].length, rewritten);
+        }
+      });
+    }
+
+    // Apply from the end so earlier ranges stay valid; an edit inside one already applied is dropped
+    let result = source;
+    let applied = Infinity;
+    for (const edit of edits.sort((a, b) => b.start - a.start || a.end - b.end)) {
+      if (edit.end > applied) continue;
+      result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+      applied = edit.start;
+    }
+
+    return result
+      .replace(SPDX_PATTERN, '')
+      .replace(/^[ \t]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Identifiers spelling one of the names that do not stand for the imported declaration: the names of
+  // declarations, and the uses of a contract member, parameter or local variable of that name in its scope
+  findShadowed(nodes, names) {
+    const shadowed = new Set();
+    const declare = (scope, declared) => {
+      const inner = declared.filter(name => names.has(name));
+      return inner.length > 0 ? new Set([...scope, ...inner]) : scope;
+    };
+    const parameterNames = parameters => (parameters || []).filter(Boolean).map(parameter => parameter.name);
+
+    const walk = (node, scope) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(child => walk(child, scope));
+        return;
+      }
+
+      if (node.type === 'VariableDeclaration' && node.identifier) shadowed.add(node.identifier);
+      if (node.type === 'Identifier' && scope.has(node.name)) shadowed.add(node);
+
+      switch (node.type) {
+        case 'ContractDefinition':
+          scope = declare(scope, node.subNodes.flatMap(sub => sub.name ? [sub.name] : parameterNames(sub.variables)));
+          break;
+        case 'FunctionDefinition':
+        case 'ModifierDefinition':
+          scope = declare(scope, [...parameterNames(node.parameters), ...parameterNames(node.returnParameters)]);
+          break;
+        case 'CatchClause':
+          scope = declare(scope, parameterNames(node.parameters));
+          break;
+        case 'TryStatement':
+          walk(node.expression, scope);
+          walk(node.returnParameters, scope);
+          walk(node.body, declare(scope, parameterNames(node.returnParameters)));
+          walk(node.catchClauses, scope);
+          return;
+        case 'Block':
+        case 'ForStatement': {
+          // Locals are visible from the statement after their declaration to the end of the block
+          const statements = node.type === 'ForStatement' ?
+            [node.initExpression, node.conditionExpression, node.loopExpression, node.body] :
+            node.statements;
+          for (const statement of statements) {
+            walk(statement, scope);
+            if (statement && statement.type === 'VariableDeclarationStatement') {
+              scope = declare(scope, parameterNames(statement.variables));
+            }
+          }
+          return;
+        }
+      }
+
+      for (const [key, value] of Object.entries(node)) {
+        if (key !== 'loc' && key !== 'range') walk(value, scope);
+      }
+    };
+
+    walk(nodes, new Set());
+    return shadowed;
+  }
+
+  // One SPDX expression for all files: the license they share, or every license joined with AND
+  mergeLicenses(licenses) {
+    const unique = [...new Set(licenses.filter(Boolean))];
+    const expression = unique.length > 1 ?
+      unique.map(license => /\s(OR|WITH)\s/.test(license) ? `(${license})` : license).join(' AND ') :
+      unique[0] || null;
+    return { expression, licenses: unique };
+  }
+
+  // File-level names declared in more than one file, duplicates: [{ name, kind, files, identical }],
+  // and redundant: the declarations identical to an earlier one, mapped to the file of that one
+  findDuplicates(order, files) {
+    const declarations = new Map(); // name -> [{ file, kind, text, node }]
+    for (const file of order) {
+      const { source, ast } = files.get(file);
+      for (const node of ast.children) {
+        if (!NAMED_DECLARATIONS[node.type] || !node.name) continue;
+        const kind = node.type === 'ContractDefinition' ? node.kind : NAMED_DECLARATIONS[node.type];
+        if (!declarations.has(node.name)) declarations.set(node.name, []);
+        declarations.get(node.name).push({
+          file,
+          kind,
+          text: source.substring(node.range[0], node.range[1] + 1).replace(/\s+/g, ' '),
+          node
+        });
+      }
+    }
+
+    const duplicates = [];
+    const redundant = new Map();
+    for (const [name, entries] of declarations) {
+      if (entries.length < 2) continue;
+
+      const identical = entries.every(entry => entry.kind === entries[0].kind && entry.text === entries[0].text);
+      duplicates.push({ name, kind: entries[0].kind, files: entries.map(entry => entry.file), identical });
+      if (identical) {
+        entries.slice(1).forEach(entry => redundant.set(entry.node, entries[0].file));
+      }
+    }
+    return { duplicates, redundant };
+  }
+}
+
+module.exports = Flattener;
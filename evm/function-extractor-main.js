@@ -2,7 +2,13 @@
 
 const GitHubSolidityAnalyzer = require('./solidity-analyzer.js');
 const CallTreeBuilder = require('./call-tree-builder.js');
+const CallerTreeBuilder = require('./caller-tree-builder.js');
 const FunctionFinder = require('./function-finder.js');
+const InheritanceResolver = require('./inheritance-resolver.js');
+const CallResolver = require('./call-resolver.js');
+const ImplementationResolver = require('./implementation-resolver.js');
+const CeiAnalyzer = require('./cei-analyzer.js');
+const ContextBundle = require('./context-bundle.js');
 const fs = require('fs');
 
 class FunctionExtractor {
@@ -18,66 +24,321 @@ class FunctionExtractor {
       maxDepth = 10,
       includeModifiers = true,
       includeEvents = false,
+      includeTypes = true,
       resolveDependencies = true,
+      resolveImplementations = true,
+      cei = false,
+      contractName = null,
       debug = false
     } = options;
 
     console.log(`Extracting function: ${targetFunctionName}`);
     console.log(`Max call depth: ${maxDepth}`);
     
-    // Analyze the contract
-    const report = await this.analyzer.analyzeSingleFile(githubUrl, resolveDependencies, 3);
+    // Analyze the contract (GitHub URL, local file or local project directory)
+    const report = await this.analyzer.analyze(githubUrl, resolveDependencies, 3);
     
     if (debug) {
       this.printDebugInfo(report);
     }
     
-    // Find the target function
-    const finder = new FunctionFinder({ debug });
-    const targetFunction = finder.findFunction(report.functions, targetFunctionName);
-    if (!targetFunction) {
-      throw new Error(`Function "${targetFunctionName}" not found. Available functions: ${finder.listAvailableFunctions(report.functions)}`);
-    }
+    const { callResolver, finder, targetFunction, requestedContract, proxy } =
+      this.findTarget(report, targetFunctionName, contractName, debug);
+
+    // Overrides are followed for the most-derived contract in the analyzed files
+    const mostDerived = (proxy ? proxy.implementation : requestedContract) ||
+      callResolver.selectMostDerived(targetFunction, report.contracts.filter(c => report.metadata.rootFiles.includes(c.file)));
 
     console.log(`Found target function: ${targetFunction.signature}`);
+    if (proxy) {
+      console.log(`Followed through ${proxy.contract.proxy.pattern} proxy ${proxy.contract.name} to ${proxy.implementation.name}`);
+    }
+    if (mostDerived) {
+      console.log(`Most-derived contract: ${mostDerived.name} (${mostDerived.linearization.join(' -> ')})`);
+    }
     
     if (debug && targetFunction.sourceCode) {
       console.log('\n=== DEBUG: Target function source ===');
       console.log(targetFunction.sourceCode.substring(0, 500) + '...');
     }
     
-    // Build call tree
-    const treeBuilder = new CallTreeBuilder({ debug });
-    const callTree = treeBuilder.buildCallTree(report.functions, targetFunction, maxDepth);
+    // Contracts implementing the interfaces that are called, found by indexing the repository
+    const implementationResolver = new ImplementationResolver({
+      debug,
+      dependencyResolver: this.analyzer.dependencyResolver
+    });
+    const implementations = resolveImplementations ?
+      await this.findImplementations(report, implementationResolver) :
+      new Map();
     
-    // Extract all functions in the call tree
-    const extractedFunctions = finder.extractFunctionsFromTree(report.functions, callTree, {
+    // Build call tree; implementations outside the analyzed files are analyzed as the tree reaches them
+    const treeBuilder = new CallTreeBuilder({
+      debug,
+      callResolver,
+      implementations,
+      implementationResolver: resolveImplementations ? implementationResolver : null,
+      includeModifiers
+    });
+    const callTree = proxy ?
+      await this.buildProxyCallTree(report, treeBuilder, proxy, targetFunction, maxDepth, mostDerived) :
+      await treeBuilder.buildCallTree(
+        report.functions, targetFunction, maxDepth, 0, new Set(), report.metadata.repositoryInfo, mostDerived);
+    
+    // Extract all functions in the call tree, including those of loaded implementations
+    const loadedReports = implementationResolver.loadedReports;
+    const extractedFunctions = finder.extractFunctionsFromTree([...report.functions, ...treeBuilder.loadedFunctions.values()], callTree, {
       includeModifiers,
-      includeEvents
+      includeEvents,
+      includeTypes,
+      types: [report, ...loadedReports].flatMap(r => [...r.structs, ...r.enums, ...r.userDefinedValueTypes]),
+      modifiers: [report, ...loadedReports].flatMap(r => r.modifiers)
     });
 
+    // Storage the call tree can read or write; calls on other contracts touch their own storage
+    const storageContext = treeBuilder.collectStorageContext(callTree);
+    const stateAccess = finder.summarizeStateAccess(
+      [...extractedFunctions.values()].filter(f => storageContext.has(f.id) && (f.stateReads || f.stateWrites)),
+      [report, ...loadedReports].flatMap(r => r.stateVariables));
+
     // Generate focused report
-    return this.generateFocusedReport(report, extractedFunctions, targetFunction, callTree, treeBuilder);
+    const focusedReport = this.generateFocusedReport(
+      report, extractedFunctions, targetFunction, callTree, treeBuilder, mostDerived, stateAccess);
+    if (proxy) {
+      focusedReport.metadata.proxy = {
+        contract: proxy.contract.name,
+        pattern: proxy.contract.proxy.pattern,
+        fallback: proxy.fallback ? proxy.fallback.id : null,
+        implementation: proxy.implementation.name,
+        selectedBy: proxy.selectedBy,
+        alternatives: proxy.alternatives
+      };
+    }
+
+    // Checks-effects-interactions order of the target as it runs in the most-derived contract
+    if (cei) {
+      focusedReport.cei = new CeiAnalyzer({ callResolver, maxDepth }).analyze(targetFunction, mostDerived);
+    }
+
+    return focusedReport;
+  }
+
+  // Extract a function and render it with its callees, modifiers, state, types and interfaces as one
+  // Markdown bundle, dropping the deepest entries first to fit maxChars or maxTokens
+  async extractContext(githubUrl, targetFunctionName, options = {}) {
+    const {
+      maxChars = null,
+      maxTokens = null
+    } = options;
+
+    const report = await this.extractFunction(githubUrl, targetFunctionName, options);
+    const bundle = new ContextBundle({ maxChars, maxTokens }).build(report, {
+      stateVariables: this.analyzer.stateVariables,
+      contracts: this.analyzer.contractDefinitions,
+      getSource: element => this.analyzer.extractFunctionSource({ loc: element.location }, element.file)
+    });
+
+    return { report, ...bundle };
+  }
+
+  // Find every function that reaches a target and the entry points it is reachable from
+  async extractCallers(githubUrl, targetFunctionName, options = {}) {
+    const {
+      maxDepth = 10,
+      includeModifiers = true,
+      resolveDependencies = true,
+      contractName = null,
+      debug = false
+    } = options;
+
+    console.log(`Finding callers of: ${targetFunctionName}`);
+    console.log(`Max caller depth: ${maxDepth}`);
+
+    const report = await this.analyzer.analyze(githubUrl, resolveDependencies, 3);
+
+    if (debug) {
+      this.printDebugInfo(report);
+    }
+
+    const { callResolver, targetFunction } = this.findTarget(report, targetFunctionName, contractName, debug);
+    console.log(`Found target function: ${targetFunction.signature}`);
+
+    // Modifiers are callers too: of the functions they call, and of nothing when they are left out
+    const callerBuilder = new CallerTreeBuilder({ debug, callResolver })
+      .build(report.functions, includeModifiers ? report.modifiers : []);
+    const callerTree = callerBuilder.buildCallerTree(targetFunction, maxDepth);
+    const entryPoints = callerBuilder.collectEntryPoints(callerTree);
+
+    const callerIds = new Set(callerBuilder.collectCallers(callerTree));
+    const functions = report.functions.filter(f => callerIds.has(f.id));
+    const modifiers = report.modifiers.filter(m => callerIds.has(m.id));
+    const treeBuilder = new CallTreeBuilder();
+
+    return {
+      metadata: {
+        extractedAt: new Date().toISOString(),
+        mode: 'callers',
+        targetFunction: targetFunction.name,
+        targetSignature: targetFunction.signature,
+        targetCanonicalSignature: targetFunction.canonicalSignature || null,
+        targetSelector: targetFunction.selector || null,
+        contract: targetFunction.contract,
+        originalAnalysis: {
+          totalFiles: report.metadata.totalFiles,
+          totalFunctions: report.summary.totalFunctions,
+          analyzedAt: report.metadata.analyzedAt
+        },
+        extraction: {
+          callersFound: functions.length,
+          modifiersFound: modifiers.length,
+          entryPoints: entryPoints.length,
+          maxCallerDepth: treeBuilder.getMaxDepth(callerTree),
+          filesInvolved: [...new Set([...functions, ...modifiers].map(f => f.file))]
+        }
+      },
+      callerTree,
+      entryPoints,
+      functions: functions.sort((a, b) => a.qualifiedName.localeCompare(b.qualifiedName)),
+      modifiers: modifiers.sort((a, b) => a.qualifiedName.localeCompare(b.qualifiedName)),
+      summary: {
+        targetFunction,
+        totalCallers: functions.length + modifiers.length,
+        totalEntryPoints: entryPoints.length,
+        functionsByFile: new FunctionFinder().groupByFile(functions)
+      }
+    };
+  }
+
+  // Resolvers for an analysis and the function a target names: { callResolver, finder, targetFunction, requestedContract }
+  findTarget(report, targetFunctionName, contractName, debug) {
+    const inheritanceResolver = new InheritanceResolver(report.contracts, report.importGraph.edges);
+    const callResolver = new CallResolver(report.functions, inheritanceResolver, report.usingFor, report.modifiers);
+
+    // Contract.fn also finds functions the contract inherits
+    const finder = new FunctionFinder({ debug });
+    const { contract: requestedContract, target } = this.splitTarget(targetFunctionName, contractName, inheritanceResolver);
+    const targetFunction = requestedContract ?
+      finder.findFunction(callResolver.collectFunctions(requestedContract), target, callResolver) :
+      finder.findFunction(report.functions, target, callResolver);
+
+    // A proxy runs what it does not declare in the contract it delegates to
+    const isProxy = requestedContract && requestedContract.proxy && requestedContract.proxy.role === 'proxy';
+    if (!targetFunction && isProxy) {
+      const proxy = this.findThroughProxy(report, requestedContract, target, finder, callResolver);
+      if (proxy) {
+        return { callResolver, finder, targetFunction: proxy.function, requestedContract, proxy };
+      }
+    }
+
+    if (!targetFunction) {
+      const where = isProxy ? ` in proxy ${requestedContract.name} or the contracts it can delegate to` : '';
+      throw new Error(`Function "${targetFunctionName}" not found${where}. Available functions: ${finder.listAvailableFunctions(report.functions)}`);
+    }
+
+    return { callResolver, finder, targetFunction, requestedContract, proxy: null };
+  }
+
+  // Follow a function or selector through a proxy to the analyzed implementation or facet that has it:
+  // { contract, fallback, implementation, function, selectedBy, alternatives }.
+  // The implementations linked to the proxy come first, then any other deployable contract
+  findThroughProxy(report, proxyContract, target, finder, callResolver) {
+    const linked = proxyContract.proxy.implementations || [];
+    const candidates = report.contracts
+      .filter(contract => contract.kind === 'contract' && contract.id !== proxyContract.id)
+      .filter(contract => !contract.proxy || (contract.proxy.role !== 'proxy' && contract.proxy.role !== 'beacon'))
+      .sort((a, b) => Number(linked.includes(b.name)) - Number(linked.includes(a.name)));
+
+    const bareTarget = !target.includes('(') && !finder.isSelector(target);
+    const matches = [];
+    for (const contract of candidates) {
+      const external = callResolver.collectFunctions(contract.id)
+        .filter(func => func.visibility === 'public' || func.visibility === 'external');
+      const func = finder.findFunction(external, target, callResolver);
+      if (func && (!bareTarget || func.name === target)) {
+        matches.push({ contract, func });
+      }
+    }
+    if (matches.length === 0) return null;
+
+    const [selected] = matches;
+    return {
+      contract: proxyContract,
+      fallback: callResolver.collectFunctions(proxyContract.id).find(func => func.isFallback) || null,
+      implementation: selected.contract,
+      function: selected.func,
+      selectedBy: linked.includes(selected.contract.name) ?
+        (proxyContract.proxy.pattern === 'diamond' ? 'facet' : 'implementation') : 'selector',
+      alternatives: matches.slice(1).map(match => match.contract.name)
+    };
+  }
+
+  // Call tree of a call through a proxy: the proxy's fallback, with the implementation's function
+  // as the delegated subtree, dispatched in the implementation contract
+  async buildProxyCallTree(report, treeBuilder, proxy, targetFunction, maxDepth, mostDerived) {
+    const baseRepoInfo = report.metadata.repositoryInfo;
+    const delegated = await treeBuilder.buildCallTree(
+      report.functions, targetFunction, maxDepth, proxy.fallback ? 1 : 0, new Set(), baseRepoInfo, mostDerived);
+    delegated.type = 'delegated';
+    delegated.proxy = { contract: proxy.contract.name, pattern: proxy.contract.proxy.pattern, selectedBy: proxy.selectedBy };
+    if (!proxy.fallback) return delegated;
+
+    const fallbackTree = await treeBuilder.buildCallTree(
+      report.functions, proxy.fallback, maxDepth, 0, new Set(), baseRepoInfo, proxy.contract);
+    fallbackTree.calls.push(delegated);
+    return fallbackTree;
+  }
+
+  // Index the analyzed repository for contracts implementing the called interfaces and abstract contracts
+  async findImplementations(report, implementationResolver) {
+    const abstractKinds = new Set(['interface', 'abstract']);
+    const interfaceNames = new Set([...report.functions, ...report.modifiers]
+      .flatMap(func => func.resolvedCalls || [])
+      .filter(call => call.interfaceCall)
+      .map(call => call.interfaceCall.interface)
+      .filter(name => report.contracts.some(contract => contract.name === name && abstractKinds.has(contract.kind))));
+    
+    return implementationResolver.resolveImplementations([...interfaceNames], report.metadata.repositoryInfo);
+  }
+
+  // Split a Contract.fn target into the contract named by it (or by --contract) and the function part
+  splitTarget(targetFunctionName, contractName, inheritanceResolver) {
+    const parenIndex = targetFunctionName.indexOf('(');
+    const namePart = parenIndex === -1 ? targetFunctionName : targetFunctionName.substring(0, parenIndex);
+    const dotIndex = namePart.indexOf('.');
+
+    const name = dotIndex !== -1 ? namePart.substring(0, dotIndex) : contractName;
+    const target = dotIndex !== -1 ? targetFunctionName.substring(dotIndex + 1) : targetFunctionName;
+    if (!name) return { contract: null, target };
+
+    const contract = inheritanceResolver.resolveContract(name);
+    if (!contract) {
+      throw new Error(`Contract "${name}" not found`);
+    }
+    return { contract, target };
   }
 
   // Print debug information
   printDebugInfo(report) {
-    console.log('\n=== DEBUG: Available interface files ===');
-    const interfaceFiles = report.functions
-      .filter(f => f.file && (f.file.includes('Interface') || f.file.startsWith('I')))
-      .map(f => f.file);
-    const uniqueFiles = [...new Set(interfaceFiles)];
-    uniqueFiles.forEach(file => console.log(`  - ${file}`));
+    console.log('\n=== DEBUG: Analyzed interfaces ===');
+    report.contracts
+      .filter(contract => contract.kind === 'interface')
+      .forEach(contract => console.log(`  - ${contract.name} (${contract.file}): ${contract.members.functions.join(', ')}`));
     
-    console.log('\n=== DEBUG: Functions in interface files ===');
+    console.log('\n=== DEBUG: Interface calls ===');
     report.functions
-      .filter(f => f.file && (f.file.includes('Interface') || f.file.startsWith('I') || f.file.includes('Drand')))
-      .forEach(f => console.log(`  - ${f.name} (${f.file})`));
+      .flatMap(func => (func.resolvedCalls || []).filter(call => call.interfaceCall).map(call => ({ func, call })))
+      .forEach(({ func, call }) => {
+        const { method, pattern, confidence } = call.interfaceCall;
+        console.log(`  - ${func.qualifiedName}: ${call.name} -> ${method} (${pattern}, ${confidence} confidence)`);
+      });
   }
 
   // Generate focused report with only extracted functions
-  generateFocusedReport(originalReport, extractedFunctions, targetFunction, callTree, treeBuilder) {
-    const functionsArray = Array.from(extractedFunctions.values());
+  generateFocusedReport(originalReport, extractedFunctions, targetFunction, callTree, treeBuilder, mostDerived = null, stateAccess = null) {
+    const typeKinds = ['struct', 'enum', 'userDefinedValueType'];
+    const extractedValues = Array.from(extractedFunctions.values());
+    const functionsArray = extractedValues.filter(f => !typeKinds.includes(f.type) && f.type !== 'modifier');
+    const modifiersArray = extractedValues.filter(f => f.type === 'modifier');
+    const typesArray = extractedValues.filter(f => typeKinds.includes(f.type));
     const finder = new FunctionFinder();
     
     return {
@@ -85,6 +346,10 @@ class FunctionExtractor {
         extractedAt: new Date().toISOString(),
         targetFunction: targetFunction.name,
         targetSignature: targetFunction.signature,
+        targetCanonicalSignature: targetFunction.canonicalSignature || null,
+        targetSelector: targetFunction.selector || null,
+        contract: mostDerived ? mostDerived.name : targetFunction.contract,
+        linearization: mostDerived ? mostDerived.linearization : [],
         originalAnalysis: {
           totalFiles: originalReport.metadata.totalFiles,
           totalFunctions: originalReport.summary.totalFunctions,
@@ -92,12 +357,20 @@ class FunctionExtractor {
         },
         extraction: {
           functionsExtracted: functionsArray.length,
+          modifiersExtracted: modifiersArray.length,
+          typesExtracted: typesArray.length,
+          stateVariablesRead: stateAccess ? stateAccess.reads.length : 0,
+          stateVariablesWritten: stateAccess ? stateAccess.writes.length : 0,
           maxCallDepth: treeBuilder.getMaxDepth(callTree),
-          filesInvolved: [...new Set(functionsArray.map(f => f.file))]
+          filesInvolved: [...new Set(extractedValues.map(f => f.file))],
+          implementations: treeBuilder.collectImplementations(callTree)
         }
       },
       callTree: callTree,
       functions: functionsArray.sort((a, b) => a.name.localeCompare(b.name)),
+      modifiers: modifiersArray.sort((a, b) => a.qualifiedName.localeCompare(b.qualifiedName)),
+      types: typesArray.sort((a, b) => a.qualifiedName.localeCompare(b.qualifiedName)),
+      stateAccess: stateAccess || { reads: [], writes: [] },
       summary: {
         targetFunction: targetFunction,
         totalExtractedFunctions: functionsArray.length,
@@ -113,6 +386,60 @@ class FunctionExtractor {
     await fs.promises.writeFile(outputPath, jsonOutput, 'utf8');
     console.log(`Function extraction report saved to: ${outputPath}`);
   }
+
+  // Save a context bundle
+  async saveBundle(markdown, outputPath) {
+    await fs.promises.writeFile(outputPath, markdown, 'utf8');
+    console.log(`Context bundle saved to: ${outputPath}`);
+  }
+}
+
+// Print the checks-effects-interactions report of the target function
+function printCei(cei) {
+  const at = location => location ? `line ${location.start.line}` : 'unknown line';
+
+  console.log('\n=== Checks-Effects-Interactions ===');
+  console.log(`Status: ${cei.status}${cei.guardedBy.length > 0 ? ` (guarded by ${cei.guardedBy.join(', ')})` : ''}`);
+  console.log(`External calls: ${cei.interactions.map(i => `${i.name} [${i.kind}] at ${at(i.location)}`).join(', ') || 'none'}`);
+  cei.violations.forEach(violation => {
+    console.log(`  ${violation.variable} written at ${at(violation.location)} in ${violation.function}, ` +
+      `after ${violation.after.name} at ${at(violation.after.location)} in ${violation.after.function}`);
+  });
+}
+
+// Print the caller tree, entry points and summary of a --callers report
+function printCallers(report) {
+  console.log('\n=== Caller Tree ===');
+  new CallerTreeBuilder().printCallerTree(report.callerTree);
+
+  console.log('\n=== Entry Points ===');
+  if (report.entryPoints.length === 0) {
+    console.log('No public or external function reaches the target');
+  }
+  report.entryPoints.forEach(entryPoint => {
+    console.log(`${entryPoint.qualifiedName} (${entryPoint.file})`);
+    entryPoint.paths.forEach(path => console.log(`  ${path.join(' -> ')}`));
+  });
+
+  console.log('\n=== Caller Summary ===');
+  console.log(`Target function: ${report.summary.targetFunction.name}`);
+  console.log(`Callers found: ${report.summary.totalCallers}`);
+  console.log(`Entry points: ${report.summary.totalEntryPoints}`);
+  console.log(`Maximum caller depth: ${report.metadata.extraction.maxCallerDepth}`);
+  console.log(`Files involved: ${report.metadata.extraction.filesInvolved.length}`);
+}
+
+// Print what a context bundle holds and what did not fit its budget
+function printBundle(bundle) {
+  const at = entry => entry.file ? ` (${entry.file}${entry.line ? `:${entry.line}` : ''})` : '';
+
+  console.log('\n=== Context Bundle ===');
+  console.log(`Sections: ${bundle.included.length}, ${bundle.markdown.length} characters`);
+  bundle.included.forEach(entry => console.log(`  ${entry.kind}: ${entry.name}${at(entry)}`));
+  if (bundle.omitted.length > 0) {
+    console.log(`Omitted to fit the budget: ${bundle.omitted.length}`);
+    bundle.omitted.forEach(entry => console.log(`  ${entry.kind}: ${entry.name}${at(entry)}, depth ${entry.depth}`));
+  }
 }
 
 // CLI interface
@@ -121,18 +448,28 @@ async function main() {
   
   if (args.length < 2) {
     console.log(`
-Usage: node function-extractor-main.js <github-blob-url> <function-name> [options]
+Usage: node function-extractor-main.js <github-blob-url | local-path> <function-name> [options]
 
 Arguments:
   github-blob-url    GitHub URL to the Solidity contract
-  function-name      Name of the function to extract
+  local-path         Local Solidity file or project directory
+  function-name      Function to extract: name, Contract.name, signature such as
+                     transfer(address,uint256), or selector such as 0xa9059cbb
 
 Options:
-  --output=FILE      Output file for JSON report (default: function-extraction.json)
+  --output=FILE      Output file (default: function-extraction.json, or function-context.md with --bundle)
   --max-depth=N      Maximum call tree depth (default: 10)
   --no-deps          Skip dependency resolution (faster)
-  --no-modifiers     Exclude modifiers from extraction
+  --no-modifiers     Don't follow modifiers and base constructor calls or extract modifiers
   --include-events   Include events in extraction
+  --no-types         Exclude the structs, enums and value types the functions use
+  --no-implementations  Don't index the repository for contracts implementing called interfaces
+  --contract=NAME    Follow overrides as they run in this (most-derived) contract
+  --cei              Report state writes after external calls (checks-effects-interactions)
+  --callers          Find the functions that call the target and the entry points reaching it
+  --bundle           Write one Markdown context bundle instead of the JSON report
+  --max-chars=N      Character budget of the bundle; the deepest and least relevant entries are dropped first
+  --max-tokens=N     Token budget of the bundle, at about 4 characters per token
   --tree-only        Only print call tree, don't save report
   --debug            Enable debug output to diagnose interface detection
 
@@ -142,17 +479,41 @@ Examples:
 
   # Extract with debug output to see interface detection
   node function-extractor-main.js https://github.com/owner/repo/blob/main/Contract.sol requestRandomness --debug
+
+  # Extract from a local checkout
+  node function-extractor-main.js ./src/Vault.sol withdraw
+
+  # Pick one overload by signature or selector
+  node function-extractor-main.js ./src/Token.sol "safeTransferFrom(address,address,uint256)"
+  node function-extractor-main.js ./src/Token.sol 0xa9059cbb
+
+  # Extract an inherited function as it runs in a derived contract
+  node function-extractor-main.js ./src/Token.sol MyToken.transfer
+
+  # Find every function and entry point that reaches an internal function
+  node function-extractor-main.js ./src/StakingRewards.sol _updateReward --callers
+
+  # Write the context of a function for review tooling, in at most 8000 tokens
+  node function-extractor-main.js ./src/Vault.sol withdraw --bundle --max-tokens=8000
 `);
     process.exit(1);
   }
 
   const githubUrl = args[0];
   const functionName = args[1];
-  let outputFile = 'function-extraction.json';
+  let outputFile = null;
   let maxDepth = 10;
   let resolveDependencies = true;
   let includeModifiers = true;
   let includeEvents = false;
+  let includeTypes = true;
+  let resolveImplementations = true;
+  let cei = false;
+  let callers = false;
+  let bundle = false;
+  let maxChars = null;
+  let maxTokens = null;
+  let contractName = null;
   let treeOnly = false;
   let debug = false;
 
@@ -169,6 +530,22 @@ Examples:
       includeModifiers = false;
     } else if (arg === '--include-events') {
       includeEvents = true;
+    } else if (arg === '--no-types') {
+      includeTypes = false;
+    } else if (arg === '--no-implementations') {
+      resolveImplementations = false;
+    } else if (arg === '--cei') {
+      cei = true;
+    } else if (arg === '--callers') {
+      callers = true;
+    } else if (arg === '--bundle') {
+      bundle = true;
+    } else if (arg.startsWith('--max-chars=')) {
+      maxChars = parseInt(arg.split('=')[1]) || null;
+    } else if (arg.startsWith('--max-tokens=')) {
+      maxTokens = parseInt(arg.split('=')[1]) || null;
+    } else if (arg.startsWith('--contract=')) {
+      contractName = arg.split('=')[1];
     } else if (arg === '--tree-only') {
       treeOnly = true;
     } else if (arg === '--debug') {
@@ -178,12 +555,55 @@ Examples:
 
   try {
     const extractor = new FunctionExtractor();
+
+    if (callers) {
+      const report = await extractor.extractCallers(githubUrl, functionName, {
+        maxDepth,
+        includeModifiers,
+        resolveDependencies,
+        contractName,
+        debug
+      });
+
+      printCallers(report);
+      if (!treeOnly) {
+        await extractor.saveReport(report, outputFile || 'function-extraction.json');
+      }
+      return;
+    }
+
+    if (bundle) {
+      const context = await extractor.extractContext(githubUrl, functionName, {
+        maxDepth,
+        includeModifiers,
+        includeEvents,
+        includeTypes,
+        resolveDependencies,
+        resolveImplementations,
+        contractName,
+        debug,
+        maxChars,
+        maxTokens
+      });
+
+      console.log('\n=== Call Tree ===');
+      new CallTreeBuilder().printCallTree(context.report.callTree);
+      printBundle(context);
+      if (!treeOnly) {
+        await extractor.saveBundle(context.markdown, outputFile || 'function-context.md');
+      }
+      return;
+    }
     
     const report = await extractor.extractFunction(githubUrl, functionName, {
       maxDepth,
       includeModifiers,
       includeEvents,
+      includeTypes,
       resolveDependencies,
+      resolveImplementations,
+      cei,
+      contractName,
       debug
     });
 
@@ -194,6 +614,10 @@ Examples:
     console.log('\n=== Extraction Summary ===');
     console.log(`Target function: ${report.summary.targetFunction.name}`);
     console.log(`Functions extracted: ${report.summary.totalExtractedFunctions}`);
+    console.log(`Modifiers extracted: ${report.metadata.extraction.modifiersExtracted}`);
+    console.log(`Types extracted: ${report.metadata.extraction.typesExtracted}`);
+    console.log(`State variables read: ${report.stateAccess.reads.map(v => v.qualifiedName || v.name).join(', ') || 'none'}`);
+    console.log(`State variables written: ${report.stateAccess.writes.map(v => v.qualifiedName || v.name).join(', ') || 'none'}`);
     console.log(`Maximum call depth: ${report.metadata.extraction.maxCallDepth}`);
     console.log(`Files involved: ${report.metadata.extraction.filesInvolved.length}`);
     
@@ -202,8 +626,12 @@ Examples:
       console.log(`  ${file}: ${functions.join(', ')}`);
     });
 
+    if (report.cei) {
+      printCei(report.cei);
+    }
+
     if (!treeOnly) {
-      await extractor.saveReport(report, outputFile);
+      await extractor.saveReport(report, outputFile || 'function-extraction.json');
       
       console.log('\n=== Extracted Functions ===');
       report.functions.forEach(func => {
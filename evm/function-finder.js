@@ -7,15 +7,32 @@ class FunctionFinder {
     this.debug = options.debug || false;
   }
 
-  // Find function by name (handles overloads)
-  findFunction(functions, targetName) {
+  // Find function by name, Contract.name, full signature such as transfer(address,uint256)
+  // or 4-byte selector such as 0xa9059cbb. Overloads that remain ambiguous are reported, not guessed
+  findFunction(functions, targetName, callResolver = null) {
     if (this.debug) {
       console.log(`\n=== DEBUG: Searching for function "${targetName}" ===`);
       console.log(`Available functions: ${functions.filter(f => f.type !== 'event').length}`);
     }
 
-    // First try exact name match
-    let matches = functions.filter(f => f.name === targetName && f.type !== 'event');
+    const candidates = functions.filter(f => f.type !== 'event');
+    let matches;
+
+    if (this.isSelector(targetName)) {
+      matches = candidates.filter(f => f.selector === targetName.toLowerCase());
+    } else if (targetName.includes('(')) {
+      const signature = this.normalizeSignature(targetName);
+      matches = candidates.filter(f => [f.canonicalSignature, this.getDeclaredSignature(f)]
+        .filter(Boolean)
+        .some(candidate => candidate === signature || `${f.contract}.${candidate}` === signature));
+    } else {
+      // Exact name match (or Contract.function qualified name)
+      matches = targetName.includes('.') ?
+        candidates.filter(f => f.qualifiedName === targetName) :
+        candidates.filter(f => f.name === targetName);
+    }
+
+    matches = this.narrowMatches(matches, callResolver);
     
     if (matches.length === 1) {
       if (this.debug) {
@@ -25,16 +42,19 @@ class FunctionFinder {
     }
     
     if (matches.length > 1) {
-      console.log(`Multiple functions found with name "${targetName}":`);
-      matches.forEach((f, i) => {
-        console.log(`  ${i + 1}. ${f.signature}`);
-      });
-      return matches[0]; // Return first match
+      const options = matches.map(f =>
+        `  ${f.qualifiedName || f.name}: ${f.canonicalSignature || f.signature}${f.selector ? ` (${f.selector})` : ''}`
+      );
+      throw new Error(`Multiple functions match "${targetName}", specify Contract.name, a signature or a selector:\n${options.join('\n')}`);
+    }
+    
+    if (targetName.includes('(') || this.isSelector(targetName)) {
+      return null;
     }
     
     // Try partial match on signature
-    matches = functions.filter(f => 
-      f.signature && f.signature.includes(targetName) && f.type !== 'event'
+    matches = candidates.filter(f => 
+      f.signature && f.signature.includes(targetName)
     );
     
     if (matches.length > 0) {
@@ -50,12 +70,59 @@ class FunctionFinder {
     return null;
   }
 
+  // Drop interface declarations and overridden implementations when something more specific matches
+  narrowMatches(matches, callResolver) {
+    if (matches.length <= 1) return matches;
+
+    const implemented = matches.filter(f => f.isImplemented !== false);
+    let narrowed = implemented.length > 0 ? implemented : matches;
+
+    if (callResolver) {
+      const inheritanceResolver = callResolver.inheritanceResolver;
+      narrowed = narrowed.filter(f => !narrowed.some(other =>
+        other !== f &&
+        other.contract && f.contract &&
+        callResolver.getParameterKey(other) === callResolver.getParameterKey(f) &&
+        inheritanceResolver.inheritsFrom(callResolver.getContractId(other), callResolver.getContractId(f)) &&
+        callResolver.getContractId(other) !== callResolver.getContractId(f)
+      ));
+    }
+
+    return narrowed;
+  }
+
+  // Signature with the parameter types as declared, e.g. deposit(IERC20,uint256)
+  getDeclaredSignature(func) {
+    if (!func.parameters) return null;
+    return this.normalizeSignature(`${func.name}(${func.parameters.map(p => p.type).join(',')})`);
+  }
+
+  // Check if a target is a 4-byte function selector
+  isSelector(targetName) {
+    return /^0x[0-9a-fA-F]{8}$/.test(targetName);
+  }
+
+  // Canonicalize a user-supplied signature: drop parameter names and spaces, expand uint/int aliases
+  normalizeSignature(signature) {
+    const openIndex = signature.indexOf('(');
+    const name = signature.substring(0, openIndex).trim();
+    const parameterList = signature.substring(openIndex + 1, signature.lastIndexOf(')'));
+    const types = parameterList
+      .split(',')
+      .map(parameter => parameter.trim().split(/\s+/)[0])
+      .filter(Boolean)
+      .map(type => type
+        .replace(/\b(u?int)\b/g, '$1256')
+        .replace(/\bbyte\b/g, 'bytes1'));
+    return `${name}(${types.join(',')})`;
+  }
+
   // List available functions for error messages
   listAvailableFunctions(functions) {
     return functions
       .filter(f => f.type !== 'event')
-      .map(f => f.name)
-      .filter(name => name && name !== '<constructor>')
+      .filter(f => f.name && f.name !== '<constructor>')
+      .map(f => f.canonicalSignature || f.name)
       .join(', ');
   }
 
@@ -64,19 +131,39 @@ class FunctionFinder {
     const extracted = new Map();
     
     const traverse = (node) => {
-      if (node.external && !node.definition) return;
+      if (node.external) return;
       
-      // Find the actual function object
-      const func = allFunctions.find(f => f.name === node.name || 
-        (node.methodName && f.name === node.methodName));
+      // Ambiguous overloads: keep every candidate so the context is complete
+      if (node.ambiguous) {
+        (node.candidates || []).forEach(candidateId => {
+          const candidate = allFunctions.find(f => f.id === candidateId);
+          if (candidate) extracted.set(this.getFunctionKey(candidate), candidate);
+        });
+        return;
+      }
       
-      if (func && func.type !== 'event') {
-        extracted.set(func.name, func);
+      // Modifiers are listed apart from functions; the functions they call are part of the tree
+      if (node.type === 'modifier') {
+        const modifier = (options.modifiers || []).find(m => m.id === node.id);
+        if (modifier) extracted.set(`modifier_${this.getFunctionKey(modifier)}`, modifier);
+        (node.calls || []).forEach(traverse);
+        return;
       }
       
-      // If it's an interface call with definition, include that too
-      if (node.definition) {
-        extracted.set(node.definition.name, node.definition);
+      // Yul functions are part of the source of the function whose assembly defines them
+      if (node.type === 'yul') {
+        (node.calls || []).forEach(traverse);
+        return;
+      }
+      
+      // Find the actual function object, by canonical id when the node has one;
+      // interface calls resolved from declared types carry the id of the interface method
+      const func = node.id ?
+        allFunctions.find(f => f.id === node.id) :
+        allFunctions.find(f => f.name === node.name);
+      
+      if (func && func.type !== 'event') {
+        extracted.set(this.getFunctionKey(func), func);
       }
       
       // Process called functions
@@ -87,23 +174,27 @@ class FunctionFinder {
 
     traverse(callTree);
 
-    // Add modifiers if requested
-    if (options.includeModifiers) {
-      for (const func of extracted.values()) {
-        if (func.modifiers) {
-          func.modifiers.forEach(modifierName => {
-            const modifier = allFunctions.find(f => f.name === modifierName);
-            if (modifier) {
-              extracted.set(`modifier_${modifierName}`, modifier);
-            }
-          });
-        }
+    // Add the structs, enums and value types the extracted functions use, following struct members
+    if (options.includeTypes && options.types) {
+      const typesById = new Map(options.types.map(typeInfo => [typeInfo.id, typeInfo]));
+      const pending = [...extracted.values()].flatMap(func => func.referencedTypes || []);
+
+      while (pending.length > 0) {
+        const typeInfo = typesById.get(pending.pop());
+        if (!typeInfo || extracted.has(`type_${typeInfo.id}`)) continue;
+        extracted.set(`type_${typeInfo.id}`, typeInfo);
+        pending.push(...(typeInfo.referencedTypes || []));
       }
     }
 
     return extracted;
   }
 
+  // Key extracted functions by canonical id, falling back to file and name
+  getFunctionKey(func) {
+    return func.id || `${func.file}:${func.name}`;
+  }
+
   // Group functions by file
   groupByFile(functions) {
     const grouped = {};
@@ -116,6 +207,35 @@ class FunctionFinder {
     });
     return grouped;
   }
+
+  // State variables read and written by any of the functions and modifiers, with the ids of those that access them
+  summarizeStateAccess(functions, stateVariables) {
+    const stateVariablesById = new Map(stateVariables.map(stateVar => [stateVar.id, stateVar]));
+    const summarize = field => {
+      const accessedBy = new Map(); // state variable id -> function ids
+      for (const func of functions) {
+        for (const id of func[field] || []) {
+          if (!accessedBy.has(id)) accessedBy.set(id, []);
+          accessedBy.get(id).push(func.id);
+        }
+      }
+
+      return [...accessedBy.entries()]
+        .map(([id, functionIds]) => {
+          const stateVar = stateVariablesById.get(id);
+          return {
+            id,
+            name: stateVar ? stateVar.name : id.substring(id.lastIndexOf('.') + 1),
+            qualifiedName: stateVar ? stateVar.qualifiedName : null,
+            type: stateVar ? stateVar.type : null,
+            functions: functionIds
+          };
+        })
+        .sort((a, b) => a.id.localeCompare(b.id));
+    };
+
+    return { reads: summarize('stateReads'), writes: summarize('stateWrites') };
+  }
 }
 
 module.exports = FunctionFinder;
\ No newline at end of file
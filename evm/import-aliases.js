@@ -0,0 +1,78 @@
+/**
+ * Import Aliases
+ * Tracks the names each file imports under another name, import {A as B} and
+ * import "x" as L (or import * as L from "x"), from the import graph, so that
+ * B, L.A and aliases of aliases resolve to the declared name and the file
+ * it is seen from
+ */
+class ImportAliases {
+  constructor(importEdges = []) {
+    this.importsByFile = new Map(); // file -> import graph edges of its import directives
+    this.aliases = new Map(); // file -> { symbols, units }
+
+    for (const edge of importEdges) {
+      if (!this.importsByFile.has(edge.from)) {
+        this.importsByFile.set(edge.from, []);
+      }
+      this.importsByFile.get(edge.from).push(edge);
+    }
+  }
+
+  // Names a file sees under another name: symbols maps each alias to the { name, file } it stands for,
+  // following aliases the imported file made itself; units maps each whole-file import name to its file
+  getAliases(file) {
+    if (!this.aliases.has(file)) {
+      // Placeholder while the file's imports are followed, should they lead back to it
+      this.aliases.set(file, { symbols: new Map(), units: new Map() });
+      this.aliases.set(file, this.collectAliases(file));
+    }
+    return this.aliases.get(file);
+  }
+
+  // Aliases made by the import directives of one file
+  collectAliases(file) {
+    const symbols = new Map();
+    const units = new Map();
+
+    for (const edge of this.importsByFile.get(file) || []) {
+      const imported = edge.to ? this.getAliases(edge.to).symbols : new Map();
+
+      if (edge.unitAlias) {
+        if (edge.to) units.set(edge.unitAlias, edge.to);
+      } else if (!edge.symbolAliases) {
+        // import "x" makes the aliases of x visible too
+        imported.forEach((target, alias) => symbols.set(alias, target));
+      }
+      for (const [name, alias] of edge.symbolAliases || []) {
+        const target = imported.get(name) || { name, file: edge.to };
+        if ((alias || name) !== target.name) symbols.set(alias || name, target);
+      }
+    }
+    return { symbols, units };
+  }
+
+  // Declared name path of a name as written in a file, and the file to look it up from:
+  // B -> A and L.A -> A, seen from the imported file; names without an alias are returned as written
+  resolve(namePath, fromFile) {
+    let [first, ...rest] = namePath.split('.');
+    let file = fromFile;
+
+    while (file) {
+      const { symbols, units } = this.getAliases(file);
+      if (units.has(first) && rest.length > 0) {
+        file = units.get(first);
+        [first, ...rest] = rest;
+        continue;
+      }
+      if (symbols.has(first)) {
+        const target = symbols.get(first);
+        return { namePath: [target.name, ...rest].join('.'), file: target.file || file };
+      }
+      break;
+    }
+
+    return { namePath: [first, ...rest].join('.'), file };
+  }
+}
+
+module.exports = ImportAliases;
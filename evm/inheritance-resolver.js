@@ -0,0 +1,184 @@
+const ImportAliases = require('./import-aliases.js');
+
+/**
+ * Inheritance Resolver
+ * Computes C3 linearization of contracts the way the Solidity compiler does
+ */
+class InheritanceResolver {
+  constructor(contracts = [], importEdges = []) {
+    this.contracts = contracts;
+    this.contractsById = new Map(contracts.map(contract => [contract.id, contract]));
+    this.contractsByName = new Map(); // name -> contracts with that name
+    this.importsByFile = new Map(); // file -> files it imports
+    this.importAliases = new ImportAliases(importEdges);
+    this.linearizations = new Map(); // contract id -> linearized contract ids
+    this.errors = new Map(); // contract id -> linearization error
+
+    for (const contract of contracts) {
+      if (!this.contractsByName.has(contract.name)) {
+        this.contractsByName.set(contract.name, []);
+      }
+      this.contractsByName.get(contract.name).push(contract);
+    }
+
+    for (const edge of importEdges) {
+      if (!edge.to) continue;
+      if (!this.importsByFile.has(edge.from)) {
+        this.importsByFile.set(edge.from, []);
+      }
+      this.importsByFile.get(edge.from).push(edge.to);
+    }
+  }
+
+  // Resolve a contract name as seen from a file: same file first, then files it imports.
+  // Import aliases are followed, so B of import {A as B} and L.A of import "x" as L find A
+  resolveContract(name, fromFile = null) {
+    const { namePath, file: scope } = this.importAliases.resolve(name, fromFile);
+    const candidates = this.contractsByName.get(namePath) || [];
+    if (candidates.length <= 1 || !scope) {
+      return candidates[0] || null;
+    }
+
+    const visited = new Set([scope]);
+    let frontier = [scope];
+
+    while (frontier.length > 0) {
+      const match = candidates.find(contract => frontier.includes(contract.file));
+      if (match) return match;
+
+      const next = [];
+      for (const file of frontier) {
+        for (const imported of this.importsByFile.get(file) || []) {
+          if (!visited.has(imported)) {
+            visited.add(imported);
+            next.push(imported);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return candidates[0];
+  }
+
+  // Files whose declarations are visible from a file: the file itself and the files it imports, transitively
+  getVisibleFiles(fromFile) {
+    const visible = new Set([fromFile]);
+    const pending = [fromFile];
+
+    while (pending.length > 0) {
+      for (const imported of this.importsByFile.get(pending.shift()) || []) {
+        if (!visible.has(imported)) {
+          visible.add(imported);
+          pending.push(imported);
+        }
+      }
+    }
+    return visible;
+  }
+
+  // Get a contract by id or by name
+  getContract(contractRef) {
+    if (!contractRef) return null;
+    if (typeof contractRef !== 'string') return contractRef;
+    return this.contractsById.get(contractRef) || this.resolveContract(contractRef);
+  }
+
+  // Linearize a contract: most derived first, e.g. [Vault, Ownable, Context]
+  linearize(contractRef) {
+    const contract = this.getContract(contractRef);
+    if (!contract) return [];
+    return this.linearizeIds(contract.id, new Set())
+      .map(id => this.contractsById.get(id) || { id, name: id.split(':').pop(), external: true });
+  }
+
+  // Linearize contract names only
+  linearizeNames(contractRef) {
+    return this.linearize(contractRef).map(contract => contract.name);
+  }
+
+  // C3 linearization over contract ids; bases not in the analyzed set are treated as leaves
+  linearizeIds(contractId, inProgress) {
+    if (this.linearizations.has(contractId)) {
+      return this.linearizations.get(contractId);
+    }
+
+    const contract = this.contractsById.get(contractId);
+    if (!contract || inProgress.has(contractId)) {
+      return [contractId];
+    }
+
+    inProgress.add(contractId);
+
+    // Solidity lists bases from "most base" to "most derived", so merge them in reverse
+    const baseIds = (contract.baseContracts || [])
+      .map(baseName => {
+        const base = this.resolveContract(baseName, contract.file);
+        return base ? base.id : `?:${baseName}`;
+      })
+      .reverse();
+
+    const sequences = baseIds
+      .map(baseId => [...this.linearizeIds(baseId, inProgress)])
+      .concat([[...baseIds]])
+      .filter(sequence => sequence.length > 0);
+
+    const result = [contractId];
+
+    while (sequences.some(sequence => sequence.length > 0)) {
+      const candidate = this.findMergeCandidate(sequences);
+
+      if (!candidate) {
+        // Inconsistent hierarchy: record it and append the remaining bases in declaration order
+        this.errors.set(contractId, `Linearization of inheritance graph impossible for ${contract.name}`);
+        for (const sequence of sequences) {
+          for (const id of sequence) {
+            if (!result.includes(id)) result.push(id);
+          }
+        }
+        break;
+      }
+
+      result.push(candidate);
+      for (const sequence of sequences) {
+        if (sequence[0] === candidate) {
+          sequence.shift();
+        }
+      }
+    }
+
+    inProgress.delete(contractId);
+    this.linearizations.set(contractId, result);
+    return result;
+  }
+
+  // Pick the first head that does not appear in the tail of any sequence
+  findMergeCandidate(sequences) {
+    for (const sequence of sequences) {
+      if (sequence.length === 0) continue;
+
+      const head = sequence[0];
+      const inTail = sequences.some(other => other.indexOf(head) > 0);
+      if (!inTail) {
+        return head;
+      }
+    }
+    return null;
+  }
+
+  // Check whether a contract inherits from another (directly or indirectly)
+  inheritsFrom(contractRef, baseRef) {
+    const contract = this.getContract(contractRef);
+    const base = this.getContract(baseRef);
+    if (!contract || !base) return false;
+    return this.linearizeIds(contract.id, new Set()).includes(base.id);
+  }
+
+  // Get the linearization error recorded for a contract, if any
+  getError(contractRef) {
+    const contract = this.getContract(contractRef);
+    return contract ? this.errors.get(contract.id) || null : null;
+  }
+}
+
+module.exports = InheritanceResolver;
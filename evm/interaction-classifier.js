@@ -0,0 +1,186 @@
+// Address members that call out: low-level calls and ETH transfers
+const LOW_LEVEL_CALLS = new Set(['call', 'delegatecall', 'staticcall']);
+const VALUE_TRANSFERS = new Set(['send', 'transfer']);
+
+// Options of a call, set with {value: v, gas: g, salt: s} or the pre-0.7 .value(v).gas(g) form
+const CALL_OPTIONS = new Set(['value', 'gas', 'salt']);
+
+/**
+ * Interaction Classifier
+ * Classifies the calls that leave the contract: high-level calls on other contracts,
+ * call/delegatecall/staticcall, send/transfer, selfdestruct and contract creation
+ * with new (create) or new{salt} (create2), with their call options, whether they
+ * send ETH and whether their return value is checked
+ */
+class InteractionClassifier {
+  // Call options and the callee they apply to: a.call{value: v}(data) -> { callee: a.call, options: { value } }
+  unwrapCallOptions(callee) {
+    const options = {};
+    let current = callee;
+
+    while (current) {
+      if (current.type === 'NameValueExpression') {
+        const list = current.arguments || {};
+        (list.names || []).forEach((name, i) => {
+          options[name] = list.arguments[i];
+        });
+        current = current.expression;
+      } else if (this.isOptionSetter(current)) {
+        options[current.expression.memberName] = current.arguments[0];
+        current = current.expression.expression;
+      } else {
+        break;
+      }
+    }
+
+    return { callee: current, options };
+  }
+
+  // a.call.value(v) or new C.value(v) in pre-0.7 code: a call that sets an option of another call
+  isOptionSetter(callNode) {
+    const callee = callNode && callNode.type === 'FunctionCall' ? callNode.expression : null;
+    return !!callee && callee.type === 'MemberAccess' && CALL_OPTIONS.has(callee.memberName) &&
+      (callNode.arguments || []).length === 1 && this.isOptionTarget(callee.expression);
+  }
+
+  // Callees that take call options: address calls, member calls on contracts and new C
+  isOptionTarget(expression) {
+    if (!expression) return false;
+    if (expression.type === 'NewExpression') return true;
+    if (expression.type === 'FunctionCall') return this.isOptionSetter(expression);
+    return expression.type === 'MemberAccess' && !CALL_OPTIONS.has(expression.memberName);
+  }
+
+  // Classify a call node: { kind, category, sendsValue, options }, or null for calls that stay in the contract.
+  // call carries receiverType and target from type inference; getSource turns an expression into its text
+  classify(callNode, call, getSource) {
+    const { callee, options } = this.unwrapCallOptions(callNode.expression);
+    if (!callee) return null;
+
+    const optionSource = {};
+    for (const [name, expression] of Object.entries(options)) {
+      optionSource[name] = getSource(expression);
+    }
+
+    const sendsValue = options.value !== undefined && !this.isZero(options.value);
+    const interaction = (kind, category, sends = sendsValue) =>
+      ({ kind, category, sendsValue: sends, options: optionSource });
+
+    if (callee.type === 'NewExpression') {
+      if (!callee.typeName || callee.typeName.type !== 'UserDefinedTypeName') return null; // new bytes(n), new T[](n)
+      return interaction(options.salt !== undefined ? 'create2' : 'create', 'creation');
+    }
+
+    if (callee.type === 'Identifier') {
+      return callee.name === 'selfdestruct' || callee.name === 'suicide' ?
+        interaction('selfdestruct', 'selfdestruct', true) : null;
+    }
+
+    if (callee.type !== 'MemberAccess') return null;
+
+    // Calls on a value of contract type are high-level calls, whatever the method is called
+    if (call.target) {
+      return interaction('interface', 'highLevel');
+    }
+
+    const onAddress = this.isAddressType(call.receiverType);
+    if (LOW_LEVEL_CALLS.has(callee.memberName) && (onAddress || !call.receiverType)) {
+      return interaction(callee.memberName, 'lowLevel');
+    }
+    if (VALUE_TRANSFERS.has(callee.memberName) &&
+      (onAddress || (!call.receiverType && (callNode.arguments || []).length === 1))) {
+      return interaction(callee.memberName, 'valueTransfer', true);
+    }
+
+    return null;
+  }
+
+  // Whether a type is address or address payable
+  isAddressType(type) {
+    return !!type && type.replace(/\s+payable$/, '') === 'address';
+  }
+
+  // Literal zero, e.g. {value: 0}
+  isZero(expression) {
+    return expression.type === 'NumberLiteral' && Number(expression.number) === 0;
+  }
+
+  // Parent of every node in a body, for looking at where a call's result goes
+  buildParentMap(body) {
+    const parents = new Map();
+    const walk = (node, parent) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(child => walk(child, parent));
+        return;
+      }
+      if (!node.type) return;
+
+      if (parent) parents.set(node, parent);
+      for (const [key, value] of Object.entries(node)) {
+        if (key !== 'loc' && key !== 'range') walk(value, node);
+      }
+    };
+
+    walk(body, null);
+    return parents;
+  }
+
+  // Whether a call's return value is used: tested, passed on, returned, or stored in a variable read later.
+  // Of the (success, data) a low-level call or send returns, only the success flag counts
+  isReturnChecked(callNode, parents, body, interaction = null) {
+    const successOnly = !!interaction && (interaction.category === 'lowLevel' || interaction.kind === 'send');
+    let node = callNode;
+    let parent = parents.get(node);
+
+    // (a.call(data)) is the same value
+    while (parent && parent.type === 'TupleExpression' && parent.components.length === 1) {
+      node = parent;
+      parent = parents.get(node);
+    }
+
+    if (!parent || parent.type === 'ExpressionStatement') return false;
+
+    if (parent.type === 'VariableDeclarationStatement') {
+      const variables = parent.variables || [];
+      const names = (successOnly ? variables.slice(0, 1) : variables).filter(Boolean).map(variable => variable.name);
+      return names.some(name => this.countIdentifiers(body, name) > 0);
+    }
+
+    // Assigned to existing variables: (success, ) = a.call(data)
+    if (parent.type === 'BinaryOperation' && parent.operator === '=' && parent.right === node) {
+      const components = parent.left.type === 'TupleExpression' ? parent.left.components : [parent.left];
+      const targets = (successOnly ? components.slice(0, 1) : components).filter(Boolean);
+      return targets.some(target =>
+        target.type !== 'Identifier' || this.countIdentifiers(body, target.name) > 1);
+    }
+
+    return true;
+  }
+
+  // Number of identifiers with a name in a body
+  countIdentifiers(body, name) {
+    let count = 0;
+    const walk = node => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(walk);
+        return;
+      }
+      // Declarations name their variable through an identifier too; only uses count
+      if (node.type === 'VariableDeclaration') {
+        walk(node.expression);
+        return;
+      }
+      if (node.type === 'Identifier' && node.name === name) count++;
+      for (const [key, value] of Object.entries(node)) {
+        if (key !== 'loc' && key !== 'range') walk(value);
+      }
+    };
+
+    walk(body);
+    return count;
+  }
+}
+
+module.exports = InteractionClassifier;
@@ -1,225 +1,80 @@
-const ImplementationResolver = require('./implementation-resolver.js');
+const TypeInference = require('./type-inference.js');
 
 /**
  * Interface Call Detector
- * Analyzes Solidity source code to find interface method calls and their implementations
+ * Finds the contract or interface a member call is made on from the declared
+ * types in the AST: state variables, locals, parameters, casts such as
+ * IERC20(addr), and the return values of functions and getters
  */
 class InterfaceDetector {
   constructor(options = {}) {
     this.debug = options.debug || false;
-    this.resolveImplementations = options.resolveImplementations !== false; // Default true
-    this.implementationResolver = new ImplementationResolver({ debug: this.debug });
+    this.typeInference = options.typeInference || new TypeInference();
   }
 
-  // Extract interface calls from source code with implementation resolution
-  extractInterfaceCalls(sourceCode, allFunctions, baseRepoInfo = null) {
-    const interfaceCalls = [];
-    
-    if (this.debug) {
-      console.log(`\n=== DEBUG: Analyzing source code (${sourceCode.length} chars) ===`);
-    }
-    
-    // Pattern 1: InterfaceName(address).methodName()
-    this.findDirectInterfaceCalls(sourceCode, allFunctions, interfaceCalls);
-    
-    // Pattern 2: Variable declarations with interface casting
-    this.findVariableInterfaceCalls(sourceCode, allFunctions, interfaceCalls);
-    
-    // Pattern 3: Method calls on variables
-    this.findMethodCalls(sourceCode, allFunctions, interfaceCalls);
-    
-    // Pattern 4: Search by function name in interface files
-    this.findByFunctionName(sourceCode, allFunctions, interfaceCalls);
-    
-    if (this.debug) {
-      console.log(`Found ${interfaceCalls.length} interface calls total`);
-    }
-    
-    // Resolve implementations if enabled
-    if (this.resolveImplementations && baseRepoInfo) {
-      const implementations = this.implementationResolver.resolveImplementations(
-        interfaceCalls, 
-        allFunctions, 
-        baseRepoInfo
-      );
-      
-      if (implementations.size > 0) {
-        const enhancedCalls = this.implementationResolver.enhanceInterfaceCallsWithImplementations(
-          interfaceCalls, 
-          implementations
-        );
-        
-        if (this.debug) {
-          console.log(`\n=== DEBUG: Enhanced ${enhancedCalls.filter(c => c.implementation).length} calls with implementations ===`);
-          enhancedCalls.forEach(call => {
-            if (call.implementation) {
-              console.log(`  ${call.name} -> ${call.implementation.contractName} (${(call.implementation.matchRatio * 100).toFixed(1)}% match)`);
-            }
-          });
-        }
-        
-        return enhancedCalls;
+  // Detect the contract type of a member call's receiver: { contract, pattern }, or null for non-contract values.
+  // lookup provides describeIdentifier, isContract, resolveReturnType and resolveMemberType
+  detectReceiver(receiver, lookup) {
+    if (!receiver) return null;
+
+    switch (receiver.type) {
+      case 'Identifier':
+        return this.detectIdentifier(receiver.name, lookup);
+      case 'FunctionCall':
+        return this.detectCallResult(receiver, lookup);
+      case 'IndexAccess': {
+        // pools[id].swap(): the element type of a mapping or array of contracts
+        const elementType = this.typeInference.getElementType(
+          this.typeInference.inferExpressionType(receiver.base, lookup));
+        return this.asContract(elementType, 'element', lookup);
       }
+      case 'TupleExpression':
+        return receiver.components && receiver.components.length === 1 ?
+          this.detectReceiver(receiver.components[0], lookup) : null;
+      default:
+        return null;
     }
-    
-    return interfaceCalls;
   }
 
-  // Pattern 1: InterfaceName(address).methodName()
-  findDirectInterfaceCalls(sourceCode, allFunctions, interfaceCalls) {
-    const interfaceCallPattern = /(\w+)\([^)]+\)\.(\w+)\s*\(/g;
-    
-    let match;
-    while ((match = interfaceCallPattern.exec(sourceCode)) !== null) {
-      const interfaceName = match[1];
-      const methodName = match[2];
-      
-      const interfaceFunction = allFunctions.find(f => 
-        f.file && f.file.includes(interfaceName) && f.name === methodName
-      );
-      
-      interfaceCalls.push({
-        interface: interfaceName,
-        name: `${interfaceName}.${methodName}`,
-        methodName: methodName,
-        definition: interfaceFunction,
-        pattern: 'direct'
-      });
-      
-      if (this.debug) {
-        console.log(`  Direct call: ${interfaceName}.${methodName} (found def: ${!!interfaceFunction})`);
-      }
-    }
+  // token.transfer(): a state variable, local, parameter or this
+  detectIdentifier(name, lookup) {
+    const declaration = lookup.describeIdentifier(name);
+    return declaration ? this.asContract(declaration.type, declaration.kind, lookup) : null;
   }
 
-  // Pattern 2: Variable declarations with interface casting
-  findVariableInterfaceCalls(sourceCode, allFunctions, interfaceCalls) {
-    const interfaceVarPattern = /(\w+)\s+(\w+)\s*=\s*(\w+)\([^)]+\);/g;
-    const interfaceVariables = new Map(); // varName -> interfaceName
-    
-    let match;
-    while ((match = interfaceVarPattern.exec(sourceCode)) !== null) {
-      const interfaceName = match[1];
-      const varName = match[2];
-      interfaceVariables.set(varName, interfaceName);
-      
-      if (this.debug) {
-        console.log(`  Variable declaration: ${varName} = ${interfaceName}(...)`);
-      }
-    }
+  // IERC20(addr).transfer(), _oracle().latestAnswer() or registry.oracle().latestAnswer()
+  detectCallResult(callNode, lookup) {
+    const callee = callNode.expression;
+    if (!callee) return null;
 
-    // Now find calls on these variables
-    const methodCallPattern = /(\w+)\.(\w+)\s*\(/g;
-    
-    while ((match = methodCallPattern.exec(sourceCode)) !== null) {
-      const variableName = match[1];
-      const methodName = match[2];
-      
-      // Skip common patterns that aren't interface calls
-      if (['msg', 'block', 'tx', 'this', 'super', '$'].includes(variableName)) {
-        continue;
-      }
-      
-      const interfaceName = interfaceVariables.get(variableName);
-      if (interfaceName) {
-        const interfaceFunction = allFunctions.find(f => 
-          f.name === methodName && f.file && f.file.includes(interfaceName)
-        );
-        
-        const callName = `${interfaceName}.${methodName}`;
-        if (!interfaceCalls.some(call => call.name === callName)) {
-          interfaceCalls.push({
-            interface: interfaceName,
-            name: callName,
-            methodName: methodName,
-            definition: interfaceFunction,
-            pattern: 'variable'
-          });
-          
-          if (this.debug) {
-            console.log(`  Variable call: ${variableName}.${methodName} -> ${interfaceName}.${methodName} (found def: ${!!interfaceFunction})`);
-          }
-        }
+    if (callee.type === 'Identifier') {
+      if (lookup.isContract(callee.name)) {
+        return { contract: callee.name, pattern: 'cast' };
       }
+      return lookup.resolveReturnType ?
+        this.asContract(lookup.resolveReturnType(callee.name), 'returnValue', lookup) : null;
     }
-  }
 
-  // Pattern 3: Method calls on variables (fallback)
-  findMethodCalls(sourceCode, allFunctions, interfaceCalls) {
-    const methodCallPattern = /(\w+)\.(\w+)\s*\(/g;
-    
-    let match;
-    while ((match = methodCallPattern.exec(sourceCode)) !== null) {
-      const variableName = match[1];
-      const methodName = match[2];
-      
-      // Skip common patterns and already processed calls
-      if (['msg', 'block', 'tx', 'this', 'super', '$'].includes(variableName)) {
-        continue;
-      }
-      
-      // Look for interface function definitions
-      const interfaceFunction = allFunctions.find(f => 
-        f.name === methodName && f.file && (
-          f.file.toLowerCase().includes('interface') || 
-          f.file.startsWith('I') || 
-          f.signature?.includes('external')
-        )
-      );
-      
-      if (interfaceFunction) {
-        const callName = `${variableName}.${methodName}`;
-        if (!interfaceCalls.some(call => call.name === callName)) {
-          interfaceCalls.push({
-            interface: variableName,
-            name: callName,
-            methodName: methodName,
-            definition: interfaceFunction,
-            pattern: 'method'
-          });
-          
-          if (this.debug) {
-            console.log(`  Method call: ${callName} (found def: ${!!interfaceFunction})`);
-          }
-        }
+    if (callee.type === 'MemberAccess' && lookup.resolveMemberType) {
+      const owner = this.detectReceiver(callee.expression, lookup);
+      if (owner) {
+        return this.asContract(lookup.resolveMemberType(owner.contract, callee.memberName), 'returnValue', lookup);
       }
     }
+
+    return null;
   }
 
-  // Pattern 4: Search by function name in interface files
-  findByFunctionName(sourceCode, allFunctions, interfaceCalls) {
-    const potentialInterfaceFunctions = allFunctions.filter(f => 
-      f.file && (
-        f.file.toLowerCase().includes('interface') ||
-        f.file.startsWith('I') ||
-        f.file.includes('IDrand') ||
-        f.file.includes('IGas')
-      )
-    );
+  // Wrap a type as a detected receiver when it names a contract or interface
+  asContract(type, pattern, lookup) {
+    if (!type || !lookup.isContract(type)) return null;
 
-    for (const interfaceFunc of potentialInterfaceFunctions) {
-      const funcCallPattern = new RegExp(`\\b${interfaceFunc.name}\\s*\\(`, 'g');
-      if (funcCallPattern.test(sourceCode)) {
-        const alreadyAdded = interfaceCalls.some(call => 
-          call.methodName === interfaceFunc.name
-        );
-        if (!alreadyAdded) {
-          const interfaceName = interfaceFunc.file.replace('.sol', '');
-          interfaceCalls.push({
-            interface: interfaceName,
-            name: `${interfaceName}.${interfaceFunc.name}`,
-            methodName: interfaceFunc.name,
-            definition: interfaceFunc,
-            pattern: 'byname'
-          });
-          
-          if (this.debug) {
-            console.log(`  By name: ${interfaceFunc.name} in ${interfaceFunc.file}`);
-          }
-        }
-      }
+    if (this.debug) {
+      console.log(`  Receiver of type ${type} (pattern: ${pattern})`);
     }
+
+    return { contract: type, pattern };
   }
 }
 
-module.exports = InterfaceDetector;
\ No newline at end of file
+module.exports = InterfaceDetector;
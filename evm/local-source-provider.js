@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local Source Provider
+ * Reads Solidity sources from a checked-out project directory
+ */
+class LocalSourceProvider {
+  constructor() {
+    // Files that mark the root of a Solidity project, checked from the file upwards
+    this.rootMarkers = [
+      'foundry.toml',
+      'hardhat.config.js',
+      'hardhat.config.ts',
+      'truffle-config.js',
+      'remappings.txt',
+      'package.json',
+      '.git'
+    ];
+
+    // Project-root directories skipped when collecting the sources of a project directory
+    this.ignoredDirectories = new Set([
+      'node_modules',
+      'lib',
+      'out',
+      'cache',
+      'artifacts',
+      'broadcast',
+      'typechain-types',
+      'test',
+      'script'
+    ]);
+  }
+
+  // Check if a location is a filesystem path rather than a URL
+  isLocalPath(location) {
+    if (!location || typeof location !== 'string') return false;
+    return !/^[a-z][a-z0-9+.-]*:\/\//i.test(location);
+  }
+
+  // Check if a local path is a directory
+  isDirectory(localPath) {
+    try {
+      return fs.statSync(localPath).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  // Walk up from a file or directory until a project root marker is found
+  findProjectRoot(startPath) {
+    const absolutePath = path.resolve(startPath);
+    const startDir = this.isDirectory(absolutePath) ? absolutePath : path.dirname(absolutePath);
+
+    let currentDir = startDir;
+    while (true) {
+      if (this.rootMarkers.some(marker => fs.existsSync(path.join(currentDir, marker)))) {
+        return currentDir;
+      }
+
+      const parentDir = path.dirname(currentDir);
+      if (parentDir === currentDir) {
+        return startDir;
+      }
+      currentDir = parentDir;
+    }
+  }
+
+  // Build repository information for a local file or directory
+  parseRepoInfo(localPath) {
+    const absolutePath = path.resolve(localPath);
+    const root = this.findProjectRoot(absolutePath);
+    const repoPath = this.toRepoPath(absolutePath, root);
+    const isDirectory = this.isDirectory(absolutePath);
+    const basePath = isDirectory ? repoPath : path.posix.dirname(repoPath);
+
+    const repoInfo = {
+      type: 'local',
+      root: root,
+      repo: path.basename(root),
+      basePath: basePath === '.' ? '' : basePath
+    };
+
+    if (!isDirectory) {
+      repoInfo.filePath = repoPath;
+    }
+
+    return repoInfo;
+  }
+
+  // Convert an absolute path to a repository-relative path with forward slashes
+  toRepoPath(absolutePath, root) {
+    return path.relative(root, path.resolve(absolutePath)).split(path.sep).join('/');
+  }
+
+  // Convert a repository-relative path back to an absolute path
+  fromRepoPath(repoPath, root) {
+    return path.join(root, ...repoPath.split('/').filter(Boolean));
+  }
+
+  // Read source code from the local filesystem
+  async fetchSourceCode(localPath, root = null) {
+    const absolutePath = path.resolve(localPath);
+    const projectRoot = root || this.findProjectRoot(absolutePath);
+
+    try {
+      const content = await fs.promises.readFile(absolutePath, 'utf8');
+
+      return {
+        content: content,
+        filename: this.toRepoPath(absolutePath, projectRoot),
+        url: absolutePath
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`File not found: ${localPath}`);
+      } else if (error.code === 'EISDIR') {
+        throw new Error(`Expected a file but found a directory: ${localPath}`);
+      } else {
+        throw new Error(`Error reading file: ${error.message}`);
+      }
+    }
+  }
+
+  // Recursively collect Solidity files under a directory
+  async listSolidityFiles(dirPath) {
+    const files = [];
+    const root = this.findProjectRoot(dirPath);
+
+    const walk = async (currentDir) => {
+      const entries = await fs.promises.readdir(currentDir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const entryPath = path.join(currentDir, entry.name);
+
+        if (entry.isDirectory()) {
+          const isIgnored = entry.name.startsWith('.') ||
+            entry.name === 'node_modules' ||
+            (currentDir === root && this.ignoredDirectories.has(entry.name));
+
+          if (!isIgnored) {
+            await walk(entryPath);
+          }
+        } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.sol')) {
+          files.push(entryPath);
+        }
+      }
+    };
+
+    await walk(path.resolve(dirPath));
+    return files.sort();
+  }
+}
+
+module.exports = LocalSourceProvider;
@@ -0,0 +1,121 @@
+/**
+ * Pragma Merger
+ * Combines the `pragma solidity` version constraints of several files into the one
+ * range all of them accept (^, ~, comparison operators, exact versions and
+ * alternatives joined with ||), and reports when no version satisfies them all
+ */
+class PragmaMerger {
+  // { constraint, compatible, constraints } for a list of constraints such as ['^0.8.0', '>=0.8.4 <0.9.0']
+  merge(constraints) {
+    const unique = [...new Set(constraints.map(constraint => constraint.replace(/\s+/g, ' ').trim()))];
+    if (unique.length <= 1) return { constraint: unique[0] || null, compatible: true, constraints: unique };
+
+    // a || b accepts either range: intersect every combination of alternatives and keep those some version satisfies
+    let combinations = [[]];
+    for (const constraint of unique) {
+      const alternatives = constraint.split('||').map(alternative => alternative.trim()).filter(Boolean);
+      combinations = combinations.flatMap(combination => alternatives.map(alternative => [...combination, alternative]));
+    }
+    const ranges = [...new Set(combinations.map(combination => this.intersect(combination)).filter(Boolean))];
+
+    return {
+      constraint: ranges.length > 0 ? ranges.join(' || ') : unique.join(' '),
+      compatible: ranges.length > 0,
+      constraints: unique
+    };
+  }
+
+  // The range accepted by all of a list of constraints without alternatives, or null when it is empty
+  intersect(constraints) {
+    let lower = null;
+    let upper = null;
+    for (const comparator of constraints.flatMap(constraint => this.parseConstraint(constraint))) {
+      if (comparator.lower && (!lower || this.isTighterLower(comparator.lower, lower))) lower = comparator.lower;
+      if (comparator.upper && (!upper || this.isTighterUpper(comparator.upper, upper))) upper = comparator.upper;
+    }
+
+    const order = lower && upper ? this.compare(lower.version, upper.version) : -1;
+    const empty = order > 0 || (order === 0 && !(lower.inclusive && upper.inclusive));
+    return empty ? null : this.format(lower, upper);
+  }
+
+  // Lower and upper bounds of each comparator of a constraint: [{ lower?, upper? }]
+  parseConstraint(constraint) {
+    // >= 0.8.0 is written with a space at times
+    const comparators = constraint.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(' ').filter(Boolean);
+
+    return comparators.map(comparator => {
+      const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?v?(\d+(?:\.\d+){0,2})/);
+      if (!match) return {};
+
+      const [, operator = '=', text] = match;
+      const version = this.parseVersion(text);
+      switch (operator) {
+        case '^':
+          return { lower: { version, inclusive: true }, upper: { version: this.caretUpper(version), inclusive: false } };
+        case '~':
+          return { lower: { version, inclusive: true }, upper: { version: [version[0], version[1] + 1, 0], inclusive: false } };
+        case '>=':
+          return { lower: { version, inclusive: true } };
+        case '>':
+          return { lower: { version, inclusive: false } };
+        case '<=':
+          return { upper: { version, inclusive: true } };
+        case '<':
+          return { upper: { version, inclusive: false } };
+        default:
+          return { lower: { version, inclusive: true }, upper: { version, inclusive: true } };
+      }
+    });
+  }
+
+  // [major, minor, patch], missing parts read as 0
+  parseVersion(text) {
+    const parts = text.split('.').map(Number);
+    return [parts[0] || 0, parts[1] || 0, parts[2] || 0];
+  }
+
+  // First version ^version does not accept: the next change of its first non-zero part
+  caretUpper([major, minor, patch]) {
+    if (major > 0) return [major + 1, 0, 0];
+    if (minor > 0) return [0, minor + 1, 0];
+    return [0, 0, patch + 1];
+  }
+
+  // Whether a lower bound accepts fewer versions than another
+  isTighterLower(bound, other) {
+    const order = this.compare(bound.version, other.version);
+    return order > 0 || (order === 0 && !bound.inclusive && other.inclusive);
+  }
+
+  // Whether an upper bound accepts fewer versions than another
+  isTighterUpper(bound, other) {
+    const order = this.compare(bound.version, other.version);
+    return order < 0 || (order === 0 && !bound.inclusive && other.inclusive);
+  }
+
+  // Order of two versions
+  compare(a, b) {
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+  }
+
+  // Shortest constraint for a range: 0.8.20, ^0.8.4 or >=0.8.4 <0.8.20
+  format(lower, upper) {
+    const text = version => version.join('.');
+
+    if (lower && upper && lower.inclusive && upper.inclusive && this.compare(lower.version, upper.version) === 0) {
+      return text(lower.version);
+    }
+    if (lower && upper && lower.inclusive && !upper.inclusive &&
+      this.compare(this.caretUpper(lower.version), upper.version) === 0) {
+      return `^${text(lower.version)}`;
+    }
+
+    return [
+      lower ? `${lower.inclusive ? '>=' : '>'}${text(lower.version)}` : null,
+      upper ? `${upper.inclusive ? '<=' : '<'}${text(upper.version)}` : null
+    ].filter(Boolean).join(' ') || '*';
+  }
+}
+
+module.exports = PragmaMerger;
@@ -0,0 +1,241 @@
+const Parser = require('@solidity-parser/parser');
+
+// Storage slots of EIP-1967 and EIP-2535, recognized by value, by the string they hash, or by constant name
+const SLOTS = {
+  implementation: [/0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc/i, /eip1967\.proxy\.implementation/, /IMPLEMENTATION_SLOT/],
+  admin: [/0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103/i, /eip1967\.proxy\.admin/, /ADMIN_SLOT/],
+  beacon: [/0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50/i, /eip1967\.proxy\.beacon/, /BEACON_SLOT/],
+  diamond: [/diamond\.standard\.diamond\.storage/, /DIAMOND_STORAGE_POSITION/]
+};
+
+// Well-known proxy bases, for when the library that declares them is not part of the analysis
+const KNOWN_BASES = {
+  ERC1967Proxy: { role: 'proxy', pattern: 'erc1967' },
+  TransparentUpgradeableProxy: { role: 'proxy', pattern: 'transparent' },
+  BeaconProxy: { role: 'proxy', pattern: 'beacon' },
+  UUPSUpgradeable: { role: 'implementation', pattern: 'uups' },
+  UpgradeableBeacon: { role: 'beacon', pattern: 'beacon' },
+  Initializable: { role: 'implementation', pattern: 'initializable' }
+};
+
+// Where a file's project starts: a vendored library (lib/x, node_modules/x, node_modules/@scope/x)
+// or another repository; any other file belongs to the analyzed project
+const LIBRARY_ROOT_PATTERN = /^(?:.*\/)?(?:lib|node_modules)\/(?:@[^/]+\/)?[^/]+\//;
+const ORIGIN_ROOT_PATTERN = /^github\.com\/[^/]+\/[^/]+\//;
+
+// EIP-2535 loupe functions, which a diamond exposes through a facet
+const LOUPE_FUNCTIONS = ['facets', 'facetFunctionSelectors', 'facetAddresses', 'facetAddress'];
+
+// Calls that set the implementation a proxy delegates to
+const IMPLEMENTATION_SETTERS = new Set(['_setImplementation', '_upgradeTo', '_upgradeToAndCall', 'upgradeToAndCall']);
+
+/**
+ * Proxy Detector
+ * Labels the proxy role of a contract from its code: proxies whose fallback delegates
+ * (ERC1967, Transparent, Beacon and EIP-2535 Diamond proxies), UUPS and initializable
+ * implementations, beacons and diamond facets, with the evidence found (delegatecall in
+ * Solidity or assembly, EIP-1967 slots, _delegate, upgradeToAndCall, diamondCut, msg.sig)
+ */
+class ProxyDetector {
+  constructor(options = {}) {
+    this.callResolver = options.callResolver;
+    this.getNode = options.getNode; // Report element -> AST node
+    this.getSource = options.getSource; // (AST node, file) -> source text
+    this.maxDepth = options.maxDepth || 5;
+  }
+
+  // Proxy role of a contract, or null: { role, pattern, evidence, fallback?, delegatesIn? }
+  detect(contract, stateVariables = []) {
+    if (contract.kind === 'interface' || contract.kind === 'library') return null;
+
+    const functions = this.callResolver.collectFunctions(contract.id).filter(func => func.isImplemented);
+    const evidence = [];
+    const slots = this.findSlots(contract, functions, stateVariables);
+    slots.forEach(slot => evidence.push(`${slot} slot`));
+
+    // Public functions and getters of public state variables, e.g. a beacon's implementation()
+    const linearization = new Set(this.callResolver.inheritanceResolver.linearize(contract.id).map(c => c.name));
+    const byName = name => functions.some(func => func.name === name &&
+      (func.visibility === 'public' || func.visibility === 'external')) ||
+      stateVariables.some(v => v.name === name && v.visibility === 'public' && linearization.has(v.contract));
+    ['upgradeToAndCall', 'upgradeTo', 'proxiableUUID', 'diamondCut', 'implementation', ...LOUPE_FUNCTIONS]
+      .filter(byName)
+      .forEach(name => evidence.push(name));
+
+    const fallback = functions.find(func => func.isFallback);
+    const delegation = fallback ? this.findDelegation(fallback, contract) : null;
+    const known = this.findKnownBase(contract);
+    if (known) evidence.push(`inherits ${known.base}`);
+
+    if (delegation || (known && known.role === 'proxy')) {
+      if (delegation) evidence.push(`delegatecall in ${delegation.function}`);
+      if (delegation && delegation.readsSelector) evidence.push('msg.sig');
+
+      const pattern = byName('diamondCut') || slots.has('diamond') || (delegation && delegation.readsSelector) ? 'diamond' :
+        slots.has('beacon') ? 'beacon' :
+          slots.has('admin') ? 'transparent' :
+            slots.has('implementation') ? 'erc1967' :
+              known ? known.pattern : 'custom';
+      const proxy = { role: 'proxy', pattern, evidence };
+      if (fallback) proxy.fallback = fallback.id;
+      if (delegation) proxy.delegatesIn = delegation.function;
+      return proxy;
+    }
+
+    if (byName('upgradeToAndCall') || byName('upgradeTo')) {
+      if (byName('proxiableUUID') || slots.has('implementation')) {
+        return { role: 'implementation', pattern: 'uups', evidence };
+      }
+      if (byName('implementation')) {
+        return { role: 'beacon', pattern: 'beacon', evidence };
+      }
+    }
+
+    if (byName('diamondCut') || slots.has('diamond') || LOUPE_FUNCTIONS.some(byName)) {
+      return { role: 'facet', pattern: 'diamond', evidence };
+    }
+
+    if (known) {
+      return { role: known.role, pattern: known.pattern, evidence };
+    }
+
+    // Upgradeable implementations are set up by an initializer instead of a constructor
+    if (functions.some(func => (func.modifierInvocations || []).some(invocation => invocation.name === 'initializer'))) {
+      evidence.push('initializer');
+      return { role: 'implementation', pattern: 'initializable', evidence };
+    }
+
+    return null;
+  }
+
+  // The first well-known proxy base in a contract's linearization: { base, role, pattern }
+  findKnownBase(contract) {
+    const base = this.callResolver.inheritanceResolver.linearize(contract.id)
+      .find(current => current.id !== contract.id && KNOWN_BASES[current.name]);
+    return base ? { base: base.name, ...KNOWN_BASES[base.name] } : null;
+  }
+
+  // EIP-1967 and diamond slots used by the code a contract runs or declared by its state variables
+  findSlots(contract, functions, stateVariables) {
+    const linearization = new Set(this.callResolver.inheritanceResolver.linearize(contract.id).map(c => c.name));
+    const texts = [];
+
+    for (const func of this.collectReachable(functions, contract).values()) {
+      const node = this.getNode(func);
+      if (node && node.body) texts.push(this.getSource(node.body, func.file) || '');
+    }
+    for (const stateVar of stateVariables.filter(v => linearization.has(v.contract))) {
+      const node = this.getNode(stateVar);
+      texts.push(stateVar.name);
+      if (node && node.expression) texts.push(this.getSource(node.expression, stateVar.file) || '');
+    }
+
+    const text = texts.join('\n');
+    return new Set(Object.keys(SLOTS).filter(slot => SLOTS[slot].some(pattern => pattern.test(text))));
+  }
+
+  // Functions and modifiers reachable from some functions within maxDepth calls, including library functions
+  collectReachable(functions, contract) {
+    const reached = new Map();
+    const visit = (func, depth) => {
+      if (reached.has(func.id) || depth > this.maxDepth) return;
+      reached.set(func.id, func);
+
+      for (const invocation of func.modifierInvocations || []) {
+        const { definition } = this.callResolver.resolveModifier(invocation, func, contract);
+        if (definition) visit(definition, depth + 1);
+      }
+      for (const call of func.calls || []) {
+        const { definition } = this.callResolver.resolve(call, func, contract);
+        if (definition && definition.isImplemented !== false) visit(definition, depth + 1);
+      }
+    };
+
+    functions.forEach(func => visit(func, 0));
+    return reached;
+  }
+
+  // Where the code reached from a fallback delegates the call, in Solidity, assembly or an unresolved
+  // _delegate(...), and whether that code reads msg.sig: { function, readsSelector } or null
+  findDelegation(fallback, contract) {
+    let delegation = null;
+    let readsSelector = false;
+
+    for (const func of this.collectReachable([fallback], contract).values()) {
+      const node = this.getNode(func);
+      if (!node || !node.body) continue;
+
+      if (!delegation && (this.hasDelegatecall(node.body) ||
+        (func.calls || []).some(call => call.name === '_delegate' && !this.callResolver.resolve(call, func, contract).definition))) {
+        delegation = func.id;
+      }
+      readsSelector = readsSelector || this.readsSelector(node.body);
+    }
+
+    return delegation ? { function: delegation, readsSelector } : null;
+  }
+
+  // delegatecall(...) in assembly or address.delegatecall(...)
+  hasDelegatecall(body) {
+    let found = false;
+    Parser.visit(body, {
+      AssemblyCall: call => {
+        if (call.functionName === 'delegatecall') found = true;
+      },
+      MemberAccess: access => {
+        if (access.memberName === 'delegatecall') found = true;
+      }
+    });
+    return found;
+  }
+
+  // msg.sig, which a diamond looks up to find the facet of a call
+  readsSelector(body) {
+    let found = false;
+    Parser.visit(body, {
+      MemberAccess: access => {
+        if (access.memberName === 'sig' && access.expression.type === 'Identifier' && access.expression.name === 'msg') {
+          found = true;
+        }
+      }
+    });
+    return found;
+  }
+
+  // Implementation contracts of the analysis a proxy can delegate to: facets for diamonds, implementations otherwise.
+  // Only those with evidence are linked: in the proxy's project, passed to its constructor, or set by its code
+  findImplementations(proxyContract, contracts, functions = []) {
+    const role = proxyContract.proxy.pattern === 'diamond' ? 'facet' : 'implementation';
+    const root = this.getProjectRoot(proxyContract.file);
+    const sources = this.findImplementationSources(proxyContract, functions);
+
+    return contracts
+      .filter(contract => contract.kind === 'contract' && contract.proxy && contract.proxy.role === role)
+      .filter(contract => this.getProjectRoot(contract.file) === root ||
+        sources.some(source => source.split(/[^\w$]+/).includes(contract.name)))
+      .map(contract => contract.name);
+  }
+
+  // Source of the arguments that can name a proxy's implementation: those of new Proxy(...) anywhere
+  // in the analysis and of the _setImplementation(...) calls the proxy's own code makes
+  findImplementationSources(proxyContract, functions) {
+    const creations = functions
+      .flatMap(func => func.calls || [])
+      .filter(call => call.name === `new ${proxyContract.name}`);
+
+    const own = this.callResolver.collectFunctions(proxyContract.id).filter(func => func.isImplemented);
+    const setters = [...this.collectReachable(own, proxyContract).values()]
+      .flatMap(func => func.calls || [])
+      .filter(call => call.name && IMPLEMENTATION_SETTERS.has(call.name.split('.').pop()));
+
+    return [...creations, ...setters].flatMap(call => call.argumentSource || []);
+  }
+
+  // The library or repository a file belongs to, '' for the analyzed project
+  getProjectRoot(file) {
+    const match = file.match(LIBRARY_ROOT_PATTERN) || file.match(ORIGIN_ROOT_PATTERN);
+    return match ? match[0] : '';
+  }
+}
+
+module.exports = ProxyDetector;
@@ -0,0 +1,232 @@
+/**
+ * Remapping Resolver
+ * Resolves Solidity import paths the way the compiler does, using Foundry
+ * remappings, lib/ submodules and Hardhat-style node_modules packages
+ */
+
+// npm packages whose sources can be fetched from GitHub when node_modules is not checked in
+const KNOWN_PACKAGES = {
+  '@openzeppelin/contracts': { owner: 'OpenZeppelin', repo: 'openzeppelin-contracts', sourcePrefix: 'contracts/', defaultRef: 'master' },
+  '@openzeppelin/contracts-upgradeable': { owner: 'OpenZeppelin', repo: 'openzeppelin-contracts-upgradeable', sourcePrefix: 'contracts/', defaultRef: 'master' },
+  '@uniswap/v2-core': { owner: 'Uniswap', repo: 'v2-core', sourcePrefix: '', defaultRef: 'master' },
+  '@uniswap/v3-core': { owner: 'Uniswap', repo: 'v3-core', sourcePrefix: '', defaultRef: 'main' },
+  '@uniswap/v3-periphery': { owner: 'Uniswap', repo: 'v3-periphery', sourcePrefix: '', defaultRef: 'main' },
+  'solmate': { owner: 'transmissions11', repo: 'solmate', sourcePrefix: '', defaultRef: 'main' },
+  'solady': { owner: 'Vectorized', repo: 'solady', sourcePrefix: '', defaultRef: 'main' }
+};
+
+class RemappingResolver {
+  constructor() {
+    this.remappings = []; // { context, prefix, target, source, auto }
+    this.mounts = []; // repository path prefix -> external GitHub repository
+    this.libraryDirectories = ['lib'];
+  }
+
+  // Parse a single remapping of the form [context:]prefix=target
+  parseRemappingLine(line, source = 'remappings.txt') {
+    const trimmed = line.trim().replace(/^["']|["'],?$/g, '');
+    if (!trimmed || trimmed.startsWith('#') || !trimmed.includes('=')) {
+      return null;
+    }
+
+    const separatorIndex = trimmed.indexOf('=');
+    let prefix = trimmed.substring(0, separatorIndex).trim();
+    const target = trimmed.substring(separatorIndex + 1).trim();
+    let context = '';
+
+    const contextIndex = prefix.indexOf(':');
+    if (contextIndex !== -1) {
+      context = prefix.substring(0, contextIndex);
+      prefix = prefix.substring(contextIndex + 1);
+    }
+
+    if (!prefix) {
+      return null;
+    }
+
+    return { context, prefix, target, source, auto: false };
+  }
+
+  // Parse remappings.txt content
+  parseRemappings(text, source = 'remappings.txt') {
+    return text
+      .split(/\r?\n/)
+      .map(line => this.parseRemappingLine(line, source))
+      .filter(Boolean);
+  }
+
+  // Parse the remappings arrays from foundry.toml content
+  parseFoundryRemappings(text) {
+    const remappings = [];
+    const arrayPattern = /^\s*remappings\s*=\s*\[([\s\S]*?)\]/gm;
+
+    let match;
+    while ((match = arrayPattern.exec(text)) !== null) {
+      const entryPattern = /"([^"]*)"|'([^']*)'/g;
+      let entry;
+      while ((entry = entryPattern.exec(match[1])) !== null) {
+        const remapping = this.parseRemappingLine(entry[1] || entry[2], 'foundry.toml');
+        if (remapping) {
+          remappings.push(remapping);
+        }
+      }
+    }
+
+    return remappings;
+  }
+
+  // Parse the libs array from foundry.toml content
+  parseFoundryLibs(text) {
+    const match = /^\s*libs\s*=\s*\[([\s\S]*?)\]/m.exec(text);
+    if (!match) {
+      return null;
+    }
+
+    const libs = [];
+    const entryPattern = /"([^"]*)"|'([^']*)'/g;
+    let entry;
+    while ((entry = entryPattern.exec(match[1])) !== null) {
+      libs.push((entry[1] || entry[2]).replace(/\/+$/, ''));
+    }
+    return libs;
+  }
+
+  // Parse .gitmodules content into submodule entries
+  parseGitmodules(text) {
+    const submodules = [];
+    let current = null;
+
+    for (const line of text.split(/\r?\n/)) {
+      const header = /^\s*\[submodule\s+"([^"]+)"\]/.exec(line);
+      if (header) {
+        current = { name: header[1], path: null, url: null };
+        submodules.push(current);
+        continue;
+      }
+
+      const setting = /^\s*(\w+)\s*=\s*(.+?)\s*$/.exec(line);
+      if (current && setting) {
+        current[setting[1]] = setting[2];
+      }
+    }
+
+    return submodules.filter(submodule => submodule.path);
+  }
+
+  // Parse owner and repository from a GitHub remote URL
+  parseGitHubRemote(remoteUrl) {
+    const match = /github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/.exec(remoteUrl || '');
+    return match ? { owner: match[1], repo: match[2] } : null;
+  }
+
+  // Add remappings, keeping explicit entries ahead of automatic ones
+  addRemappings(remappings) {
+    this.remappings.push(...remappings);
+  }
+
+  // Add forge-style automatic remappings for a library directory
+  addLibraryRemappings(libraryPath, sourceDirectories) {
+    const name = libraryPath.split('/').pop();
+    const base = libraryPath.endsWith('/') ? libraryPath : `${libraryPath}/`;
+
+    for (const sourceDirectory of sourceDirectories) {
+      this.remappings.push({
+        context: '',
+        prefix: `${name}/`,
+        target: sourceDirectory ? `${base}${sourceDirectory}/` : base,
+        source: 'auto',
+        auto: true
+      });
+    }
+  }
+
+  // Map a repository path prefix onto another GitHub repository
+  addMount(mount) {
+    this.mounts.push(mount);
+    this.mounts.sort((a, b) => b.pathPrefix.length - a.pathPrefix.length);
+  }
+
+  // Add a mount for an npm package listed in package.json
+  addPackageMount(packageName, versionRange) {
+    const knownPackage = KNOWN_PACKAGES[packageName];
+    if (!knownPackage) {
+      return;
+    }
+
+    const version = /^[\^~=v]*(\d+\.\d+\.\d+(?:-[\w.]+)?)$/.exec((versionRange || '').trim());
+    this.addMount({
+      pathPrefix: `node_modules/${packageName}/`,
+      owner: knownPackage.owner,
+      repo: knownPackage.repo,
+      ref: version ? `v${version[1]}` : knownPackage.defaultRef,
+      sourcePrefix: knownPackage.sourcePrefix
+    });
+  }
+
+  // Find the mount that contains a repository path
+  findMount(repoPath) {
+    return this.mounts.find(mount => repoPath.startsWith(mount.pathPrefix)) || null;
+  }
+
+  // Select the remapping the compiler would apply: longest context, then longest prefix
+  matchRemapping(importPath, importerPath = null) {
+    let best = null;
+
+    for (const remapping of this.remappings) {
+      if (!importPath.startsWith(remapping.prefix)) continue;
+      if (remapping.context && !(importerPath && importerPath.startsWith(remapping.context))) continue;
+
+      if (!best ||
+          remapping.context.length > best.context.length ||
+          (remapping.context.length === best.context.length && remapping.prefix.length > best.prefix.length) ||
+          (remapping.context.length === best.context.length && remapping.prefix.length === best.prefix.length && best.auto && !remapping.auto)) {
+        best = remapping;
+      }
+    }
+
+    return best;
+  }
+
+  // Resolve a non-relative import to candidate repository paths
+  resolve(importPath, importerPath = null) {
+    if (importPath.startsWith('./') || importPath.startsWith('../')) {
+      return [];
+    }
+
+    const best = this.matchRemapping(importPath, importerPath);
+    if (best) {
+      const remainder = importPath.substring(best.prefix.length);
+
+      // Automatic remappings are guesses, so try every source directory of the library
+      const candidates = best.auto ?
+        this.remappings
+          .filter(r => r.auto && r.prefix === best.prefix && r.context === best.context)
+          .map(r => `${r.target}${remainder}`) :
+        [`${best.target}${remainder}`];
+
+      return [...new Set(candidates.map(candidate => candidate.replace(/^\.\//, '')))];
+    }
+
+    // Without a remapping the compiler looks in the base path, then in node_modules
+    return [importPath, `node_modules/${importPath}`];
+  }
+
+  // Summary of the loaded configuration for reports
+  getSummary() {
+    return {
+      remappings: this.remappings
+        .filter(r => !r.auto)
+        .map(r => `${r.context ? `${r.context}:` : ''}${r.prefix}=${r.target}`),
+      libraries: [...new Set(this.remappings.filter(r => r.auto).map(r => r.prefix))],
+      mounts: this.mounts.map(m => ({
+        path: m.pathPrefix,
+        repository: `${m.owner}/${m.repo}`,
+        ref: m.ref
+      }))
+    };
+  }
+}
+
+RemappingResolver.KNOWN_PACKAGES = KNOWN_PACKAGES;
+
+module.exports = RemappingResolver;
@@ -0,0 +1,137 @@
+const axios = require('axios');
+const Parser = require('@solidity-parser/parser');
+const DependencyResolver = require('./dependency-resolver.js');
+const InheritanceResolver = require('./inheritance-resolver.js');
+
+/**
+ * Repository Index
+ * Lists every Solidity file of a repository (GitHub tree listing or local checkout)
+ * and records the contracts they declare with their base contracts, so the
+ * implementations of an interface can be found by inheritance instead of by name
+ */
+class RepositoryIndex {
+  constructor(options = {}) {
+    this.debug = options.debug || false;
+    this.dependencyResolver = options.dependencyResolver || new DependencyResolver();
+    this.contracts = []; // { id, name, kind, baseContracts, file }
+    this.files = []; // Repository paths of the indexed files
+    this.inheritanceResolver = new InheritanceResolver();
+  }
+
+  // Index every contract of a repository
+  async build(repoInfo) {
+    this.files = await this.listFiles(repoInfo);
+    this.contracts = [];
+
+    console.log(`Indexing ${this.files.length} Solidity files for implementations...`);
+
+    for (const repoPath of this.files) {
+      try {
+        const location = this.dependencyResolver.buildFileLocation(repoPath, repoInfo);
+        const fileData = await this.dependencyResolver.fetchSourceCode(location, repoInfo);
+        this.addFile(repoPath, fileData.content);
+      } catch (error) {
+        if (this.debug) {
+          console.log(`  Failed to index ${repoPath}: ${error.message}`);
+        }
+      }
+    }
+
+    // Import edges are not known for unanalyzed files, so bases resolve by name
+    this.inheritanceResolver = new InheritanceResolver(this.contracts, []);
+    return this;
+  }
+
+  // List repository paths of Solidity sources, skipping the directories a project analysis skips
+  async listFiles(repoInfo) {
+    const localProvider = this.dependencyResolver.localProvider;
+
+    if (this.dependencyResolver.isLocalRepo(repoInfo)) {
+      const files = await localProvider.listSolidityFiles(repoInfo.root);
+      return files.map(file => localProvider.toRepoPath(file, repoInfo.root));
+    }
+
+    return (await this.fetchTree(repoInfo))
+      .filter(repoPath => repoPath.toLowerCase().endsWith('.sol'))
+      .filter(repoPath => {
+        const parts = repoPath.split('/');
+        return !localProvider.ignoredDirectories.has(parts[0]) &&
+          !parts.some(part => part.startsWith('.') || part === 'node_modules');
+      });
+  }
+
+  // Fetch the recursive file listing of a GitHub repository at the analyzed ref
+  async fetchTree(repoInfo) {
+    const headers = { 'User-Agent': 'Solidity-Repository-Index/1.0' };
+    if (process.env.GITHUB_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+
+    try {
+      const response = await axios.get(
+        `https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/git/trees/${repoInfo.branch}?recursive=1`,
+        { timeout: 20000, headers }
+      );
+
+      if (response.data.truncated) {
+        console.warn(`GitHub tree listing of ${repoInfo.owner}/${repoInfo.repo} is truncated, some contracts may be missing`);
+      }
+
+      return (response.data.tree || []).filter(entry => entry.type === 'blob').map(entry => entry.path);
+    } catch (error) {
+      console.warn(`Failed to list ${repoInfo.owner}/${repoInfo.repo}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Record the contracts declared in a file
+  addFile(repoPath, content) {
+    const ast = Parser.parse(content, { tolerant: true });
+
+    for (const node of ast.children || []) {
+      if (node.type !== 'ContractDefinition') continue;
+      this.contracts.push({
+        id: `${repoPath}:${node.name}`,
+        name: node.name,
+        kind: node.kind || 'contract',
+        baseContracts: (node.baseContracts || []).map(base => base.baseName.namePath),
+        file: repoPath
+      });
+    }
+  }
+
+  // Deployable contracts whose inheritance reaches an interface or abstract contract, directly or through bases
+  findImplementations(interfaceName) {
+    const target = this.inheritanceResolver.resolveContract(interfaceName);
+
+    return this.contracts
+      .filter(contract => contract.kind === 'contract' && contract.name !== interfaceName)
+      .filter(contract => target ?
+        this.inheritanceResolver.inheritsFrom(contract, target) :
+        this.inheritanceResolver.linearizeNames(contract).includes(interfaceName))
+      .map(contract => ({
+        contractName: contract.name,
+        file: contract.file,
+        direct: contract.baseContracts.some(base => base.split('.').pop() === interfaceName),
+        inheritancePath: this.findInheritancePath(contract, interfaceName)
+      }));
+  }
+
+  // Chain of contracts from a contract up to a base, e.g. [ChainlinkOracleAdapter, OracleBase, IOracle]
+  findInheritancePath(contract, baseName, visited = new Set()) {
+    if (contract.name === baseName) return [contract.name];
+    if (visited.has(contract.id)) return null;
+    visited.add(contract.id);
+
+    for (const name of contract.baseContracts) {
+      const base = this.inheritanceResolver.resolveContract(name, contract.file);
+      const path = base ?
+        this.findInheritancePath(base, baseName, visited) :
+        name.split('.').pop() === baseName ? [baseName] : null;
+      if (path) return [contract.name, ...path];
+    }
+    return null;
+  }
+}
+
+module.exports = RepositoryIndex;
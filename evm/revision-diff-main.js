@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+const GitHubSolidityAnalyzer = require('./solidity-analyzer.js');
+const ElementDiff = require('./element-diff.js');
+const EntryPointImpact = require('./entry-point-impact.js');
+const fs = require('fs');
+
+// Kinds of elements compared, with their heading in the printed report
+const ELEMENT_KINDS = {
+  functions: 'Functions',
+  modifiers: 'Modifiers',
+  stateVariables: 'State Variables',
+  events: 'Events'
+};
+
+class RevisionDiff {
+  // Compare two revisions of the same code and find the entry points that now reach different code
+  async compareRevisions(oldLocation, newLocation, options = {}) {
+    const {
+      maxDepth = 10,
+      resolveDependencies = true
+    } = options;
+
+    console.log(`Comparing ${oldLocation} -> ${newLocation}`);
+
+    const oldReport = await this.analyzeRevision(oldLocation, resolveDependencies);
+    const newReport = await this.analyzeRevision(newLocation, resolveDependencies);
+    const elementDiff = new ElementDiff();
+
+    const diff = {};
+    for (const kind of Object.keys(ELEMENT_KINDS)) {
+      diff[kind] = elementDiff.compare(oldReport[kind], newReport[kind], kind);
+    }
+
+    const affectedEntryPoints = await this.findAffectedEntryPoints(diff, oldReport, newReport, maxDepth, elementDiff);
+    const count = kind => ({
+      added: diff[kind].added.length,
+      removed: diff[kind].removed.length,
+      changed: diff[kind].changed.length
+    });
+
+    return {
+      metadata: {
+        comparedAt: new Date().toISOString(),
+        old: { location: oldLocation, files: oldReport.metadata.totalFiles },
+        new: { location: newLocation, files: newReport.metadata.totalFiles }
+      },
+      ...diff,
+      affectedEntryPoints,
+      summary: {
+        functions: count('functions'),
+        modifiers: count('modifiers'),
+        stateVariables: count('stateVariables'),
+        events: count('events'),
+        affectedEntryPoints: affectedEntryPoints.length
+      }
+    };
+  }
+
+  // Analyze one revision with its own analyzer, keeping the source of every element
+  async analyzeRevision(location, resolveDependencies) {
+    const analyzer = new GitHubSolidityAnalyzer({ includeSourceCode: true });
+    return analyzer.analyze(location, resolveDependencies, 3);
+  }
+
+  // Entry points of the new revision whose call trees reach changed or added code, and those of the
+  // old revision that reached removed code. Each changed, added and removed function and modifier
+  // also lists the entry points reaching it
+  async findAffectedEntryPoints(diff, oldReport, newReport, maxDepth, elementDiff) {
+    const newTargets = new Map(); // new id -> { element, change }
+    const oldTargets = new Map(); // old id -> { element, change }
+    for (const kind of ['functions', 'modifiers']) {
+      diff[kind].changed.forEach(element => newTargets.set(element.id, { element, change: 'changed' }));
+      diff[kind].added.forEach(element => newTargets.set(element.id, { element, change: 'added' }));
+      diff[kind].removed.forEach(element => oldTargets.set(element.id, { element, change: 'removed' }));
+    }
+
+    const reaching = [
+      ...(await new EntryPointImpact(newReport, { maxDepth }).findReaching([...newTargets.keys()]))
+        .map(entry => ({ ...entry, targets: newTargets })),
+      ...(await new EntryPointImpact(oldReport, { maxDepth }).findReaching([...oldTargets.keys()]))
+        .map(entry => ({ ...entry, targets: oldTargets }))
+    ];
+
+    const entryPoints = new Map(); // contract and function key -> affected entry point
+    for (const { contract, function: func, reaches, targets } of reaching) {
+      const key = elementDiff.keyOf(func);
+      const entryKey = `${contract}:${key}`;
+      if (!entryPoints.has(entryKey)) {
+        entryPoints.set(entryKey, {
+          contract,
+          function: key,
+          id: func.id,
+          signature: func.signature,
+          changed: false,
+          reaches: []
+        });
+      }
+
+      const entryPoint = entryPoints.get(entryKey);
+      for (const { id, path } of reaches) {
+        const { element, change } = targets.get(id);
+        (element.entryPoints = element.entryPoints || []).push(`${contract}.${func.name}`);
+
+        if (id === func.id) {
+          entryPoint.changed = change;
+        } else {
+          entryPoint.reaches.push({ element: element.key, change, path });
+        }
+      }
+    }
+
+    return [...entryPoints.values()]
+      .sort((a, b) => a.contract.localeCompare(b.contract) || a.function.localeCompare(b.function));
+  }
+
+  // Same GitHub blob or tree URL at another branch, tag or commit. Refs may contain slashes (origin/main,
+  // feature/x): the URL's own ref is taken to be the longest of the known refs it starts with, or its first
+  // path segment, and the new ref is inserted with its slashes percent-encoded so it stays one path segment
+  withRef(githubUrl, ref, knownRefs = []) {
+    const match = githubUrl.match(/^(https:\/\/github\.com\/[^/]+\/[^/]+\/(?:blob|tree)\/)(.+)$/);
+    if (!match) {
+      throw new Error(`--refs needs a GitHub blob or tree URL, got ${githubUrl}`);
+    }
+
+    const [, prefix, rest] = match;
+    const current = knownRefs
+      .filter(known => rest === known || rest.startsWith(`${known}/`))
+      .sort((a, b) => b.length - a.length)[0] || rest.split('/')[0];
+    return `${prefix}${encodeURIComponent(ref)}${rest.substring(current.length)}`;
+  }
+
+  // Save comparison report
+  async saveReport(report, outputPath) {
+    const jsonOutput = JSON.stringify(report, null, 2);
+    await fs.promises.writeFile(outputPath, jsonOutput, 'utf8');
+    console.log(`Revision diff report saved to: ${outputPath}`);
+  }
+}
+
+// Print the added, removed and changed elements and the affected entry points
+function printDiff(report) {
+  for (const [kind, heading] of Object.entries(ELEMENT_KINDS)) {
+    const { added, removed, changed } = report[kind];
+    if (added.length + removed.length + changed.length === 0) continue;
+
+    console.log(`\n=== ${heading} ===`);
+    added.forEach(element => console.log(`  + ${element.key}`));
+    removed.forEach(element => console.log(`  - ${element.key}`));
+    changed.forEach(element => console.log(`  ~ ${element.key} (${element.changes.join(', ')})`));
+  }
+
+  console.log('\n=== Affected Entry Points ===');
+  if (report.affectedEntryPoints.length === 0) {
+    console.log('No entry point reaches changed code');
+  }
+  report.affectedEntryPoints.forEach(entryPoint => {
+    const own = entryPoint.changed ? ` [${entryPoint.changed}]` : '';
+    console.log(`${entryPoint.contract}: ${entryPoint.function}${own}`);
+    entryPoint.reaches.forEach(reach => console.log(`  ${reach.change} ${reach.element}: ${reach.path.join(' -> ')}`));
+  });
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const refs = args.find(arg => arg.startsWith('--refs='));
+
+  if (positional.length < 2 && !(positional.length === 1 && refs)) {
+    console.log(`
+Usage: node revision-diff-main.js <old-revision> <new-revision> [options]
+       node revision-diff-main.js <github-url> --refs=OLD..NEW [options]
+
+Arguments:
+  old-revision       GitHub URL, local file or project directory of the old revision
+  new-revision       GitHub URL, local file or project directory of the new revision
+  github-url         GitHub blob or tree URL compared at two refs (branches, tags or commits)
+
+Options:
+  --refs=OLD..NEW    Compare one GitHub URL at two refs
+  --output=FILE      Output file for JSON report (default: revision-diff.json)
+  --max-depth=N      Maximum call tree depth when looking for affected entry points (default: 10)
+  --no-deps          Skip dependency resolution (faster)
+  --no-save          Only print the differences, don't save report
+
+Examples:
+  # Compare a fix branch with the audited tag
+  node revision-diff-main.js https://github.com/owner/repo/blob/main/src/Vault.sol --refs=v1.0.0..fix/withdraw
+
+  # Compare two local checkouts
+  node revision-diff-main.js ../audited/src ./src
+`);
+    process.exit(1);
+  }
+
+  let oldLocation = positional[0];
+  let newLocation = positional[1];
+  let outputFile = 'revision-diff.json';
+  let maxDepth = 10;
+  let resolveDependencies = true;
+  let save = true;
+
+  // Parse options
+  for (const arg of args) {
+    if (arg.startsWith('--refs=')) {
+      [oldLocation, newLocation] = arg.split('=')[1].split('..');
+    } else if (arg.startsWith('--output=')) {
+      outputFile = arg.split('=')[1];
+    } else if (arg.startsWith('--max-depth=')) {
+      maxDepth = parseInt(arg.split('=')[1]) || 10;
+    } else if (arg === '--no-deps') {
+      resolveDependencies = false;
+    } else if (arg === '--no-save') {
+      save = false;
+    }
+  }
+
+  try {
+    const revisionDiff = new RevisionDiff();
+    if (refs) {
+      const knownRefs = [oldLocation, newLocation];
+      oldLocation = revisionDiff.withRef(positional[0], knownRefs[0], knownRefs);
+      newLocation = revisionDiff.withRef(positional[0], knownRefs[1], knownRefs);
+    }
+
+    const report = await revisionDiff.compareRevisions(oldLocation, newLocation, { maxDepth, resolveDependencies });
+
+    printDiff(report);
+
+    console.log('\n=== Revision Diff Summary ===');
+    for (const [kind, heading] of Object.entries(ELEMENT_KINDS)) {
+      const { added, removed, changed } = report.summary[kind];
+      console.log(`${heading}: ${added} added, ${removed} removed, ${changed} changed`);
+    }
+    console.log(`Affected entry points: ${report.summary.affectedEntryPoints}`);
+
+    if (save) {
+      await revisionDiff.saveReport(report, outputFile);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for use as module
+module.exports = RevisionDiff;
+
+// Run as CLI if called directly
+if (require.main === module) {
+  main();
+}
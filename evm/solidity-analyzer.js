@@ -6,16 +6,47 @@ const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
 const DependencyResolver = require('./dependency-resolver.js');
+const InheritanceResolver = require('./inheritance-resolver.js');
+const CallResolver = require('./call-resolver.js');
+const TypeInference = require('./type-inference.js');
+const InterfaceDetector = require('./interface-detector.js');
+const TypeRegistry = require('./type-registry.js');
+const AbiGenerator = require('./abi-generator.js');
+const StateAccessAnalyzer = require('./state-access-analyzer.js');
+const InteractionClassifier = require('./interaction-classifier.js');
+const CeiAnalyzer = require('./cei-analyzer.js');
+const AccessControlAnalyzer = require('./access-control-analyzer.js');
+const ProxyDetector = require('./proxy-detector.js');
+const StorageLayout = require('./storage-layout.js');
+const AssemblyAnalyzer = require('./assembly-analyzer.js');
 
 class GitHubSolidityAnalyzer {
   constructor(options = {}) {
     this.contracts = new Map(); // filename -> AST
+    this.contractDefinitions = []; // Contracts, interfaces and libraries with their members
     this.dependencies = new Set();
     this.stateVariables = [];
     this.modifiers = [];
     this.functions = [];
+    this.events = []; // Event definitions
+    this.errors = []; // Custom error definitions
+    this.typeDefinitions = []; // Structs, enums and user-defined value types
+    this.constants = []; // File-level constants
+    this.usingForDirectives = []; // using Library for Type directives
     this.sourceFiles = new Map(); // filename -> source code
-    this.processedFiles = new Set(); // Track processed files to avoid duplicates
+    this.fileContexts = new Map(); // filename -> repository context used to resolve its imports
+    this.imports = []; // Import directives with the file that contains them and where they resolved
+    this.processedFiles = new Set(); // Canonical paths of processed files, to avoid duplicates
+    this.rootFiles = []; // Files that were requested, as opposed to resolved dependencies
+    this.astNodes = new WeakMap(); // Report element -> AST node, for type information needed at report time
+    this.typeInference = new TypeInference();
+    this.interfaceDetector = new InterfaceDetector({ typeInference: this.typeInference });
+    this.stateAccessAnalyzer = new StateAccessAnalyzer();
+    this.interactionClassifier = new InteractionClassifier();
+    this.accessControlAnalyzer = new AccessControlAnalyzer();
+    this.assemblyAnalyzer = new AssemblyAnalyzer();
+    // Structs, enums and value types, for ABI canonicalization
+    this.typeRegistry = new TypeRegistry({ resolveConstant: (name, context) => this.findConstantValue(name, context) });
     this.baseRepoInfo = null; // Store repository information for dependency resolution
     this.dependencyResolver = new DependencyResolver();
     this.options = {
@@ -29,8 +60,17 @@ class GitHubSolidityAnalyzer {
     return this.dependencyResolver.convertToRawUrl(githubUrl);
   }
 
-  // Fetch source code from GitHub
+  // Fetch source code from GitHub or a local checkout
   async fetchSourceCode(githubUrl) {
+    if (this.dependencyResolver.isLocalPath(githubUrl)) {
+      console.log(`Reading: ${githubUrl}`);
+      const repoInfo = this.baseRepoInfo || this.dependencyResolver.parseRepoInfo(githubUrl);
+      const fileData = await this.dependencyResolver.fetchSourceCode(githubUrl, repoInfo);
+      fileData.filename = this.extractFilename(githubUrl);
+      fileData.repoInfo = this.dependencyResolver.parseRepoInfo(githubUrl);
+      return fileData;
+    }
+
     try {
       const rawUrl = this.convertToRawUrl(githubUrl);
       console.log(`Fetching: ${rawUrl}`);
@@ -44,7 +84,8 @@ class GitHubSolidityAnalyzer {
       
       return {
         content: response.data,
-        filename: this.extractFilename(githubUrl)
+        filename: this.extractFilename(githubUrl),
+        repoInfo: this.dependencyResolver.parseRepoInfo(githubUrl)
       };
     } catch (error) {
       if (error.response) {
@@ -57,9 +98,10 @@ class GitHubSolidityAnalyzer {
     }
   }
 
-  // Extract filename from URL
+  // Extract the canonical file path (repository-relative) from a URL or local path
   extractFilename(url) {
-    return this.dependencyResolver.extractFilename(url);
+    return this.dependencyResolver.getCanonicalPath(url, this.baseRepoInfo) ||
+      this.dependencyResolver.extractFilename(url, this.baseRepoInfo);
   }
 
   // Check if file is a Solidity file
@@ -69,6 +111,10 @@ class GitHubSolidityAnalyzer {
 
   // Analyze single file with dependency resolution
   async analyzeSingleFile(githubUrl, resolveDependencies = true, maxDepth = 3) {
+    if (this.isLocalDirectory(githubUrl)) {
+      throw new Error(`${githubUrl} is a directory, use analyzeDirectory() instead`);
+    }
+
     // Parse repository information for dependency resolution
     this.baseRepoInfo = this.dependencyResolver.parseRepoInfo(githubUrl);
     
@@ -79,7 +125,8 @@ class GitHubSolidityAnalyzer {
     }
 
     this.sourceFiles.set(fileData.filename, fileData.content);
-    this.processedFiles.add(path.basename(fileData.filename));
+    this.fileContexts.set(fileData.filename, fileData.repoInfo);
+    this.processedFiles.add(fileData.filename);
     
     // Initial parsing and analysis
     this.parseAndAnalyze([{
@@ -111,7 +158,8 @@ class GitHubSolidityAnalyzer {
         if (this.isSolidityFile(fileData.filename)) {
           files.push(fileData);
           this.sourceFiles.set(fileData.filename, fileData.content);
-          this.processedFiles.add(path.basename(fileData.filename));
+          this.fileContexts.set(fileData.filename, fileData.repoInfo);
+          this.processedFiles.add(fileData.filename);
         } else {
           console.warn(`Skipping non-Solidity file: ${fileData.filename}`);
         }
@@ -136,6 +184,33 @@ class GitHubSolidityAnalyzer {
     return this.generateReport();
   }
 
+  // Analyze every Solidity file in a local project directory
+  async analyzeDirectory(dirPath, resolveDependencies = true, maxDepth = 3) {
+    const localProvider = this.dependencyResolver.localProvider;
+    const files = await localProvider.listSolidityFiles(dirPath);
+    
+    if (files.length === 0) {
+      throw new Error(`No Solidity files found in ${dirPath}`);
+    }
+    
+    console.log(`Found ${files.length} Solidity files in ${dirPath}`);
+    return this.analyzeMultipleFiles(files, resolveDependencies, maxDepth);
+  }
+
+  // Check if input is a directory on the local filesystem
+  isLocalDirectory(location) {
+    return this.dependencyResolver.isLocalPath(location) &&
+      this.dependencyResolver.localProvider.isDirectory(location);
+  }
+
+  // Analyze a GitHub URL, local file or local project directory
+  async analyze(location, resolveDependencies = true, maxDepth = 3) {
+    if (this.isLocalDirectory(location)) {
+      return this.analyzeDirectory(location, resolveDependencies, maxDepth);
+    }
+    return this.analyzeSingleFile(location, resolveDependencies, maxDepth);
+  }
+
   // Recursively resolve and analyze dependencies
   async resolveDependenciesRecursively(maxDepth = 3, currentDepth = 0) {
     if (currentDepth >= maxDepth) {
@@ -143,39 +218,50 @@ class GitHubSolidityAnalyzer {
       return;
     }
     
-    const currentDependencies = Array.from(this.dependencies);
+    // Imports not attempted yet, each resolved from the file that contains it
+    const pendingImports = this.imports.filter(entry => !entry.attempted);
     
-    if (currentDependencies.length === 0) {
+    if (pendingImports.length === 0) {
       console.log('No dependencies found to resolve');
       return;
     }
     
-    console.log(`\n🔍 Depth ${currentDepth + 1}/${maxDepth}: Found ${currentDependencies.length} dependencies`);
+    console.log(`\n🔍 Depth ${currentDepth + 1}/${maxDepth}: Found ${pendingImports.length} dependencies`);
     
     // Use dependency resolver to fetch files
     const result = await this.dependencyResolver.resolveDependencies(
-      currentDependencies, 
+      pendingImports.map(entry => ({
+        path: entry.importPath,
+        repoInfo: this.fileContexts.get(entry.from) || this.baseRepoInfo
+      })),
       this.baseRepoInfo, 
       true // verbose
     );
     
-    if (result.resolved.length === 0) {
-      console.log('No dependencies could be resolved');
-      return;
-    }
-    
-    // Parse and analyze resolved dependencies
+    // Record where each import resolved for the import graph
     const newFiles = [];
-    const previousDependencyCount = this.dependencies.size;
     
-    for (const fileData of result.resolved) {
-      // Avoid processing the same file twice
-      const normalizedName = path.basename(fileData.filename);
-      if (!this.processedFiles.has(normalizedName)) {
+    result.results.forEach(({ fileData }, index) => {
+      const entry = pendingImports[index];
+      entry.attempted = true;
+      
+      if (!fileData) return;
+      
+      entry.resolvedFile = fileData.filename;
+      entry.resolvedPath = fileData.repoPath || fileData.url || null;
+      
+      // Avoid processing the same file twice; same-named files in other directories are distinct
+      if (!this.processedFiles.has(fileData.filename)) {
         newFiles.push(fileData);
         this.sourceFiles.set(fileData.filename, fileData.content);
-        this.processedFiles.add(normalizedName);
+        this.fileContexts.set(fileData.filename, fileData.repoInfo);
+        this.processedFiles.add(fileData.filename);
       }
+    });
+    
+    if (result.resolved.length === 0) {
+      console.log('No dependencies could be resolved');
+      return;
     }
     
     if (newFiles.length > 0) {
@@ -197,6 +283,7 @@ class GitHubSolidityAnalyzer {
       }
       
       // Analyze new files to extract their dependencies
+      const previousImportCount = this.imports.length;
       for (const file of newFiles) {
         if (this.contracts.has(file.filename)) {
           this.analyzeContract(this.contracts.get(file.filename), file.filename);
@@ -204,10 +291,9 @@ class GitHubSolidityAnalyzer {
       }
       
       // Check if we found new dependencies
-      const newDependencyCount = this.dependencies.size;
-      if (newDependencyCount > previousDependencyCount) {
-        const newDepsFound = newDependencyCount - previousDependencyCount;
-        console.log(`🔗 Found ${newDepsFound} new dependencies in resolved files`);
+      const newImportCount = this.imports.length - previousImportCount;
+      if (newImportCount > 0) {
+        console.log(`🔗 Found ${newImportCount} new dependencies in resolved files`);
         
         // Recursively resolve new dependencies
         await this.resolveDependenciesRecursively(maxDepth, currentDepth + 1);
@@ -222,9 +308,18 @@ class GitHubSolidityAnalyzer {
     // Reset state
     this.contracts.clear();
     this.dependencies.clear();
+    this.imports = [];
+    this.contractDefinitions = [];
     this.stateVariables = [];
     this.modifiers = [];
     this.functions = [];
+    this.events = [];
+    this.errors = [];
+    this.typeDefinitions = [];
+    this.constants = [];
+    this.usingForDirectives = [];
+    this.typeRegistry = new TypeRegistry({ resolveConstant: (name, context) => this.findConstantValue(name, context) });
+    this.rootFiles = files.map(file => file.filename);
 
     // Parse all files first
     for (const file of files) {
@@ -246,130 +341,421 @@ class GitHubSolidityAnalyzer {
     for (const [filename, ast] of this.contracts) {
       this.analyzeContract(ast, filename);
     }
-
-    return this.generateReport();
   }
 
   // Analyze individual contract
   analyzeContract(ast, filename) {
-    Parser.visit(ast, {
-      ImportDirective: (node) => {
-        this.dependencies.add(node.path);
-      },
-      
-      StateVariableDeclaration: (node) => {
-        node.variables.forEach(variable => {
-          const stateVar = {
-            name: variable.name,
-            type: this.getTypeString(variable.typeName),
-            visibility: variable.visibility || 'internal',
-            isConstant: variable.isConstant || false,
-            isImmutable: variable.isImmutable || false,
-            file: filename,
-            location: node.loc
-          };
-          
-          // Add source code if requested
-          if (this.options.includeSourceCode) {
-            stateVar.sourceCode = this.extractFunctionSource(node, filename);
-          }
-          
-          this.stateVariables.push(stateVar);
-        });
-      },
+    for (const node of ast.children || []) {
+      switch (node.type) {
+        case 'ImportDirective':
+          this.dependencies.add(node.path);
+          this.imports.push({
+            from: filename,
+            importPath: node.path,
+            symbolAliases: node.symbolAliases || null,
+            unitAlias: node.unitAlias || null,
+            resolvedFile: null,
+            resolvedPath: null,
+            attempted: false
+          });
+          break;
+        case 'ContractDefinition':
+          this.analyzeContractDefinition(node, filename);
+          break;
+        case 'FunctionDefinition':
+          // File-level (free) function, not part of any contract
+          this.addFunction(node, filename, null);
+          break;
+        case 'EventDefinition':
+          this.addEvent(node, filename, null);
+          break;
+        case 'CustomErrorDefinition':
+          this.addError(node, filename, null);
+          break;
+        case 'FileLevelConstant':
+          this.addConstant(node, filename);
+          break;
+        case 'StructDefinition':
+          this.addTypeDefinition('struct', node, filename, null);
+          break;
+        case 'EnumDefinition':
+          this.addTypeDefinition('enum', node, filename, null);
+          break;
+        case 'TypeDefinition':
+          this.addTypeDefinition('userDefinedValueType', node, filename, null);
+          break;
+        case 'UsingForDeclaration':
+          this.addUsingFor(node, filename, null);
+          break;
+      }
+    }
+  }
 
-      ModifierDefinition: (node) => {
-        const modifier = {
-          name: node.name,
-          parameters: this.extractParameters(node.parameters),
-          file: filename,
-          location: node.loc
-        };
-        
-        // Add source code if requested
-        if (this.options.includeSourceCode) {
-          modifier.sourceCode = this.extractFunctionSource(node, filename);
-        }
-        
-        this.modifiers.push(modifier);
-      },
+  // Analyze a contract, abstract contract, interface or library and its members
+  analyzeContractDefinition(node, filename) {
+    const contractInfo = {
+      id: this.buildElementId(filename, node.name),
+      name: node.name,
+      kind: node.kind || 'contract',
+      baseContracts: (node.baseContracts || []).map(base => base.baseName.namePath),
+      file: filename,
+      location: node.loc,
+      members: {
+        stateVariables: [],
+        modifiers: [],
+        functions: [],
+        events: [],
+        errors: [],
+        types: []
+      }
+    };
 
-      FunctionDefinition: (node) => {
-        const functionInfo = {
-          name: node.name || '<constructor>',
-          signature: this.buildFunctionSignature(node),
-          visibility: node.visibility || 'internal',
-          stateMutability: node.stateMutability || 'nonpayable',
-          modifiers: node.modifiers?.map(m => m.name) || [],
-          parameters: this.extractParameters(node.parameters),
-          returnParameters: this.extractParameters(node.returnParameters),
-          isConstructor: node.isConstructor || false,
-          isReceive: node.isReceive || false,
-          isFallback: node.isFallback || false,
-          file: filename,
-          location: node.loc,
-          calls: []
-        };
-
-        // Add source code if requested
-        if (this.options.includeSourceCode) {
-          functionInfo.sourceCode = this.extractFunctionSource(node, filename);
-        }
+    this.typeRegistry.addContract(node.name);
 
-        // Find function calls within this function
-        if (node.body) {
-          this.findFunctionCalls(node.body, functionInfo.calls);
-        }
+    for (const subNode of node.subNodes || []) {
+      switch (subNode.type) {
+        case 'StateVariableDeclaration':
+          this.addStateVariables(subNode, filename, contractInfo);
+          break;
+        case 'ModifierDefinition':
+          this.addModifier(subNode, filename, contractInfo);
+          break;
+        case 'FunctionDefinition':
+          this.addFunction(subNode, filename, contractInfo);
+          break;
+        case 'EventDefinition':
+          this.addEvent(subNode, filename, contractInfo);
+          break;
+        case 'CustomErrorDefinition':
+          this.addError(subNode, filename, contractInfo);
+          break;
+        case 'StructDefinition':
+          this.addTypeDefinition('struct', subNode, filename, contractInfo);
+          break;
+        case 'EnumDefinition':
+          this.addTypeDefinition('enum', subNode, filename, contractInfo);
+          break;
+        case 'TypeDefinition':
+          this.addTypeDefinition('userDefinedValueType', subNode, filename, contractInfo);
+          break;
+        case 'UsingForDeclaration':
+          this.addUsingFor(subNode, filename, contractInfo);
+          break;
+      }
+    }
 
-        this.functions.push(functionInfo);
-      },
+    this.contractDefinitions.push(contractInfo);
+  }
 
-      EventDefinition: (node) => {
-        // Track events as well
-        const eventInfo = {
-          type: 'event',
-          name: node.name,
-          parameters: this.extractParameters(node.parameters),
-          file: filename,
-          location: node.loc
-        };
-        
-        // Add source code if requested
-        if (this.options.includeSourceCode) {
-          eventInfo.sourceCode = this.extractFunctionSource(node, filename);
-        }
-        
-        // Add to functions array for simplicity (could create separate events array)
-        this.functions.push(eventInfo);
+  // Qualify a member name with its contract, e.g. Vault.withdraw
+  qualifyName(name, contractInfo) {
+    return contractInfo ? `${contractInfo.name}.${name}` : name;
+  }
+
+  // Record the state variables of a declaration
+  addStateVariables(node, filename, contractInfo) {
+    node.variables.forEach(variable => {
+      const qualifiedName = this.qualifyName(variable.name, contractInfo);
+      const stateVar = {
+        id: this.buildElementId(filename, qualifiedName),
+        name: variable.name,
+        qualifiedName: qualifiedName,
+        contract: contractInfo ? contractInfo.name : null,
+        type: this.getTypeString(variable.typeName),
+        visibility: variable.visibility || 'internal',
+        isConstant: variable.isDeclaredConst || false,
+        isImmutable: variable.isImmutable || false,
+        file: filename,
+        location: node.loc
+      };
+      
+      // Add source code if requested
+      if (this.options.includeSourceCode) {
+        stateVar.sourceCode = this.extractFunctionSource(node, filename);
       }
+      
+      this.astNodes.set(stateVar, variable);
+      this.stateVariables.push(stateVar);
+      if (contractInfo) contractInfo.members.stateVariables.push(variable.name);
     });
   }
 
-  // Extract parameters from AST node
+  // Record a modifier definition and the calls made in its body
+  addModifier(node, filename, contractInfo) {
+    const qualifiedName = this.qualifyName(node.name, contractInfo);
+    const modifier = {
+      id: this.buildElementId(filename, qualifiedName),
+      type: 'modifier',
+      name: node.name,
+      qualifiedName: qualifiedName,
+      contract: contractInfo ? contractInfo.name : null,
+      signature: this.buildFunctionSignature(node),
+      parameters: this.extractParameters(node.parameters),
+      isVirtual: node.isVirtual || false,
+      isImplemented: !!node.body,
+      file: filename,
+      location: node.loc,
+      calls: []
+    };
+    
+    // Add source code if requested
+    if (this.options.includeSourceCode) {
+      modifier.sourceCode = this.extractFunctionSource(node, filename);
+    }
+
+    // Find function calls within the modifier body, e.g. _checkOwner() in onlyOwner
+    if (node.body) {
+      this.findFunctionCalls(node.body, modifier.calls);
+      modifier.placeholderLocation = this.findPlaceholder(node.body);
+    }
+    
+    this.astNodes.set(modifier, node);
+    this.modifiers.push(modifier);
+    if (contractInfo) contractInfo.members.modifiers.push(node.name);
+  }
+
+  // Record a function definition and the calls made in its body
+  addFunction(node, filename, contractInfo) {
+    const name = this.getFunctionName(node);
+    const qualifiedName = this.qualifyName(name, contractInfo);
+    const parameters = this.extractParameters(node.parameters);
+    const functionInfo = {
+      // Overloads share a qualified name, so the id also carries the parameter types
+      id: this.buildElementId(filename, `${qualifiedName}(${parameters.map(p => p.type).join(',')})`),
+      name: name,
+      qualifiedName: qualifiedName,
+      contract: contractInfo ? contractInfo.name : null,
+      signature: this.buildFunctionSignature(node),
+      visibility: node.visibility || 'internal',
+      stateMutability: node.stateMutability || 'nonpayable',
+      modifiers: node.modifiers?.map(m => m.name) || [],
+      modifierInvocations: this.extractModifierInvocations(node.modifiers, filename),
+      parameters: parameters,
+      returnParameters: this.extractParameters(node.returnParameters),
+      isConstructor: node.isConstructor || false,
+      isReceive: node.isReceiveEther || false,
+      isFallback: node.isFallback || false,
+      isImplemented: !!node.body,
+      file: filename,
+      location: node.loc,
+      calls: []
+    };
+
+    // Add source code if requested
+    if (this.options.includeSourceCode) {
+      functionInfo.sourceCode = this.extractFunctionSource(node, filename);
+    }
+
+    // Find function calls within this function
+    if (node.body) {
+      this.findFunctionCalls(node.body, functionInfo.calls);
+    }
+
+    this.astNodes.set(functionInfo, node);
+    this.functions.push(functionInfo);
+    if (contractInfo) contractInfo.members.functions.push(name);
+  }
+
+  // Record an event definition
+  addEvent(node, filename, contractInfo) {
+    const qualifiedName = this.qualifyName(node.name, contractInfo);
+    const eventInfo = {
+      id: this.buildElementId(filename, qualifiedName),
+      type: 'event',
+      name: node.name,
+      qualifiedName: qualifiedName,
+      contract: contractInfo ? contractInfo.name : null,
+      parameters: this.extractParameters(node.parameters),
+      anonymous: node.isAnonymous || false,
+      file: filename,
+      location: node.loc
+    };
+    
+    // Add source code if requested
+    if (this.options.includeSourceCode) {
+      eventInfo.sourceCode = this.extractFunctionSource(node, filename);
+    }
+    
+    this.astNodes.set(eventInfo, node);
+    this.events.push(eventInfo);
+    if (contractInfo) contractInfo.members.events.push(node.name);
+  }
+
+  // Record a struct, enum or user-defined value type
+  addTypeDefinition(kind, node, filename, contractInfo) {
+    const qualifiedName = this.qualifyName(node.name, contractInfo);
+    const typeInfo = {
+      id: this.buildElementId(filename, qualifiedName),
+      type: kind,
+      name: node.name,
+      qualifiedName: qualifiedName,
+      contract: contractInfo ? contractInfo.name : null,
+      file: filename,
+      location: node.loc
+    };
+
+    if (kind === 'struct') {
+      typeInfo.members = (node.members || []).map(member => ({
+        name: member.name,
+        type: this.getTypeString(member.typeName)
+      }));
+    } else if (kind === 'enum') {
+      typeInfo.values = (node.members || []).map(member => member.name);
+    } else {
+      typeInfo.underlyingType = this.getTypeString(node.definition);
+    }
+    
+    // Add source code if requested
+    if (this.options.includeSourceCode) {
+      typeInfo.sourceCode = this.extractFunctionSource(node, filename);
+    }
+    
+    this.astNodes.set(typeInfo, node);
+    this.typeDefinitions.push(typeInfo);
+    this.typeRegistry.addType(kind, node, filename, typeInfo.contract, typeInfo.id);
+    if (contractInfo) contractInfo.members.types.push(node.name);
+  }
+
+  // Record a file-level constant
+  addConstant(node, filename) {
+    const constantInfo = {
+      id: this.buildElementId(filename, node.name),
+      name: node.name,
+      qualifiedName: node.name,
+      contract: null,
+      type: this.getTypeString(node.typeName),
+      isConstant: true,
+      file: filename,
+      location: node.loc
+    };
+    
+    // Add source code if requested
+    if (this.options.includeSourceCode) {
+      constantInfo.sourceCode = this.extractFunctionSource(node, filename);
+    }
+    
+    this.astNodes.set(constantInfo, node);
+    this.constants.push(constantInfo);
+  }
+
+  // Record a using-for directive: using Library for Type, or using {f, g} for Type [global]
+  addUsingFor(node, filename, contractInfo) {
+    this.usingForDirectives.push({
+      library: node.libraryName || null,
+      functions: node.functions || [],
+      type: node.typeName ? this.getTypeString(node.typeName) : '*',
+      global: node.isGlobal || false,
+      contract: contractInfo ? contractInfo.name : null,
+      file: filename,
+      location: node.loc
+    });
+  }
+
+  // Record a custom error definition
+  addError(node, filename, contractInfo) {
+    const qualifiedName = this.qualifyName(node.name, contractInfo);
+    const errorInfo = {
+      id: this.buildElementId(filename, qualifiedName),
+      name: node.name,
+      qualifiedName: qualifiedName,
+      contract: contractInfo ? contractInfo.name : null,
+      parameters: this.extractParameters(node.parameters),
+      file: filename,
+      location: node.loc
+    };
+    
+    // Add source code if requested
+    if (this.options.includeSourceCode) {
+      errorInfo.sourceCode = this.extractFunctionSource(node, filename);
+    }
+    
+    this.astNodes.set(errorInfo, node);
+    this.errors.push(errorInfo);
+    if (contractInfo) contractInfo.members.errors.push(node.name);
+  }
+
+  // Display name of a function, including unnamed special functions
+  getFunctionName(node) {
+    if (node.name) return node.name;
+    if (node.isConstructor) return '<constructor>';
+    if (node.isReceiveEther) return '<receive>';
+    if (node.isFallback) return '<fallback>';
+    return '<constructor>';
+  }
+
+  // Build the identity of a contract element from its canonical file path
+  buildElementId(filename, name) {
+    return `${filename}:${name}`;
+  }
+
+  // Extract parameters from AST node (the parser gives a plain array of declarations)
   extractParameters(parametersNode) {
-    if (!parametersNode || !parametersNode.parameters) {
+    const parameters = Array.isArray(parametersNode) ? parametersNode : parametersNode?.parameters;
+    if (!parameters) {
       return [];
     }
     
-    return parametersNode.parameters.map(param => ({
+    return parameters.map(param => ({
       name: param.name || '',
       type: this.getTypeString(param.typeName),
-      indexed: param.indexed || false
+      indexed: param.isIndexed || false
     }));
   }
 
+  // Location of the first _; in a modifier body, where the modified function runs
+  findPlaceholder(body) {
+    let location = null;
+    Parser.visit(body, {
+      ExpressionStatement: statement => {
+        const expression = statement.expression;
+        if (!location && expression && expression.type === 'Identifier' && expression.name === '_') {
+          location = statement.loc;
+        }
+      }
+    });
+    return location;
+  }
+
+  // Modifiers and base constructor calls in a function header, in order, with their arguments
+  extractModifierInvocations(modifierNodes, filename) {
+    return (modifierNodes || []).map(modifierNode => {
+      const invocation = {
+        name: modifierNode.name,
+        arguments: modifierNode.arguments?.length || 0,
+        argumentSource: (modifierNode.arguments || []).map(argument => this.extractExpressionSource(argument, filename)),
+        location: modifierNode.loc
+      };
+      this.astNodes.set(invocation, modifierNode);
+      return invocation;
+    });
+  }
+
+  // Source text of an expression, from its character range
+  extractExpressionSource(node, filename) {
+    const sourceCode = this.sourceFiles.get(filename);
+    if (!sourceCode || !node.range) return null;
+    return sourceCode.substring(node.range[0], node.range[1] + 1);
+  }
+
   // Find function calls within a code block
   findFunctionCalls(node, calls) {
     Parser.visit(node, {
       FunctionCall: (callNode) => {
-        if (callNode.expression) {
-          const functionName = this.extractFunctionName(callNode.expression);
+        // Pre-0.7 option setters such as a.call.value(v) belong to the call they configure
+        if (callNode.expression && !this.interactionClassifier.isOptionSetter(callNode)) {
+          const { callee } = this.interactionClassifier.unwrapCallOptions(callNode.expression);
+          const functionName = this.extractFunctionName(callee);
           if (functionName) {
-            calls.push({
+            const call = {
               name: functionName,
               arguments: callNode.arguments?.length || 0,
               location: callNode.loc
-            });
+            };
+            if (callNode.names && callNode.names.length > 0) {
+              call.argumentNames = callNode.names;
+            }
+            this.astNodes.set(call, callNode);
+            calls.push(call);
           }
         }
       }
@@ -388,7 +774,7 @@ class GitHubSolidityAnalyzer {
       const startLine = node.loc.start.line - 1; // Convert to 0-based indexing
       const endLine = node.loc.end.line - 1;
       const startColumn = node.loc.start.column;
-      const endColumn = node.loc.end.column;
+      const endColumn = node.loc.end.column + 1; // loc.end points at the last character, include it
 
       if (startLine === endLine) {
         // Single line function
@@ -428,6 +814,10 @@ class GitHubSolidityAnalyzer {
       case 'MemberAccess':
         const base = this.extractFunctionName(expression.expression);
         return base ? `${base}.${expression.memberName}` : expression.memberName;
+      case 'NewExpression':
+        // Contract creation; new bytes(n) and new T[](n) only allocate memory
+        return expression.typeName && expression.typeName.type === 'UserDefinedTypeName' ?
+          `new ${expression.typeName.namePath}` : null;
       default:
         return null;
     }
@@ -436,7 +826,7 @@ class GitHubSolidityAnalyzer {
   // Build function signature
   buildFunctionSignature(node) {
     const name = node.name || (node.isConstructor ? 'constructor' : 
-                             node.isReceive ? 'receive' : 
+                             node.isReceiveEther ? 'receive' : 
                              node.isFallback ? 'fallback' : 'unknown');
     
     const params = this.extractParameters(node.parameters)
@@ -475,7 +865,7 @@ class GitHubSolidityAnalyzer {
         return typeName.namePath;
       case 'ArrayTypeName':
         const baseType = this.getTypeString(typeName.baseTypeName);
-        const length = typeName.length ? `[${typeName.length}]` : '[]';
+        const length = typeName.length ? `[${typeName.length.number || typeName.length.name || ''}]` : '[]';
         return `${baseType}${length}`;
       case 'Mapping':
         const keyType = this.getTypeString(typeName.keyType);
@@ -488,38 +878,398 @@ class GitHubSolidityAnalyzer {
     }
   }
 
-  // Find where a called function is defined
-  findFunctionDefinition(functionName) {
-    return this.functions.find(f => 
-      f.name === functionName || 
-      (f.signature && f.signature.startsWith(functionName + '('))
-    );
+  // Check if a type name refers to an analyzed contract, interface or library
+  isContractType(namePath) {
+    return this.contractDefinitions.some(contract => contract.name === namePath);
+  }
+
+  // Declarations visible in a function body: name -> { type, kind } for parameters, return values and locals
+  buildLocalScope(node) {
+    const scope = new Map();
+    const declare = kind => declaration => {
+      if (declaration && declaration.name && declaration.typeName) {
+        scope.set(declaration.name, { type: this.getTypeString(declaration.typeName), kind });
+      }
+    };
+
+    (Array.isArray(node.parameters) ? node.parameters : []).forEach(declare('parameter'));
+    (Array.isArray(node.returnParameters) ? node.returnParameters : []).forEach(declare('returnValue'));
+
+    if (node.body) {
+      Parser.visit(node.body, {
+        VariableDeclarationStatement: statement => (statement.variables || []).forEach(declare('local'))
+      });
+    }
+
+    return scope;
+  }
+
+  // State variable visible in a function's contract, walking the linearization;
+  // Base.name is the one declared by the contract Base of the linearization
+  findStateVariable(name, func) {
+    if (!func.contract) return null;
+
+    const dotIndex = name.indexOf('.');
+    const owner = dotIndex === -1 ? null : name.substring(0, dotIndex);
+    const variableName = name.substring(dotIndex + 1);
+    const contractId = this.buildElementId(func.file, func.contract);
+    for (const contract of this.inheritanceResolver.linearize(contractId)) {
+      if (owner && contract.name !== owner) continue;
+      const stateVar = this.stateVariables.find(v =>
+        v.name === variableName && v.contract === contract.name && v.file === contract.file);
+      if (stateVar) return stateVar;
+    }
+    return null;
+  }
+
+  // Value of a constant used as an array length, e.g. N of uint256[N]: a constant of the contract or
+  // its bases, else the one file-level constant with that name visible from the file. Null unless
+  // it is initialized with a number literal
+  findConstantValue(name, context) {
+    let declaration = null;
+
+    if (context.contract) {
+      for (const contract of this.inheritanceResolver.linearize(this.buildElementId(context.file, context.contract))) {
+        declaration = this.stateVariables.find(v =>
+          v.isConstant && v.name === name && v.contract === contract.name && v.file === contract.file);
+        if (declaration) break;
+      }
+    }
+
+    if (!declaration) {
+      const visibleFiles = this.inheritanceResolver.getVisibleFiles(context.file);
+      const candidates = this.constants.filter(c => c.name === name && visibleFiles.has(c.file));
+      declaration = candidates.length === 1 ? candidates[0] : null;
+    }
+
+    const node = declaration ? this.astNodes.get(declaration) : null;
+    const value = node ? node.expression || node.initialValue : null;
+    if (!value || value.type !== 'NumberLiteral' || value.subdenomination) return null;
+
+    const number = Number(value.number.replace(/_/g, ''));
+    return Number.isSafeInteger(number) ? number : null;
+  }
+
+  // Type of a state variable visible in a function's contract
+  findStateVariableType(name, func) {
+    const stateVar = this.findStateVariable(name, func);
+    return stateVar ? stateVar.type : null;
+  }
+
+  // Type returned by calling a member of a contract: a function with one return value or a public getter
+  findMemberType(contractName, memberName, fromFile) {
+    const contract = this.inheritanceResolver.resolveContract(contractName, fromFile);
+    if (!contract) return null;
+
+    const returnTypes = new Set(this.callResolver.collectFunctions(contract, null, memberName)
+      .filter(f => f.returnParameters && f.returnParameters.length === 1)
+      .map(f => f.returnParameters[0].type));
+    if (returnTypes.size === 1) return [...returnTypes][0];
+
+    // Getters of mappings and arrays return the innermost value type
+    for (const current of this.inheritanceResolver.linearize(contract)) {
+      const stateVar = this.stateVariables.find(v => v.name === memberName &&
+        v.contract === current.name && v.file === current.file && v.visibility === 'public');
+      if (!stateVar) continue;
+
+      let type = stateVar.type;
+      while (type.startsWith('mapping(') || type.endsWith(']')) {
+        type = this.typeInference.getElementType(type);
+      }
+      return type;
+    }
+
+    return null;
+  }
+
+  // Ids of the structs, enums and value types a node mentions, resolved from its contract
+  collectReferencedTypes(node, context) {
+    const ids = new Set();
+    const addType = name => {
+      const definition = this.typeRegistry.resolve(name, context);
+      if (definition && definition.id) ids.add(definition.id);
+    };
+
+    // Type names cover parameters, returns and locals; identifiers cover Side.Buy, Position(...) and abi.decode
+    Parser.visit(node, {
+      UserDefinedTypeName: typeName => addType(typeName.namePath),
+      Identifier: identifier => addType(identifier.name)
+    });
+
+    return [...ids];
+  }
+
+  // Return type of an internal call when every overload in reach returns the same single value
+  findReturnType(name, func) {
+    const candidates = func.contract ?
+      this.callResolver.collectFunctions(this.buildElementId(func.file, func.contract), null, name) :
+      this.functions.filter(f => !f.contract && f.name === name && f.file === func.file);
+    const returnTypes = new Set(candidates
+      .filter(f => f.returnParameters && f.returnParameters.length === 1)
+      .map(f => f.returnParameters[0].type));
+    return candidates.length > 0 && returnTypes.size === 1 ? [...returnTypes][0] : null;
+  }
+
+  // Add canonical signatures, selectors, topics and inferred call argument types once every file is analyzed
+  finalizeFunctions() {
+    for (const typeInfo of this.typeDefinitions) {
+      const node = this.astNodes.get(typeInfo);
+      typeInfo.referencedTypes = this.collectReferencedTypes(node, { contract: typeInfo.contract, file: typeInfo.file })
+        .filter(id => id !== typeInfo.id);
+    }
+
+    for (const error of this.errors) {
+      this.setCanonicalSignature(error, this.abiGenerator.getCanonicalSignature(error));
+      error.selector = this.abiGenerator.computeSelector(error.canonicalSignature);
+    }
+
+    for (const event of this.events) {
+      this.setCanonicalSignature(event, this.abiGenerator.getCanonicalSignature(event));
+      event.topic0 = event.anonymous ? null : this.abiGenerator.computeTopic(event.canonicalSignature);
+    }
+
+    for (const stateVar of this.stateVariables) {
+      if (stateVar.visibility === 'public') {
+        this.setCanonicalSignature(stateVar, this.abiGenerator.getGetterSignature(stateVar));
+        stateVar.selector = this.abiGenerator.computeSelector(stateVar.canonicalSignature);
+      }
+    }
+
+    for (const func of this.functions) {
+      const node = this.astNodes.get(func);
+      if (!node) continue;
+
+      if (node.name) {
+        this.setCanonicalSignature(func, this.abiGenerator.getCanonicalSignature(func));
+        if (func.visibility === 'public' || func.visibility === 'external') {
+          func.selector = this.abiGenerator.computeSelector(func.canonicalSignature);
+        }
+      }
+
+      const lookup = this.buildLookup(func, node);
+      this.finalizeCalls(func, node, lookup);
+      this.finalizeStateAccess(func, node, lookup);
+      this.finalizeAssembly(func, node, lookup);
+      func.accessChecks = this.accessControlAnalyzer.findChecks(node, expression => this.extractExpressionSource(expression, func.file));
+
+      for (const invocation of func.modifierInvocations) {
+        const invocationNode = this.astNodes.get(invocation);
+        invocation.argumentTypes = (invocationNode.arguments || [])
+          .map(argument => this.typeInference.inferExpressionType(argument, lookup));
+      }
+    }
+
+    for (const modifier of this.modifiers) {
+      const node = this.astNodes.get(modifier);
+      const lookup = this.buildLookup(modifier, node);
+      this.finalizeCalls(modifier, node, lookup);
+      this.finalizeStateAccess(modifier, node, lookup);
+      this.finalizeAssembly(modifier, node, lookup);
+      modifier.accessChecks = this.accessControlAnalyzer.findChecks(node, expression => this.extractExpressionSource(expression, modifier.file));
+    }
+  }
+
+  // Ids of the state variables a function or modifier reads and writes, and where each write happens;
+  // constants and immutables are not storage
+  finalizeStateAccess(func, node, lookup) {
+    const access = this.stateAccessAnalyzer.analyze(node, lookup);
+    const toStorage = name => {
+      const stateVar = this.findStateVariable(name, func);
+      return stateVar && !stateVar.isConstant && !stateVar.isImmutable ? stateVar : null;
+    };
+    const toIds = names => names.map(toStorage).filter(Boolean).map(stateVar => stateVar.id);
+
+    func.stateReads = toIds(access.reads);
+    func.stateWrites = toIds(access.writes);
+    func.stateWriteLocations = access.writeSites
+      .filter(site => toStorage(site.name))
+      .map(site => ({ variable: toStorage(site.name).id, location: site.location }));
+  }
+
+  // Inline assembly of a function or modifier, with x.slot storage accesses tied to their state variables;
+  // bodies without assembly get no assembly field
+  finalizeAssembly(func, node, lookup) {
+    const resolveVariable = name => {
+      const declaration = lookup.describeIdentifier(name);
+      if (!declaration || declaration.kind !== 'stateVariable') return null;
+      const stateVar = this.findStateVariable(name, func);
+      return stateVar ? stateVar.id : null;
+    };
+
+    const assembly = this.assemblyAnalyzer.analyze(node, this.sourceFiles.get(func.file), resolveVariable);
+    if (assembly) {
+      func.assembly = assembly;
+    }
+  }
+
+  // Declarations and types visible from a function or modifier body, used to infer expression types
+  buildLookup(func, node) {
+    const scope = this.buildLocalScope(node);
+    const lookup = {
+      describeIdentifier: name => {
+        if (scope.has(name)) return scope.get(name);
+        if (name === 'this') return func.contract ? { type: func.contract, kind: 'this' } : null;
+        const type = this.findStateVariableType(name, func);
+        return type ? { type, kind: 'stateVariable' } : null;
+      },
+      resolveIdentifier: name => {
+        const declaration = lookup.describeIdentifier(name);
+        return declaration ? declaration.type : null;
+      },
+      isContract: name => this.isContractType(name),
+      resolveReturnType: name => this.findReturnType(name, func),
+      resolveMemberType: (contractName, memberName) => this.findMemberType(contractName, memberName, func.file)
+    };
+    return lookup;
+  }
+
+  // Add referenced types, inferred argument types, member call receivers and external interactions
+  // to a function's or modifier's calls
+  finalizeCalls(func, node, lookup) {
+    func.referencedTypes = this.collectReferencedTypes(node, { contract: func.contract, file: func.file });
+    const parents = func.calls.length > 0 ? this.interactionClassifier.buildParentMap(node.body) : null;
+
+    for (const call of func.calls) {
+      const callNode = this.astNodes.get(call);
+      if (callNode) {
+        call.argumentTypes = (callNode.arguments || [])
+          .map(argument => this.typeInference.inferExpressionType(argument, lookup));
+        call.argumentSource = (callNode.arguments || []).map(argument => this.extractExpressionSource(argument, func.file));
+
+        // value.fn() may be bound by a using-for directive; Contract.fn() and Library.fn() are not
+        const callee = callNode.expression;
+        const receiver = callee && callee.type === 'MemberAccess' ? callee.expression : null;
+        if (receiver && !(receiver.type === 'Identifier' && this.isContractType(receiver.name))) {
+          const target = this.interfaceDetector.detectReceiver(receiver, lookup);
+          call.receiverType = this.typeInference.inferExpressionType(receiver, lookup) ||
+            (target ? target.contract : null);
+          if (target) {
+            call.target = target;
+          }
+        }
+
+        const interaction = this.interactionClassifier.classify(
+          callNode, call, expression => this.extractExpressionSource(expression, func.file));
+        if (interaction) {
+          // transfer reverts on failure and creation returns the new contract, so there is nothing to check
+          interaction.returnChecked = ['transfer', 'selfdestruct', 'create', 'create2'].includes(interaction.kind) ?
+            null : this.interactionClassifier.isReturnChecked(callNode, parents, node.body, interaction);
+          call.interaction = interaction;
+        }
+      }
+    }
+  }
+
+  // Set an element's canonical signature; isCanonical is false when a type or array length in it
+  // could not be resolved, in which case no selector or topic is computed from it
+  setCanonicalSignature(element, canonicalSignature) {
+    element.canonicalSignature = canonicalSignature;
+    element.isCanonical = this.abiGenerator.isHashable(canonicalSignature);
+  }
+
+  // Attach the generated ABI, method identifiers, event topics and error selectors to each contract
+  generateAbis() {
+    for (const contract of this.contractDefinitions) {
+      Object.assign(contract, this.abiGenerator.generate(contract));
+    }
+  }
+
+  // Build the inheritance and call resolvers over the analyzed contracts
+  buildResolvers() {
+    this.inheritanceResolver = new InheritanceResolver(this.contractDefinitions, this.buildImportGraph().edges);
+    this.callResolver = new CallResolver(this.functions, this.inheritanceResolver, this.usingForDirectives, this.modifiers);
+    this.typeRegistry.setInheritanceResolver(this.inheritanceResolver);
+    this.abiGenerator = new AbiGenerator({
+      typeRegistry: this.typeRegistry,
+      callResolver: this.callResolver,
+      inheritanceResolver: this.inheritanceResolver,
+      astNodes: this.astNodes,
+      events: this.events,
+      errors: this.errors,
+      stateVariables: this.stateVariables
+    });
+
+    for (const contract of this.contractDefinitions) {
+      contract.linearization = this.inheritanceResolver.linearizeNames(contract.id);
+      const error = this.inheritanceResolver.getError(contract.id);
+      if (error) {
+        contract.linearizationError = error;
+      }
+    }
+  }
+
+  // Resolve the calls made in a function or modifier body
+  resolveCalls(func) {
+    return func.calls.map(call => {
+      const resolution = this.callResolver.resolve(call, func);
+      const resolvedCall = {
+        ...call,
+        definition: resolution.definition || undefined,
+        isExternal: !resolution.definition && !resolution.ambiguous
+      };
+      if (resolution.usingFor) {
+        resolvedCall.usingFor = resolution.usingFor;
+      }
+      if (resolution.interfaceCall) {
+        // Calls on another contract leave this one even when the callee is known
+        resolvedCall.interfaceCall = resolution.interfaceCall;
+        resolvedCall.isExternal = true;
+      }
+      if (call.interaction && call.interaction.kind === 'interface' && resolution.definition &&
+        (resolution.definition.returnParameters || []).length === 0) {
+        // Methods without return values have nothing to check
+        resolvedCall.interaction = { ...call.interaction, returnChecked: null };
+      }
+      if (resolution.ambiguous) {
+        resolvedCall.ambiguous = true;
+        resolvedCall.candidates = resolution.candidates.map(candidate => candidate.id);
+      }
+      return resolvedCall;
+    });
   }
 
   // Generate final report
   generateReport() {
-    // Create cross-references for function calls
+    this.buildResolvers();
+    this.finalizeFunctions();
+    this.generateAbis();
+    this.detectProxies();
+
+    // Create cross-references for function and modifier calls; overloads that cannot be told apart are flagged
     const functionsWithResolvedCalls = this.functions.map(func => {
       if (!func.calls) return func;
       
       return {
         ...func,
-        resolvedCalls: func.calls.map(call => ({
-          ...call,
-          definition: this.findFunctionDefinition(call.name),
-          isExternal: !this.findFunctionDefinition(call.name)
-        }))
+        modifierInvocations: func.modifierInvocations.map(invocation => {
+          const resolution = this.callResolver.resolveModifier(invocation, func);
+          return { ...invocation, kind: resolution.kind, definition: resolution.definition || undefined };
+        }),
+        resolvedCalls: this.resolveCalls(func)
       };
     });
+    const modifiersWithResolvedCalls = this.modifiers.map(modifier => ({
+      ...modifier,
+      resolvedCalls: this.resolveCalls(modifier)
+    }));
+    const cei = this.analyzeCei();
+    const accessControl = this.analyzeAccessControl();
+    const storageLayout = this.computeStorageLayouts();
 
     // Get dependency resolver stats
     const resolverStats = this.dependencyResolver.getStats();
+    const projectConfig = this.dependencyResolver.getProjectConfig(this.baseRepoInfo);
 
     return {
       metadata: {
         analyzedAt: new Date().toISOString(),
         totalFiles: this.contracts.size,
         fileNames: Array.from(this.contracts.keys()),
+        files: Array.from(this.contracts.keys()).map(file => ({
+          path: file,
+          origin: this.dependencyResolver.describeOrigin(file, this.baseRepoInfo)
+        })),
+        rootFiles: this.rootFiles,
         repositoryInfo: this.baseRepoInfo,
         processedFiles: Array.from(this.processedFiles)
       },
@@ -532,10 +1282,25 @@ class GitHubSolidityAnalyzer {
         ),
         unreachable: resolverStats.failedDependencies.filter(dep => 
           !this.dependencyResolver.isExternalDependency(dep)
-        )
+        ),
+        configuration: projectConfig ? projectConfig.getSummary() : null
       },
+      importGraph: this.buildImportGraph(),
+      contracts: this.contractDefinitions.sort((a, b) => a.name.localeCompare(b.name)),
       stateVariables: this.stateVariables.sort((a, b) => a.name.localeCompare(b.name)),
-      modifiers: this.modifiers.sort((a, b) => a.name.localeCompare(b.name)),
+      modifiers: modifiersWithResolvedCalls.sort((a, b) => a.name.localeCompare(b.name)),
+      events: this.events.sort((a, b) => a.name.localeCompare(b.name)),
+      errors: this.errors.sort((a, b) => a.name.localeCompare(b.name)),
+      structs: this.typeDefinitions.filter(t => t.type === 'struct').sort((a, b) => a.name.localeCompare(b.name)),
+      enums: this.typeDefinitions.filter(t => t.type === 'enum').sort((a, b) => a.name.localeCompare(b.name)),
+      userDefinedValueTypes: this.typeDefinitions
+        .filter(t => t.type === 'userDefinedValueType')
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      constants: this.constants.sort((a, b) => a.name.localeCompare(b.name)),
+      usingFor: this.usingForDirectives,
+      cei: cei,
+      accessControl: accessControl,
+      storageLayout: storageLayout,
       functions: functionsWithResolvedCalls.sort((a, b) => a.name.localeCompare(b.name)),
       summary: {
         totalDependencies: this.dependencies.size,
@@ -545,26 +1310,178 @@ class GitHubSolidityAnalyzer {
           this.dependencyResolver.isExternalDependency(dep)
         ).length,
         dependencySuccessRate: resolverStats.successRate,
+        totalContracts: this.contractDefinitions.length,
         totalStateVariables: this.stateVariables.length,
         totalModifiers: this.modifiers.length,
-        totalFunctions: this.functions.filter(f => f.type !== 'event').length,
-        totalEvents: this.functions.filter(f => f.type === 'event').length,
+        totalFunctions: this.functions.length,
+        totalEvents: this.events.length,
+        totalErrors: this.errors.length,
+        totalStructs: this.typeDefinitions.filter(t => t.type === 'struct').length,
+        totalEnums: this.typeDefinitions.filter(t => t.type === 'enum').length,
+        totalUserDefinedValueTypes: this.typeDefinitions.filter(t => t.type === 'userDefinedValueType').length,
+        totalConstants: this.constants.length,
+        totalUsingForDirectives: this.usingForDirectives.length,
         externalFunctionCalls: functionsWithResolvedCalls
           .flatMap(f => f.resolvedCalls || [])
           .filter(call => call.isExternal).length,
         internalFunctionCalls: functionsWithResolvedCalls
           .flatMap(f => f.resolvedCalls || [])
-          .filter(call => !call.isExternal).length
+          .filter(call => !call.isExternal).length,
+        ambiguousFunctionCalls: functionsWithResolvedCalls
+          .flatMap(f => f.resolvedCalls || [])
+          .filter(call => call.ambiguous).length,
+        externalInteractions: this.countInteractions([...functionsWithResolvedCalls, ...modifiersWithResolvedCalls]),
+        uncheckedReturnValues: [...functionsWithResolvedCalls, ...modifiersWithResolvedCalls]
+          .flatMap(f => [
+            ...(f.resolvedCalls || []).filter(call => call.interaction).map(call => call.interaction),
+            ...(f.assembly ? f.assembly.externalCalls : [])
+          ])
+          .filter(interaction => interaction.returnChecked === false).length,
+        ceiViolations: cei.filter(entry => entry.status === 'violation').length,
+        ceiGuardedViolations: cei.filter(entry => entry.status === 'guarded').length,
+        proxies: this.contractDefinitions.filter(c => c.proxy && c.proxy.role === 'proxy').length,
+        unguardedFunctions: accessControl.flatMap(entry => entry.functions).filter(func => func.unguarded).length,
+        assemblyFunctions: [...this.functions, ...this.modifiers].filter(f => f.assembly).length,
+        memoryUnsafeAssembly: [...this.functions, ...this.modifiers].filter(f => f.assembly && !f.assembly.memorySafe).length
       }
     };
   }
 
+  // Checks-effects-interactions order of every state-changing entry point of the deployable contracts
+  // that makes external calls, as it runs in that contract
+  analyzeCei() {
+    const ceiAnalyzer = new CeiAnalyzer({ callResolver: this.callResolver });
+    const entries = [];
+
+    for (const contract of this.contractDefinitions.filter(c => c.kind === 'contract')) {
+      for (const func of this.callResolver.collectFunctions(contract.id)) {
+        const isReadOnly = func.stateMutability === 'view' || func.stateMutability === 'pure';
+        if (!this.callResolver.isEntryPoint(func) || isReadOnly) continue;
+
+        const result = ceiAnalyzer.analyze(func, contract);
+        if (result.interactions.length > 0) entries.push(result);
+      }
+    }
+
+    return entries;
+  }
+
+  // Label the proxy role of every contract and link proxies to the implementations in the analysis
+  detectProxies() {
+    const detector = new ProxyDetector({
+      callResolver: this.callResolver,
+      getNode: element => this.astNodes.get(element),
+      getSource: (node, file) => this.extractExpressionSource(node, file)
+    });
+
+    for (const contract of this.contractDefinitions) {
+      contract.proxy = detector.detect(contract, this.stateVariables);
+    }
+    for (const contract of this.contractDefinitions.filter(c => c.proxy && c.proxy.role === 'proxy')) {
+      contract.proxy.implementations = detector.findImplementations(contract, this.contractDefinitions, this.functions);
+    }
+  }
+
+  // Storage layout of every deployable contract, with its ERC-7201 namespaces
+  computeStorageLayouts() {
+    const layout = new StorageLayout({
+      typeRegistry: this.typeRegistry,
+      inheritanceResolver: this.inheritanceResolver,
+      getNode: element => this.astNodes.get(element),
+      getSourceCode: file => this.sourceFiles.get(file),
+      getTypeString: typeName => this.getTypeString(typeName),
+      resolveConstant: (name, context) => this.findConstantValue(name, context)
+    });
+
+    return this.contractDefinitions
+      .filter(contract => contract.kind === 'contract')
+      .map(contract => layout.compute(contract, this.stateVariables));
+  }
+
+  // Value of an integer constant visible from a contract, e.g. the N of uint256[N]
+  findConstantValue(name, context) {
+    const stateVar = this.findStateVariable(name, context);
+    const fileConstant = this.constants.find(c => c.name === name && c.file === context.file) ||
+      this.constants.find(c => c.name === name);
+
+    let expression = null;
+    if (stateVar && stateVar.isConstant) {
+      expression = this.astNodes.get(stateVar).expression;
+    } else if (fileConstant) {
+      expression = this.astNodes.get(fileConstant).initialValue;
+    }
+    return expression && expression.type === 'NumberLiteral' ? Number(expression.number) : null;
+  }
+
+  // Access-control matrix: the guards on every state-changing entry point of each deployable contract,
+  // as it runs in that contract
+  analyzeAccessControl() {
+    const analyzer = new AccessControlAnalyzer({ callResolver: this.callResolver });
+
+    return this.contractDefinitions.filter(c => c.kind === 'contract').map(contract => ({
+      contract: contract.name,
+      file: contract.file,
+      functions: this.callResolver.collectFunctions(contract.id)
+        .filter(func => this.callResolver.isEntryPoint(func))
+        .filter(func => func.stateMutability !== 'view' && func.stateMutability !== 'pure')
+        .map(func => analyzer.analyze(func, contract))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    }));
+  }
+
+  // Number of external interactions of each kind, e.g. { interface: 4, call: 1 }, including those made in inline assembly
+  countInteractions(functions) {
+    const counts = {};
+    const kinds = functions.flatMap(f => [
+      ...(f.resolvedCalls || []).filter(call => call.interaction).map(call => call.interaction.kind),
+      ...(f.assembly ? f.assembly.externalCalls.map(call => call.kind) : [])
+    ]);
+    for (const kind of kinds) {
+      counts[kind] = (counts[kind] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Build the import graph: an edge from each file to every file it imports
+  buildImportGraph() {
+    return {
+      files: Array.from(this.contracts.keys()),
+      edges: this.imports.map(entry => ({
+        from: entry.from,
+        to: entry.resolvedFile,
+        importPath: entry.importPath,
+        resolvedPath: entry.resolvedPath,
+        symbolAliases: entry.symbolAliases,
+        unitAlias: entry.unitAlias
+      }))
+    };
+  }
+
   // Save report to file
   async saveReport(report, outputPath) {
     const jsonOutput = JSON.stringify(report, null, 2);
     await fs.promises.writeFile(outputPath, jsonOutput, 'utf8');
     console.log(`Report saved to: ${outputPath}`);
   }
+
+  // Write one ABI file per contract, laid out like build artifacts: <dir>/<source path>/<Contract>.json
+  async saveAbis(report, abiDir) {
+    for (const contract of report.contracts) {
+      const contractDir = path.join(abiDir, contract.file);
+      await fs.promises.mkdir(contractDir, { recursive: true });
+
+      const artifact = {
+        contractName: contract.name,
+        sourceName: contract.file,
+        abi: contract.abi,
+        methodIdentifiers: contract.methodIdentifiers,
+        eventTopics: contract.eventTopics,
+        errorSelectors: contract.errorSelectors
+      };
+      await fs.promises.writeFile(path.join(contractDir, `${contract.name}.json`), JSON.stringify(artifact, null, 2), 'utf8');
+    }
+    console.log(`ABI files for ${report.contracts.length} contracts saved to: ${abiDir}`);
+  }
 }
 
 // CLI interface
@@ -573,7 +1490,7 @@ async function main() {
   
   if (args.length === 0) {
     console.log(`
-Usage: node solidity-analyzer.js <github-blob-url> [output-file] [options]
+Usage: node solidity-analyzer.js <github-blob-url | local-path> [output-file] [options]
 
 Options:
   --no-deps          Disable dependency resolution
@@ -582,6 +1499,7 @@ Options:
   --libs-only        Only resolve common libraries, skip local dependencies
   --no-source        Exclude source code from output (smaller file size)
   --include-source   Include source code in output (default, larger file size)
+  --abi-dir=DIR      Also write one ABI JSON file per contract to DIR
 
 Examples:
   # Analyze single file with dependency resolution
@@ -604,6 +1522,13 @@ Examples:
 
   # Analyze multiple files
   node solidity-analyzer.js "url1,url2,url3" analysis.json
+
+  # Write per-contract ABI files with selectors, event topics and error selectors
+  node solidity-analyzer.js ./src/Token.sol --abi-dir=abi
+
+  # Analyze a local file or every contract in a local project directory
+  node solidity-analyzer.js ./src/Vault.sol
+  node solidity-analyzer.js ./src
 `);
     process.exit(1);
   }
@@ -615,6 +1540,7 @@ Examples:
   let resolveCommonLibs = true;
   let libsOnly = false;
   let includeSourceCode = true;
+  let abiDir = null;
   
   // Parse arguments
   for (let i = 1; i < args.length; i++) {
@@ -631,6 +1557,8 @@ Examples:
       includeSourceCode = false;
     } else if (arg === '--include-source') {
       includeSourceCode = true;
+    } else if (arg.startsWith('--abi-dir=')) {
+      abiDir = arg.split('=')[1];
     } else if (!arg.startsWith('--')) {
       outputFile = arg;
     }
@@ -656,12 +1584,18 @@ Examples:
       const urls = urlInput.split(',').map(url => url.trim());
       console.log(`Analyzing ${urls.length} files...`);
       report = await analyzer.analyzeMultipleFiles(urls, resolveDependencies, maxDepth);
+    } else if (analyzer.isLocalDirectory(urlInput)) {
+      console.log('Analyzing local directory...');
+      report = await analyzer.analyzeDirectory(urlInput, resolveDependencies, maxDepth);
     } else {
       console.log('Analyzing single file...');
       report = await analyzer.analyzeSingleFile(urlInput, resolveDependencies, maxDepth);
     }
 
     await analyzer.saveReport(report, outputFile);
+    if (abiDir) {
+      await analyzer.saveAbis(report, abiDir);
+    }
     
     console.log('\n=== Analysis Summary ===');
     console.log(`Files analyzed: ${report.metadata.totalFiles}`);
@@ -670,12 +1604,25 @@ Examples:
     console.log(`Dependencies failed: ${report.summary.failedDependencies}`);
     console.log(`External dependencies: ${report.summary.externalDependencies}`);
     console.log(`Dependency success rate: ${(report.summary.dependencySuccessRate * 100).toFixed(1)}%`);
+    console.log(`Contracts: ${report.summary.totalContracts}`);
     console.log(`State variables: ${report.summary.totalStateVariables}`);
     console.log(`Modifiers: ${report.summary.totalModifiers}`);
     console.log(`Functions: ${report.summary.totalFunctions}`);
     console.log(`Events: ${report.summary.totalEvents}`);
+    console.log(`Custom errors: ${report.summary.totalErrors}`);
+    console.log(`Structs: ${report.summary.totalStructs}, enums: ${report.summary.totalEnums}, value types: ${report.summary.totalUserDefinedValueTypes}`);
+    console.log(`File-level constants: ${report.summary.totalConstants}`);
+    console.log(`Using-for directives: ${report.summary.totalUsingForDirectives}`);
     console.log(`Internal function calls: ${report.summary.internalFunctionCalls}`);
     console.log(`External function calls: ${report.summary.externalFunctionCalls}`);
+    const interactions = Object.entries(report.summary.externalInteractions).map(([kind, count]) => `${kind}: ${count}`);
+    console.log(`External interactions: ${interactions.join(', ') || 'none'}`);
+    console.log(`Unchecked return values: ${report.summary.uncheckedReturnValues}`);
+    console.log(`CEI violations: ${report.summary.ceiViolations} (${report.summary.ceiGuardedViolations} more behind a reentrancy guard)`);
+    const proxies = report.contracts.filter(c => c.proxy && c.proxy.role === 'proxy');
+    console.log(`Proxies: ${proxies.map(c => `${c.name} (${c.proxy.pattern})`).join(', ') || 'none'}`);
+    console.log(`State-changing entry points without access control: ${report.summary.unguardedFunctions}`);
+    console.log(`Functions with inline assembly: ${report.summary.assemblyFunctions} (${report.summary.memoryUnsafeAssembly} not memory-safe)`);
     
     if (report.dependencies.failed.length > 0) {
       console.log('\n=== Failed Dependencies ===');
@@ -0,0 +1,187 @@
+const Parser = require('@solidity-parser/parser');
+
+// Operators of assignments, which the parser represents as binary operations
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^=', '<<=', '>>=']);
+
+/**
+ * State Access Analyzer
+ * Finds the state variables a function or modifier body reads and writes:
+ * plain, element and member assignments, compound assignments, delete, ++/--,
+ * push and pop, accesses made through local storage pointers, accesses
+ * qualified by the declaring base contract, e.g. Base.total, and sload/sstore
+ * (and tload/tstore) of x.slot in inline assembly
+ */
+class StateAccessAnalyzer {
+  // Names of the state variables a body reads and writes: { reads, writes, writeSites }, where
+  // writeSites holds each write's { name, location } in source order.
+  // lookup.describeIdentifier tells state variables ({ kind: 'stateVariable' }) from locals and parameters
+  analyze(node, lookup) {
+    if (!node || !node.body) return { reads: [], writes: [], writeSites: [] };
+
+    const reads = new Set();
+    const writes = new Set();
+    const writeSites = [];
+    const { aliases, locations } = this.collectStoragePointers(node.body, lookup);
+
+    // State variables an identifier stands for: itself, or those a storage pointer points into
+    const resolve = name => {
+      if (aliases.has(name)) return [...aliases.get(name)];
+      const declaration = lookup.describeIdentifier(name);
+      return declaration && declaration.kind === 'stateVariable' ? [name] : [];
+    };
+
+    // Writing x, x[i] or x.member writes x; plain assignments and delete do not read it
+    const write = (target, alsoReads, operation) => {
+      const root = this.getRootIdentifier(target, lookup);
+      if (!root) return;
+      resolve(this.getReferenceName(root)).forEach(name => {
+        writes.add(name);
+        writeSites.push({ name, location: operation.loc });
+      });
+      if (!alsoReads) locations.add(root);
+    };
+
+    Parser.visit(node.body, {
+      BinaryOperation: assignment => {
+        if (!ASSIGNMENT_OPERATORS.has(assignment.operator)) return;
+
+        const targets = assignment.left.type === 'TupleExpression' ?
+          assignment.left.components.filter(Boolean) :
+          [assignment.left];
+
+        for (const target of targets) {
+          // Assigning a storage pointer points it elsewhere instead of writing storage
+          if (target.type === 'Identifier' && aliases.has(target.name)) {
+            locations.add(target);
+            continue;
+          }
+          write(target, assignment.operator !== '=', assignment);
+        }
+      },
+      UnaryOperation: operation => {
+        if (operation.operator === 'delete') {
+          write(operation.subExpression, false, operation);
+        } else if (operation.operator === '++' || operation.operator === '--') {
+          write(operation.subExpression, true, operation);
+        }
+      },
+      FunctionCall: call => {
+        const callee = call.expression;
+        if (callee && callee.type === 'MemberAccess' && (callee.memberName === 'push' || callee.memberName === 'pop')) {
+          write(callee.expression, false, call);
+        }
+      },
+      AssemblyCall: call => {
+        const slot = (call.arguments || [])[0];
+        if (!slot || slot.type !== 'AssemblyMemberAccess' || slot.memberName.name !== 'slot') return;
+
+        if (call.functionName === 'sstore' || call.functionName === 'tstore') {
+          write(slot.expression, false, call);
+        } else if (call.functionName === 'sload' || call.functionName === 'tload') {
+          resolve(slot.expression.name).forEach(name => reads.add(name));
+        }
+      },
+      // x.slot and x.offset only name where x is stored
+      AssemblyMemberAccess: access => {
+        locations.add(access.expression);
+      }
+    });
+
+    // Every other mention of a state variable reads it
+    Parser.visit(node.body, {
+      Identifier: identifier => {
+        if (!locations.has(identifier)) {
+          resolve(identifier.name).forEach(name => reads.add(name));
+        }
+      },
+      MemberAccess: access => {
+        if (!locations.has(access) && this.isQualifiedStateVariable(access, lookup)) {
+          resolve(this.getReferenceName(access)).forEach(name => reads.add(name));
+        }
+      }
+    });
+
+    return { reads: [...reads], writes: [...writes], writeSites };
+  }
+
+  // Local storage pointers and the state variables they point into: { aliases, locations }.
+  // locations holds the identifiers that only name the storage a pointer is set to
+  collectStoragePointers(body, lookup) {
+    const aliases = new Map(); // pointer name -> state variable names
+    const locations = new Set();
+
+    const pointsInto = expression => {
+      const root = this.getRootIdentifier(expression, lookup);
+      if (!root) return [];
+      const name = this.getReferenceName(root);
+      if (aliases.has(name)) {
+        locations.add(root);
+        return [...aliases.get(name)];
+      }
+      const declaration = lookup.describeIdentifier(name);
+      if (declaration && declaration.kind === 'stateVariable') {
+        locations.add(root);
+        return [name];
+      }
+      return [];
+    };
+
+    Parser.visit(body, {
+      VariableDeclarationStatement: statement => {
+        const variables = statement.variables || [];
+        if (variables.length !== 1 || !variables[0] || variables[0].storageLocation !== 'storage') return;
+        aliases.set(variables[0].name, new Set(statement.initialValue ? pointsInto(statement.initialValue) : []));
+      },
+      BinaryOperation: assignment => {
+        if (assignment.operator === '=' && assignment.left.type === 'Identifier' && aliases.has(assignment.left.name)) {
+          pointsInto(assignment.right).forEach(name => aliases.get(assignment.left.name).add(name));
+        }
+      }
+    });
+
+    return { aliases, locations };
+  }
+
+  // Identifier at the root of an lvalue: balances in balances[a], positions in positions[id].owner,
+  // or the Base.total access naming a base contract's state variable
+  getRootIdentifier(expression, lookup) {
+    if (!expression) return null;
+
+    switch (expression.type) {
+      case 'Identifier':
+        return expression;
+      case 'IndexAccess':
+      case 'IndexRangeAccess':
+        return this.getRootIdentifier(expression.base, lookup);
+      case 'MemberAccess':
+        return this.isQualifiedStateVariable(expression, lookup) ?
+          expression :
+          this.getRootIdentifier(expression.expression, lookup);
+      case 'TupleExpression':
+        return expression.components && expression.components.length === 1 ?
+          this.getRootIdentifier(expression.components[0], lookup) : null;
+      case 'FunctionCall': {
+        // items.push().amount = 1 writes into items
+        const callee = expression.expression;
+        return callee && callee.type === 'MemberAccess' && callee.memberName === 'push' ?
+          this.getRootIdentifier(callee.expression, lookup) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Whether a member access names a state variable through its contract, e.g. Base.total
+  isQualifiedStateVariable(access, lookup) {
+    if (access.expression.type !== 'Identifier' || !lookup.isContract(access.expression.name)) return false;
+    const declaration = lookup.describeIdentifier(this.getReferenceName(access));
+    return !!declaration && declaration.kind === 'stateVariable';
+  }
+
+  // Name a root identifier stands for: x, or Base.x for a qualified access
+  getReferenceName(root) {
+    return root.type === 'Identifier' ? root.name : `${root.expression.name}.${root.memberName}`;
+  }
+}
+
+module.exports = StateAccessAnalyzer;
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+const GitHubSolidityAnalyzer = require('./solidity-analyzer.js');
+const StorageLayoutDiff = require('./storage-layout-diff.js');
+const fs = require('fs');
+
+class StorageDiff {
+  // Compare the storage layouts of two versions of a contract
+  async compareVersions(oldLocation, newLocation, contractName, options = {}) {
+    const {
+      newContractName = contractName,
+      resolveDependencies = true
+    } = options;
+
+    console.log(`Comparing storage of ${contractName}${newContractName !== contractName ? ` -> ${newContractName}` : ''}`);
+
+    const oldLayout = await this.getLayout(oldLocation, contractName, resolveDependencies);
+    const newLayout = await this.getLayout(newLocation, newContractName, resolveDependencies);
+    const { compatible, changes } = new StorageLayoutDiff().compare(oldLayout, newLayout);
+    const count = kind => changes.filter(change => change.kind === kind).length;
+
+    return {
+      metadata: {
+        comparedAt: new Date().toISOString(),
+        old: { location: oldLocation, contract: contractName, file: oldLayout.file },
+        new: { location: newLocation, contract: newContractName, file: newLayout.file }
+      },
+      compatible,
+      changes,
+      summary: {
+        errors: changes.filter(change => change.severity === 'error').length,
+        incomplete: count('incomplete'),
+        collisions: count('collision'),
+        reorderings: count('reordered'),
+        moved: count('moved'),
+        typeChanges: count('typeChanged'),
+        removed: count('removed'),
+        added: count('added')
+      },
+      layouts: { old: oldLayout, new: newLayout }
+    };
+  }
+
+  // Analyze one version and pick the contract's layout; each version gets its own analyzer
+  async getLayout(location, contractName, resolveDependencies) {
+    const analyzer = new GitHubSolidityAnalyzer({ includeSourceCode: false });
+    const report = await analyzer.analyze(location, resolveDependencies, 3);
+
+    return this.findLayout(report.storageLayout, contractName, location);
+  }
+
+  // Layout of a contract named Name or path/File.sol:Name; a bare name must be unique in the analysis
+  findLayout(storageLayout, contractName, location) {
+    const separator = contractName.lastIndexOf(':');
+    const file = separator === -1 ? null : contractName.substring(0, separator);
+    const name = contractName.substring(separator + 1);
+    const matches = storageLayout.filter(entry => entry.contract === name && (!file || entry.file === file));
+
+    if (matches.length === 0) {
+      const available = storageLayout.map(entry => entry.contract).join(', ') || 'none';
+      throw new Error(`Contract "${contractName}" not found in ${location}. Deployable contracts: ${available}`);
+    }
+    if (matches.length > 1) {
+      const options = matches.map(entry => `  ${entry.file}:${entry.contract}`);
+      throw new Error(`Multiple contracts named "${contractName}" in ${location}, specify file:Contract:\n${options.join('\n')}`);
+    }
+    return matches[0];
+  }
+
+  // Save comparison report
+  async saveReport(report, outputPath) {
+    const jsonOutput = JSON.stringify(report, null, 2);
+    await fs.promises.writeFile(outputPath, jsonOutput, 'utf8');
+    console.log(`Storage diff report saved to: ${outputPath}`);
+  }
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 3) {
+    console.log(`
+Usage: node storage-diff-main.js <old-version> <new-version> <contract-name> [options]
+
+Arguments:
+  old-version        GitHub URL, local file or project directory of the deployed version
+  new-version        GitHub URL, local file or project directory of the upgrade
+  contract-name      Contract whose storage is compared, or path/File.sol:Contract when several files declare it
+
+Options:
+  --new-contract=NAME  Name of the contract in the new version, when it was renamed (e.g. VaultV2)
+  --output=FILE      Output file for JSON report (default: storage-diff.json)
+  --no-deps          Skip dependency resolution (layouts with bases in dependencies are incomplete)
+  --no-save          Only print the changes, don't save report
+
+The exit code is 1 when the upgrade is not storage-compatible.
+
+Examples:
+  # Compare two checkouts of a contract
+  node storage-diff-main.js ../vault-v1/src/Vault.sol ./src/Vault.sol Vault
+
+  # Compare a deployed version on GitHub with a renamed upgrade
+  node storage-diff-main.js https://github.com/owner/repo/blob/v1.0.0/src/Vault.sol ./src/VaultV2.sol Vault --new-contract=VaultV2
+`);
+    process.exit(1);
+  }
+
+  const [oldLocation, newLocation, contractName] = args;
+  let newContractName = contractName;
+  let outputFile = 'storage-diff.json';
+  let resolveDependencies = true;
+  let save = true;
+
+  // Parse options
+  for (let i = 3; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--new-contract=')) {
+      newContractName = arg.split('=')[1];
+    } else if (arg.startsWith('--output=')) {
+      outputFile = arg.split('=')[1];
+    } else if (arg === '--no-deps') {
+      resolveDependencies = false;
+    } else if (arg === '--no-save') {
+      save = false;
+    }
+  }
+
+  try {
+    const storageDiff = new StorageDiff();
+    const report = await storageDiff.compareVersions(oldLocation, newLocation, contractName, {
+      newContractName,
+      resolveDependencies
+    });
+
+    console.log('\n=== Storage Changes ===');
+    if (report.changes.length === 0) {
+      console.log('No storage changes');
+    }
+    report.changes.forEach(change => {
+      const marker = change.severity === 'error' ? '❌' : 'ℹ️ ';
+      const namespace = change.namespace ? `[${change.namespace}] ` : '';
+      console.log(`${marker} ${change.kind}: ${namespace}${change.message}`);
+    });
+
+    console.log('\n=== Storage Diff Summary ===');
+    console.log(`Compatible: ${report.compatible ? 'yes' : 'no'}`);
+    console.log(`Errors: ${report.summary.errors}`);
+    console.log(`Incomplete layouts: ${report.summary.incomplete}`);
+    console.log(`Collisions: ${report.summary.collisions}`);
+    console.log(`Reorderings: ${report.summary.reorderings}, moved: ${report.summary.moved}`);
+    console.log(`Type changes: ${report.summary.typeChanges}`);
+    console.log(`Removed: ${report.summary.removed}, added: ${report.summary.added}`);
+
+    if (save) {
+      await storageDiff.saveReport(report, outputFile);
+    }
+    if (!report.compatible) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for use as module
+module.exports = StorageDiff;
+
+// Run as CLI if called directly
+if (require.main === module) {
+  main();
+}
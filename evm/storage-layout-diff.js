@@ -0,0 +1,163 @@
+// Variables that reserve slots for later versions; new variables may take their place
+const GAP_PATTERN = /^__gap/;
+
+/**
+ * Storage Layout Diff
+ * Compares the storage layouts of two versions of a contract for upgrade safety:
+ * variables that were removed, changed type or moved (reordered when two variables
+ * swapped order), new variables that collide with the storage of old ones, and
+ * the same checks for every ERC-7201 namespace. Layouts with unresolved bases
+ * cannot be compared safely and are reported as errors
+ */
+class StorageLayoutDiff {
+  // { compatible, changes } where each change is { kind, severity, variable, namespace?, old?, new?, collidesWith?, message }
+  compare(oldLayout, newLayout) {
+    const changes = [];
+    for (const [version, layout] of [['old', oldLayout], ['new', newLayout]]) {
+      if (!layout.incomplete) continue;
+      changes.push({
+        kind: 'incomplete',
+        severity: 'error',
+        message: `the ${version} layout of ${layout.contract} leaves out the variables of unresolved bases: ${layout.unresolvedBases.join(', ')}`
+      });
+    }
+    changes.push(...this.compareStorage(oldLayout.storage, newLayout.storage, null));
+
+    const newNamespaces = new Map(newLayout.namespaces.map(namespace => [namespace.namespace, namespace]));
+    for (const oldNamespace of oldLayout.namespaces) {
+      const newNamespace = newNamespaces.get(oldNamespace.namespace);
+      if (!newNamespace) {
+        changes.push({
+          kind: 'removed',
+          severity: 'error',
+          namespace: oldNamespace.namespace,
+          message: `namespace ${oldNamespace.namespace} (${oldNamespace.struct}) was removed`
+        });
+        continue;
+      }
+      changes.push(...this.compareStorage(oldNamespace.storage, newNamespace.storage, oldNamespace.namespace));
+    }
+
+    const oldNamespaces = new Set(oldLayout.namespaces.map(namespace => namespace.namespace));
+    for (const newNamespace of newLayout.namespaces.filter(namespace => !oldNamespaces.has(namespace.namespace))) {
+      changes.push({
+        kind: 'added',
+        severity: 'info',
+        namespace: newNamespace.namespace,
+        message: `namespace ${newNamespace.namespace} (${newNamespace.struct}) was added`
+      });
+    }
+
+    return { compatible: !changes.some(change => change.severity === 'error'), changes };
+  }
+
+  // Changes between two lists of storage entries, in the contract's storage or in a namespace
+  compareStorage(oldEntries, newEntries, namespace) {
+    const changes = [];
+    const oldByName = new Map(oldEntries.map(entry => [entry.name, entry]));
+    const newByName = new Map(newEntries.map(entry => [entry.name, entry]));
+    const common = newEntries.filter(entry => oldByName.has(entry.name) && !GAP_PATTERN.test(entry.name));
+    const reordered = this.findReordered(common.map(entry => entry.name), oldEntries.map(entry => entry.name));
+    const change = (kind, severity, entry, message, extra = {}) => {
+      changes.push({ kind, severity, variable: entry.name, ...(namespace ? { namespace } : {}), ...extra, message });
+    };
+
+    for (const oldEntry of oldEntries.filter(entry => !newByName.has(entry.name) && !GAP_PATTERN.test(entry.name))) {
+      change('removed', 'error', oldEntry, `${oldEntry.name} (${oldEntry.type}) at ${this.formatPosition(oldEntry)} was removed`,
+        { old: this.describe(oldEntry) });
+    }
+
+    for (const newEntry of newEntries) {
+      const oldEntry = oldByName.get(newEntry.name);
+
+      if (GAP_PATTERN.test(newEntry.name)) {
+        if (oldEntry && oldEntry.bytes !== newEntry.bytes) {
+          change('gapResized', 'info', newEntry, `${newEntry.name} went from ${oldEntry.type} to ${newEntry.type}`,
+            { old: this.describe(oldEntry), new: this.describe(newEntry) });
+        }
+        continue;
+      }
+
+      if (oldEntry && !this.sameType(oldEntry, newEntry)) {
+        const description = oldEntry.type === newEntry.type ?
+          `the members of ${newEntry.name} (${newEntry.type}) changed` :
+          `${newEntry.name} changed type from ${oldEntry.type} to ${newEntry.type}`;
+        change('typeChanged', 'error', newEntry, description,
+          { old: this.describe(oldEntry), new: this.describe(newEntry) });
+      }
+      if (oldEntry && (oldEntry.slot !== newEntry.slot || oldEntry.offset !== newEntry.offset)) {
+        const kind = reordered.has(newEntry.name) ? 'reordered' : 'moved';
+        change(kind, 'error', newEntry,
+          `${newEntry.name} moved from ${this.formatPosition(oldEntry)} to ${this.formatPosition(newEntry)}`,
+          { old: this.describe(oldEntry), new: this.describe(newEntry) });
+      }
+
+      // Storage that an old variable used, read with a different meaning; gaps are meant to be reused
+      const overlapping = oldEntries.filter(entry => entry.name !== newEntry.name && this.overlaps(entry, newEntry));
+      const collisions = overlapping.filter(entry => !GAP_PATTERN.test(entry.name));
+      if (collisions.length > 0) {
+        change('collision', 'error', newEntry,
+          `${newEntry.name} at ${this.formatPosition(newEntry)} overlaps ${collisions.map(entry => entry.name).join(', ')} of the old layout`,
+          { new: this.describe(newEntry), collidesWith: collisions.map(entry => entry.name) });
+      } else if (!oldEntry) {
+        const gap = overlapping.length > 0 ? ` in ${overlapping[0].name}` : '';
+        change('added', 'info', newEntry, `${newEntry.name} (${newEntry.type}) was added at ${this.formatPosition(newEntry)}${gap}`,
+          { new: this.describe(newEntry) });
+      }
+    }
+
+    return changes;
+  }
+
+  // Names of variables whose order relative to another variable differs between the versions
+  findReordered(newOrder, oldOrder) {
+    const oldIndex = new Map(oldOrder.map((name, i) => [name, i]));
+    const reordered = new Set();
+
+    for (let i = 0; i < newOrder.length; i++) {
+      for (let j = i + 1; j < newOrder.length; j++) {
+        if (oldIndex.get(newOrder[i]) > oldIndex.get(newOrder[j])) {
+          reordered.add(newOrder[i]);
+          reordered.add(newOrder[j]);
+        }
+      }
+    }
+    return reordered;
+  }
+
+  // Same type, including the layout of struct members
+  sameType(oldEntry, newEntry) {
+    if (oldEntry.type !== newEntry.type || oldEntry.bytes !== newEntry.bytes) return false;
+
+    const members = entry => JSON.stringify((entry.members || []).map(member =>
+      [member.name, member.type, member.slot, member.offset, member.bytes]));
+    return members(oldEntry) === members(newEntry);
+  }
+
+  // Whether two entries share any byte of storage
+  overlaps(a, b) {
+    const [aStart, aEnd] = this.getRange(a);
+    const [bStart, bEnd] = this.getRange(b);
+    return aStart < bEnd && bStart < aEnd;
+  }
+
+  // Byte range [start, end) of an entry
+  getRange(entry) {
+    const start = BigInt(entry.slot) * 32n + BigInt(entry.offset);
+    return [start, start + BigInt(entry.bytes)];
+  }
+
+  // Position and type of an entry in a change
+  describe(entry) {
+    return { type: entry.type, slot: entry.slot, offset: entry.offset, bytes: entry.bytes };
+  }
+
+  // slot 3, or slot 3 offset 20; namespaced slots in hex
+  formatPosition(entry) {
+    const slot = BigInt(entry.slot);
+    const text = slot > 0xffffffffn ? `0x${slot.toString(16)}` : entry.slot;
+    return entry.offset > 0 ? `slot ${text} offset ${entry.offset}` : `slot ${text}`;
+  }
+}
+
+module.exports = StorageLayoutDiff;
@@ -0,0 +1,260 @@
+const { keccak256 } = require('js-sha3');
+
+// Matches the NatSpec tag of an ERC-7201 namespaced storage struct
+const NAMESPACE_PATTERN = /@custom:storage-location\s+erc7201:([\w.\-]+)/;
+
+/**
+ * Storage Layout
+ * Computes the storage slot and offset of every state variable of a contract,
+ * base contracts first along the C3 linearization, with Solidity's packing rules:
+ * value types share a slot while they fit, structs and arrays start a new slot
+ * and the item after them too, mappings and dynamic arrays take a whole slot.
+ * ERC-7201 namespaced structs are laid out from the slot their namespace id gives.
+ * A base that could not be resolved makes the layout incomplete: its variables
+ * would come before the ones listed
+ */
+class StorageLayout {
+  constructor(options = {}) {
+    this.typeRegistry = options.typeRegistry;
+    this.inheritanceResolver = options.inheritanceResolver;
+    this.getNode = options.getNode; // State variable -> VariableDeclaration node
+    this.getSourceCode = options.getSourceCode; // file -> source text
+    this.resolveConstant = options.resolveConstant || (() => null); // (name, context) -> number, for array lengths
+    this.getTypeString = options.getTypeString; // Type AST node -> type text, as the analyzer writes it
+  }
+
+  // Layout of a contract: { contract, file, storage, namespaces, incomplete?, unresolvedBases? }
+  compute(contract, stateVariables) {
+    const linearization = this.inheritanceResolver.linearize(contract.id).slice().reverse();
+    const unresolvedBases = linearization.filter(base => base.external).map(base => base.name);
+    const storage = [];
+    const position = { slot: 0n, offset: 0 };
+
+    for (const base of linearization) {
+      const declared = stateVariables
+        .filter(v => v.contract === base.name && v.file === base.file && !v.isConstant && !v.isImmutable)
+        .sort((a, b) => this.compareLocations(a.location, b.location));
+
+      for (const stateVar of declared) {
+        const node = this.getNode(stateVar);
+        const context = { contract: base.name, file: base.file };
+        const type = node ? this.describeType(node.typeName, context) : this.unknownType();
+        const placed = this.place(position, type);
+        storage.push(this.buildEntry(stateVar.name, stateVar.type, type, placed, {
+          id: stateVar.id,
+          contract: base.name
+        }));
+      }
+    }
+
+    const layout = {
+      contract: contract.name,
+      file: contract.file,
+      storage,
+      namespaces: this.computeNamespaces(linearization)
+    };
+    if (unresolvedBases.length > 0) {
+      layout.incomplete = true;
+      layout.unresolvedBases = unresolvedBases;
+    }
+    return layout;
+  }
+
+  // Reserve room for a type after the current position; returns the { slot, offset } it starts at
+  place(position, type) {
+    if (type.wholeSlots || position.offset + type.bytes > 32) {
+      if (position.offset > 0) {
+        position.slot += 1n;
+        position.offset = 0;
+      }
+    }
+
+    const placed = { slot: position.slot, offset: position.offset };
+    if (type.wholeSlots) {
+      position.slot += BigInt(type.slots);
+    } else {
+      position.offset += type.bytes;
+    }
+    return placed;
+  }
+
+  // Report entry of a variable or struct member: { name, type, slot, offset, bytes, slots?, members?, unknownSize? }
+  buildEntry(name, typeString, type, placed, extra = {}) {
+    const entry = {
+      ...extra,
+      name,
+      type: typeString,
+      slot: placed.slot.toString(),
+      offset: placed.offset,
+      bytes: type.bytes
+    };
+    if (type.wholeSlots) entry.slots = type.slots;
+    if (type.members) entry.members = type.members;
+    if (type.unknown) entry.unknownSize = true;
+    return entry;
+  }
+
+  // Storage size of a type AST node: { bytes, slots, wholeSlots, members?, unknown? }
+  describeType(typeName, context, visiting = new Set()) {
+    if (!typeName) return this.unknownType();
+
+    switch (typeName.type) {
+      case 'ElementaryTypeName':
+        return this.describeElementaryType(typeName.name);
+      case 'Mapping':
+        return this.slotType(1);
+      case 'FunctionTypeName':
+        return this.valueType(typeName.visibility === 'external' ? 24 : 8);
+      case 'ArrayTypeName':
+        return this.describeArrayType(typeName, context, visiting);
+      case 'UserDefinedTypeName':
+        return this.describeUserDefinedType(typeName.namePath, context, visiting);
+      default:
+        return this.unknownType();
+    }
+  }
+
+  // bool, address, uintN, intN, bytesN, fixedMxN; string and bytes hold their length in a whole slot
+  describeElementaryType(name) {
+    if (name === 'string' || name === 'bytes') return this.slotType(1);
+    if (name === 'bool' || name === 'byte') return this.valueType(1);
+    if (name.startsWith('address')) return this.valueType(20);
+
+    const integer = name.match(/^u?int(\d*)$/);
+    if (integer) return this.valueType(integer[1] ? Number(integer[1]) / 8 : 32);
+
+    const fixedBytes = name.match(/^bytes(\d+)$/);
+    if (fixedBytes) return this.valueType(Number(fixedBytes[1]));
+
+    const fixed = name.match(/^u?fixed(\d+)?/);
+    if (fixed) return this.valueType(fixed[1] ? Number(fixed[1]) / 8 : 16);
+
+    return this.unknownType();
+  }
+
+  // Dynamic arrays take one slot; fixed arrays pack small elements and start whole-slot elements on their own slots
+  describeArrayType(typeName, context, visiting) {
+    if (!typeName.length) return this.slotType(1);
+
+    const length = this.resolveLength(typeName.length, context);
+    const element = this.describeType(typeName.baseTypeName, context, visiting);
+    if (length === null) return { ...this.slotType(1), unknown: true };
+
+    if (element.wholeSlots) {
+      return { ...this.slotType(element.slots * length), unknown: element.unknown };
+    }
+    const perSlot = Math.floor(32 / element.bytes);
+    return { ...this.slotType(Math.ceil(length / perSlot)), unknown: element.unknown };
+  }
+
+  // Length of a fixed array from a literal or a constant
+  resolveLength(expression, context) {
+    if (expression.type === 'NumberLiteral') return Number(expression.number);
+    if (expression.type === 'Identifier') return this.resolveConstant(expression.name, context);
+    return null;
+  }
+
+  // Enums take one byte, value types their underlying type, contracts an address and structs their members
+  describeUserDefinedType(namePath, context, visiting) {
+    const definition = this.typeRegistry.resolve(namePath, context);
+    if (!definition) {
+      return this.typeRegistry.contractNames.has(namePath.split('.').pop()) ? this.valueType(20) : this.unknownType();
+    }
+
+    const definitionContext = { contract: definition.contract, file: definition.file };
+    switch (definition.kind) {
+      case 'enum':
+        return this.valueType((definition.node.members || []).length > 256 ? 2 : 1);
+      case 'userDefinedValueType':
+        return this.describeType(definition.node.definition, definitionContext, visiting);
+      case 'struct': {
+        if (visiting.has(definition.qualifiedName)) return this.unknownType();
+        const nested = new Set(visiting).add(definition.qualifiedName);
+        const { members, slots, unknown } = this.layoutMembers(definition.node.members || [], definitionContext, nested);
+        return { ...this.slotType(slots), members, unknown };
+      }
+      default:
+        return this.unknownType();
+    }
+  }
+
+  // Layout of struct members from slot 0 of the struct: { members, slots, unknown }
+  layoutMembers(memberNodes, context, visiting = new Set()) {
+    const position = { slot: 0n, offset: 0 };
+    let unknown = false;
+
+    const members = memberNodes.map(member => {
+      const type = this.describeType(member.typeName, context, visiting);
+      unknown = unknown || !!type.unknown;
+      return this.buildEntry(member.name, this.getTypeString(member.typeName), type, this.place(position, type));
+    });
+
+    const slots = Number(position.slot) + (position.offset > 0 ? 1 : 0);
+    return { members, slots: Math.max(slots, 1), unknown };
+  }
+
+  // ERC-7201 namespaced structs declared in the linearization: { namespace, struct, contract, slot, storage }
+  computeNamespaces(linearization) {
+    // Contracts are told apart by file, as two files may declare contracts of the same name
+    const declaring = new Set(linearization.map(contract => `${contract.file}:${contract.name}`));
+
+    return this.typeRegistry.types
+      .filter(type => type.kind === 'struct' && declaring.has(`${type.file}:${type.contract}`))
+      .map(type => ({ type, namespace: this.findNamespace(type) }))
+      .filter(({ namespace }) => namespace)
+      .map(({ type, namespace }) => {
+        const slot = this.computeNamespaceSlot(namespace);
+        const { members } = this.layoutMembers(type.node.members || [], { contract: type.contract, file: type.file },
+          new Set([type.qualifiedName]));
+        return {
+          namespace,
+          struct: type.qualifiedName,
+          contract: type.contract,
+          slot: `0x${slot.toString(16).padStart(64, '0')}`,
+          storage: members.map(member => ({ ...member, slot: (slot + BigInt(member.slot)).toString() }))
+        };
+      });
+  }
+
+  // Namespace id from the @custom:storage-location erc7201:<id> comment just before a struct
+  findNamespace(type) {
+    const source = this.getSourceCode(type.file);
+    if (!source || !type.node.range) return null;
+
+    // The comment sits between the previous declaration and the struct
+    const before = source.substring(0, type.node.range[0]);
+    const start = Math.max(before.lastIndexOf(';'), before.lastIndexOf('}'), before.lastIndexOf('{'));
+    const match = before.substring(start + 1).match(NAMESPACE_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256(id)) - 1)) & ~bytes32(uint256(0xff))
+  computeNamespaceSlot(namespace) {
+    const inner = BigInt(`0x${keccak256(namespace)}`) - 1n;
+    const encoded = Buffer.from(inner.toString(16).padStart(64, '0'), 'hex');
+    return BigInt(`0x${keccak256(encoded)}`) & ~0xffn;
+  }
+
+  // A value type that packs with its neighbours
+  valueType(bytes) {
+    return { bytes, slots: 1, wholeSlots: false };
+  }
+
+  // A type that starts on its own slot and takes whole slots
+  slotType(slots) {
+    return { bytes: slots * 32, slots, wholeSlots: true };
+  }
+
+  // A type whose size is not known, counted as one slot
+  unknownType() {
+    return { ...this.slotType(1), unknown: true };
+  }
+
+  // Order source positions by line, then column
+  compareLocations(a, b) {
+    if (!a || !b) return 0;
+    return a.start.line - b.start.line || a.start.column - b.start.column;
+  }
+}
+
+module.exports = StorageLayout;
@@ -0,0 +1,83 @@
+const { parse } = require('@solidity-parser/parser');
+const AbiGenerator = require('../abi-generator.js');
+const TypeRegistry = require('../type-registry.js');
+const { analyzeFixture } = require('./helpers.js');
+
+// Contract definition node of a contract source
+const parseContract = source => parse(`pragma solidity ^0.8.20;\n${source}`).children[1];
+
+describe('AbiGenerator', () => {
+  const context = { contract: 'Market', file: 'Market.sol' };
+  const contract = parseContract(`
+    contract Market {
+      struct Pair { uint128 amount; address owner; }
+      enum Kind { Deposit, Withdrawal }
+      event Moved(Pair pair, Kind kind);
+      function move(Pair calldata pair, Kind kind) external {}
+      function pairs(Pair[3] calldata list) external {}
+      function deposit(IERC20 token) external {}
+      function fixedLength(uint256[N] calldata values) external {}
+      function pay(IERC20 token, Info calldata info) external {}
+    }
+  `);
+  const members = Object.fromEntries(contract.subNodes.map(node => [node.name, node]));
+  const registry = new TypeRegistry();
+  registry.addType('struct', members.Pair, context.file, context.contract);
+  registry.addType('enum', members.Kind, context.file, context.contract);
+  const generator = new AbiGenerator({ typeRegistry: registry });
+
+  const signatureOf = (name, typeRegistry = registry) =>
+    typeRegistry.buildCanonicalSignature(name, members[name].parameters, context);
+
+  test('encodes structs as tuples and enums as uint8', () => {
+    expect(signatureOf('move')).toBe('move((uint128,address),uint8)');
+    expect(generator.computeSelector(signatureOf('move'))).toBe('0x9139248b');
+    expect(generator.computeSelector(signatureOf('pairs'))).toBe('0x5d41a5a5');
+    expect(generator.computeTopic(signatureOf('Moved')))
+      .toBe('0x428a1435ede6be3dc8cb75b3066d812faa2e5cffb4d0167d243a7a1f2bce6e1e');
+  });
+
+  test('encodes contract types as address', () => {
+    const withToken = new TypeRegistry();
+    withToken.addContract('IERC20');
+    expect(signatureOf('deposit', withToken)).toBe('deposit(address)');
+    expect(generator.computeSelector(signatureOf('deposit', withToken))).toBe('0xf340fa01');
+  });
+
+  test('does not hash a signature with a type that could not be resolved', () => {
+    expect(signatureOf('pay')).toBe('pay(IERC20,Info)');
+    expect(generator.isHashable(signatureOf('pay'))).toBe(false);
+    expect(generator.computeSelector(signatureOf('pay'))).toBeNull();
+    expect(generator.computeTopic('Paid(IERC20)')).toBeNull();
+  });
+
+  test('does not hash a signature with an array length that is not a number', () => {
+    expect(signatureOf('fixedLength')).toBe('fixedLength(uint256[N])');
+    expect(generator.computeSelector(signatureOf('fixedLength'))).toBeNull();
+    expect(generator.isHashable('f((uint128,address)[N])')).toBe(false);
+    expect(generator.computeSelector('f(uint256[3][])')).toBe('0x1b2248f7');
+  });
+
+  describe('on an analyzed contract with a missing import', () => {
+    let report;
+
+    beforeAll(async () => {
+      ({ report } = await analyzeFixture('abi'));
+    });
+
+    test('marks the unresolved signature non-canonical and leaves it out of the method identifiers', () => {
+      const pay = report.functions.find(func => func.name === 'pay');
+      expect(pay).toMatchObject({ canonicalSignature: 'pay(IERC20,Info)', isCanonical: false, selector: null });
+
+      const selectors = report.contracts.find(c => c.name === 'Selectors');
+      expect(selectors.methodIdentifiers).toEqual({ 'move((uint128,address),uint8)': '9139248b' });
+      expect(selectors.abi.map(entry => entry.name)).toEqual(['Moved', 'move', 'pay']);
+    });
+
+    test('lists events apart from the functions', () => {
+      expect(report.events.map(event => event.name)).toEqual(['Moved']);
+      expect(report.functions.map(func => func.name)).not.toContain('Moved');
+      expect(report.events[0]).toMatchObject({ isCanonical: true, topic0: expect.stringMatching(/^0x428a1435/) });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { analyzeFixture } = require('./helpers.js');
+
+describe('AccessControlAnalyzer', () => {
+  let report;
+
+  beforeAll(async () => {
+    ({ report } = await analyzeFixture('access'));
+  });
+
+  const entryOf = name => report.accessControl.find(entry => entry.contract === 'Registry')
+    .functions.find(func => func.name === name);
+
+  test('recognizes an allowlist compared with true', () => {
+    const setSmall = entryOf('setSmall');
+    expect(setSmall.unguarded).toBe(false);
+    expect(setSmall.guards[0]).toMatchObject({ kind: 'allowlist', sender: 'msg.sender', subject: 'authorized', via: ['onlyAuth'] });
+  });
+
+  test('recognizes an owner check in a modifier', () => {
+    expect(entryOf('setLarge').guards[0]).toMatchObject({ kind: 'owner', sender: 'msg.sender', subject: 'owner' });
+  });
+
+  test('reports functions without checks as unguarded', () => {
+    expect(entryOf('setOpen').unguarded).toBe(true);
+  });
+
+  test('recognizes a role check in an if-revert statement', () => {
+    expect(entryOf('setPaused').guards[0]).toMatchObject({ kind: 'role', role: 'ADMIN_ROLE', account: 'msg.sender', via: [] });
+  });
+
+  test('describes conditions joined with || as anyOf', () => {
+    expect(entryOf('setEither').guards[0]).toMatchObject({
+      kind: 'anyOf',
+      checks: [{ kind: 'owner', subject: 'owner' }, { kind: 'allowlist', subject: 'authorized' }]
+    });
+  });
+
+  test('recognizes tx.origin as the caller', () => {
+    expect(entryOf('setByOrigin').guards[0]).toMatchObject({ kind: 'owner', sender: 'tx.origin' });
+  });
+
+  test('lists only the state-changing entry points', () => {
+    const names = report.accessControl.find(entry => entry.contract === 'Registry').functions.map(func => func.name);
+    expect(names).toEqual(['setByOrigin', 'setEither', 'setLarge', 'setOpen', 'setPaused', 'setSmall']);
+  });
+});
+
+describe('AccessControlAnalyzer on a contract whose base is imported under an alias', () => {
+  test('follows the modifier the aliased base declares', async () => {
+    const { report } = await analyzeFixture('aliases');
+    const setOwner = report.accessControl.find(entry => entry.contract === 'SymbolVault')
+      .functions.find(func => func.name === 'setOwner');
+
+    expect(setOwner.guards[0].kind).toBe('owner');
+    expect(setOwner.guards[0].function).toContain('Guarded.onlyOwner');
+  });
+});
@@ -0,0 +1,132 @@
+const Parser = require('@solidity-parser/parser');
+const AssemblyAnalyzer = require('../assembly-analyzer.js');
+const InheritanceResolver = require('../inheritance-resolver.js');
+const CallResolver = require('../call-resolver.js');
+const CallTreeBuilder = require('../call-tree-builder.js');
+const { analyzeFixture } = require('./helpers.js');
+
+// Function node of a contract parsed from source, with ranges for source text
+function parseFunction(source, name) {
+  const ast = Parser.parse(source, { tolerant: true, loc: true, range: true });
+  const contract = ast.children.find(node => node.type === 'ContractDefinition');
+  return contract.subNodes.find(node => node.type === 'FunctionDefinition' && node.name === name);
+}
+
+describe('AssemblyAnalyzer', () => {
+  const analyzer = new AssemblyAnalyzer();
+  const source = `
+    contract C {
+      uint256 total;
+      function none() external { total = 1; }
+      function stores(uint256 v) external {
+        assembly ("memory-safe") {
+          sstore(total.slot, v)
+          let t := tload(0)
+        }
+      }
+      function calls(address to, bytes32 salt) external {
+        assembly {
+          let ok := call(gas(), to, 1, 0, 0, 0, 0)
+          pop(delegatecall(gas(), to, 0, 0, 0, 0))
+          let created := create2(0, 0, 0, salt)
+          selfdestruct(to)
+        }
+      }
+      function helpers() external {
+        assembly {
+          function double(x) -> y { y := add(x, x) }
+          mstore(0x80, double(2))
+          mstore(0x40, 0)
+          revert(0, 0)
+        }
+      }
+      /// @solidity memory-safe-assembly
+      function tagged() external {
+        /// @solidity memory-safe-assembly
+        assembly { mstore(0x80, 1) }
+      }
+    }`;
+
+  const analyze = name => analyzer.analyze(parseFunction(source, name), source,
+    variable => variable === 'total' ? 'C.sol:C.total' : null);
+
+  test('returns null for bodies without assembly', () => {
+    expect(analyze('none')).toBeNull();
+  });
+
+  test('records storage accesses with the state variable of x.slot', () => {
+    const { storageAccesses, blocks, memorySafe } = analyze('stores');
+    expect(storageAccesses.map(({ opcode, access, transient, slot, variable }) => ({ opcode, access, transient, slot, variable })))
+      .toEqual([
+        { opcode: 'sstore', access: 'write', transient: false, slot: 'total.slot', variable: 'C.sol:C.total' },
+        { opcode: 'tload', access: 'read', transient: true, slot: '0', variable: undefined }
+      ]);
+    expect(blocks[0]).toMatchObject({ flags: ['memory-safe'], memorySafe: true });
+    expect(memorySafe).toBe(true);
+  });
+
+  test('describes call opcodes as interactions', () => {
+    const { externalCalls } = analyze('calls');
+    expect(externalCalls.map(({ kind, category, target, sendsValue, returnChecked }) =>
+      [kind, category, target, sendsValue, returnChecked])).toEqual([
+      ['call', 'lowLevel', 'to', true, true],
+      ['delegatecall', 'lowLevel', 'to', false, false],
+      ['create2', 'creation', null, false, null],
+      ['selfdestruct', 'selfdestruct', 'to', true, null]
+    ]);
+    expect(externalCalls[0].options).toEqual({ gas: 'gas()', value: '1' });
+    expect(externalCalls[2].options).toEqual({ value: '0', salt: 'salt' });
+  });
+
+  test('records Yul functions, their calls, memory writes and halts', () => {
+    const result = analyze('helpers');
+    expect(result.functions).toEqual([expect.objectContaining({ name: 'double', parameters: ['x'], returns: ['y'] })]);
+    expect(result.functionCalls).toEqual([expect.objectContaining({ name: 'double', arguments: 1, inFunction: null })]);
+    expect(result.memoryWrites.map(write => write.offset)).toEqual(['0x80', '0x40']);
+    expect(result.halts.map(halt => halt.opcode)).toEqual(['revert']);
+  });
+
+  test('flags undeclared blocks and writes at fixed offsets past the reserved memory', () => {
+    const result = analyze('helpers');
+    expect(result.memorySafe).toBe(false);
+    expect(result.memoryUnsafe.map(entry => [entry.reason, entry.offset])).toEqual([
+      ['undeclared', undefined],
+      ['fixedOffset', '0x80']
+    ]);
+  });
+
+  test('accepts the memory-safe-assembly NatSpec tag', () => {
+    expect(analyze('tagged').memorySafe).toBe(true);
+  });
+});
+
+describe('Inline assembly in the analysis', () => {
+  let report;
+  let functions;
+
+  beforeAll(async () => {
+    ({ report } = await analyzeFixture('assembly'));
+    functions = new Map(report.functions.map(f => [f.qualifiedName, f]));
+  });
+
+  test('counts sstore and sload of x.slot as state access', () => {
+    expect(functions.get('Slots.store').stateWrites).toEqual(['src/Slots.sol:Slots.total']);
+    expect(functions.get('Slots.load').stateReads).toEqual(['src/Slots.sol:Slots.total']);
+    expect(functions.get('Slots.store').assembly.storageAccesses[0].variable).toBe('src/Slots.sol:Slots.total');
+  });
+
+  test('follows Yul function calls to the call opcodes in their body', async () => {
+    const inheritanceResolver = new InheritanceResolver(report.contracts, report.importGraph.edges);
+    const builder = new CallTreeBuilder({ callResolver: new CallResolver(report.functions, inheritanceResolver, report.usingFor) });
+    const tree = await builder.buildCallTree(report.functions, functions.get('Slots.forward'), 10, 0, new Set());
+    const [send] = tree.calls;
+
+    expect([send.name, send.type, send.arguments]).toEqual(['send', 'yul', 1]);
+    expect(send.calls).toEqual([expect.objectContaining({
+      name: 'call',
+      type: 'assembly',
+      target: 'recipient',
+      interaction: expect.objectContaining({ category: 'lowLevel', returnChecked: false })
+    })]);
+  });
+});
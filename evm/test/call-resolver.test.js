@@ -0,0 +1,154 @@
+const CallResolver = require('../call-resolver.js');
+const InheritanceResolver = require('../inheritance-resolver.js');
+const TypeInference = require('../type-inference.js');
+
+// Contract and function elements as the analyzer reports them
+const contract = (file, name, baseContracts = [], kind = 'contract') => ({ id: `${file}:${name}`, name, file, kind, baseContracts });
+const func = (contractName, name, parameters = []) => ({
+  id: `Pool.sol:${contractName}.${name}(${parameters.map(p => p.type).join(',')})`,
+  name,
+  contract: contractName,
+  qualifiedName: `${contractName}.${name}`,
+  file: 'Pool.sol',
+  parameters,
+  isImplemented: true
+});
+const param = (type, name = '') => ({ type, name });
+
+describe('CallResolver overload selection', () => {
+  const depositAmount = func('Pool', 'deposit', [param('uint256', 'amount')]);
+  const depositFor = func('Pool', 'deposit', [param('address', 'account'), param('uint256', 'amount')]);
+  const depositData = func('Pool', 'deposit', [param('address', 'account'), param('bytes', 'data')]);
+  const fee = func('Pool', 'fee', [param('uint256', 'amount')]);
+  const caller = func('Pool', 'run');
+  const resolver = new CallResolver(
+    [depositAmount, depositFor, depositData, fee, caller],
+    new InheritanceResolver([contract('Pool.sol', 'Pool')])
+  );
+
+  test('matches an overload by argument count', () => {
+    expect(resolver.resolve({ name: 'deposit', arguments: 1 }, caller).definition).toBe(depositAmount);
+  });
+
+  test('matches overloads with the same count by inferred argument types', () => {
+    const call = { name: 'deposit', arguments: 2, argumentTypes: ['address', TypeInference.INTEGER_LITERAL] };
+    expect(resolver.resolve(call, caller).definition).toBe(depositFor);
+  });
+
+  test('matches overloads by named arguments', () => {
+    const call = { name: 'deposit', arguments: 2, argumentNames: ['data', 'account'] };
+    expect(resolver.resolve(call, caller).definition).toBe(depositData);
+  });
+
+  test('reports overloads it cannot tell apart as ambiguous', () => {
+    const resolution = resolver.resolve({ name: 'deposit', arguments: 2 }, caller);
+    expect(resolution.definition).toBeNull();
+    expect(resolution.ambiguous).toBe(true);
+    expect(resolution.candidates).toEqual(expect.arrayContaining([depositFor, depositData]));
+  });
+
+  test('leaves a call unresolved when the only candidate takes another number of arguments', () => {
+    expect(resolver.resolve({ name: 'fee', arguments: 2 }, caller)).toEqual({ definition: null, ambiguous: false, candidates: [] });
+  });
+
+  test('leaves a call unresolved when no argument types fit', () => {
+    const call = { name: 'fee', arguments: 1, argumentTypes: [TypeInference.STRING_LITERAL] };
+    expect(resolver.resolve(call, caller).definition).toBeNull();
+  });
+
+  test('does not fall back to same-named functions of unrelated contracts', () => {
+    const other = { ...func('Other', 'sweep'), file: 'Other.sol', id: 'Other.sol:Other.sweep()' };
+    const scoped = new CallResolver(
+      [caller, other],
+      new InheritanceResolver([contract('Pool.sol', 'Pool'), contract('Other.sol', 'Other')])
+    );
+    expect(scoped.resolve({ name: 'sweep', arguments: 0 }, caller).definition).toBeNull();
+  });
+});
+
+describe('CallResolver using-for binding', () => {
+  const libraryFunction = (file, library, name, parameters) => ({
+    ...func(library, name, parameters),
+    id: `${file}:${library}.${name}`,
+    file
+  });
+  const safeTransfer = libraryFunction('SafeERC20.sol', 'SafeERC20', 'safeTransfer',
+    [param('IERC20', 'token'), param('address', 'to'), param('uint256', 'value')]);
+  const mulDiv = libraryFunction('Math.sol', 'Math', 'mulDiv', [param('uint256', 'x'), param('uint256', 'y')]);
+  const add = { ...libraryFunction('Set.sol', null, 'add', [param('uint256[]', 'set'), param('uint256', 'value')]), contract: null, qualifiedName: 'add' };
+  const withdraw = { ...func('Vault', 'withdraw'), file: 'Vault.sol' };
+  const sweep = { ...func('Other', 'sweep'), file: 'Vault.sol' };
+
+  const resolver = new CallResolver(
+    [safeTransfer, mulDiv, add, withdraw, sweep],
+    new InheritanceResolver([
+      contract('IERC20.sol', 'IERC20', [], 'interface'),
+      contract('SafeERC20.sol', 'SafeERC20', [], 'library'),
+      contract('Math.sol', 'Math', [], 'library'),
+      contract('Vault.sol', 'Vault'),
+      contract('Vault.sol', 'Other')
+    ]),
+    [
+      { library: 'SafeERC20', functions: [], type: 'IERC20', global: false, contract: 'Vault', file: 'Vault.sol' },
+      { library: 'Math', functions: [], type: 'uint256', global: false, contract: null, file: 'Vault.sol' },
+      { library: null, functions: ['add'], type: 'uint256[]', global: true, contract: null, file: 'Set.sol' }
+    ]
+  );
+
+  test('binds a member call to the library of a contract-level directive, the receiver as first argument', () => {
+    const call = { name: 'token.safeTransfer', arguments: 2, argumentTypes: ['address', 'uint256'], receiverType: 'IERC20' };
+    const resolution = resolver.resolve(call, withdraw);
+    expect(resolution.definition).toBe(safeTransfer);
+    expect(resolution.usingFor).toBe('SafeERC20 for IERC20');
+  });
+
+  test('binds through file-level directives and global function lists', () => {
+    expect(resolver.resolve({ name: 'amount.mulDiv', arguments: 1, receiverType: 'uint256' }, sweep).definition).toBe(mulDiv);
+
+    const resolution = resolver.resolve({ name: 'set.add', arguments: 1, receiverType: 'uint256[]' }, withdraw);
+    expect(resolution.definition).toBe(add);
+    expect(resolution.usingFor).toBe('{add} for uint256[]');
+  });
+
+  test('does not bind a receiver of another type', () => {
+    const call = { name: 'amount.safeTransfer', arguments: 2, receiverType: 'uint256' };
+    expect(resolver.resolve(call, withdraw).definition).toBeNull();
+  });
+
+  test('does not apply a contract-level directive outside that contract', () => {
+    const call = { name: 'token.safeTransfer', arguments: 2, receiverType: 'IERC20' };
+    expect(resolver.resolve(call, sweep).definition).toBeNull();
+  });
+});
+
+describe('CallResolver interface calls', () => {
+  const transfer = {
+    ...func('IERC20', 'transfer', [param('address', 'to'), param('uint256', 'amount')]),
+    file: 'IERC20.sol',
+    isImplemented: false
+  };
+  const pay = { ...func('Vault', 'pay'), file: 'Vault.sol' };
+  const resolver = new CallResolver(
+    [transfer, pay],
+    new InheritanceResolver([contract('IERC20.sol', 'IERC20', [], 'interface'), contract('Vault.sol', 'Vault')])
+  );
+
+  test('resolves a call on a value of interface type to the interface method', () => {
+    const call = { name: 'token.transfer', arguments: 2, receiverType: 'IERC20', target: { contract: 'IERC20', pattern: 'stateVariable' } };
+    const resolution = resolver.resolve(call, pay);
+    expect(resolution.definition).toBe(transfer);
+    expect(resolution.interfaceCall).toEqual({
+      interface: 'IERC20',
+      method: 'IERC20.transfer',
+      pattern: 'stateVariable',
+      confidence: 'high'
+    });
+  });
+
+  test('reports low confidence when the interface has no such method', () => {
+    const call = { name: 'token.burn', arguments: 1, receiverType: 'IERC20', target: { contract: 'IERC20', pattern: 'cast' } };
+    const resolution = resolver.resolve(call, pay);
+    expect(resolution.definition).toBeNull();
+    expect(resolution.interfaceCall.confidence).toBe('low');
+  });
+});
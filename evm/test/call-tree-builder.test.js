@@ -0,0 +1,146 @@
+const path = require('path');
+const InheritanceResolver = require('../inheritance-resolver.js');
+const CallResolver = require('../call-resolver.js');
+const CallTreeBuilder = require('../call-tree-builder.js');
+const ImplementationResolver = require('../implementation-resolver.js');
+const { fixturePath, quietly, analyzeLocation, analyzeFixture } = require('./helpers.js');
+
+// Call tree of Consumer.quote, analyzing the given location of the implementations fixture
+async function buildQuoteTree(location) {
+  const { analyzer, report } = await analyzeLocation(path.join(fixturePath('implementations'), location));
+  const inheritanceResolver = new InheritanceResolver(report.contracts, report.importGraph.edges);
+  const callResolver = new CallResolver(report.functions, inheritanceResolver, report.usingFor);
+  const implementationResolver = new ImplementationResolver({ dependencyResolver: analyzer.dependencyResolver });
+  const repositoryInfo = report.metadata.repositoryInfo;
+
+  return quietly(async () => {
+    const implementations = await implementationResolver.resolveImplementations(['IOracle'], repositoryInfo);
+    const builder = new CallTreeBuilder({ callResolver, implementations, implementationResolver });
+    const quote = report.functions.find(f => f.qualifiedName === 'Consumer.quote');
+    const consumer = report.contracts.find(contract => contract.name === 'Consumer');
+    const tree = await builder.buildCallTree(report.functions, quote, 10, 0, new Set(), repositoryInfo, consumer);
+    return { builder, tree };
+  });
+}
+
+describe('CallTreeBuilder implementation subtrees', () => {
+  describe('when the implementations are outside the analyzed file', () => {
+    let builder;
+    let interfaceCall;
+
+    beforeAll(async () => {
+      let tree;
+      ({ builder, tree } = await buildQuoteTree('src/Consumer.sol'));
+      interfaceCall = tree.calls[0];
+    });
+
+    test('follows the interface call into each implementation', () => {
+      expect(interfaceCall.id).toBe('src/IOracle.sol:IOracle.price(address)');
+      expect(interfaceCall.calls.map(call => [call.id, call.implementationOf])).toEqual([
+        ['src/oracles/ChainlinkOracle.sol:ChainlinkOracle.price(address)', 'IOracle.price'],
+        ['src/oracles/FixedOracle.sol:FixedOracle.price(address)', 'IOracle.price']
+      ]);
+    });
+
+    test('describes how each implementation was chosen', () => {
+      expect(interfaceCall.calls[0].implementation).toEqual({
+        contract: 'ChainlinkOracle',
+        selectedBy: 'inheritance',
+        inheritancePath: ['ChainlinkOracle', 'OracleBase', 'IOracle'],
+        matchRatio: 1,
+        source: 'repository'
+      });
+    });
+
+    test('dispatches calls in an implementation body within the implementing contract', () => {
+      expect(interfaceCall.calls[0].calls.map(call => call.id)).toEqual([
+        'src/oracles/ChainlinkOracle.sol:ChainlinkOracle._scale(uint256)'
+      ]);
+      expect(builder.loadedFunctions.has('src/oracles/ChainlinkOracle.sol:ChainlinkOracle._scale(uint256)')).toBe(true);
+    });
+
+    test('collects the implementations the tree was followed into', () => {
+      const collected = builder.collectImplementations({ calls: [interfaceCall] });
+      expect(collected.map(impl => [impl.interfaceMethod, impl.function, impl.source])).toEqual([
+        ['IOracle.price', 'src/oracles/ChainlinkOracle.sol:ChainlinkOracle.price(address)', 'repository'],
+        ['IOracle.price', 'src/oracles/FixedOracle.sol:FixedOracle.price(address)', 'repository']
+      ]);
+    });
+  });
+
+  test('uses the analysis for implementations it already covers', async () => {
+    const { builder, tree } = await buildQuoteTree('src');
+    const subtrees = tree.calls[0].calls;
+
+    expect(subtrees.map(call => call.implementation.source)).toEqual(['analysis', 'analysis']);
+    expect(builder.loadedFunctions.size).toBe(0);
+  });
+});
+
+describe('CallTreeBuilder modifier nodes', () => {
+  let report;
+  let callResolver;
+
+  // Call tree of a function dispatched for a most-derived contract
+  function buildTree(func, contractName, options = {}) {
+    const builder = new CallTreeBuilder({ callResolver, ...options });
+    const mostDerived = report.contracts.find(contract => contract.name === contractName);
+    return builder.buildCallTree(report.functions, func, 10, 0, new Set(), null, mostDerived);
+  }
+
+  beforeAll(async () => {
+    ({ report } = await analyzeFixture('modifiers'));
+    const inheritanceResolver = new InheritanceResolver(report.contracts, report.importGraph.edges);
+    callResolver = new CallResolver(report.functions, inheritanceResolver, report.usingFor, report.modifiers);
+  });
+
+  test('records modifier invocations in header order with their arguments', () => {
+    const sweep = report.functions.find(f => f.qualifiedName === 'Vault.sweep');
+    expect(sweep.modifierInvocations.map(invocation => [invocation.name, invocation.argumentSource, invocation.kind]))
+      .toEqual([
+        ['onlyOwner', [], 'modifier'],
+        ['onlyRole', ['ADMIN_ROLE'], 'modifier'],
+        ['nonReentrant', [], 'modifier']
+      ]);
+    expect(sweep.modifierInvocations[1].argumentTypes).toEqual(['bytes32']);
+  });
+
+  test('resolves the calls in modifier bodies', () => {
+    const onlyOwner = report.modifiers.find(modifier => modifier.qualifiedName === 'Owned.onlyOwner');
+    expect(onlyOwner.resolvedCalls.map(call => call.definition.id)).toEqual(['src/Owned.sol:Owned._checkOwner()']);
+  });
+
+  test('puts modifiers first and follows their bodies', async () => {
+    const tree = await buildTree(report.functions.find(f => f.qualifiedName === 'Vault.sweep'), 'Vault');
+    const [onlyOwner, onlyRole, nonReentrant] = tree.calls;
+
+    expect([onlyOwner.qualifiedName, onlyOwner.type]).toEqual(['Owned.onlyOwner', 'modifier']);
+    expect(onlyOwner.calls[0].calls.map(call => call.qualifiedName)).toContain('Owned.owner');
+    expect([onlyRole.qualifiedName, onlyRole.argumentSource]).toEqual(['Owned.onlyRole', ['ADMIN_ROLE']]);
+    expect(nonReentrant).toEqual(expect.objectContaining({ name: 'nonReentrant', type: 'modifier', external: true }));
+  });
+
+  test('follows the most-derived override of a virtual modifier', async () => {
+    const tree = await buildTree(report.functions.find(f => f.qualifiedName === 'Vault.sweep'), 'StrictVault');
+    const onlyOwner = tree.calls[0];
+
+    expect([onlyOwner.qualifiedName, onlyOwner.overrides]).toEqual(['StrictVault.onlyOwner', 'Owned.onlyOwner']);
+    expect(onlyOwner.calls.map(call => call.qualifiedName)).toEqual(['Owned._checkOwner', 'StrictVault._checkFrozen']);
+  });
+
+  test('follows base constructor calls in constructor headers', async () => {
+    const constructor = report.functions.find(f => f.qualifiedName === 'StrictVault.<constructor>');
+    const tree = await buildTree(constructor, 'StrictVault');
+    const vault = tree.calls[0];
+    const owned = vault.calls[0];
+
+    expect([vault.qualifiedName, vault.type, vault.argumentSource]).toEqual(['Vault.<constructor>', 'baseConstructor', ['admin']]);
+    expect([owned.qualifiedName, owned.type]).toEqual(['Owned.<constructor>', 'baseConstructor']);
+    expect(owned.calls.map(call => call.qualifiedName)).toEqual(['Owned._setOwner']);
+  });
+
+  test('leaves modifiers out when asked to', async () => {
+    const tree = await buildTree(report.functions.find(f => f.qualifiedName === 'Vault.sweep'), 'Vault', { includeModifiers: false });
+    expect(tree.calls.some(call => call.type === 'modifier')).toBe(false);
+  });
+});
@@ -0,0 +1,89 @@
+const path = require('path');
+const InheritanceResolver = require('../inheritance-resolver.js');
+const CallResolver = require('../call-resolver.js');
+const CallerTreeBuilder = require('../caller-tree-builder.js');
+const { fixturePath, analyzeLocation } = require('./helpers.js');
+
+// Caller tree builder over the analysis of a location, with a lookup of functions and modifiers by qualified name
+async function buildCallers(location) {
+  const { report } = await analyzeLocation(location);
+  const inheritanceResolver = new InheritanceResolver(report.contracts, report.importGraph.edges);
+  const callResolver = new CallResolver(report.functions, inheritanceResolver, report.usingFor, report.modifiers);
+  const builder = new CallerTreeBuilder({ callResolver }).build(report.functions, report.modifiers);
+  const find = qualifiedName => [...report.functions, ...report.modifiers].find(f => f.qualifiedName === qualifiedName);
+  return { builder, find };
+}
+
+describe('CallerTreeBuilder', () => {
+  describe('through modifiers and base constructors', () => {
+    let builder;
+    let find;
+
+    beforeAll(async () => {
+      ({ builder, find } = await buildCallers(fixturePath('modifiers')));
+    });
+
+    test('indexes calls made in modifier bodies and modifier invocations', () => {
+      const tree = builder.buildCallerTree(find('Owned._checkOwner'), 10);
+      const onlyOwner = tree.calls.find(caller => caller.id === 'src/Owned.sol:Owned.onlyOwner');
+
+      expect(onlyOwner).toEqual(expect.objectContaining({ type: 'modifier', via: 'call' }));
+      expect(onlyOwner.calls.map(caller => [caller.qualifiedName, caller.via, caller.entryPoint]))
+        .toContainEqual(['Vault.sweep', 'modifier', true]);
+    });
+
+    test('reaches an overriding modifier through invocations of the base modifier', () => {
+      const tree = builder.buildCallerTree(find('StrictVault._checkFrozen'), 10);
+      const [override] = tree.calls;
+
+      expect(override.qualifiedName).toBe('StrictVault.onlyOwner');
+      expect(override.calls.map(caller => [caller.qualifiedName, caller.via, caller.through]))
+        .toEqual([['Vault.sweep', 'override', 'src/Owned.sol:Owned.onlyOwner']]);
+    });
+
+    test('lists the entry points with every path down to the target', () => {
+      const tree = builder.buildCallerTree(find('Owned._checkOwner'), 10);
+      const [sweep] = builder.collectEntryPoints(tree);
+
+      expect(sweep.id).toBe('src/Vault.sol:Vault.sweep(address)');
+      expect(sweep.paths).toContainEqual([
+        'src/Vault.sol:Vault.sweep(address)', 'src/Owned.sol:Owned.onlyOwner', 'src/Owned.sol:Owned._checkOwner()'
+      ]);
+    });
+
+    test('follows base constructor calls without treating constructors as overrides', () => {
+      const tree = builder.buildCallerTree(find('Owned._setOwner'), 10);
+
+      expect(builder.collectCallers(tree)).toEqual([
+        'src/Owned.sol:Owned.<constructor>(address)',
+        'src/Vault.sol:Vault.<constructor>(address)',
+        'src/Vault.sol:StrictVault.<constructor>(address)'
+      ]);
+      expect(tree.calls[0].calls.map(caller => caller.via)).toEqual(['baseConstructor']);
+      expect(builder.collectEntryPoints(tree)).toEqual([]);
+    });
+  });
+
+  describe('through interface methods', () => {
+    let builder;
+    let find;
+
+    beforeAll(async () => {
+      ({ builder, find } = await buildCallers(path.join(fixturePath('implementations'), 'src')));
+    });
+
+    test('reaches an implementation from calls on the interface it implements', () => {
+      const tree = builder.buildCallerTree(find('ChainlinkOracle.price'), 10);
+
+      expect(tree.entryPoint).toBe(true);
+      expect(tree.calls.map(caller => [caller.qualifiedName, caller.via, caller.through])).toEqual([
+        ['Consumer.quote', 'interface', 'src/IOracle.sol:IOracle.price(address)']
+      ]);
+    });
+
+    test('stops at the given depth', () => {
+      const tree = builder.buildCallerTree(find('ChainlinkOracle._scale'), 1);
+      expect(tree.calls.map(caller => caller.calls.length)).toEqual([0]);
+    });
+  });
+});
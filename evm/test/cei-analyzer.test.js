@@ -0,0 +1,55 @@
+const { analyzeFixture } = require('./helpers.js');
+
+describe('CeiAnalyzer', () => {
+  let report;
+
+  beforeAll(async () => {
+    ({ report } = await analyzeFixture('cei'));
+  });
+
+  const ceiOf = name => report.cei.find(entry => entry.qualifiedName === `Bank.${name}`);
+  const violatedVariables = name => ceiOf(name).violations.map(violation => violation.variable.split('.').pop());
+
+  test('accepts writes made before the external call', () => {
+    expect(ceiOf('withdraw').status).toBe('ok');
+  });
+
+  test('reports writes after a call in an internal function it reaches', () => {
+    expect(ceiOf('withdrawAll').status).toBe('violation');
+    expect(violatedVariables('withdrawAll')).toEqual(['balances']);
+    expect(ceiOf('withdrawAll').interactions[0].function).toContain('Bank._pay');
+  });
+
+  test('reports a modifier write after the placeholder that follows a call in the body', () => {
+    expect(ceiOf('withdrawLogged').status).toBe('violation');
+    expect(violatedVariables('withdrawLogged')).toEqual(['lastCaller']);
+    expect(ceiOf('withdrawLogged').violations[0].function).toContain('Bank.logAfter');
+  });
+
+  test('reports a body write after a call a modifier makes before the placeholder', () => {
+    expect(ceiOf('deposit').status).toBe('violation');
+    expect(violatedVariables('deposit')).toEqual(['balances']);
+    expect(ceiOf('deposit').interactions[0].function).toContain('Bank.notifyFirst');
+  });
+
+  test('analyzes only the external and public entry points', () => {
+    expect(report.cei.map(entry => entry.qualifiedName).sort()).toEqual([
+      'Bank.deposit', 'Bank.withdraw', 'Bank.withdrawAll', 'Bank.withdrawLocked', 'Bank.withdrawLogged'
+    ]);
+  });
+
+  test('marks violations behind a reentrancy guard as guarded', () => {
+    expect(ceiOf('withdrawLocked').guardedBy).toEqual(['lock']);
+    expect(ceiOf('withdrawLocked').status).toBe('guarded');
+  });
+});
+
+describe('CeiAnalyzer on a contract whose base is imported under an alias', () => {
+  test('recognizes the guard the aliased base declares', async () => {
+    const { report } = await analyzeFixture('aliases');
+    const entry = report.cei.find(e => e.qualifiedName === 'SymbolVault.safeWithdraw');
+
+    expect(entry.guardedBy).toEqual(['nonReentrant']);
+    expect(entry.status).toBe('guarded');
+  });
+});
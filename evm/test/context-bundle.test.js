@@ -0,0 +1,69 @@
+const FunctionExtractor = require('../function-extractor-main.js');
+const ContextBundle = require('../context-bundle.js');
+const { fixturePath, quietly } = require('./helpers.js');
+
+// Context bundle of a function of a fixture project
+function extractContext(fixture, target, options = {}) {
+  return quietly(() => new FunctionExtractor()
+    .extractContext(fixturePath(fixture), target, { resolveImplementations: false, ...options }));
+}
+
+const names = entries => entries.map(entry => entry.name);
+
+describe('ContextBundle', () => {
+  let bundle;
+
+  beforeAll(async () => {
+    bundle = await extractContext('state', 'Vault.deposit');
+  });
+
+  test('lists the target, its callees and the state variables it touches in bundle order', () => {
+    expect(names(bundle.included)).toEqual([
+      'Vault.deposit(uint256)',
+      'Token.transferFrom(address,address,uint256)',
+      'Vault._credit(address,uint256)',
+      'Accounting.total',
+      'Vault.bal',
+      'Vault.token',
+      'Vault.history'
+    ]);
+    expect(bundle.omitted).toEqual([]);
+  });
+
+  test('renders each entry under a file:line header with its source', () => {
+    expect(bundle.markdown).toMatch(/^# Context: Vault\.deposit\(uint256\)\n\nContract: Vault \(Vault -> Accounting\)/);
+    expect(bundle.markdown).toContain('### Vault._credit(address,uint256) - src/Vault.sol:44\n\n```solidity\nfunction _credit(');
+    expect(bundle.markdown).toContain('### Accounting.total - src/Vault.sol:7 (read, written)');
+  });
+
+  test('does not list calls on concrete contracts as interfaces', () => {
+    expect(bundle.markdown).not.toContain('## Interfaces');
+  });
+
+  test('lists the interfaces the call tree calls with their source', async () => {
+    const { included, markdown } = await extractContext('implementations', 'Consumer.quote');
+    expect(included.find(entry => entry.kind === 'interface')).toEqual({
+      kind: 'interface', name: 'IOracle', file: 'src/IOracle.sol', line: 4, depth: 1
+    });
+    expect(markdown).toContain('## Interfaces\n\n### IOracle - src/IOracle.sol:4\n\n```solidity\ninterface IOracle {');
+  });
+
+  test('drops the deepest and least relevant entries first to fit a character budget', async () => {
+    const trimmed = await extractContext('state', 'Vault.deposit', { maxChars: 1190 });
+    expect(names(trimmed.omitted)).toEqual(['Vault.history']);
+    expect(trimmed.markdown.length).toBeLessThanOrEqual(1190);
+    expect(trimmed.markdown).toContain('## Omitted\n\n- State Variables: Vault.history - src/Vault.sol:21, depth 1');
+  });
+
+  test('keeps the target when nothing else fits a token budget', async () => {
+    const trimmed = await extractContext('state', 'Vault.deposit', { maxTokens: 1 });
+    expect(names(trimmed.included)).toEqual(['Vault.deposit(uint256)']);
+    expect(names(trimmed.omitted)).toContain('Vault._credit(address,uint256)');
+  });
+
+  test('uses the smaller of a character and a token budget', () => {
+    expect(new ContextBundle({ maxChars: 1000, maxTokens: 100 }).maxChars).toBe(400);
+    expect(new ContextBundle({ maxTokens: 100 }).maxChars).toBe(400);
+    expect(new ContextBundle().maxChars).toBeNull();
+  });
+});
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { copyFixture, analyzeLocation } = require('./helpers.js');
+
+describe('DependencyResolver', () => {
+  describe('on a project with remappings, lib/ submodules and node_modules packages', () => {
+    let directory;
+    let report;
+
+    beforeAll(async () => {
+      // node_modules is not kept in git, so the package is moved there in a copy of the fixture
+      directory = copyFixture('remappings');
+      fs.renameSync(path.join(directory, 'packages'), path.join(directory, 'node_modules'));
+      ({ report } = await analyzeLocation(path.join(directory, 'src')));
+    });
+
+    afterAll(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('resolves an import through remappings.txt', () => {
+      expect(report.metadata.fileNames).toContain('lib/openzeppelin/contracts/access/Ownable.sol');
+    });
+
+    test('resolves an import through the automatic remapping of a lib/ submodule', () => {
+      expect(report.metadata.fileNames).toContain('lib/solmate/src/auth/Auth.sol');
+    });
+
+    test('resolves an unmapped import from node_modules', () => {
+      expect(report.metadata.fileNames).toContain('node_modules/@acme/tokens/Token.sol');
+      expect(report.dependencies.failed).toEqual([]);
+    });
+
+    test('describes submodule and package files as libraries', () => {
+      const origins = Object.fromEntries(report.metadata.files.map(file => [file.path, file.origin]));
+      expect(origins['src/Vault.sol'].type).toBe('repository');
+      expect(origins['lib/solmate/src/auth/Auth.sol']).toMatchObject({ type: 'library', library: 'solmate' });
+      expect(origins['node_modules/@acme/tokens/Token.sol']).toMatchObject({ type: 'library', library: '@acme/tokens' });
+    });
+  });
+});
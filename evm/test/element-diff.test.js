@@ -0,0 +1,58 @@
+const ElementDiff = require('../element-diff.js');
+
+// Function element of an analysis
+const func = (file, name, extra = {}) => ({
+  id: `${file}:Vault.${name}()`,
+  name,
+  qualifiedName: `Vault.${name}`,
+  contract: 'Vault',
+  file,
+  signature: `${name}() external`,
+  visibility: 'external',
+  stateMutability: null,
+  modifierInvocations: [],
+  sourceCode: `function ${name}() external { total = 0; }`,
+  ...extra
+});
+
+describe('ElementDiff', () => {
+  const diff = new ElementDiff();
+
+  test('matches elements across moved files', () => {
+    const result = diff.compare([func('src/Vault.sol', 'sweep')], [func('src/vault/Vault.sol', 'sweep')], 'functions');
+    expect(result).toEqual({ added: [], removed: [], changed: [] });
+  });
+
+  test('lists what changed about an element', () => {
+    const result = diff.compare(
+      [func('src/Vault.sol', 'sweep')],
+      [func('src/Vault.sol', 'sweep', {
+        visibility: 'public',
+        modifierInvocations: [{ name: 'onlyRole', argumentSource: ['ADMIN'] }],
+        sourceCode: 'function sweep() public onlyRole(ADMIN) { total = 1; }'
+      })],
+      'functions');
+
+    expect(result.changed.map(element => [element.key, element.changes]))
+      .toEqual([['Vault.sweep()', ['visibility', 'modifiers', 'source']]]);
+    expect(result.changed[0].oldSourceCode).toBe('function sweep() external { total = 0; }');
+  });
+
+  test('compares source without comments and whitespace', () => {
+    const reformatted = func('src/Vault.sol', 'sweep', {
+      sourceCode: 'function sweep() external {\n  // Reset\n  total   =   0;\n}'
+    });
+    expect(diff.compare([func('src/Vault.sol', 'sweep')], [reformatted], 'functions').changed).toEqual([]);
+  });
+
+  test('lists added and removed elements', () => {
+    const result = diff.compare([func('src/Vault.sol', 'legacy')], [func('src/Vault.sol', 'pause')], 'functions');
+    expect(result.added.map(element => element.key)).toEqual(['Vault.pause()']);
+    expect(result.removed.map(element => element.key)).toEqual(['Vault.legacy()']);
+  });
+
+  test('keeps the full id of elements whose key is taken', () => {
+    const byKey = diff.indexByKey([func('src/Vault.sol', 'sweep'), func('src/v2/Vault.sol', 'sweep')]);
+    expect([...byKey.keys()]).toEqual(['Vault.sweep()', 'src/v2/Vault.sol:Vault.sweep()']);
+  });
+});
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+uint256 constant SIZE = 4;
+
+contract Lengths {
+    uint256 constant N = 3;
+
+    function f(uint256[N] calldata values) external {}
+
+    function fileLevel(uint256[SIZE] calldata values) external {}
+
+    function doubled(uint256[N * 2] calldata values) external {}
+}
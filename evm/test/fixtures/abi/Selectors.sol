@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC20, Info} from "./missing/Types.sol";
+
+contract Selectors {
+    struct Pair {
+        uint128 amount;
+        address owner;
+    }
+
+    enum Kind {
+        Deposit,
+        Withdrawal
+    }
+
+    event Moved(Pair pair, Kind kind);
+
+    function move(Pair calldata pair, Kind kind) external {}
+
+    function pay(IERC20 token, Info calldata info) external {}
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Registry {
+    address public owner;
+    mapping(address => bool) public authorized;
+    uint8 public small;
+    uint256 public large;
+    uint256 public open;
+    uint256 public paused;
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN");
+
+    error Unauthorized();
+
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return authorized[account] && role != bytes32(0);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    modifier onlyAuth() {
+        require(authorized[msg.sender] == true, "not authorized");
+        _;
+    }
+
+    function setSmall(uint8 value) external onlyAuth {
+        small = value;
+    }
+
+    function setLarge(uint256 value) external onlyOwner {
+        large = value;
+    }
+
+    function setOpen(uint256 value) external {
+        open = value;
+    }
+
+    function setPaused(uint256 value) external {
+        if (!hasRole(ADMIN_ROLE, msg.sender)) revert Unauthorized();
+        paused = value;
+    }
+
+    function setEither(uint256 value) external {
+        require(msg.sender == owner || authorized[msg.sender], "denied");
+        large = value;
+    }
+
+    function setByOrigin(uint256 value) external {
+        require(tx.origin == owner);
+        open = value;
+    }
+}
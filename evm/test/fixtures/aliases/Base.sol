@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Guarded {
+    uint256 private _status = 1;
+    address public owner;
+    mapping(address => bool) public authorized;
+    address public lastCaller;
+
+    modifier nonReentrant() {
+        require(_status == 1, "reentrant");
+        _status = 2;
+        _;
+        _status = 1;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Guarded as G} from "./Base.sol";
+
+contract SymbolVault is G {
+    mapping(address => uint256) internal balances;
+
+    function safeWithdraw(uint256 amount) external nonReentrant {
+        (bool ok, ) = msg.sender.call{value: amount}("");
+        require(ok, "failed");
+        balances[msg.sender] -= amount;
+    }
+
+    function setOwner(address newOwner) external onlyOwner {
+        owner = newOwner;
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./Base.sol" as B;
+
+contract UnitVault is B.Guarded {
+    mapping(address => uint256) internal balances;
+
+    function safeWithdraw(uint256 amount) external nonReentrant {
+        (bool ok, ) = msg.sender.call{value: amount}("");
+        require(ok, "failed");
+        balances[msg.sender] -= amount;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+contract Slots {
+    uint256 internal total;
+    address internal target;
+
+    function store(uint256 value) external {
+        assembly {
+            sstore(total.slot, value)
+        }
+    }
+
+    function load() external view returns (uint256 value) {
+        assembly ("memory-safe") {
+            value := sload(total.slot)
+        }
+    }
+
+    function forward() external {
+        address to = target;
+        assembly {
+            function send(recipient) {
+                pop(call(gas(), recipient, 0, 0, 0, 0, 0))
+            }
+            send(to)
+        }
+    }
+}
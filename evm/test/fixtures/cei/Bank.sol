@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IListener {
+    function notify(address account) external;
+}
+
+contract Bank {
+    mapping(address => uint256) public balances;
+    address public lastCaller;
+    IListener public listener;
+    bool private locked;
+
+    modifier logAfter() {
+        _;
+        lastCaller = msg.sender;
+    }
+
+    modifier notifyFirst() {
+        listener.notify(msg.sender);
+        _;
+    }
+
+    modifier lock() {
+        require(!locked);
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    function withdraw(uint256 amount) external {
+        balances[msg.sender] -= amount;
+        payable(msg.sender).transfer(amount);
+    }
+
+    function withdrawLogged(uint256 amount) external logAfter {
+        payable(msg.sender).transfer(amount);
+    }
+
+    function withdrawAll() external {
+        uint256 amount = balances[msg.sender];
+        _pay(amount);
+        balances[msg.sender] = 0;
+    }
+
+    function deposit() external payable notifyFirst {
+        balances[msg.sender] += msg.value;
+    }
+
+    function withdrawLocked(uint256 amount) external lock {
+        payable(msg.sender).transfer(amount);
+        balances[msg.sender] -= amount;
+    }
+
+    function _pay(uint256 amount) internal {
+        payable(msg.sender).transfer(amount);
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IOracle} from "./IOracle.sol";
+
+contract Consumer {
+    IOracle public oracle;
+
+    function quote(address asset, uint256 amount) external view returns (uint256) {
+        return oracle.price(asset) * amount;
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {OracleBase} from "./OracleBase.sol";
+
+contract ChainlinkOracle is OracleBase {
+    function price(address) external pure override returns (uint256) {
+        return _scale(1);
+    }
+
+    function _scale(uint256 value) internal pure returns (uint256) {
+        return value * 1e18;
+    }
+}
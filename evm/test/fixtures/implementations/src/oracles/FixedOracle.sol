@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IOracle} from "../IOracle.sol";
+
+contract FixedOracle is IOracle {
+    function price(address) external pure returns (uint256) {
+        return 1;
+    }
+}
+
+contract Unrelated {
+    function price(address) external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IOracle} from "../IOracle.sol";
+
+abstract contract OracleBase is IOracle {
+    function price(address asset) external view virtual returns (uint256);
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IOracle} from "../src/IOracle.sol";
+
+contract MockOracle is IOracle {
+    function price(address) external pure returns (uint256) {
+        return 0;
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IToken {
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+contract Child {}
+
+contract Kinds {
+    IToken public token;
+
+    function highLevel(address to, uint256 amount) external {
+        require(token.transfer(to, amount), "transfer failed");
+    }
+
+    function uncheckedHighLevel(address to, uint256 amount) external {
+        token.transfer(to, amount);
+    }
+
+    function lowLevel(address target, bytes calldata data) external returns (bytes memory) {
+        (bool ok, bytes memory result) = target.delegatecall(data);
+        require(ok);
+        (ok, ) = target.staticcall{gas: 5000}(data);
+        return result;
+    }
+
+    function zeroValue(address target) external {
+        (bool ok, ) = target.call{value: 0}("");
+        require(ok);
+    }
+
+    function pay(address payable to, uint256 amount) external {
+        to.transfer(amount);
+    }
+
+    function deploy(bytes32 salt) external returns (address, address) {
+        Child first = new Child();
+        Child second = new Child{salt: salt}();
+        return (address(first), address(second));
+    }
+
+    function destroy(address payable to) external {
+        selfdestruct(to);
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Payouts {
+    bytes public lastReply;
+
+    function checkedCall(uint256 amount) external {
+        (bool ok, ) = msg.sender.call{value: amount}("");
+        require(ok, "call failed");
+    }
+
+    function dataOnly(uint256 amount) external {
+        (bool ok, bytes memory data) = msg.sender.call{value: amount}("");
+        data;
+    }
+
+    function assignedData(uint256 amount) external {
+        bool ok;
+        bytes memory data;
+        (ok, data) = msg.sender.call{value: amount}("");
+        lastReply = data;
+    }
+
+    function assignedSuccess(uint256 amount) external {
+        bool ok;
+        (ok, ) = msg.sender.call{value: amount}("");
+        require(ok);
+    }
+
+    function checkedSend(uint256 amount) external {
+        bool sent = payable(msg.sender).send(amount);
+        require(sent);
+    }
+
+    function droppedSend(uint256 amount) external {
+        payable(msg.sender).send(amount);
+    }
+}
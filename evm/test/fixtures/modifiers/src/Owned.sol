@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+abstract contract Owned {
+    address internal _owner;
+
+    constructor(address initialOwner) {
+        _setOwner(initialOwner);
+    }
+
+    modifier onlyOwner() virtual {
+        _checkOwner();
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    function owner() public view returns (address) {
+        return _owner;
+    }
+
+    function _checkOwner() internal view {
+        require(owner() == msg.sender, "not owner");
+    }
+
+    function _checkRole(bytes32 role) internal view virtual {}
+
+    function _setOwner(address newOwner) internal {
+        _owner = newOwner;
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Owned} from "./Owned.sol";
+import {Guard} from "./Guard.sol";
+
+contract Vault is Owned, Guard {
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN");
+
+    constructor(address admin) Owned(admin) {}
+
+    function sweep(address to) external onlyOwner onlyRole(ADMIN_ROLE) nonReentrant {
+        payable(to).transfer(address(this).balance);
+    }
+}
+
+contract StrictVault is Vault {
+    bool public frozen;
+
+    constructor(address admin) Vault(admin) {}
+
+    modifier onlyOwner() override {
+        _checkOwner();
+        _checkFrozen();
+        _;
+    }
+
+    function _checkFrozen() internal view {
+        require(!frozen, "frozen");
+    }
+}
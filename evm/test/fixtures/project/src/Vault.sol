@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Vault {
+    mapping(address => uint256) public balances;
+
+    modifier nonZero(uint256 amount) {
+        require(amount > 0, "zero");
+        _;
+    }
+
+    event Deposited(address indexed account, uint256 amount);
+
+    function deposit() external payable nonZero(msg.value) {
+        balances[msg.sender] += msg.value;
+        emit Deposited(msg.sender, msg.value);
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract OtherVault {
+    uint256 public total;
+
+    function upgradeToAndCall(address logic, bytes calldata data) external {}
+
+    function proxiableUUID() external pure returns (bytes32) {
+        return 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    }
+
+    function deposit() external payable {
+        total += msg.value;
+    }
+}
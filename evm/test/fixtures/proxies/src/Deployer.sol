@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {LibProxy} from "../lib/other/src/LibProxy.sol";
+import {Vault} from "./Vault.sol";
+
+contract Deployer {
+    function deploy() external returns (address) {
+        return address(new LibProxy(address(new Vault())));
+    }
+}
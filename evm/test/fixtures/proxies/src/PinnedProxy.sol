@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {BaseProxy} from "../lib/other/src/BaseProxy.sol";
+import {OtherVault} from "../lib/other/src/OtherVault.sol";
+
+contract PinnedProxy is BaseProxy {
+    constructor() {
+        _setImplementation(address(new OtherVault()));
+    }
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {BaseProxy} from "../lib/other/src/BaseProxy.sol";
+
+contract VaultProxy is BaseProxy {
+    constructor(address logic) {
+        _setImplementation(logic);
+    }
+}
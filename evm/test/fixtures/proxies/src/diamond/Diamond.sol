@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+library LibDiamond {
+    bytes32 constant DIAMOND_STORAGE_POSITION = keccak256("diamond.standard.diamond.storage");
+
+    struct DiamondStorage {
+        mapping(bytes4 => address) facets;
+    }
+
+    function diamondStorage() internal pure returns (DiamondStorage storage ds) {
+        bytes32 position = DIAMOND_STORAGE_POSITION;
+        assembly {
+            ds.slot := position
+        }
+    }
+}
+
+contract Diamond {
+    fallback() external payable {
+        address facet = LibDiamond.diamondStorage().facets[msg.sig];
+        (bool success, ) = facet.delegatecall(msg.data);
+        require(success);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {LibDiamond} from "./Diamond.sol";
+
+contract DiamondCutFacet {
+    function diamondCut(bytes4 selector, address facet) external {
+        LibDiamond.diamondStorage().facets[selector] = facet;
+    }
+}
+
+contract DiamondLoupeFacet {
+    function facetAddress(bytes4 selector) external view returns (address) {
+        return LibDiamond.diamondStorage().facets[selector];
+    }
+}
+
+contract PriceFacet {
+    uint256 public price;
+
+    function setPrice(uint256 value) external {
+        price = value;
+    }
+}
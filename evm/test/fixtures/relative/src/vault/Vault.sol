@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IVault.sol";
+import "./utils/Helper.sol";
+
+contract Vault is IVault {
+    function deposit() external payable {}
+}
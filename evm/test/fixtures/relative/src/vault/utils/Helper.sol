@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../../interfaces/IVault.sol";
+
+library Helper {
+    function depositTo(IVault vault) internal {
+        vault.deposit();
+    }
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/access/Ownable.sol";
+import "solmate/auth/Auth.sol";
+import "@acme/tokens/Token.sol";
+
+contract Vault is Ownable, Auth {
+    Token public token;
+}
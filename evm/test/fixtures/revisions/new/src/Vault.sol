@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Vault {
+    address public owner;
+    uint256 public total;
+    mapping(address => uint256) public balances;
+    bool public paused;
+
+    event Deposited(address account, uint256 amount, uint256 total);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    function deposit() external payable {
+        _credit(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) external {
+        // Debit before sending
+        _debit(msg.sender, amount);
+        payable(msg.sender).transfer(amount);
+    }
+
+    function sweep() external onlyOwner {
+        total = 0;
+    }
+
+    function pause() external onlyOwner {
+        paused = true;
+    }
+
+    function _credit(address account, uint256 amount) internal {
+        balances[account] += amount;
+        total += amount;
+        emit Deposited(account, amount, total);
+    }
+
+    function _debit(address account, uint256 amount) internal {
+        balances[account]   -= amount;
+    }
+}
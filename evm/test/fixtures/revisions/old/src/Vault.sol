@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Vault {
+    address public owner;
+    uint128 public total;
+    mapping(address => uint256) public balances;
+
+    event Deposited(address account, uint256 amount);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner);
+        _;
+    }
+
+    function deposit() external payable {
+        _credit(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) external {
+        _debit(msg.sender, amount);
+        payable(msg.sender).transfer(amount);
+    }
+
+    function sweep() external onlyOwner {
+        total = 0;
+    }
+
+    function legacy() external onlyOwner {
+        total = 0;
+    }
+
+    function _credit(address account, uint256 amount) internal {
+        balances[account] += amount;
+        total += uint128(amount);
+        emit Deposited(account, amount);
+    }
+
+    function _debit(address account, uint256 amount) internal {
+        balances[account] -= amount;
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./a/Errors.sol";
+import "./b/Errors.sol";
+
+contract Vault {
+    function withdraw() external pure {
+        VaultErrors.fail();
+    }
+
+    function transfer() external pure {
+        TokenErrors.fail();
+    }
+}
@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+library TokenErrors {
+    function fail() internal pure {
+        revert("token");
+    }
+}
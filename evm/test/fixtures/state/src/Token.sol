@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Token {
+    mapping(address => uint256) public bal;
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        bal[from] -= amount;
+        bal[to] += amount;
+        return true;
+    }
+}
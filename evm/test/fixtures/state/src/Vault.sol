@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Token} from "./Token.sol";
+
+contract Accounting {
+    uint256 internal total;
+}
+
+contract Vault is Accounting {
+    struct Position {
+        uint256 amount;
+        address owner;
+    }
+
+    uint256 public constant MAX = 1000;
+    address public immutable admin;
+    Token public token;
+    mapping(address => uint256) public bal;
+    mapping(uint256 => Position) public positions;
+    uint256[] public history;
+
+    constructor(Token token_) {
+        admin = msg.sender;
+        token = token_;
+    }
+
+    function deposit(uint256 amount) external {
+        require(amount <= MAX, "max");
+        token.transferFrom(msg.sender, address(this), amount);
+        _credit(msg.sender, amount);
+    }
+
+    function close(uint256 id) external {
+        Position storage position = positions[id];
+        total -= position.amount;
+        delete position.amount;
+    }
+
+    function reset() external {
+        Accounting.total = 0;
+    }
+
+    function _credit(address account, uint256 amount) internal {
+        bal[account] += amount;
+        total = total + amount;
+        history.push(amount);
+    }
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Namespaced {
+    /// @custom:storage-location erc7201:example.other
+    struct OtherStorage {
+        mapping(address => uint256[]) balances;
+    }
+}
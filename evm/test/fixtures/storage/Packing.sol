@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Base {
+    uint256 internal baseValue;
+}
+
+contract Packing is Base {
+    struct Pair {
+        uint128 x;
+        uint128 y;
+    }
+
+    uint256 internal constant LENGTH = 3;
+    address internal immutable deployer;
+
+    uint128 internal a;
+    uint64 internal b;
+    address internal c;
+    bool internal d;
+    uint256 internal e;
+    Pair internal pair;
+    uint8 internal f;
+    uint16[LENGTH] internal small;
+    mapping(address => uint256) internal balances;
+    uint256[] internal list;
+    uint8 internal g;
+
+    constructor() {
+        deployer = msg.sender;
+    }
+}
+
+contract Namespaced {
+    /// @custom:storage-location erc7201:example.main
+    struct MainStorage {
+        uint256 x;
+        address owner;
+        bool flag;
+    }
+}
@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Guarded as G} from "./Missing.sol";
+
+contract Orphan is G {
+    uint256 internal balance;
+}
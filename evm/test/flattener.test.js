@@ -0,0 +1,122 @@
+const Parser = require('@solidity-parser/parser');
+const Flattener = require('../flattener.js');
+const { analyzeFixture } = require('./helpers.js');
+
+// Flatten in-memory sources: files maps each name to its source, imports are import graph edges
+function flattenSources(rootFiles, sources, imports) {
+  const files = new Map(Object.entries(sources).map(([file, source]) =>
+    [file, { source, ast: Parser.parse(source, { loc: true, range: true }) }]));
+  return new Flattener().flatten({ rootFiles, files, imports });
+}
+
+const MATH = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+struct Point {
+    uint256 x;
+}
+
+library Math {
+    function max(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a > b ? a : b;
+    }
+}
+`;
+
+describe('Flattener', () => {
+  test('writes the bases of an analyzed project back to their declared names', async () => {
+    const { analyzer, report } = await analyzeFixture('aliases');
+    const files = new Map([...analyzer.contracts].map(([file, ast]) => [file, { source: analyzer.sourceFiles.get(file), ast }]));
+    const result = new Flattener().flatten({ rootFiles: report.metadata.rootFiles, files, imports: report.importGraph.edges });
+
+    expect(result.files[0]).toBe('test/fixtures/aliases/Base.sol');
+    expect(result.source).toContain('contract SymbolVault is Guarded {');
+    expect(result.source).toContain('contract UnitVault is Guarded {');
+    expect(result.source).not.toMatch(/^import /m);
+    expect(result.compilable).toBe(true);
+  });
+
+  test('rewrites symbol and unit aliases in types, calls and using for', () => {
+    const use = `// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.4 <0.9.0;
+
+import {Math as M, Point as P} from "./Math.sol";
+import "./Math.sol" as L;
+
+contract Use {
+    using L.Math for uint256;
+
+    P internal first;
+    L.Point internal second;
+
+    function biggest(uint256 a) external view returns (uint256) {
+        return M.max(a, L.Math.max(first.x, second.x));
+    }
+}
+`;
+    const result = flattenSources(['Use.sol'], { 'Math.sol': MATH, 'Use.sol': use }, [
+      { from: 'Use.sol', to: 'Math.sol', importPath: './Math.sol', symbolAliases: [['Math', 'M'], ['Point', 'P']], unitAlias: null },
+      { from: 'Use.sol', to: 'Math.sol', importPath: './Math.sol', symbolAliases: null, unitAlias: 'L' }
+    ]);
+
+    expect(result.source).toContain('using Math for uint256;');
+    expect(result.source).toContain('Point internal first;');
+    expect(result.source).toContain('Point internal second;');
+    expect(result.source).toContain('return Math.max(a, Math.max(first.x, second.x));');
+    expect(result.source.startsWith('// SPDX-License-Identifier: MIT\npragma solidity ^0.8.4;\n')).toBe(true);
+  });
+
+  test('follows an alias made by a file that re-exports an import', () => {
+    const reexport = 'import {Math as Maths} from "./Math.sol";\n';
+    const use = `import {Maths as Calc} from "./Reexport.sol";
+
+contract Use {
+    function biggest(uint256 a, uint256 b) external pure returns (uint256) {
+        return Calc.max(a, b);
+    }
+}
+`;
+    const result = flattenSources(['Use.sol'], { 'Math.sol': MATH, 'Reexport.sol': reexport, 'Use.sol': use }, [
+      { from: 'Use.sol', to: 'Reexport.sol', importPath: './Reexport.sol', symbolAliases: [['Maths', 'Calc']], unitAlias: null },
+      { from: 'Reexport.sol', to: 'Math.sol', importPath: './Math.sol', symbolAliases: [['Math', 'Maths']], unitAlias: null }
+    ]);
+
+    expect(result.files).toEqual(['Math.sol', 'Reexport.sol', 'Use.sol']);
+    expect(result.source).toContain('return Math.max(a, b);');
+  });
+
+  test('leaves declarations and the names that shadow an alias alone', () => {
+    const use = `import {Math as M} from "./Math.sol";
+import "./Math.sol" as L;
+
+contract Use {
+    struct Pair {
+        uint256 M;
+    }
+
+    function scaled(uint256 M) external pure returns (uint256) {
+        return M * 2;
+    }
+
+    function biggest(uint256 a, uint256 b) external pure returns (uint256) {
+        uint256 before = M.max(a, b);
+        for (uint256 L = 0; L < 1; L++) {
+            before += L;
+        }
+        uint256 M = before;
+        return M + L.Math.max(a, b);
+    }
+}
+`;
+    const result = flattenSources(['Use.sol'], { 'Math.sol': MATH, 'Use.sol': use }, [
+      { from: 'Use.sol', to: 'Math.sol', importPath: './Math.sol', symbolAliases: [['Math', 'M']], unitAlias: null },
+      { from: 'Use.sol', to: 'Math.sol', importPath: './Math.sol', symbolAliases: null, unitAlias: 'L' }
+    ]);
+
+    expect(result.source).toContain('uint256 M;');
+    expect(result.source).toContain('function scaled(uint256 M) external pure returns (uint256) {\n        return M * 2;');
+    expect(result.source).toContain('uint256 before = Math.max(a, b);');
+    expect(result.source).toContain('for (uint256 L = 0; L < 1; L++) {\n            before += L;');
+    expect(result.source).toContain('uint256 M = before;\n        return M + Math.max(a, b);');
+  });
+});
@@ -0,0 +1,54 @@
+const FunctionFinder = require('../function-finder.js');
+
+// Function elements as the analyzer reports them
+const transfer = {
+  name: 'transfer',
+  contract: 'Token',
+  qualifiedName: 'Token.transfer',
+  signature: 'transfer(address to, uint amount) public returns (bool)',
+  canonicalSignature: 'transfer(address,uint256)',
+  selector: '0xa9059cbb',
+  parameters: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint' }]
+};
+const transferWithData = {
+  name: 'transfer',
+  contract: 'Token',
+  qualifiedName: 'Token.transfer',
+  signature: 'transfer(address to, uint amount, bytes data) public returns (bool)',
+  canonicalSignature: 'transfer(address,uint256,bytes)',
+  selector: '0xbe45fd62',
+  parameters: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint' }, { name: 'data', type: 'bytes' }]
+};
+const vaultTransfer = {
+  ...transfer,
+  contract: 'Vault',
+  qualifiedName: 'Vault.transfer'
+};
+
+describe('FunctionFinder', () => {
+  const finder = new FunctionFinder();
+
+  test('finds a function by its signature, with or without parameter names', () => {
+    expect(finder.findFunction([transfer, transferWithData], 'transfer(address,uint256)')).toBe(transfer);
+    expect(finder.findFunction([transfer, transferWithData], 'transfer(address to, uint amount, bytes data)')).toBe(transferWithData);
+  });
+
+  test('finds a function by its selector', () => {
+    expect(finder.findFunction([transfer, transferWithData], '0xBE45FD62')).toBe(transferWithData);
+  });
+
+  test('finds a function by Contract.name and Contract.signature', () => {
+    expect(finder.findFunction([transfer, vaultTransfer], 'Vault.transfer')).toBe(vaultTransfer);
+    expect(finder.findFunction([transfer, vaultTransfer], 'Token.transfer(address,uint256)')).toBe(transfer);
+  });
+
+  test('lists the overloads of an ambiguous name instead of picking one', () => {
+    expect(() => finder.findFunction([transfer, transferWithData], 'transfer'))
+      .toThrow(/transfer\(address,uint256\) \(0xa9059cbb\)[\s\S]*transfer\(address,uint256,bytes\) \(0xbe45fd62\)/);
+  });
+
+  test('does not guess when a signature or selector matches nothing', () => {
+    expect(finder.findFunction([transfer], 'transfer(address)')).toBeNull();
+    expect(finder.findFunction([transfer], '0x12345678')).toBeNull();
+  });
+});
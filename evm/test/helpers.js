@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitHubSolidityAnalyzer = require('../solidity-analyzer.js');
+
+// Directory of a fixture project under test/fixtures
+function fixturePath(name) {
+  return path.join(__dirname, 'fixtures', name);
+}
+
+// Copy of a fixture project in a temporary directory, for layouts git does not keep such as node_modules
+function copyFixture(name) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  fs.cpSync(fixturePath(name), directory, { recursive: true });
+  return directory;
+}
+
+// Run an action without its console output
+async function quietly(action) {
+  const spies = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  try {
+    return await action();
+  } finally {
+    spies.forEach(spy => spy.mockRestore());
+  }
+}
+
+// Analyze a file or directory without the analyzer's progress output: { analyzer, report }
+function analyzeLocation(location, options = {}) {
+  return quietly(async () => {
+    const analyzer = new GitHubSolidityAnalyzer({ includeSourceCode: false, ...options });
+    const report = await analyzer.analyze(location, true, 5);
+    return { analyzer, report };
+  });
+}
+
+// Analyze a fixture project: { analyzer, report }
+function analyzeFixture(name, options = {}) {
+  return analyzeLocation(fixturePath(name), options);
+}
+
+// Element of a report list by the contract it is declared in and its name
+function findElement(list, contract, name) {
+  return list.find(element => element.contract === contract && element.name === name);
+}
+
+module.exports = { fixturePath, copyFixture, quietly, analyzeLocation, analyzeFixture, findElement };
@@ -0,0 +1,81 @@
+const ImplementationResolver = require('../implementation-resolver.js');
+const RepositoryIndex = require('../repository-index.js');
+const DependencyResolver = require('../dependency-resolver.js');
+const { fixturePath, quietly } = require('./helpers.js');
+
+describe('RepositoryIndex', () => {
+  const dependencyResolver = new DependencyResolver();
+  const repoInfo = dependencyResolver.parseRepoInfo(fixturePath('implementations'));
+  let index;
+
+  beforeAll(async () => {
+    index = await quietly(() => new RepositoryIndex({ dependencyResolver }).build(repoInfo));
+  });
+
+  test('lists the project sources, skipping test/ and the other ignored directories', () => {
+    expect(index.files.sort()).toEqual([
+      'src/Consumer.sol',
+      'src/IOracle.sol',
+      'src/oracles/ChainlinkOracle.sol',
+      'src/oracles/FixedOracle.sol',
+      'src/oracles/OracleBase.sol'
+    ]);
+  });
+
+  test('records every contract of a file with its bases', () => {
+    expect(index.contracts.find(contract => contract.name === 'OracleBase')).toEqual({
+      id: 'src/oracles/OracleBase.sol:OracleBase',
+      name: 'OracleBase',
+      kind: 'abstract',
+      baseContracts: ['IOracle'],
+      file: 'src/oracles/OracleBase.sol'
+    });
+    expect(index.contracts.map(contract => contract.name)).toContain('Unrelated');
+  });
+
+  test('finds deployable implementations directly and through abstract bases', () => {
+    const found = index.findImplementations('IOracle');
+    expect(found.map(impl => [impl.contractName, impl.direct, impl.inheritancePath]).sort()).toEqual([
+      ['ChainlinkOracle', false, ['ChainlinkOracle', 'OracleBase', 'IOracle']],
+      ['FixedOracle', true, ['FixedOracle', 'IOracle']]
+    ]);
+  });
+
+  test('does not match contracts that only share function names', () => {
+    expect(index.findImplementations('IOracle').map(impl => impl.contractName)).not.toContain('Unrelated');
+  });
+
+  test('finds the implementations of an abstract contract', () => {
+    expect(index.findImplementations('OracleBase').map(impl => impl.contractName)).toEqual(['ChainlinkOracle']);
+  });
+});
+
+describe('ImplementationResolver', () => {
+  const dependencyResolver = new DependencyResolver();
+  const repoInfo = dependencyResolver.parseRepoInfo(fixturePath('implementations'));
+
+  test('maps each interface with implementations to them', async () => {
+    const resolver = new ImplementationResolver({ dependencyResolver });
+    const implementations = await quietly(() => resolver.resolveImplementations(['IOracle', 'IMissing'], repoInfo));
+
+    expect([...implementations.keys()]).toEqual(['IOracle']);
+    expect(implementations.get('IOracle').map(impl => impl.contractName).sort()).toEqual(['ChainlinkOracle', 'FixedOracle']);
+  });
+
+  test('indexes a repository once', async () => {
+    const resolver = new ImplementationResolver({ dependencyResolver });
+    const build = jest.spyOn(RepositoryIndex.prototype, 'build');
+    try {
+      await quietly(() => resolver.resolveImplementations(['IOracle'], repoInfo));
+      await quietly(() => resolver.resolveImplementations(['OracleBase'], repoInfo));
+      expect(build).toHaveBeenCalledTimes(1);
+    } finally {
+      build.mockRestore();
+    }
+  });
+
+  test('returns no implementations without a repository', async () => {
+    const resolver = new ImplementationResolver({ dependencyResolver });
+    expect((await resolver.resolveImplementations(['IOracle'], null)).size).toBe(0);
+  });
+});
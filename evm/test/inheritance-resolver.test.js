@@ -0,0 +1,109 @@
+const InheritanceResolver = require('../inheritance-resolver.js');
+const CallResolver = require('../call-resolver.js');
+const { analyzeFixture } = require('./helpers.js');
+
+// Contract element as the analyzer reports it
+const contract = (file, name, baseContracts = [], kind = 'contract') => ({ id: `${file}:${name}`, name, file, kind, baseContracts });
+
+// Function element as the analyzer reports it
+const func = (file, contractName, name) => ({
+  name,
+  contract: contractName,
+  qualifiedName: `${contractName}.${name}`,
+  file,
+  isImplemented: true
+});
+
+describe('InheritanceResolver', () => {
+  test('linearizes a diamond like the compiler', () => {
+    const resolver = new InheritanceResolver([
+      contract('A.sol', 'A'),
+      contract('A.sol', 'B', ['A']),
+      contract('A.sol', 'C', ['A']),
+      contract('A.sol', 'D', ['B', 'C'])
+    ]);
+    expect(resolver.linearizeNames('A.sol:D')).toEqual(['D', 'C', 'B', 'A']);
+  });
+
+  test('reports a linearization error for an impossible base order', () => {
+    const resolver = new InheritanceResolver([
+      contract('A.sol', 'A'),
+      contract('A.sol', 'B', ['A']),
+      contract('A.sol', 'C', ['B', 'A'])
+    ]);
+    resolver.linearize('A.sol:C');
+    expect(resolver.getError('A.sol:C')).toBeTruthy();
+  });
+
+  test('follows import {A as B} and import "x" as L to the aliased contract', () => {
+    const resolver = new InheritanceResolver([
+      contract('Base.sol', 'Guarded'),
+      contract('Other.sol', 'Guarded'),
+      contract('Symbol.sol', 'Vault', ['G']),
+      contract('Unit.sol', 'Vault', ['L.Guarded'])
+    ], [
+      { from: 'Symbol.sol', to: 'Base.sol', importPath: './Base.sol', symbolAliases: [['Guarded', 'G']], unitAlias: null },
+      { from: 'Unit.sol', to: 'Base.sol', importPath: './Base.sol', symbolAliases: null, unitAlias: 'L' }
+    ]);
+
+    expect(resolver.linearize('Symbol.sol:Vault').map(c => c.id)).toEqual(['Symbol.sol:Vault', 'Base.sol:Guarded']);
+    expect(resolver.linearize('Unit.sol:Vault').map(c => c.id)).toEqual(['Unit.sol:Vault', 'Base.sol:Guarded']);
+  });
+
+  test('follows aliases of aliases across files', () => {
+    const resolver = new InheritanceResolver([
+      contract('Base.sol', 'Guarded'),
+      contract('Vault.sol', 'Vault', ['H'])
+    ], [
+      { from: 'Vault.sol', to: 'Reexport.sol', importPath: './Reexport.sol', symbolAliases: [['G', 'H']], unitAlias: null },
+      { from: 'Reexport.sol', to: 'Base.sol', importPath: './Base.sol', symbolAliases: [['Guarded', 'G']], unitAlias: null }
+    ]);
+
+    expect(resolver.resolveContract('H', 'Vault.sol').id).toBe('Base.sol:Guarded');
+  });
+
+  describe('on an analyzed project with aliased bases', () => {
+    let report;
+
+    beforeAll(async () => {
+      ({ report } = await analyzeFixture('aliases'));
+    });
+
+    test('linearizes through the aliases', () => {
+      const linearization = name => report.contracts.find(c => c.name === name).linearization;
+      expect(linearization('SymbolVault')).toEqual(['SymbolVault', 'Guarded']);
+      expect(linearization('UnitVault')).toEqual(['UnitVault', 'Guarded']);
+    });
+  });
+});
+
+describe('CallResolver dispatch', () => {
+  const contracts = [
+    contract('A.sol', 'Base'),
+    contract('A.sol', 'Middle', ['Base']),
+    contract('A.sol', 'Top', ['Middle'])
+  ];
+  const functions = [
+    func('A.sol', 'Base', 'hook'),
+    func('A.sol', 'Base', 'run'),
+    func('A.sol', 'Middle', 'hook'),
+    func('A.sol', 'Top', 'hook')
+  ];
+  const resolver = new CallResolver(functions, new InheritanceResolver(contracts));
+  const [baseHook, baseRun, middleHook, topHook] = functions;
+
+  test('dispatches an internal call to the override of the most-derived contract', () => {
+    expect(resolver.resolve('hook', baseRun, 'A.sol:Top').definition).toBe(topHook);
+    expect(resolver.resolve('hook', baseRun, 'A.sol:Middle').definition).toBe(middleHook);
+    expect(resolver.resolve('hook', baseRun).definition).toBe(baseHook);
+  });
+
+  test('continues super calls after the caller in the most-derived linearization', () => {
+    expect(resolver.resolve('super.hook', topHook, 'A.sol:Top').definition).toBe(middleHook);
+    expect(resolver.resolve('super.hook', middleHook, 'A.sol:Top').definition).toBe(baseHook);
+  });
+
+  test('calls the named base implementation for Base.fn()', () => {
+    expect(resolver.resolve('Base.hook', topHook, 'A.sol:Top').definition).toBe(baseHook);
+  });
+});
@@ -0,0 +1,63 @@
+const { analyzeFixture, findElement } = require('./helpers.js');
+
+describe('InteractionClassifier', () => {
+  let report;
+
+  beforeAll(async () => {
+    ({ report } = await analyzeFixture('interactions'));
+  });
+
+  // Interactions of the calls in a function, in source order
+  const interactions = (contract, name) =>
+    findElement(report.functions, contract, name).calls.filter(c => c.interaction).map(c => c.interaction);
+
+  // returnChecked of the one interaction in a function
+  const returnChecked = name => interactions('Payouts', name)[0].returnChecked;
+
+  test('classifies calls on contract-typed values as high-level interactions', () => {
+    expect(interactions('Kinds', 'highLevel')).toEqual([
+      { kind: 'interface', category: 'highLevel', sendsValue: false, options: {}, returnChecked: true }
+    ]);
+    expect(interactions('Kinds', 'uncheckedHighLevel')[0].returnChecked).toBe(false);
+  });
+
+  test('classifies low-level calls with the source of their options', () => {
+    expect(interactions('Kinds', 'lowLevel').map(i => [i.kind, i.category, i.options])).toEqual([
+      ['delegatecall', 'lowLevel', {}],
+      ['staticcall', 'lowLevel', { gas: '5000' }]
+    ]);
+    expect(interactions('Payouts', 'checkedCall')[0]).toEqual(expect.objectContaining({
+      kind: 'call', sendsValue: true, options: { value: 'amount' }
+    }));
+  });
+
+  test('does not count a zero value as sending ETH', () => {
+    expect(interactions('Kinds', 'zeroValue')[0].sendsValue).toBe(false);
+  });
+
+  test('classifies value transfers, creation and selfdestruct, which have nothing to check', () => {
+    expect(interactions('Kinds', 'pay')).toEqual([
+      { kind: 'transfer', category: 'valueTransfer', sendsValue: true, options: {}, returnChecked: null }
+    ]);
+    expect(interactions('Kinds', 'deploy').map(i => [i.kind, i.options, i.returnChecked])).toEqual([
+      ['create', {}, null],
+      ['create2', { salt: 'salt' }, null]
+    ]);
+    expect(interactions('Kinds', 'destroy').map(i => [i.kind, i.sendsValue])).toEqual([['selfdestruct', true]]);
+  });
+
+  test('counts a tested success flag of a low-level call or send as checked', () => {
+    expect(returnChecked('checkedCall')).toBe(true);
+    expect(returnChecked('assignedSuccess')).toBe(true);
+    expect(returnChecked('checkedSend')).toBe(true);
+  });
+
+  test('does not count a read of the returned data as checking the call', () => {
+    expect(returnChecked('dataOnly')).toBe(false);
+    expect(returnChecked('assignedData')).toBe(false);
+  });
+
+  test('reports a dropped send result as unchecked', () => {
+    expect(returnChecked('droppedSend')).toBe(false);
+  });
+});
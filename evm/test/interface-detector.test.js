@@ -0,0 +1,46 @@
+const { parse } = require('@solidity-parser/parser');
+const InterfaceDetector = require('../interface-detector.js');
+
+// Receiver of the member call in an expression statement, e.g. IERC20(token) of IERC20(token).transfer(to, 1)
+const receiverOf = statement => {
+  const unit = parse(`pragma solidity ^0.8.20;\ncontract C { function f() external { ${statement} } }`);
+  return unit.children[1].subNodes[0].body.statements[0].expression.expression.expression;
+};
+
+describe('InterfaceDetector', () => {
+  const detector = new InterfaceDetector();
+  const declarations = {
+    token: { type: 'IERC20', kind: 'stateVariable' },
+    oracle: { type: 'IOracle', kind: 'local' },
+    pools: { type: 'mapping(uint256 => IPool)', kind: 'stateVariable' },
+    amount: { type: 'uint256', kind: 'parameter' }
+  };
+  const lookup = {
+    describeIdentifier: name => declarations[name] || null,
+    resolveIdentifier: name => (declarations[name] ? declarations[name].type : null),
+    isContract: name => ['IERC20', 'IOracle', 'IPool', 'IRegistry'].includes(name),
+    resolveReturnType: name => (name === '_oracle' ? 'IOracle' : name === 'registry' ? 'IRegistry' : null),
+    resolveMemberType: (contract, member) => (contract === 'IRegistry' && member === 'oracle' ? 'IOracle' : null)
+  };
+  const detect = statement => detector.detectReceiver(receiverOf(statement), lookup);
+
+  test('detects state variables, locals and parameters of contract type', () => {
+    expect(detect('token.transfer(msg.sender, 1);')).toEqual({ contract: 'IERC20', pattern: 'stateVariable' });
+    expect(detect('oracle.latestAnswer();')).toEqual({ contract: 'IOracle', pattern: 'local' });
+  });
+
+  test('detects casts, return values and getters of other contracts', () => {
+    expect(detect('IERC20(msg.sender).transfer(msg.sender, 1);')).toEqual({ contract: 'IERC20', pattern: 'cast' });
+    expect(detect('_oracle().latestAnswer();')).toEqual({ contract: 'IOracle', pattern: 'returnValue' });
+    expect(detect('registry().oracle().latestAnswer();')).toEqual({ contract: 'IOracle', pattern: 'returnValue' });
+  });
+
+  test('detects elements of mappings and arrays of contracts', () => {
+    expect(detect('pools[1].swap();')).toEqual({ contract: 'IPool', pattern: 'element' });
+  });
+
+  test('ignores values that are not contracts', () => {
+    expect(detect('amount.mulDiv(2);')).toBeNull();
+    expect(detect('unknown.call();')).toBeNull();
+  });
+});
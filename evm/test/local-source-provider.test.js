@@ -0,0 +1,39 @@
+const path = require('path');
+const LocalSourceProvider = require('../local-source-provider.js');
+const { fixturePath } = require('./helpers.js');
+
+describe('LocalSourceProvider', () => {
+  const provider = new LocalSourceProvider();
+  const root = fixturePath('project');
+
+  test('tells local paths from URLs', () => {
+    expect(provider.isLocalPath('./src/Vault.sol')).toBe(true);
+    expect(provider.isLocalPath('/abs/Vault.sol')).toBe(true);
+    expect(provider.isLocalPath('https://github.com/owner/repo/blob/main/Vault.sol')).toBe(false);
+  });
+
+  test('finds the project root from a nested file', () => {
+    expect(provider.findProjectRoot(path.join(root, 'src', 'lib', 'Math.sol'))).toBe(root);
+  });
+
+  test('describes a directory by its path from the project root', () => {
+    expect(provider.parseRepoInfo(path.join(root, 'src'))).toEqual({
+      type: 'local',
+      root,
+      repo: 'project',
+      basePath: 'src'
+    });
+  });
+
+  test('skips dependency, test and script directories at the project root only', async () => {
+    const files = (await provider.listSolidityFiles(root)).map(file => provider.toRepoPath(file, root));
+    expect(files).toEqual(['src/Vault.sol', 'src/lib/Math.sol']);
+  });
+
+  test('reads a file under its repository-relative name', async () => {
+    const file = await provider.fetchSourceCode(path.join(root, 'src', 'Vault.sol'));
+    expect(file.filename).toBe('src/Vault.sol');
+    expect(file.content).toContain('contract Vault');
+    await expect(provider.fetchSourceCode(path.join(root, 'src', 'Missing.sol'))).rejects.toThrow('File not found');
+  });
+});
@@ -0,0 +1,33 @@
+const PragmaMerger = require('../pragma-merger.js');
+
+describe('PragmaMerger', () => {
+  const merger = new PragmaMerger();
+  const merged = constraints => merger.merge(constraints).constraint;
+
+  test('keeps a single constraint, once however often it is given', () => {
+    expect(merger.merge(['^0.8.0', '^0.8.0  '])).toEqual({ constraint: '^0.8.0', compatible: true, constraints: ['^0.8.0'] });
+    expect(merger.merge([])).toEqual({ constraint: null, compatible: true, constraints: [] });
+  });
+
+  test('intersects caret, tilde and comparison ranges', () => {
+    expect(merged(['^0.8.0', '>=0.8.4 <0.9.0'])).toBe('^0.8.4');
+    expect(merged(['~0.8.4', '<0.8.10'])).toBe('>=0.8.4 <0.8.10');
+    expect(merged(['>=0.6.2 <0.8.0', '>0.7.0'])).toBe('>0.7.0 <0.8.0');
+  });
+
+  test('narrows to an exact version', () => {
+    expect(merged(['^0.8.20', '0.8.24'])).toBe('0.8.24');
+  });
+
+  test('keeps the alternatives of || that the other constraints accept', () => {
+    expect(merged(['^0.6.0 || ^0.8.0', '>= 0.8.4'])).toBe('^0.8.4');
+  });
+
+  test('reports constraints no version satisfies', () => {
+    expect(merger.merge(['^0.7.0', '^0.8.0'])).toEqual({
+      constraint: '^0.7.0 ^0.8.0',
+      compatible: false,
+      constraints: ['^0.7.0', '^0.8.0']
+    });
+  });
+});
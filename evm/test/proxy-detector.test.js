@@ -0,0 +1,49 @@
+const { analyzeFixture } = require('./helpers.js');
+
+describe('ProxyDetector', () => {
+  let report;
+
+  beforeAll(async () => {
+    ({ report } = await analyzeFixture('proxies'));
+  });
+
+  const proxyOf = name => report.contracts.find(contract => contract.name === name).proxy;
+  const implementationsOf = name => proxyOf(name).implementations.slice().sort();
+
+  test('labels proxies and implementations', () => {
+    expect(proxyOf('VaultProxy')).toMatchObject({ role: 'proxy', pattern: 'erc1967' });
+    expect(proxyOf('Vault')).toMatchObject({ role: 'implementation', pattern: 'uups' });
+    expect(proxyOf('OtherVault')).toMatchObject({ role: 'implementation', pattern: 'uups' });
+  });
+
+  test('links the implementations of the same project only', () => {
+    expect(implementationsOf('VaultProxy')).toEqual(['Vault']);
+  });
+
+  test('links an implementation set by the proxy code', () => {
+    expect(implementationsOf('PinnedProxy')).toEqual(['OtherVault', 'Vault']);
+  });
+
+  test('links an implementation passed to the proxy constructor', () => {
+    expect(implementationsOf('LibProxy')).toEqual(['OtherVault', 'Vault']);
+  });
+
+  test('labels a diamond proxy from its msg.sig lookup', () => {
+    expect(proxyOf('Diamond')).toMatchObject({ role: 'proxy', pattern: 'diamond', delegatesIn: 'src/diamond/Diamond.sol:Diamond.<fallback>()' });
+    expect(proxyOf('Diamond').evidence).toEqual(expect.arrayContaining(['diamond slot', 'msg.sig']));
+  });
+
+  test('labels facets from diamondCut, diamond storage or the loupe functions', () => {
+    expect(proxyOf('DiamondCutFacet')).toMatchObject({ role: 'facet', pattern: 'diamond' });
+    expect(proxyOf('DiamondCutFacet').evidence).toContain('diamondCut');
+    expect(proxyOf('DiamondLoupeFacet').evidence).toContain('facetAddress');
+  });
+
+  test('does not label a contract a facet from its name alone', () => {
+    expect(proxyOf('PriceFacet')).toBeNull();
+  });
+
+  test('links a diamond to the facets of its project', () => {
+    expect(implementationsOf('Diamond')).toEqual(['DiamondCutFacet', 'DiamondLoupeFacet']);
+  });
+});
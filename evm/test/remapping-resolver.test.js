@@ -0,0 +1,61 @@
+const RemappingResolver = require('../remapping-resolver.js');
+
+describe('RemappingResolver', () => {
+  test('parses remappings with a context and skips comments', () => {
+    const resolver = new RemappingResolver();
+    expect(resolver.parseRemappings('# comment\nlib/a/:@oz/=lib/a/oz/\nds-test/=lib/ds-test/src/\n')).toEqual([
+      { context: 'lib/a/', prefix: '@oz/', target: 'lib/a/oz/', source: 'remappings.txt', auto: false },
+      { context: '', prefix: 'ds-test/', target: 'lib/ds-test/src/', source: 'remappings.txt', auto: false }
+    ]);
+  });
+
+  test('reads remappings and libs from foundry.toml', () => {
+    const resolver = new RemappingResolver();
+    const toml = '[profile.default]\nlibs = ["lib", "dependencies/"]\nremappings = [\n  "@oz/=lib/oz/",\n  \'solady/=lib/solady/src/\'\n]\n';
+    expect(resolver.parseFoundryRemappings(toml).map(r => `${r.prefix}=${r.target}`)).toEqual(['@oz/=lib/oz/', 'solady/=lib/solady/src/']);
+    expect(resolver.parseFoundryLibs(toml)).toEqual(['lib', 'dependencies']);
+  });
+
+  test('reads submodules from .gitmodules', () => {
+    const resolver = new RemappingResolver();
+    const submodules = resolver.parseGitmodules('[submodule "lib/forge-std"]\n\tpath = lib/forge-std\n\turl = https://github.com/foundry-rs/forge-std\n');
+    expect(submodules).toEqual([{ name: 'lib/forge-std', path: 'lib/forge-std', url: 'https://github.com/foundry-rs/forge-std' }]);
+    expect(resolver.parseGitHubRemote(submodules[0].url)).toEqual({ owner: 'foundry-rs', repo: 'forge-std' });
+  });
+
+  test('applies the remapping with the longest context, then the longest prefix', () => {
+    const resolver = new RemappingResolver();
+    resolver.addRemappings(resolver.parseRemappings('@oz/=lib/oz/\n@oz/token/=lib/token/\nlib/a/:@oz/=lib/a/oz/'));
+
+    expect(resolver.resolve('@oz/access/Ownable.sol')).toEqual(['lib/oz/access/Ownable.sol']);
+    expect(resolver.resolve('@oz/token/ERC20.sol')).toEqual(['lib/token/ERC20.sol']);
+    expect(resolver.resolve('@oz/access/Ownable.sol', 'lib/a/src/A.sol')).toEqual(['lib/a/oz/access/Ownable.sol']);
+  });
+
+  test('tries every source directory of a library without an explicit remapping', () => {
+    const resolver = new RemappingResolver();
+    resolver.addLibraryRemappings('lib/solmate', ['src', '']);
+    resolver.addRemappings(resolver.parseRemappings('solmate/=lib/solmate/src/'));
+
+    expect(resolver.resolve('solmate/auth/Auth.sol')).toEqual(['lib/solmate/src/auth/Auth.sol']);
+    resolver.remappings = resolver.remappings.filter(r => r.auto);
+    expect(resolver.resolve('solmate/auth/Auth.sol')).toEqual(['lib/solmate/src/auth/Auth.sol', 'lib/solmate/auth/Auth.sol']);
+  });
+
+  test('falls back to the base path, then node_modules, and leaves relative imports alone', () => {
+    const resolver = new RemappingResolver();
+    expect(resolver.resolve('@acme/tokens/Token.sol')).toEqual(['@acme/tokens/Token.sol', 'node_modules/@acme/tokens/Token.sol']);
+    expect(resolver.resolve('./Token.sol')).toEqual([]);
+  });
+
+  test('mounts known npm packages at the version package.json pins', () => {
+    const resolver = new RemappingResolver();
+    resolver.addPackageMount('@openzeppelin/contracts', '^5.0.2');
+    resolver.addPackageMount('left-pad', '1.0.0');
+
+    expect(resolver.findMount('node_modules/@openzeppelin/contracts/access/Ownable.sol')).toMatchObject({
+      owner: 'OpenZeppelin', repo: 'openzeppelin-contracts', ref: 'v5.0.2', sourcePrefix: 'contracts/'
+    });
+    expect(resolver.mounts).toHaveLength(1);
+  });
+});
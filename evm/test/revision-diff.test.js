@@ -0,0 +1,70 @@
+const RevisionDiff = require('../revision-diff-main.js');
+const { fixturePath, quietly } = require('./helpers.js');
+
+describe('RevisionDiff', () => {
+  let report;
+
+  beforeAll(async () => {
+    report = await quietly(() => new RevisionDiff()
+      .compareRevisions(fixturePath('revisions/old'), fixturePath('revisions/new'), { resolveDependencies: false }));
+  });
+
+  const keys = elements => elements.map(element => element.key);
+
+  test('lists added, removed and changed elements of each kind', () => {
+    expect(keys(report.functions.added)).toEqual(['Vault.pause()']);
+    expect(keys(report.functions.removed)).toEqual(['Vault.legacy()']);
+    expect(keys(report.stateVariables.added)).toEqual(['Vault.paused']);
+    expect(report.stateVariables.changed.map(element => [element.key, element.changes]))
+      .toEqual([['Vault.total', ['type', 'source']]]);
+    expect(report.events.changed.map(element => [element.key, element.changes]))
+      .toEqual([['Vault.Deposited', ['canonicalSignature', 'source']]]);
+  });
+
+  test('ignores changes to comments and whitespace', () => {
+    expect(keys(report.functions.changed)).toEqual(['Vault._credit(address,uint256)']);
+  });
+
+  test('lists the entry points reaching changed functions and modifiers', () => {
+    expect(report.modifiers.changed[0].entryPoints).toEqual(['Vault.pause', 'Vault.sweep']);
+    expect(report.affectedEntryPoints.map(entryPoint => [entryPoint.function, entryPoint.changed])).toEqual([
+      ['Vault.deposit()', false],
+      ['Vault.legacy()', 'removed'],
+      ['Vault.pause()', 'added'],
+      ['Vault.sweep()', false]
+    ]);
+    expect(report.affectedEntryPoints[0].reaches).toEqual([{
+      element: 'Vault._credit(address,uint256)',
+      change: 'changed',
+      path: ['Vault.deposit', 'Vault._credit']
+    }]);
+  });
+
+  test('counts the differences', () => {
+    expect(report.summary.functions).toEqual({ added: 1, removed: 1, changed: 1 });
+    expect(report.summary.affectedEntryPoints).toBe(4);
+  });
+});
+
+describe('RevisionDiff.withRef', () => {
+  const revisionDiff = new RevisionDiff();
+  const url = ref => `https://github.com/owner/repo/blob/${ref}/src/Vault.sol`;
+
+  test('replaces the ref of a blob URL', () => {
+    expect(revisionDiff.withRef(url('main'), 'v1.0.0')).toBe(url('v1.0.0'));
+  });
+
+  test('keeps a new ref with slashes in one path segment', () => {
+    expect(revisionDiff.withRef(url('main'), 'fix/withdraw')).toBe(url('fix%2Fwithdraw'));
+  });
+
+  test('recognizes a ref with slashes in the URL when it is one of the compared refs', () => {
+    const refs = ['origin/main', 'feature/x'];
+    expect(revisionDiff.withRef(url('feature/x'), 'origin/main', refs)).toBe(url('origin%2Fmain'));
+    expect(revisionDiff.withRef(url('feature/x'), 'feature/x', refs)).toBe(url('feature%2Fx'));
+  });
+
+  test('rejects locations that are not GitHub blob or tree URLs', () => {
+    expect(() => revisionDiff.withRef('./src/Vault.sol', 'main')).toThrow(/GitHub blob or tree URL/);
+  });
+});
@@ -0,0 +1,93 @@
+const { analyzeFixture } = require('./helpers.js');
+
+describe('GitHubSolidityAnalyzer', () => {
+  describe('on a local project directory', () => {
+    let report;
+
+    beforeAll(async () => {
+      ({ report } = await analyzeFixture('project'));
+    });
+
+    test('analyzes the project sources and not its dependencies, tests or scripts', () => {
+      expect(report.metadata.fileNames.slice().sort()).toEqual(['src/Vault.sol', 'src/lib/Math.sol']);
+    });
+
+    test('extracts functions, modifiers and state variables', () => {
+      expect(report.functions.map(func => func.name)).toEqual(expect.arrayContaining(['deposit', 'max']));
+      expect(report.modifiers.map(modifier => modifier.name)).toEqual(['nonZero']);
+      expect(report.stateVariables.map(stateVar => stateVar.name)).toEqual(['balances']);
+    });
+
+    test('groups members by contract', () => {
+      const vault = report.contracts.find(contract => contract.name === 'Vault');
+      expect(vault.kind).toBe('contract');
+      expect(vault.members).toEqual({
+        stateVariables: ['balances'],
+        modifiers: ['nonZero'],
+        functions: ['deposit'],
+        events: ['Deposited'],
+        errors: [],
+        types: []
+      });
+      expect(report.contracts.find(contract => contract.name === 'Math').kind).toBe('library');
+    });
+
+    test('qualifies functions with their contract and keeps file-level functions plain', () => {
+      const names = report.functions.map(func => [func.qualifiedName, func.contract]);
+      expect(names).toEqual(expect.arrayContaining([
+        ['Vault.deposit', 'Vault'],
+        ['Math.max', 'Math'],
+        ['min', null]
+      ]));
+    });
+  });
+
+  describe('on a single file with relative imports', () => {
+    let report;
+
+    beforeAll(async () => {
+      ({ report } = await analyzeFixture('relative/src/vault/Vault.sol'));
+    });
+
+    test('resolves each relative import against the importing file', () => {
+      expect(report.metadata.fileNames.slice().sort()).toEqual([
+        'src/interfaces/IVault.sol',
+        'src/vault/Vault.sol',
+        'src/vault/utils/Helper.sol'
+      ]);
+      expect(report.dependencies.failed).toEqual([]);
+    });
+
+    test('reports an import graph edge for every import', () => {
+      const edges = report.importGraph.edges.map(edge => [edge.from, edge.importPath, edge.to]);
+      expect(edges).toEqual(expect.arrayContaining([
+        ['src/vault/Vault.sol', '../interfaces/IVault.sol', 'src/interfaces/IVault.sol'],
+        ['src/vault/Vault.sol', './utils/Helper.sol', 'src/vault/utils/Helper.sol'],
+        ['src/vault/utils/Helper.sol', '../../interfaces/IVault.sol', 'src/interfaces/IVault.sol']
+      ]));
+      expect(edges).toHaveLength(3);
+    });
+  });
+
+  describe('on files that share a basename', () => {
+    let report;
+
+    beforeAll(async () => {
+      ({ report } = await analyzeFixture('samename/src/Vault.sol'));
+    });
+
+    test('keeps same-named files in different directories apart', () => {
+      expect(report.metadata.fileNames.slice().sort()).toEqual([
+        'src/Vault.sol',
+        'src/a/Errors.sol',
+        'src/b/Errors.sol'
+      ]);
+      expect(report.metadata.files.map(file => file.origin.type)).toEqual(['repository', 'repository', 'repository']);
+    });
+
+    test('builds element ids from the canonical file path', () => {
+      const ids = report.functions.filter(func => func.name === 'fail').map(func => func.id).sort();
+      expect(ids).toEqual(['src/a/Errors.sol:VaultErrors.fail()', 'src/b/Errors.sol:TokenErrors.fail()']);
+    });
+  });
+});
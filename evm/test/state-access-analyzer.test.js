@@ -0,0 +1,110 @@
+const Parser = require('@solidity-parser/parser');
+const StateAccessAnalyzer = require('../state-access-analyzer.js');
+const FunctionExtractor = require('../function-extractor-main.js');
+const { fixturePath, quietly, analyzeFixture } = require('./helpers.js');
+
+// Function node of a contract parsed from source
+function parseFunction(source, name) {
+  const ast = Parser.parse(source, { tolerant: true });
+  const contract = ast.children.find(node => node.type === 'ContractDefinition');
+  return contract.subNodes.find(node => node.type === 'FunctionDefinition' && node.name === name);
+}
+
+// Lookup over a fixed set of state variable and contract names
+function lookupFor(stateVariables, contracts = []) {
+  return {
+    describeIdentifier: name => stateVariables.includes(name) ? { type: 'uint256', kind: 'stateVariable' } : null,
+    isContract: name => contracts.includes(name)
+  };
+}
+
+describe('StateAccessAnalyzer', () => {
+  const analyzer = new StateAccessAnalyzer();
+  const source = `
+    contract C {
+      function assign(uint256 x) external { total = x; }
+      function compound(address a) external { balances[a] += 1; count++; }
+      function remove(uint256 id) external { delete positions[id]; items.pop(); }
+      function pointer(uint256 id) external {
+        Position storage p = positions[id];
+        p.amount = 0;
+      }
+      function qualified() external { Base.total = limit; }
+    }`;
+
+  const analyze = (name, stateVariables, contracts) => {
+    const { reads, writes } = analyzer.analyze(parseFunction(source, name), lookupFor(stateVariables, contracts));
+    return { reads, writes };
+  };
+
+  test('a plain assignment writes without reading', () => {
+    expect(analyze('assign', ['total'])).toEqual({ reads: [], writes: ['total'] });
+  });
+
+  test('compound assignments and increments read and write', () => {
+    expect(analyze('compound', ['balances', 'count'])).toEqual({ reads: ['balances', 'count'], writes: ['balances', 'count'] });
+  });
+
+  test('delete and pop write', () => {
+    expect(analyze('remove', ['positions', 'items'])).toEqual({ reads: [], writes: ['positions', 'items'] });
+  });
+
+  test('writes through a storage pointer count against the variable it points into', () => {
+    expect(analyze('pointer', ['positions']).writes).toEqual(['positions']);
+  });
+
+  test('Base.x accesses name the base contract\'s variable', () => {
+    expect(analyze('qualified', ['Base.total', 'limit'], ['Base'])).toEqual({ reads: ['limit'], writes: ['Base.total'] });
+  });
+});
+
+describe('State access in the analysis', () => {
+  let functions;
+
+  beforeAll(async () => {
+    const { report } = await analyzeFixture('state');
+    functions = new Map(report.functions.map(f => [f.qualifiedName, f]));
+  });
+
+  test('records state variable ids qualified by their declaring contract', () => {
+    expect(functions.get('Vault._credit').stateWrites).toEqual([
+      'src/Vault.sol:Vault.bal',
+      'src/Vault.sol:Accounting.total',
+      'src/Vault.sol:Vault.history'
+    ]);
+    expect(functions.get('Vault.reset').stateWrites).toEqual(['src/Vault.sol:Accounting.total']);
+  });
+
+  test('leaves out constants and immutables', () => {
+    expect(functions.get('Vault.deposit').stateReads).toEqual(['src/Vault.sol:Vault.token']);
+    expect(functions.get('Vault.<constructor>').stateWrites).toEqual(['src/Vault.sol:Vault.token']);
+  });
+});
+
+describe('State access of an extracted call tree', () => {
+  let extraction;
+
+  beforeAll(async () => {
+    extraction = await quietly(() => new FunctionExtractor()
+      .extractFunction(fixturePath('state'), 'Vault.deposit', { resolveImplementations: false }));
+  });
+
+  test('aggregates the accesses of the functions in the caller\'s storage', () => {
+    expect(extraction.stateAccess.writes.map(stateVar => stateVar.qualifiedName))
+      .toEqual(['Accounting.total', 'Vault.bal', 'Vault.history']);
+    expect(extraction.stateAccess.writes[1]).toEqual(expect.objectContaining({
+      id: 'src/Vault.sol:Vault.bal',
+      functions: ['src/Vault.sol:Vault._credit(address,uint256)']
+    }));
+  });
+
+  test('leaves out the storage of contracts it calls', () => {
+    const ids = [...extraction.stateAccess.reads, ...extraction.stateAccess.writes].map(stateVar => stateVar.id);
+    expect(ids).not.toContain('src/Token.sol:Token.bal');
+  });
+
+  test('leaves type conversions and built-ins out of the call tree', () => {
+    expect(extraction.callTree.calls.map(call => call.qualifiedName || call.name)).toEqual(['Token.transferFrom', 'Vault._credit']);
+    expect(extraction.callTree.calls[1].calls).toEqual([]);
+  });
+});
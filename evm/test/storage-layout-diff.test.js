@@ -0,0 +1,32 @@
+const StorageLayoutDiff = require('../storage-layout-diff.js');
+
+// Storage entry of a layout
+const entry = (name, slot, type = 'uint256', bytes = 32, offset = 0) => ({ name, type, slot: String(slot), offset, bytes });
+
+// Layout of a contract with the given storage
+const layout = (storage, extra = {}) => ({ contract: 'Vault', file: 'Vault.sol', storage, namespaces: [], ...extra });
+
+describe('StorageLayoutDiff', () => {
+  const diff = new StorageLayoutDiff();
+
+  test('accepts variables appended after the old ones', () => {
+    const result = diff.compare(layout([entry('a', 0)]), layout([entry('a', 0), entry('b', 1)]));
+    expect(result.compatible).toBe(true);
+    expect(result.changes.map(change => change.kind)).toEqual(['added']);
+  });
+
+  test('reports swapped variables as reordered', () => {
+    const result = diff.compare(layout([entry('a', 0), entry('b', 1)]), layout([entry('b', 0), entry('a', 1)]));
+    expect(result.compatible).toBe(false);
+    expect(result.changes.some(change => change.kind === 'reordered')).toBe(true);
+  });
+
+  test('never reports a layout with unresolved bases as compatible', () => {
+    const incomplete = layout([entry('balances', 0)], { incomplete: true, unresolvedBases: ['G'] });
+    const result = diff.compare(incomplete, incomplete);
+
+    expect(result.compatible).toBe(false);
+    expect(result.changes.filter(change => change.kind === 'incomplete')).toHaveLength(2);
+    expect(result.changes[0].message).toContain('G');
+  });
+});
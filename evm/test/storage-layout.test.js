@@ -0,0 +1,114 @@
+const StorageDiff = require('../storage-diff-main.js');
+const { analyzeFixture } = require('./helpers.js');
+
+describe('StorageLayout', () => {
+  let report;
+
+  beforeAll(async () => {
+    ({ report } = await analyzeFixture('storage'));
+  });
+
+  const layoutOf = (contract, file = 'Packing.sol') => report.storageLayout
+    .find(layout => layout.contract === contract && layout.file.endsWith(file));
+  const positions = contract => layoutOf(contract).storage.map(entry => `${entry.name}@${entry.slot}:${entry.offset}`);
+
+  test('packs value types and starts structs, arrays and mappings on their own slot', () => {
+    expect(positions('Packing')).toEqual([
+      'baseValue@0:0',
+      'a@1:0',
+      'b@1:16',
+      'c@2:0',
+      'd@2:20',
+      'e@3:0',
+      'pair@4:0',
+      'f@5:0',
+      'small@6:0',
+      'balances@7:0',
+      'list@8:0',
+      'g@9:0'
+    ]);
+  });
+
+  test('lays out base contract variables first and skips constants and immutables', () => {
+    const names = layoutOf('Packing').storage.map(entry => entry.name);
+    expect(names[0]).toBe('baseValue');
+    expect(names).not.toContain('LENGTH');
+    expect(names).not.toContain('deployer');
+  });
+
+  test('lays out struct members from the slot of the struct', () => {
+    const pair = layoutOf('Packing').storage.find(entry => entry.name === 'pair');
+    expect(pair.slots).toBe(1);
+    expect(pair.members.map(member => `${member.name}@${member.slot}:${member.offset}`)).toEqual(['x@0:0', 'y@0:16']);
+    expect(pair.members.map(member => member.type)).toEqual(['uint128', 'uint128']);
+  });
+
+  test('sizes fixed arrays with a constant length', () => {
+    const small = layoutOf('Packing').storage.find(entry => entry.name === 'small');
+    expect(small.slots).toBe(1);
+    expect(small.unknownSize).toBeUndefined();
+  });
+
+  test('places ERC-7201 namespaced structs at the slot of their namespace', () => {
+    const [namespace] = layoutOf('Namespaced').namespaces;
+    const slot = BigInt(namespace.slot);
+
+    expect(namespace.namespace).toBe('example.main');
+    expect(namespace.slot).toBe('0x183a6125c38840424c4a85fa12bab2ab606c4b6d0e7cc73c0c06ba5300eab500');
+    expect(namespace.storage.map(member => [member.name, BigInt(member.slot) - slot, member.offset])).toEqual([
+      ['x', 0n, 0],
+      ['owner', 1n, 0],
+      ['flag', 1n, 20]
+    ]);
+  });
+
+  test('keeps the namespaces of a contract apart from those of a same-named contract in another file', () => {
+    const other = layoutOf('Namespaced', 'storage/Namespaced.sol');
+
+    expect(layoutOf('Namespaced').namespaces.map(namespace => namespace.namespace)).toEqual(['example.main']);
+    expect(other.namespaces.map(namespace => namespace.namespace)).toEqual(['example.other']);
+    expect(other.namespaces[0].storage[0].type).toBe('mapping(address => uint256[])');
+  });
+
+  test('lays out bases imported under an alias', async () => {
+    const { report: aliased } = await analyzeFixture('aliases');
+    for (const contract of ['SymbolVault', 'UnitVault']) {
+      const layout = aliased.storageLayout.find(entry => entry.contract === contract);
+      expect(layout.storage.map(entry => `${entry.name}@${entry.slot}`))
+        .toEqual(['_status@0', 'owner@1', 'authorized@2', 'lastCaller@3', 'balances@4']);
+      expect(layout.incomplete).toBeUndefined();
+    }
+  });
+
+  test('marks the layout incomplete when a base cannot be resolved', async () => {
+    const { report: orphaned } = await analyzeFixture('unresolved');
+    const layout = orphaned.storageLayout.find(entry => entry.contract === 'Orphan');
+    expect(layout.incomplete).toBe(true);
+    expect(layout.unresolvedBases).toEqual(['G']);
+  });
+});
+
+describe('StorageDiff.findLayout', () => {
+  const storageDiff = new StorageDiff();
+  const storageLayout = [
+    { contract: 'Vault', file: 'src/Vault.sol' },
+    { contract: 'Vault', file: 'src/v2/Vault.sol' },
+    { contract: 'Token', file: 'src/Token.sol' }
+  ];
+
+  test('finds a contract by name when only one file declares it', () => {
+    expect(storageDiff.findLayout(storageLayout, 'Token', 'repo')).toBe(storageLayout[2]);
+  });
+
+  test('finds a contract by file and name', () => {
+    expect(storageDiff.findLayout(storageLayout, 'src/v2/Vault.sol:Vault', 'repo')).toBe(storageLayout[1]);
+  });
+
+  test('rejects a name that several files declare', () => {
+    expect(() => storageDiff.findLayout(storageLayout, 'Vault', 'repo')).toThrow(/Multiple contracts named "Vault"/);
+  });
+
+  test('rejects a contract that is not in the file', () => {
+    expect(() => storageDiff.findLayout(storageLayout, 'src/Token.sol:Vault', 'repo')).toThrow(/not found in repo/);
+  });
+});
@@ -0,0 +1,104 @@
+const { parse } = require('@solidity-parser/parser');
+const TypeRegistry = require('../type-registry.js');
+const InheritanceResolver = require('../inheritance-resolver.js');
+const { analyzeFixture } = require('./helpers.js');
+
+// Definition nodes of a source, by name
+const parseDefinitions = source => Object.fromEntries(
+  parse(`pragma solidity ^0.8.20;\n${source}`).children.filter(node => node.name).map(node => [node.name, node])
+);
+
+// Contract element as the analyzer reports it
+const contract = (file, name, baseContracts = []) => ({ id: `${file}:${name}`, name, file, kind: 'contract', baseContracts });
+
+// Import graph edge of a plain import
+const edge = (from, to, extra = {}) => ({ from, to, importPath: to, symbolAliases: null, unitAlias: null, ...extra });
+
+describe('TypeRegistry', () => {
+  const { Order, Side, Base, Vault } = parseDefinitions(`
+    struct Order { uint256 amount; address owner; }
+    enum Side { Buy, Sell }
+    contract Base { struct Position { uint128 size; } }
+    contract Vault is Base { enum Side { Long, Short } }
+  `);
+  const member = (node, name) => node.subNodes.find(subNode => subNode.name === name);
+
+  const registry = new TypeRegistry();
+  registry.addType('struct', Order, 'Types.sol', null, 'Types.sol:Order');
+  registry.addType('struct', Order, 'Other.sol', null, 'Other.sol:Order');
+  registry.addType('enum', Side, 'Types.sol', null, 'Types.sol:Side');
+  registry.addType('struct', member(Base, 'Position'), 'Base.sol', 'Base', 'Base.sol:Base.Position');
+  registry.addType('enum', member(Vault, 'Side'), 'Vault.sol', 'Vault', 'Vault.sol:Vault.Side');
+  registry.setInheritanceResolver(new InheritanceResolver([
+    contract('Base.sol', 'Base'),
+    contract('Vault.sol', 'Vault', ['Base'])
+  ], [
+    edge('Vault.sol', 'Base.sol'),
+    edge('Vault.sol', 'Types.sol'),
+    edge('Aliased.sol', 'Other.sol', { symbolAliases: [['Order', 'Ticket']] }),
+    edge('Unit.sol', 'Other.sol', { unitAlias: 'T' })
+  ]));
+
+  const resolveId = (name, context) => (registry.resolve(name, context) || {}).id || null;
+
+  test('resolves a name in the contract first, then in its bases', () => {
+    expect(resolveId('Side', { contract: 'Vault', file: 'Vault.sol' })).toBe('Vault.sol:Vault.Side');
+    expect(resolveId('Position', { contract: 'Vault', file: 'Vault.sol' })).toBe('Base.sol:Base.Position');
+  });
+
+  test('resolves file-level types through the imports of the file', () => {
+    expect(resolveId('Order', { contract: 'Vault', file: 'Vault.sol' })).toBe('Types.sol:Order');
+    expect(resolveId('Side', { file: 'Vault.sol' })).toBe('Types.sol:Side');
+  });
+
+  test('resolves contract-qualified names and import aliases', () => {
+    expect(resolveId('Base.Position', { file: 'Vault.sol' })).toBe('Base.sol:Base.Position');
+    expect(resolveId('Ticket', { file: 'Aliased.sol' })).toBe('Other.sol:Order');
+    expect(resolveId('T.Order', { file: 'Unit.sol' })).toBe('Other.sol:Order');
+  });
+
+  test('does not fall back to a type the file cannot see', () => {
+    expect(resolveId('Side', { file: 'Unrelated.sol' })).toBeNull();
+    expect(resolveId('Position', { file: 'Types.sol' })).toBeNull();
+  });
+
+  test('returns null for a name that several visible files declare', () => {
+    const unscoped = new TypeRegistry();
+    unscoped.addType('struct', Order, 'Types.sol', null, 'Types.sol:Order');
+    unscoped.addType('struct', Order, 'Other.sol', null, 'Other.sol:Order');
+    expect(unscoped.resolve('Order')).toBeNull();
+  });
+
+  test('converts structs, enums and unresolved types to ABI parameters', () => {
+    const { f } = parseDefinitions('function f(Order memory order, Side side, Missing missing) {}');
+    const context = { file: 'Vault.sol' };
+    const [order, side, missing] = f.parameters.map(p => registry.toAbiParameter(p.typeName, p.name, context));
+
+    expect(order).toMatchObject({ type: 'tuple', internalType: 'struct Order' });
+    expect(order.components.map(c => c.type)).toEqual(['uint256', 'address']);
+    expect(side).toMatchObject({ type: 'uint8', internalType: 'enum Side' });
+    expect(missing).toMatchObject({ type: 'Missing' });
+  });
+
+  test('puts the value of a constant array length in the signature', () => {
+    const { f } = parseDefinitions('function f(uint256[N] calldata a, uint256[M] calldata b, uint256[N * 2] calldata c) {}');
+    const withConstants = new TypeRegistry({ resolveConstant: name => (name === 'N' ? 3 : null) });
+    expect(withConstants.buildCanonicalSignature('f', f.parameters)).toBe('f(uint256[3],uint256[M],uint256[?])');
+  });
+
+  describe('on an analyzed contract', () => {
+    let report;
+
+    beforeAll(async () => {
+      ({ report } = await analyzeFixture('abi'));
+    });
+
+    test('resolves array lengths from contract and file-level constants', () => {
+      const selectorOf = name => report.functions.find(func => func.name === name).selector;
+      expect(report.functions.find(func => func.name === 'f').canonicalSignature).toBe('f(uint256[3])');
+      expect(selectorOf('f')).toBe('0x5dc12891');
+      expect(selectorOf('fileLevel')).toBe('0x32b518e0');
+      expect(selectorOf('doubled')).toBeNull();
+    });
+  });
+});
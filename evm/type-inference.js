@@ -0,0 +1,212 @@
+/**
+ * Type Inference
+ * Infers the static type of call arguments where the AST makes it possible and
+ * checks them against parameter types for overload resolution
+ */
+
+// Types of the global variables and members the compiler provides
+const GLOBAL_MEMBER_TYPES = {
+  'msg.sender': 'address',
+  'msg.value': 'uint256',
+  'msg.data': 'bytes',
+  'msg.sig': 'bytes4',
+  'tx.origin': 'address',
+  'tx.gasprice': 'uint256',
+  'block.timestamp': 'uint256',
+  'block.number': 'uint256',
+  'block.chainid': 'uint256',
+  'block.coinbase': 'address',
+  'block.basefee': 'uint256',
+  'block.prevrandao': 'uint256',
+  'block.difficulty': 'uint256',
+  'block.gaslimit': 'uint256'
+};
+
+// Return types of built-in functions
+const BUILTIN_RETURN_TYPES = {
+  'keccak256': 'bytes32',
+  'sha256': 'bytes32',
+  'ripemd160': 'bytes20',
+  'ecrecover': 'address',
+  'blockhash': 'bytes32',
+  'gasleft': 'uint256',
+  'addmod': 'uint256',
+  'mulmod': 'uint256',
+  'abi.encode': 'bytes',
+  'abi.encodePacked': 'bytes',
+  'abi.encodeWithSelector': 'bytes',
+  'abi.encodeWithSignature': 'bytes',
+  'abi.encodeCall': 'bytes'
+};
+
+// Pseudo-types for literals, which convert implicitly to several declared types
+const INTEGER_LITERAL = 'int_const';
+const STRING_LITERAL = 'literal_string';
+
+class TypeInference {
+  // Normalize elementary type aliases, e.g. uint -> uint256
+  normalizeType(type) {
+    if (!type) return type;
+    return type
+      .replace(/\b(u?int)\b/g, '$1256')
+      .replace(/\bbyte\b/g, 'bytes1')
+      .replace(/\baddress payable\b/g, 'address')
+      .replace(/\s+/g, '');
+  }
+
+  // Infer the type of an expression; lookup resolves identifiers and contract names
+  inferExpressionType(expression, lookup) {
+    if (!expression) return null;
+
+    switch (expression.type) {
+      case 'NumberLiteral':
+        return INTEGER_LITERAL;
+      case 'BooleanLiteral':
+        return 'bool';
+      case 'StringLiteral':
+        return STRING_LITERAL;
+      case 'HexLiteral':
+        return 'bytes';
+      case 'HexNumber':
+        return INTEGER_LITERAL;
+      case 'Identifier':
+        return lookup.resolveIdentifier(expression.name);
+      case 'MemberAccess':
+        return this.inferMemberAccessType(expression, lookup);
+      case 'IndexAccess':
+        return this.getElementType(this.inferExpressionType(expression.base, lookup));
+      case 'FunctionCall':
+        return this.inferFunctionCallType(expression, lookup);
+      case 'BinaryOperation':
+        return this.inferBinaryOperationType(expression, lookup);
+      case 'UnaryOperation':
+        return expression.operator === '!' ? 'bool' : this.inferExpressionType(expression.subExpression, lookup);
+      case 'TupleExpression':
+        return expression.components && expression.components.length === 1 ?
+          this.inferExpressionType(expression.components[0], lookup) : null;
+      case 'Conditional':
+        return this.inferExpressionType(expression.trueExpression, lookup) ||
+          this.inferExpressionType(expression.falseExpression, lookup);
+      default:
+        return null;
+    }
+  }
+
+  // Infer the type of a member access such as msg.sender or array.length
+  inferMemberAccessType(expression, lookup) {
+    if (expression.expression.type === 'Identifier') {
+      const globalType = GLOBAL_MEMBER_TYPES[`${expression.expression.name}.${expression.memberName}`];
+      if (globalType) return globalType;
+    }
+
+    if (expression.memberName === 'length') return 'uint256';
+    if (expression.memberName === 'balance') return 'uint256';
+    if (expression.memberName === 'selector') return 'bytes4';
+
+    return null;
+  }
+
+  // Infer the result of a call: type conversions, contract casts and built-ins
+  inferFunctionCallType(expression, lookup) {
+    const callee = expression.expression;
+    if (!callee) return null;
+
+    if (callee.type === 'ElementaryTypeName') {
+      return this.normalizeType(callee.name);
+    }
+
+    if (callee.type === 'Identifier') {
+      if (callee.name === 'address' || callee.name === 'payable') return 'address';
+      if (BUILTIN_RETURN_TYPES[callee.name]) return BUILTIN_RETURN_TYPES[callee.name];
+      if (lookup.isContract(callee.name)) return callee.name;
+      if (lookup.resolveReturnType) return lookup.resolveReturnType(callee.name);
+    }
+
+    if (callee.type === 'MemberAccess' && callee.expression.type === 'Identifier') {
+      return BUILTIN_RETURN_TYPES[`${callee.expression.name}.${callee.memberName}`] || null;
+    }
+
+    return null;
+  }
+
+  // Infer the result of a binary operation
+  inferBinaryOperationType(expression, lookup) {
+    if (['==', '!=', '<', '>', '<=', '>=', '&&', '||'].includes(expression.operator)) {
+      return 'bool';
+    }
+
+    const left = this.inferExpressionType(expression.left, lookup);
+    const right = this.inferExpressionType(expression.right, lookup);
+
+    // Shifts and exponentiation keep the type of the left operand
+    if (['<<', '>>', '**'].includes(expression.operator)) return left;
+    if (left === INTEGER_LITERAL) return right || left;
+    return left || right;
+  }
+
+  // Value type of a mapping or element type of an array
+  getElementType(type) {
+    if (!type) return null;
+
+    if (type.startsWith('mapping(')) {
+      const inner = type.substring('mapping('.length, type.length - 1);
+      let depth = 0;
+      for (let i = 0; i < inner.length - 1; i++) {
+        if (inner[i] === '(') depth++;
+        if (inner[i] === ')') depth--;
+        if (depth === 0 && inner.substring(i, i + 2) === '=>') {
+          return inner.substring(i + 2).trim();
+        }
+      }
+      return null;
+    }
+
+    const arrayMatch = /^(.*)\[[^\]]*\]$/.exec(type);
+    if (arrayMatch) return arrayMatch[1];
+    if (type === 'bytes' || /^bytes\d+$/.test(type)) return 'bytes1';
+
+    return null;
+  }
+
+  // Score how well an argument type fits a parameter: 2 exact, 1 implicit or unknown, 0 incompatible
+  scoreArgument(argumentType, parameterType, lookup = null) {
+    if (!argumentType || !parameterType || parameterType === 'unknown') return 1;
+
+    const argument = this.normalizeType(argumentType);
+    const parameter = this.normalizeType(parameterType);
+
+    if (argument === parameter) return 2;
+
+    if (argument === INTEGER_LITERAL) {
+      return /^u?int\d*$/.test(parameter) ? 1 : 0;
+    }
+
+    if (argument === STRING_LITERAL) {
+      return parameter === 'string' || /^bytes\d*$/.test(parameter) ? 1 : 0;
+    }
+
+    // Integers widen implicitly within the same signedness
+    const argumentInt = /^(u?)int(\d+)$/.exec(argument);
+    const parameterInt = /^(u?)int(\d+)$/.exec(parameter);
+    if (argumentInt && parameterInt) {
+      return argumentInt[1] === parameterInt[1] && Number(argumentInt[2]) <= Number(parameterInt[2]) ? 1 : 0;
+    }
+
+    // A contract converts implicitly to any contract it inherits from
+    if (lookup && lookup.isContract(argument) && lookup.isContract(parameter)) {
+      return lookup.inheritsFrom(argument, parameter) ? 1 : 0;
+    }
+
+    // Types the inference cannot reason about (structs, enums, function types) are not rejected
+    const isKnown = type => /^(u?int\d+|bytes\d*|address|bool|string)$/.test(type) ||
+      type.includes('[') || type.startsWith('mapping(') || (lookup && lookup.isContract(type));
+    if (!isKnown(argument) || !isKnown(parameter)) return 1;
+
+    return 0;
+  }
+}
+
+TypeInference.INTEGER_LITERAL = INTEGER_LITERAL;
+TypeInference.STRING_LITERAL = STRING_LITERAL;
+
+module.exports = TypeInference;
@@ -0,0 +1,188 @@
+/**
+ * Type Registry
+ * Records structs, enums and user-defined value types and converts type names
+ * to their ABI form: structs become tuples, enums uint8 and contracts address
+ */
+class TypeRegistry {
+  constructor(options = {}) {
+    this.types = []; // { id, kind, name, qualifiedName, contract, file, node }
+    this.contractNames = new Set();
+    this.inheritanceResolver = null; // Set once all files are analyzed, for inherited and imported type lookups
+    this.resolveConstant = options.resolveConstant || (() => null); // (name, context) -> number, for array lengths
+  }
+
+  // Record a contract, interface or library name; these types are addresses in the ABI
+  addContract(name) {
+    this.contractNames.add(name);
+  }
+
+  // Record a StructDefinition, EnumDefinition or TypeDefinition node; id is the report element id
+  addType(kind, node, filename, contractName = null, id = null) {
+    this.types.push({
+      id: id,
+      kind: kind,
+      name: node.name,
+      qualifiedName: contractName ? `${contractName}.${node.name}` : node.name,
+      contract: contractName,
+      file: filename,
+      node: node
+    });
+  }
+
+  // Used to find types declared in base contracts and imported files
+  setInheritanceResolver(inheritanceResolver) {
+    this.inheritanceResolver = inheritanceResolver;
+  }
+
+  // Find the definition a type name refers to from a contract or file context: the contract and
+  // its bases, then file-level types of the file and the files it imports. Returns null when the
+  // name is not visible from the context or several visible types have it
+  resolve(namePath, context = {}) {
+    // Import aliases: S of import {T as S} and L.T of import "x" as L are T, seen from its file
+    if (this.inheritanceResolver && context.file) {
+      const aliased = this.inheritanceResolver.importAliases.resolve(namePath, context.file);
+      if (aliased.namePath !== namePath || aliased.file !== context.file) {
+        namePath = aliased.namePath;
+        context = { file: aliased.file };
+      }
+    }
+
+    const separatorIndex = namePath.lastIndexOf('.');
+    if (separatorIndex !== -1) {
+      // C.T is a type declared in contract C as seen from the file
+      const contractName = namePath.substring(0, separatorIndex);
+      const contract = this.inheritanceResolver ?
+        this.inheritanceResolver.resolveContract(contractName, context.file) : null;
+      const candidates = this.types.filter(t => t.qualifiedName === namePath);
+      return contract ?
+        candidates.find(t => t.file === contract.file) || null :
+        this.findVisible(candidates, context.file);
+    }
+
+    // Types declared in the contract itself, then in its bases
+    if (context.contract) {
+      const contractId = `${context.file}:${context.contract}`;
+      const scopes = this.inheritanceResolver ?
+        this.inheritanceResolver.linearize(contractId) :
+        [{ name: context.contract, file: context.file }];
+
+      for (const scope of scopes) {
+        const found = this.types.find(t =>
+          t.contract === scope.name && t.name === namePath && (!scope.file || t.file === scope.file));
+        if (found) return found;
+      }
+    }
+
+    return this.findVisible(this.types.filter(t => !t.contract && t.name === namePath), context.file);
+  }
+
+  // The one candidate declared in a file visible from the given file, or null if there is none or several
+  findVisible(candidates, fromFile) {
+    if (this.inheritanceResolver && fromFile) {
+      const visibleFiles = this.inheritanceResolver.getVisibleFiles(fromFile);
+      candidates = candidates.filter(t => visibleFiles.has(t.file));
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  // Convert a type AST node to an ABI parameter: { name, type, internalType, components }
+  toAbiParameter(typeName, name = '', context = {}, visiting = new Set()) {
+    if (!typeName) {
+      return { name, type: 'unknown', internalType: 'unknown' };
+    }
+
+    switch (typeName.type) {
+      case 'ElementaryTypeName': {
+        const type = this.normalizeElementaryType(typeName.name);
+        const internalType = type === 'address' && typeName.stateMutability === 'payable' ? 'address payable' : type;
+        return { name, type, internalType };
+      }
+      case 'ArrayTypeName': {
+        const base = this.toAbiParameter(typeName.baseTypeName, name, context, visiting);
+        const suffix = typeName.length ? `[${this.describeLength(typeName.length, context)}]` : '[]';
+        return { ...base, type: `${base.type}${suffix}`, internalType: `${base.internalType}${suffix}` };
+      }
+      case 'UserDefinedTypeName':
+        return this.userDefinedToAbiParameter(typeName.namePath, name, context, visiting);
+      case 'Mapping':
+        return { name, type: 'mapping', internalType: 'mapping' };
+      case 'FunctionTypeName':
+        return { name, type: 'function', internalType: 'function' };
+      default:
+        return { name, type: 'unknown', internalType: 'unknown' };
+    }
+  }
+
+  // Convert a struct, enum, value type or contract name to an ABI parameter
+  userDefinedToAbiParameter(namePath, name, context, visiting) {
+    const definition = this.resolve(namePath, context);
+
+    if (!definition) {
+      if (this.contractNames.has(namePath.split('.').pop())) {
+        return { name, type: 'address', internalType: `contract ${namePath}` };
+      }
+      // Type from a file that was not analyzed
+      return { name, type: namePath, internalType: namePath };
+    }
+
+    const definitionContext = { contract: definition.contract, file: definition.file };
+
+    switch (definition.kind) {
+      case 'enum':
+        return { name, type: 'uint8', internalType: `enum ${definition.qualifiedName}` };
+      case 'userDefinedValueType': {
+        const underlying = this.toAbiParameter(definition.node.definition, name, definitionContext, visiting);
+        return { name, type: underlying.type, internalType: definition.qualifiedName };
+      }
+      case 'struct': {
+        if (visiting.has(definition.qualifiedName)) {
+          // Recursive struct, which the ABI cannot express
+          return { name, type: 'tuple', internalType: `struct ${definition.qualifiedName}`, components: [] };
+        }
+        const nested = new Set(visiting).add(definition.qualifiedName);
+        const components = (definition.node.members || []).map(member =>
+          this.toAbiParameter(member.typeName, member.name || '', definitionContext, nested));
+        return { name, type: 'tuple', internalType: `struct ${definition.qualifiedName}`, components };
+      }
+      default:
+        return { name, type: namePath, internalType: namePath };
+    }
+  }
+
+  // Length of a fixed array from a literal or a constant; a length that cannot be resolved
+  // keeps the constant's name (or ? for an expression), so no selector is computed from it
+  describeLength(expression, context) {
+    if (expression.type === 'NumberLiteral') return expression.number;
+    if (expression.type === 'Identifier') {
+      const value = this.resolveConstant(expression.name, context);
+      return value === null || value === undefined ? expression.name : String(value);
+    }
+    return '?';
+  }
+
+  // Canonical type of an ABI parameter as used in signatures: tuples become (a,b)
+  getCanonicalType(parameter) {
+    if (parameter.type.startsWith('tuple')) {
+      const components = (parameter.components || []).map(component => this.getCanonicalType(component));
+      return `(${components.join(',')})${parameter.type.substring('tuple'.length)}`;
+    }
+    return parameter.type;
+  }
+
+  // Canonical signature of a function, event or error from its parameter declarations
+  buildCanonicalSignature(name, parameters, context = {}) {
+    const types = (parameters || []).map(parameter =>
+      this.getCanonicalType(this.toAbiParameter(parameter.typeName, parameter.name || '', context)));
+    return `${name}(${types.join(',')})`;
+  }
+
+  // Expand elementary type aliases, e.g. uint -> uint256
+  normalizeElementaryType(type) {
+    if (type === 'uint' || type === 'int') return `${type}256`;
+    if (type === 'byte') return 'bytes1';
+    if (type === 'fixed' || type === 'ufixed') return `${type}128x18`;
+    return type;
+  }
+}
+
+module.exports = TypeRegistry;